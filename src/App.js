@@ -3,6 +3,7 @@ import React, { useState, useEffect, useMemo, useCallback, useRef } from "react"
 import {
   Shield,
   Activity,
+  Anchor,
   Users,
   Heart,
   Brain,
@@ -33,6 +34,7 @@ import {
   Trash2,
   LayoutGrid,
   ChevronDown,
+  ChevronUp,
   Moon,
   Sun,
   Coffee,
@@ -160,27 +162,148 @@ import {
 import {
   VERSION_ID,
   USER_LOCATION,
-  QUICK_TASK_WINDOW_MS,
   QUICK_TASK_TEST_DURATION_MINUTES,
   QUICK_TASK_DURATION_OPTIONS,
   QUICK_TASK_ALLOWED_DURATIONS,
+  QUICK_TASK_ALLOWED_USES,
+  QUICK_TASK_ALLOWED_DAILY_LIMITS,
   DEFAULT_MONITORED_APPS,
   DEFAULT_SETTINGS,
   DEFAULT_USER_ACCOUNT,
   DEFAULT_USER_PROFILE,
   DEFAULT_QUICK_TASK_DURATION,
   DEFAULT_QUICK_TASK_LIMIT,
+  DEFAULT_QUICK_TASK_DAILY_LIMIT,
+  GOAL_DAILY_LIMIT_OPTIONS,
+  GOAL_WEEKLY_LIMIT_OPTIONS,
 } from "./constants/config";
 import {
   createInitialInterventionContext,
   interventionReducer,
-  beginIntervention,
   toggleCause,
   canProceedToAlternatives,
   startAlternative,
   shouldTickBreathing,
   shouldTickActionTimer,
+  getTimerInterval,
+  appendJournalRecord,
+  BREATHING_PATTERNS,
+  getBreathingPattern,
+  getBreathingSessionDuration,
+  describeFriction,
+  canDispatch,
+  getTransitionRejection,
+  describeUnlockRejection,
+  reportRejectedTransition,
+  resolveEscalationPolicy,
+  serializeInterventionContext,
+  rehydrateInterventionContext,
+  createTransitionHooks,
+  resolveInterventionProfile,
+  getProfileCauses,
+  getUnlockMinuteOptions,
+  INTERVENTION_PROFILE_PRESETS,
+  UNLOCK_MINUTE_OPTIONS,
+  getUnlockBudgetHistory,
+  UNLOCK_BUDGET_OPTIONS,
+  DEFAULT_BUDGET_SETTINGS,
+  mergeCauses,
+  getVisibleCauses,
+  buildAlternativesDatabase,
+  createCustomCause,
+  createCauseAlternative,
+  addCause,
+  updateCause,
+  moveCause,
+  removeCustomCause,
+  CAUSE_INTENSITY_MIN,
+  CAUSE_INTENSITY_MAX,
+  CAUSE_NOTE_MAX_LENGTH,
+  getCauseIntensity,
+  describeSelectedCauses,
+  migrateJournal,
+  getCauseStats,
+  rankAlternatives,
+  explainRanking,
+  getAvailableTime,
+  getAlternativeCompletion,
+  ACTION_STEP_STATUSES,
+  areActionStepsResolved,
+  getActionStepCompletion,
+  getActionStepElapsed,
+  URGE_SCALE,
+  HELPFULNESS_SCALE,
+  REFLECTION_NOTE_MAX_LENGTH,
+  getAlternativeEffectiveness,
+  getReflectionSummary,
+  getOfferedRoutine,
+  getGuidedRoutine,
+  getCurrentRoutineStep,
+  isRoutineFinished,
+  getBreathingPhaseAt,
+  LAUNCH_DECISIONS,
+  getLaunchDecision,
+  getQuickTaskQuota,
+  describeQuickTaskQuota,
+  getQuickTaskQuotaStrategy,
+  QUICK_TASK_QUOTA_STRATEGIES,
+  DEFAULT_QUICK_TASK_QUOTA_STRATEGY,
+  isQuickTaskExpired,
+  startQuickTask,
+  appendQuickTaskLog,
+  canStartQuickTask,
+  getOpenQuickTaskEntry,
+  recordQuickTaskOutcome,
+  extendQuickTask,
+  QUICK_TASK_OUTCOMES,
+  createBeginInterventionAction,
+  createUnlockSession,
+  isUnlockSessionOpen,
+  leaveUnlockSession,
+  resumeUnlockSession,
+  getUnlockGraceSeconds,
+  formatTimerDisplay,
+  getQuickTaskAnalytics,
+  getQuickTaskSuggestions,
+  QUICK_TASK_ABUSE_THRESHOLDS,
+  getInterventionInsightsByPeriod,
+  QUICK_TASK_FOLLOW_UP_MINUTES,
 } from "./core/intervention";
+import {
+  USAGE_HEARTBEAT_MS,
+  startUsageSession,
+  touchUsageSession,
+  endUsageSession,
+  getUsageSummary,
+  getUsagePeriods,
+  GOAL_KINDS,
+  GOAL_PERIODS,
+  GOAL_STATUSES,
+  createUsageGoal,
+  describeUsageGoal,
+  getGoalsProgress,
+  getNewGoalAlerts,
+  markGoalAlertsSent,
+  recordGoalHistory,
+} from "./core/usage";
+import {
+  WEEKLY_REPORT_SOURCES,
+  buildWeeklyReport,
+  getLastReportWeek,
+  saveWeeklyReport,
+  writeWeeklyReportNarrative,
+} from "./core/reports";
+import {
+  INSIGHTS_EXPORT_FORMATS,
+  INSIGHTS_EXPORT_SCHEMA,
+  INSIGHTS_EXPORT_VERSION,
+  buildInsightsExport,
+  getExportRange,
+  getInsightsExportFileName,
+  toExportDate,
+  toInsightsCsv,
+  toInsightsJson,
+} from "./core/export";
 
 const CAUSES = [
   { id: "boredom", label: "Boredom", icon: <HelpCircle size={20} /> },
@@ -280,9 +403,17 @@ const INITIAL_APPS = [
   },
 ];
 
+// Labels of the app groups a screen time goal can target (type / category)
+const GOAL_GROUP_LABELS = {
+  distraction: "All distraction apps",
+  app: "All phone apps",
+  web: "All websites",
+};
+
+// Demo mode insights; real ones are derived by toAdvancedStats below
 const ADVANCED_STATS = {
   topTrigger: { label: "Anxiety", count: 15, icon: <Activity size={16} /> },
-  peakTime: "Tuesday Afternoons",
+  peakTime: "on Tuesday afternoons",
   correlations: [
     {
       cause: "Boredom",
@@ -336,6 +467,70 @@ const ADVANCED_STATS = {
   ],
 };
 
+const ALTERNATIVE_TYPE_ICONS = {
+  social: "📞",
+  family: "🧸",
+  creative: "🎨",
+  calm: "🧘",
+  rest: "😴",
+  mental: "📚",
+  physical: "🏃",
+  active: "🏃",
+  productive: "💼",
+};
+
+const INSIGHT_CAUSE_ICON_SIZE = 14;
+
+// Shape derived insights (see core/intervention/insights.js) like ADVANCED_STATS
+function toAdvancedStats(insights, { causes, apps }) {
+  const getCause = (causeId) => {
+    const cause = causes.find((c) => c.id === causeId);
+    const icon = cause?.icon ?? "💭";
+    return {
+      label: cause?.label || causeId,
+      icon: React.isValidElement(icon)
+        ? React.cloneElement(icon, { size: INSIGHT_CAUSE_ICON_SIZE })
+        : icon,
+    };
+  };
+  const getFailColor = (rate) =>
+    rate >= 50 ? "bg-rose-500" : rate >= 25 ? "bg-amber-500" : "bg-emerald-500";
+  const getAlternativeIcon = (id) => {
+    const alternative = Object.values(ALTERNATIVES_DB)
+      .flat()
+      .find((alt) => alt.id === id);
+    return ALTERNATIVE_TYPE_ICONS[alternative?.type] || "✨";
+  };
+
+  return {
+    topTrigger: insights.topTrigger && {
+      ...getCause(insights.topTrigger.causeId),
+      count: insights.topTrigger.count,
+    },
+    peakTime: insights.peakTime?.label ?? null,
+    correlations: insights.correlations.map((item) => {
+      const cause = getCause(item.causeId);
+      return {
+        cause: cause.label,
+        causeIcon: cause.icon,
+        appName: item.appName,
+        pct: item.pct,
+        color: apps.find((app) => app.id === item.appId)?.color || "bg-slate-400",
+      };
+    }),
+    causeFail: insights.causeFail.map((item) => ({
+      id: item.causeId,
+      ...getCause(item.causeId),
+      rate: item.rate,
+      color: getFailColor(item.rate),
+    })),
+    topAlternatives: insights.topAlternatives.map((item) => ({
+      ...item,
+      icon: getAlternativeIcon(item.id),
+    })),
+  };
+}
+
 const ALTERNATIVES_DB = {
   loneliness: [
     {
@@ -758,6 +953,7 @@ const ALTERNATIVES_DB = {
 };
 
 const ALL_ALTS = Object.values(ALTERNATIVES_DB).flat();
+const ALTERNATIVE_TYPES = Array.from(new Set(ALL_ALTS.map((a) => a.type)));
 
 const FRIENDS_LEADERBOARD = [
   {
@@ -941,9 +1137,11 @@ const INITIAL_PLAN = [
   },
 ];
 
-// Screen Time Dummy Data
+// Screen time shown in demo mode (the tracker in core/usage/ has the real one)
 const SCREEN_TIME_DATA = {
   today: {
+    from: new Date(2023, 9, 24).getTime(),
+    to: new Date(2023, 9, 25).getTime(),
     totalMinutes: 192, // 3h 12m
     hourlyBreakdown: [
       { hour: 0, minutes: 0 },
@@ -973,24 +1171,28 @@ const SCREEN_TIME_DATA = {
     ],
   },
   week: {
+    from: new Date(2023, 9, 18).getTime(),
+    to: new Date(2023, 9, 25).getTime(),
     totalMinutes: 1455, // ~24h 15m
     dailyBreakdown: [
-      { label: "M", val: 2.5, minutes: 150 }, // Monday
-      { label: "T", val: 3.8, minutes: 228 }, // Tuesday
-      { label: "W", val: 1.5, minutes: 90 },  // Wednesday
-      { label: "T", val: 4.2, minutes: 252 }, // Thursday
-      { label: "F", val: 3.0, minutes: 180 }, // Friday
-      { label: "S", val: 5.5, minutes: 330 }, // Saturday
-      { label: "S", val: 4.8, minutes: 288 }, // Sunday
+      { label: "M", val: 2.5, minutes: 150, current: false }, // Monday
+      { label: "T", val: 3.8, minutes: 228, current: false }, // Tuesday
+      { label: "W", val: 1.5, minutes: 90, current: false },  // Wednesday
+      { label: "T", val: 4.2, minutes: 252, current: false }, // Thursday
+      { label: "F", val: 3.0, minutes: 180, current: true }, // Friday
+      { label: "S", val: 5.5, minutes: 330, current: false }, // Saturday
+      { label: "S", val: 4.8, minutes: 288, current: false }, // Sunday
     ],
   },
   month: {
+    from: new Date(2023, 9, 1).getTime(),
+    to: new Date(2023, 10, 1).getTime(),
     totalMinutes: 5820, // ~97h
     weeklyBreakdown: [
-      { label: "W1", val: 22.5, minutes: 1350 }, // Week 1
-      { label: "W2", val: 24.2, minutes: 1452 }, // Week 2
-      { label: "W3", val: 25.8, minutes: 1548 }, // Week 3
-      { label: "W4", val: 23.5, minutes: 1410 }, // Week 4
+      { label: "W1", val: 22.5, minutes: 1350, current: false }, // Week 1
+      { label: "W2", val: 24.2, minutes: 1452, current: false }, // Week 2
+      { label: "W3", val: 25.8, minutes: 1548, current: false }, // Week 3
+      { label: "W4", val: 23.5, minutes: 1410, current: true }, // Week 4
     ],
   },
 };
@@ -1008,8 +1210,62 @@ const formatScreenTime = (minutes) => {
   return `${hours}h ${mins}m`;
 };
 
-// Legacy WEEKLY_STATS for backward compatibility
-const WEEKLY_STATS = SCREEN_TIME_DATA.week.dailyBreakdown;
+// Helper function to label a screen time period, e.g. "Today, 24 Oct",
+// "Oct 18 - Oct 24" or "October 2023"
+const formatScreenTimeRange = (period, { from, to }) => {
+  if (period === "Today") {
+    return `Today, ${new Date(from).toLocaleDateString("en-GB", {
+      day: "numeric",
+      month: "short",
+    })}`;
+  }
+  if (period === "Week") {
+    const format = (timestamp) =>
+      new Date(timestamp).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+      });
+    return `${format(from)} - ${format(to - 1)}`;
+  }
+  return new Date(from).toLocaleDateString("en-US", {
+    month: "long",
+    year: "numeric",
+  });
+};
+
+// Helper function to format a weekly report metric value or change
+const formatReportMetric = (metric, value, { isChange = false } = {}) => {
+  if (value == null) return "–";
+  if (metric.unit === "minutes") return formatScreenTime(value);
+  if (metric.unit === "percent") return isChange ? `${value} pts` : `${value}%`;
+  return String(value);
+};
+
+// Helper function to save generated text (e.g. an insights export) as a file
+const downloadTextFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel a download that has not started yet
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+};
+
+// Browsers drop downloads fired in the same moment, so space them out
+const DOWNLOAD_SPACING_MS = 400;
+
+// Helper function to save several files ({ fileName, content, type }) in turn
+const downloadTextFiles = (files) => {
+  files.forEach(({ fileName, content, type }, index) =>
+    setTimeout(
+      () => downloadTextFile(fileName, content, type),
+      index * DOWNLOAD_SPACING_MS
+    )
+  );
+};
 
 const MOCK_CONTACTS = [
   { name: "Mom", type: "phone" },
@@ -1061,6 +1317,18 @@ export default function App() {
     [],
     { disablePersistence: demoMode }
   );
+  // User edits to the root causes (see core/intervention/causes.js)
+  const [customCauses, setCustomCauses] = useStickyState(
+    "mindful_causes_v1",
+    [],
+    { disablePersistence: demoMode }
+  );
+  const causes = useMemo(() => mergeCauses(CAUSES, customCauses), [customCauses]);
+  const alternativesDb = useMemo(
+    () => buildAlternativesDatabase(ALTERNATIVES_DB, causes),
+    [causes]
+  );
+  const allAlts = useMemo(() => Object.values(alternativesDb).flat(), [alternativesDb]);
   const [savedAlternativeIds, setSavedAlternativeIds] = useStickyState(
     "mindful_saved_alts_v17_2",
     [],
@@ -1119,11 +1387,69 @@ export default function App() {
     DEFAULT_QUICK_TASK_LIMIT,
     { disablePersistence: demoMode }
   );
+  const [quickTaskStrategy, setQuickTaskStrategy] = useStickyState(
+    "mindful_quick_strategy_v1",
+    DEFAULT_QUICK_TASK_QUOTA_STRATEGY,
+    { disablePersistence: demoMode }
+  );
+  const [quickTaskDailyLimit, setQuickTaskDailyLimit] = useStickyState(
+    "mindful_quick_daily_limit_v1",
+    DEFAULT_QUICK_TASK_DAILY_LIMIT,
+    { disablePersistence: demoMode }
+  );
   const [quickTaskLog, setQuickTaskLog] = useStickyState(
     "mindful_quick_log_v1",
     [],
     { disablePersistence: demoMode }
   );
+  const quickTaskState = useMemo(
+    () => ({
+      windowStart: quickTaskWindowStart,
+      usesInWindow: quickTaskUsesInWindow,
+      activeUntil: quickTaskActiveUntil,
+    }),
+    [quickTaskWindowStart, quickTaskUsesInWindow, quickTaskActiveUntil]
+  );
+  // Screen time: closed foreground sessions and the open one (see core/usage/tracker.js)
+  const [usageLog, setUsageLog] = useStickyState(
+    "mindful_usage_log_v1",
+    [],
+    { disablePersistence: demoMode }
+  );
+  const [usageSession, setUsageSession] = useStickyState(
+    "mindful_usage_session_v1",
+    null,
+    { disablePersistence: demoMode }
+  );
+  // Screen time goals, their finished days and the alerts already raised
+  // (see core/usage/goals.js)
+  const [usageGoals, setUsageGoals] = useStickyState(
+    "mindful_usage_goals_v1",
+    [],
+    { disablePersistence: demoMode }
+  );
+  const [goalHistory, setGoalHistory] = useStickyState(
+    "mindful_goal_history_v1",
+    [],
+    { disablePersistence: demoMode }
+  );
+  const [goalAlerts, setGoalAlerts] = useStickyState(
+    "mindful_goal_alerts_v1",
+    {},
+    { disablePersistence: demoMode }
+  );
+  // Past weekly reports, newest week first (see core/reports/weeklyReport.js)
+  const [weeklyReports, setWeeklyReports] = useStickyState(
+    "mindful_weekly_reports_v1",
+    [],
+    { disablePersistence: demoMode }
+  );
+  // Finished interventions (see core/intervention/journal.js)
+  const [interventionJournal, setInterventionJournal] = useStickyState(
+    "mindful_intervention_journal_v1",
+    [],
+    { disablePersistence: demoMode }
+  );
   // Bumped version to v17_6 to force reload of new mock data structure
   const [friendsList, setFriendsList] = useStickyState(
     "mindful_friends_v17_6",
@@ -1153,28 +1479,48 @@ export default function App() {
   const [simNotification, setSimNotification] = useState(null);
   const [availableValueCards, setAvailableValueCards] = useState(VALUE_CARDS);
   const [activeSessions, setActiveSessions] = useState({});
+  const [, setSessionTick] = useState(Date.now());
   const [showQuickTaskDialog, setShowQuickTaskDialog] = useState(false);
   const [pendingQuickTaskApp, setPendingQuickTaskApp] = useState(null);
+  // Quick task that ran out and waits for its check-in: { app, entryId }
+  const [quickTaskCheckIn, setQuickTaskCheckIn] = useState(null);
   const [quickTaskTick, setQuickTaskTick] = useState(Date.now());
+  // Guided routines: clock for paced breathing and the trusted-friend message draft
+  const [guidedTick, setGuidedTick] = useState(Date.now());
+  const [guidedMessageDraft, setGuidedMessageDraft] = useState(null);
   const [activeQuickTaskApp, setActiveQuickTaskApp] = useState(null);
 
   // Intervention state machine (using extracted core logic)
+  // In-flight interventions survive a reload (see core/intervention/persistence.js)
+  const [interventionSnapshot, setInterventionSnapshot] = useStickyState(
+    "mindful_intervention_snapshot_v1",
+    null,
+    { disablePersistence: demoMode }
+  );
   const [interventionContext, setInterventionContext] = useState(() => 
-    createInitialInterventionContext()
+    rehydrateInterventionContext(interventionSnapshot, Date.now())
   );
   
   // Destructure for backward compatibility with existing code
   const interventionState = interventionContext.state;
   const targetApp = interventionContext.targetApp;
   const breathingCount = interventionContext.breathingCount;
+  const breathingPhase = interventionContext.breathingPhase;
   const selectedCauses = interventionContext.selectedCauses;
+  const causeDetails = interventionContext.causeDetails;
   const selectedAlternative = interventionContext.selectedAlternative;
   const actionTimer = interventionContext.actionTimer;
+  const actionTimerPausedAt = interventionContext.actionTimerPausedAt;
+  const actionSteps = interventionContext.actionSteps;
+  const reflection = interventionContext.reflection;
   
   // Helper to dispatch intervention actions
   const dispatchIntervention = useCallback((action) => {
     setInterventionContext(prev => interventionReducer(prev, action));
   }, []);
+
+  // onEnter/onExit/onTransition callbacks for intervention side effects
+  const [interventionHooks] = useState(() => createTransitionHooks());
   
   // UI state (not part of intervention state machine)
   const [altPage, setAltPage] = useState(0);
@@ -1191,6 +1537,14 @@ export default function App() {
   const [altPlanDraft, setAltPlanDraft] = useState(null);
   const [proactiveState, setProactiveState] = useState(null);
   const [altTab, setAltTab] = useState("discover");
+  const [unlockReasonDraft, setUnlockReasonDraft] = useState("");
+  // Request to a buddy for an unlock past today's budget:
+  // { id, buddy, status: "pending" | "approved" }
+  const [budgetOverrideRequest, setBudgetOverrideRequest] = useState(null);
+  const budgetOverrideReplyRef = useRef(null);
+  // The override only applies once the buddy has answered
+  const budgetOverrideBuddy =
+    budgetOverrideRequest?.status === "approved" ? budgetOverrideRequest.buddy : null;
 
   // AI STATE
   const [isGeneratingAI, setIsGeneratingAI] = useState(false);
@@ -1300,6 +1654,7 @@ export default function App() {
       setMonitoredApps([...DEFAULT_MONITORED_APPS]);
       setDailyPlan(INITIAL_PLAN);
       setCustomAlternatives([]);
+      setCustomCauses([]);
       setSavedAlternativeIds([]);
       setPrivacyMap({});
       setInterventionContext(createInitialInterventionContext());
@@ -1318,7 +1673,16 @@ export default function App() {
           : DEFAULT_QUICK_TASK_DURATION
       );
       setQuickTaskUsesPerWindow(DEFAULT_QUICK_TASK_LIMIT);
+      setQuickTaskStrategy(DEFAULT_QUICK_TASK_QUOTA_STRATEGY);
+      setQuickTaskDailyLimit(DEFAULT_QUICK_TASK_DAILY_LIMIT);
       setQuickTaskLog([]);
+      setUsageLog([]);
+      setUsageSession(null);
+      setUsageGoals([]);
+      setGoalHistory([]);
+      setGoalAlerts({});
+      setWeeklyReports([]);
+      setInterventionJournal([]);
       setFriendsList([...FRIENDS_LEADERBOARD]);
       setUpcomingActivities([...communityDefaults.current.upcomingActivities]);
       setSharedCurrentActivities([
@@ -1346,6 +1710,7 @@ export default function App() {
       setActiveChatFriend(null);
       setSimNotification(null);
       setPendingQuickTaskApp(null);
+      setQuickTaskCheckIn(null);
       setAvailableValueCards([...VALUE_CARDS]);
     },
     [
@@ -1357,16 +1722,20 @@ export default function App() {
       setChatMessages,
       setCustomAlternatives,
       setCustomApps,
+      setCustomCauses,
       setDailyPlan,
       setDeletedFriends,
       setFriendsList,
       setHasOnboarded,
+      setInterventionJournal,
       setMonitoredApps,
       setPendingQuickTaskApp,
       setPrivacyMap,
       setQuickTaskActiveUntil,
+      setQuickTaskDailyLimit,
       setQuickTaskDurationMinutes,
       setQuickTaskLog,
+      setQuickTaskStrategy,
       setQuickTaskUsesInWindow,
       setQuickTaskUsesPerWindow,
       setQuickTaskWindowStart,
@@ -1375,6 +1744,12 @@ export default function App() {
       setSessionHistory,
       setSettings,
       setSimNotification,
+      setUsageLog,
+      setUsageSession,
+      setUsageGoals,
+      setGoalHistory,
+      setGoalAlerts,
+      setWeeklyReports,
       setFriendSharedActivities,
       setPublicEvents,
       setIncomingRequests,
@@ -1406,26 +1781,57 @@ export default function App() {
   }, []); // Run once on mount
 
   // Breathing countdown timer (uses extracted logic)
+  // Ticks only refresh the display; remaining time comes from the deadline
   useEffect(() => {
     let timer;
     if (shouldTickBreathing(interventionState, breathingCount)) {
-      timer = setTimeout(() => {
-        dispatchIntervention({ type: 'BREATHING_TICK' });
-      }, 1000);
+      timer = setInterval(() => {
+        dispatchIntervention({ type: 'BREATHING_TICK', now: Date.now() });
+      }, getTimerInterval('breathing'));
     }
-    return () => clearTimeout(timer);
+    return () => clearInterval(timer);
   }, [interventionState, breathingCount, dispatchIntervention]);
 
   // Action timer effect (uses extracted logic)
   useEffect(() => {
     let timer;
-    if (shouldTickActionTimer(interventionState, actionTimer)) {
+    if (shouldTickActionTimer(interventionState, actionTimer, actionTimerPausedAt)) {
       timer = setInterval(() => {
-        dispatchIntervention({ type: 'ACTION_TIMER_TICK' });
-      }, 1000);
+        dispatchIntervention({ type: 'ACTION_TIMER_TICK', now: Date.now() });
+      }, getTimerInterval('action'));
     }
     return () => clearInterval(timer);
-  }, [interventionState, actionTimer, dispatchIntervention]);
+  }, [interventionState, actionTimer, actionTimerPausedAt, dispatchIntervention]);
+
+  // Paced breathing inside a guided routine only needs a display clock
+  const guidedStep = getCurrentRoutineStep(interventionContext.guidedRoutine);
+  const isGuidedBreathing =
+    interventionState === "guided" && guidedStep?.type === "breathing";
+  useEffect(() => {
+    if (!isGuidedBreathing) return undefined;
+    setGuidedTick(Date.now());
+    const timer = setInterval(() => setGuidedTick(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isGuidedBreathing]);
+
+  // Snapshot the running intervention so a reload resumes it
+  useEffect(() => {
+    setInterventionSnapshot(
+      serializeInterventionContext(interventionContext, Date.now())
+    );
+  }, [interventionContext, setInterventionSnapshot]);
+
+  // Bring journal records stored by older versions up to date
+  useEffect(() => {
+    setInterventionJournal((prev = []) => migrateJournal(prev));
+  }, [setInterventionJournal]);
+
+  // Persist each finished intervention to the journal
+  useEffect(() => {
+    const record = interventionContext.lastRecord;
+    if (!record) return;
+    setInterventionJournal((prev = []) => appendJournalRecord(prev, record));
+  }, [interventionContext.lastRecord, setInterventionJournal]);
 
   useEffect(() => {
     if (toast) {
@@ -1466,6 +1872,7 @@ export default function App() {
       if (liveSessionTimeoutRef.current) {
         clearTimeout(liveSessionTimeoutRef.current);
       }
+      clearTimeout(budgetOverrideReplyRef.current);
     };
   }, []);
 
@@ -1477,6 +1884,108 @@ export default function App() {
     }
   }, [quickTaskActiveUntil]);
 
+  // Refresh the grace countdown on the launcher while a left app is in it
+  const hasGraceSession = Object.values(activeSessions).some(
+    (session) => getUnlockGraceSeconds(session, Date.now()) != null
+  );
+  useEffect(() => {
+    if (!hasGraceSession) return;
+    const timer = setInterval(() => setSessionTick(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hasGraceSession]);
+
+  // Screen time runs for the open app unless an intervention or a quick
+  // task prompt covers it; a session left open by a reload is closed first
+  const usageAppId =
+    activeContext.startsWith("app-") &&
+    activeContext !== "app-mindful" &&
+    interventionState === "idle" &&
+    !showQuickTaskDialog &&
+    !quickTaskCheckIn
+      ? activeContext.replace("app-", "")
+      : null;
+  useEffect(() => {
+    if ((usageSession?.appId ?? null) === usageAppId) return;
+    const now = Date.now();
+    if (usageSession) {
+      setUsageLog((prev = []) => endUsageSession(prev, usageSession, now));
+    }
+    const app = usageAppId && customApps.find((a) => a.id === usageAppId);
+    setUsageSession(app ? startUsageSession(app, now) : null);
+  }, [usageAppId, usageSession, customApps, setUsageLog, setUsageSession]);
+
+  const usageSessionAppId = usageSession?.appId ?? null;
+  useEffect(() => {
+    if (!usageSessionAppId) return;
+    const timer = setInterval(
+      () => setUsageSession((prev) => prev && touchUsageSession(prev, Date.now())),
+      USAGE_HEARTBEAT_MS
+    );
+    return () => clearInterval(timer);
+  }, [usageSessionAppId, setUsageSession]);
+
+  // Goal progress refreshes with every usage heartbeat
+  const goalProgress = useMemo(
+    () =>
+      getGoalsProgress(usageGoals, {
+        usageLog,
+        openSession: usageSession,
+        apps: customApps,
+        now: Date.now(),
+      }),
+    [usageGoals, usageLog, usageSession, customApps]
+  );
+
+  // Warn at 80% of a goal, notify once it is exceeded
+  useEffect(() => {
+    const alerts = getNewGoalAlerts(goalProgress, goalAlerts);
+    if (alerts.length === 0) return;
+    setGoalAlerts((prev = {}) => markGoalAlertsSent(prev, alerts));
+    alerts.forEach(({ goalId, level }) => {
+      const goal = usageGoals.find((g) => g.id === goalId);
+      const progress = goalProgress.find((p) => p.goalId === goalId);
+      if (!goal || !progress) return;
+      const label = describeUsageGoal(goal, customApps, GOAL_GROUP_LABELS);
+      if (level === GOAL_STATUSES.EXCEEDED) {
+        setSimNotification({
+          title: "Screen time goal exceeded",
+          body: `${label}: ${formatScreenTime(progress.usedMinutes)} so far.`,
+          action: "Open",
+          type: "goal_exceeded",
+        });
+      } else {
+        setToast(`${progress.percent}% of your goal used: ${label}`);
+      }
+    });
+  }, [goalProgress, goalAlerts, usageGoals, customApps, setGoalAlerts]);
+
+  // Finished days where every goal held count toward the streak
+  const goalDay = getUsagePeriods(Date.now()).today.from;
+  useEffect(() => {
+    const { history, newDays } = recordGoalHistory(goalHistory, usageGoals, {
+      usageLog,
+      openSession: usageSession,
+      apps: customApps,
+      now: goalDay,
+    });
+    if (newDays.length === 0) return;
+    setGoalHistory(history);
+    const keptDays = newDays.filter((day) => day.met).length;
+    if (keptDays > 0) {
+      setUserAccount((prev) => ({ ...prev, streak: prev.streak + keptDays }));
+      setToast(`Screen time goals kept. Streak +${keptDays}!`);
+    }
+  }, [
+    goalDay,
+    goalHistory,
+    usageGoals,
+    usageLog,
+    usageSession,
+    customApps,
+    setGoalHistory,
+    setUserAccount,
+  ]);
+
   // Light heartbeat to refresh window countdown when uses exist
   useEffect(() => {
     if (quickTaskUsesInWindow > 0 && quickTaskWindowStart) {
@@ -1487,7 +1996,7 @@ export default function App() {
 
   // Auto-clear expired quick task session
   useEffect(() => {
-    if (quickTaskActiveUntil && quickTaskActiveUntil <= Date.now()) {
+    if (isQuickTaskExpired(quickTaskState, Date.now())) {
       const quickTaskApp =
         activeQuickTaskApp ||
         (activeContext.startsWith("app-")
@@ -1497,13 +2006,17 @@ export default function App() {
       setQuickTaskActiveUntil(0);
       setActiveQuickTaskApp(null);
 
-      // When quick task expires, immediately start the normal intervention flow
+      // Ask whether the quick task got done before anything else happens
       if (quickTaskApp && interventionState === "idle") {
-        beginInterventionForApp(quickTaskApp);
+        setQuickTaskCheckIn({
+          app: quickTaskApp,
+          entryId: getOpenQuickTaskEntry(quickTaskLog, quickTaskApp.id)?.id ?? null,
+        });
       }
     }
   }, [
-    quickTaskActiveUntil,
+    quickTaskState,
+    quickTaskLog,
     quickTaskTick,
     activeQuickTaskApp,
     activeContext,
@@ -1518,22 +2031,37 @@ export default function App() {
         setQuickTaskDurationMinutes(DEFAULT_QUICK_TASK_DURATION);
       }
       if (quickTaskUsesPerWindow !== 1) setQuickTaskUsesPerWindow(1);
+      if (quickTaskStrategy !== DEFAULT_QUICK_TASK_QUOTA_STRATEGY) {
+        setQuickTaskStrategy(DEFAULT_QUICK_TASK_QUOTA_STRATEGY);
+      }
     }
   }, [
     demoMode,
     userAccount.isPremium,
     quickTaskDurationMinutes,
     quickTaskUsesPerWindow,
+    quickTaskStrategy,
   ]);
 
   useEffect(() => {
     if (!QUICK_TASK_ALLOWED_DURATIONS.includes(quickTaskDurationMinutes)) {
       setQuickTaskDurationMinutes(3);
     }
-    if (![1, 2].includes(quickTaskUsesPerWindow)) {
+    if (!QUICK_TASK_ALLOWED_USES.includes(quickTaskUsesPerWindow)) {
       setQuickTaskUsesPerWindow(1);
     }
-  }, [quickTaskDurationMinutes, quickTaskUsesPerWindow]);
+    if (!QUICK_TASK_QUOTA_STRATEGIES[quickTaskStrategy]) {
+      setQuickTaskStrategy(DEFAULT_QUICK_TASK_QUOTA_STRATEGY);
+    }
+    if (!QUICK_TASK_ALLOWED_DAILY_LIMITS.includes(quickTaskDailyLimit)) {
+      setQuickTaskDailyLimit(DEFAULT_QUICK_TASK_DAILY_LIMIT);
+    }
+  }, [
+    quickTaskDurationMinutes,
+    quickTaskUsesPerWindow,
+    quickTaskStrategy,
+    quickTaskDailyLimit,
+  ]);
 
   // Track the last selectedCauses we generated for to avoid regenerating unnecessarily
   const lastGeneratedCausesRef = useRef(null);
@@ -1584,18 +2112,33 @@ export default function App() {
   const isQuickTaskActive =
     quickTaskActiveUntil && quickTaskActiveUntil > Date.now();
 
-  const quickTaskRemainingUses = useMemo(() => {
-    const now = Date.now();
-    if (!quickTaskWindowStart || now - quickTaskWindowStart > QUICK_TASK_WINDOW_MS) {
-      return quickTaskUsesPerWindow;
-    }
-    return Math.max(0, quickTaskUsesPerWindow - quickTaskUsesInWindow);
-  }, [
-    quickTaskWindowStart,
-    quickTaskUsesInWindow,
-    quickTaskUsesPerWindow,
-    quickTaskTick,
-  ]);
+  const quickTaskQuotaSettings = useMemo(
+    () => ({
+      strategy: quickTaskStrategy,
+      usesPerWindow: quickTaskUsesPerWindow,
+      dailyLimit: quickTaskDailyLimit,
+      dayStartHour: settings.unlockBudget?.dayStartHour,
+    }),
+    [
+      quickTaskStrategy,
+      quickTaskUsesPerWindow,
+      quickTaskDailyLimit,
+      settings.unlockBudget?.dayStartHour,
+    ]
+  );
+
+  // Quota of the app a quick task is offered for (see core/intervention/quickTaskQuotas.js)
+  const quickTaskQuota = useMemo(
+    () =>
+      getQuickTaskQuota({
+        quickTask: quickTaskState,
+        log: quickTaskLog,
+        appId: pendingQuickTaskApp?.id ?? null,
+        settings: quickTaskQuotaSettings,
+        now: Date.now(),
+      }),
+    [quickTaskState, quickTaskLog, pendingQuickTaskApp, quickTaskQuotaSettings, quickTaskTick]
+  );
 
   // Aggregated state/actions used across the component tree
   const state = useMemo(
@@ -1627,12 +2170,23 @@ export default function App() {
       chatMessages,
       quickTaskDurationMinutes,
       quickTaskUsesPerWindow,
+      quickTaskStrategy,
+      quickTaskDailyLimit,
       quickTaskLog,
       quickTaskActiveUntil,
-      quickTaskRemainingUses,
+      quickTaskQuota,
+      usageLog,
+      usageSession,
+      usageGoals,
+      goalProgress,
+      goalHistory,
+      weeklyReports,
+      interventionJournal,
       demoMode,
       currentUserId,
       customAlternatives,
+      customCauses,
+      causes,
       savedAlternativeIds,
       privacyMapState: privacyMap,
       quickTaskWindowStart,
@@ -1651,6 +2205,8 @@ export default function App() {
       availableValueCards,
       chatMessages,
       customAlternatives,
+      customCauses,
+      causes,
       customApps,
       dailyPlan,
       deletedFriends,
@@ -1660,15 +2216,18 @@ export default function App() {
       friendsList,
       hasOnboarded,
       incomingRequests,
+      interventionJournal,
       pendingRequests,
       liveSessions,
       monitoredApps,
       privacyMap,
       publicEvents,
       quickTaskActiveUntil,
+      quickTaskDailyLimit,
       quickTaskDurationMinutes,
       quickTaskLog,
-      quickTaskRemainingUses,
+      quickTaskQuota,
+      quickTaskStrategy,
       quickTaskUsesInWindow,
       quickTaskUsesPerWindow,
       quickTaskWindowStart,
@@ -1678,9 +2237,15 @@ export default function App() {
       settings,
       simNotification,
       upcomingActivities,
+      usageLog,
+      usageSession,
       userAccount,
       userProfile,
       userSessionState,
+      usageGoals,
+      goalProgress,
+      goalHistory,
+      weeklyReports,
       currentUserId,
       createEventDraft,
       currentActivity,
@@ -1719,6 +2284,8 @@ export default function App() {
       setChatMessages,
       setQuickTaskDurationMinutes,
       setQuickTaskUsesPerWindow,
+      setQuickTaskStrategy,
+      setQuickTaskDailyLimit,
       setQuickTaskLog,
       setQuickTaskActiveUntil,
       setQuickTaskUsesInWindow,
@@ -1730,23 +2297,25 @@ export default function App() {
       setCurrentActivity,
       setShowAltScheduler,
       setAltPlanDraft,
+      setCustomAlternatives,
+      setCustomCauses,
+      setUsageGoals,
+      setWeeklyReports,
     }),
     [resetAllState]
   );
 
-  const ensureQuickTaskWindow = useCallback(
-    (now = Date.now()) => {
-      if (!quickTaskWindowStart || now - quickTaskWindowStart > QUICK_TASK_WINDOW_MS) {
-        setQuickTaskWindowStart(now);
-        setQuickTaskUsesInWindow(0);
-        return 0;
-      }
-      return quickTaskUsesInWindow;
+  // Store quick task state computed by core/intervention/launch.js
+  const applyQuickTaskState = useCallback(
+    ({ windowStart, usesInWindow, activeUntil }) => {
+      setQuickTaskWindowStart(windowStart);
+      setQuickTaskUsesInWindow(usesInWindow);
+      setQuickTaskActiveUntil(activeUntil);
     },
-    [quickTaskWindowStart, quickTaskUsesInWindow]
+    [setQuickTaskWindowStart, setQuickTaskUsesInWindow, setQuickTaskActiveUntil]
   );
 
-  const resetNewAltForm = () => {
+  const resetNewAltForm = useCallback(() => {
     setIsAddingAlt(false);
     setNewAltData({
       title: "",
@@ -1756,9 +2325,9 @@ export default function App() {
       isPrivate: false,
     });
     setNewAltActions([""]);
-  };
+  }, []);
 
-  const resetAIInspiredForm = () => {
+  const resetAIInspiredForm = useCallback(() => {
     setShowAIInspiredForm(false);
     setAiInspiredFormData({
       topic: "",
@@ -1767,40 +2336,69 @@ export default function App() {
       useCurrentEmotion: true,
     });
     setAiInspiredSuggestions([]);
-  };
+  }, []);
+
+  // Side effects of intervention transitions (see core/intervention/lifecycle.js)
+  useEffect(() => {
+    const unsubscribers = [
+      // Every intervention starts with a clean alternatives screen
+      interventionHooks.onEnter("breathing", () => {
+        setUnlockReasonDraft("");
+        clearTimeout(budgetOverrideReplyRef.current);
+        setBudgetOverrideRequest(null);
+        setGuidedMessageDraft(null);
+        resetNewAltForm();
+        resetAIInspiredForm();
+        setAltPage(0);
+        setAltTab("discover");
+      }),
+      interventionHooks.onEnter("idle", ({ event, record }) => {
+        // A buddy answer still on its way is dropped with the intervention
+        clearTimeout(budgetOverrideReplyRef.current);
+        setBudgetOverrideRequest(null);
+        if (event.action === 'UNLOCK_APP' && record) {
+          setActiveContext(`app-${record.appId}`);
+        }
+        if (event.action === 'FINISH_REFLECTION' && record?.rating > 0) {
+          setUserAccount((prev) => ({ ...prev, streak: prev.streak + 1 }));
+          setToast("Streak +1! Well done.");
+        }
+      }),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [interventionHooks, resetNewAltForm, resetAIInspiredForm, setUserAccount]);
+
+  // Run the registered hooks once each new intervention context is committed
+  const committedInterventionRef = useRef(interventionContext);
+  useEffect(() => {
+    const prev = committedInterventionRef.current;
+    committedInterventionRef.current = interventionContext;
+    interventionHooks.notify(prev, interventionContext);
+  }, [interventionContext, interventionHooks]);
 
   const beginInterventionForApp = (app) => {
-    // Use extracted core logic for intervention state
-    setInterventionContext(prev => 
-      beginIntervention(prev, app, settings.interventionDuration)
-    );
-    
-    // Reset UI state (not part of core intervention logic)
-    resetNewAltForm();
-    resetAIInspiredForm();
-    setAltPage(0);
-    setAltTab("discover");
+    // Profile, unlock budget and escalated friction come from the journal
+    const action = createBeginInterventionAction({
+      app,
+      journal: interventionJournal,
+      settings,
+      now: Date.now(),
+    });
+    setInterventionContext((prev) => interventionReducer(prev, action));
   };
 
-  const handleStartQuickTask = (app) => {
+  const handleStartQuickTask = (app, intention = "") => {
     if (!app) return;
+    if (!canStartQuickTask(resolveInterventionProfile(app.id, settings), intention)) return;
     const now = Date.now();
-    const uses = ensureQuickTaskWindow(now);
-    const newUses = uses + 1;
     setActiveQuickTaskApp(app);
-    setQuickTaskUsesInWindow(newUses);
-    setQuickTaskActiveUntil(now + quickTaskDurationMinutes * 60 * 1000);
-    setQuickTaskLog((prev = []) =>
-      [
-        {
-          id: now,
-          appId: app.id,
-          appName: app.name || app.id,
-          startedAt: now,
-        },
-        ...prev,
-      ].slice(0, 100)
+    applyQuickTaskState(
+      startQuickTask(quickTaskState, {
+        now,
+        durationMinutes: quickTaskDurationMinutes,
+      })
     );
+    setQuickTaskLog((prev = []) => appendQuickTaskLog(prev, app, now, { intention }));
     setShowQuickTaskDialog(false);
     setPendingQuickTaskApp(null);
     dispatchIntervention({ type: 'RESET_INTERVENTION' });
@@ -1816,6 +2414,57 @@ export default function App() {
     beginInterventionForApp(app);
   };
 
+  // Answer the check-in after a quick task ran out (see core/intervention/launch.js)
+  // next: "home", "continue" (through the intervention) or "extend"
+  const handleQuickTaskCheckIn = ({ done, next }) => {
+    if (!quickTaskCheckIn) return;
+    const { app, entryId } = quickTaskCheckIn;
+    const now = Date.now();
+    const entry = quickTaskLog.find((item) => item.id === entryId);
+
+    if (next === "extend") {
+      const quota = getQuickTaskQuota({
+        quickTask: quickTaskState,
+        log: quickTaskLog,
+        appId: app.id,
+        settings: quickTaskQuotaSettings,
+        now,
+      });
+      if (quota.remaining <= 0) return;
+      const extended = extendQuickTask({
+        quickTask: quickTaskState,
+        log: quickTaskLog,
+        entry,
+        app,
+        now,
+        durationMinutes: quickTaskDurationMinutes,
+      });
+      applyQuickTaskState(extended.quickTask);
+      setQuickTaskLog(extended.log);
+      setActiveQuickTaskApp(app);
+      setQuickTaskCheckIn(null);
+      setActiveContext(`app-${app.id}`);
+      setToast(
+        `Quick task extended by ${formatQuickTaskDuration(quickTaskDurationMinutes)}`
+      );
+      return;
+    }
+
+    if (entry) {
+      setQuickTaskLog((prev = []) =>
+        recordQuickTaskOutcome(
+          prev,
+          entry.id,
+          done ? QUICK_TASK_OUTCOMES.DONE : QUICK_TASK_OUTCOMES.NOT_DONE,
+          now
+        )
+      );
+    }
+    setQuickTaskCheckIn(null);
+    if (next === "continue") beginInterventionForApp(app);
+    else handleHomeButton();
+  };
+
   // AI GENERATION HANDLER FOR TAB
   const handleGenerateContextualAlternatives = async () => {
     if (isGeneratingAI) return;
@@ -1837,9 +2486,7 @@ export default function App() {
     }
 
     // 1. PRIMARY: Root causes/emotions
-    const causeLabels = selectedCauses
-      .map((id) => CAUSES.find((c) => c.id === id)?.label)
-      .join(", ");
+    const causeLabels = describeSelectedCauses(causes, selectedCauses, causeDetails);
 
     // 2. CONTEXTUAL: Location
     const locationContext = USER_LOCATION;
@@ -1868,7 +2515,7 @@ export default function App() {
     let preferencesContext = "";
     const savedAlts = savedAlternativeIds
       .map((id) => {
-        const found = ALL_ALTS.find((a) => a.id === id);
+        const found = allAlts.find((a) => a.id === id);
         return found ? found.title : null;
       })
       .filter(Boolean);
@@ -1880,7 +2527,7 @@ export default function App() {
       .map((session) => {
         if (session.alternative?.title) return session.alternative.title;
         if (session.alternativeId) {
-          const found = ALL_ALTS.find((a) => a.id === session.alternativeId);
+          const found = allAlts.find((a) => a.id === session.alternativeId);
           if (found) return found.title;
         }
         return null;
@@ -1928,7 +2575,7 @@ export default function App() {
     const prompt = `Generate 3 specific, actionable alternative activities for a user that can be started IMMEDIATELY with minimal preparation.
 
 PRIMARY CONTEXT:
-- Emotional state: ${causeLabels || "not specified"}
+- Emotional state (intensity out of ${CAUSE_INTENSITY_MAX}, with the user's own words): ${causeLabels || "not specified"}
 - Location: ${locationContext}
 ${socialContext ? `- ${socialContext}` : ""}
 ${preferencesContext ? `- ${preferencesContext}` : ""}
@@ -1951,7 +2598,7 @@ CRITICAL REQUIREMENTS:
 - Activities should require minimal setup and preparation
 
 Return a JSON array of objects with keys: 'title' (short string), 'desc' (1 sentence), 'duration' (e.g. '15m'), 'actions' (array of 3 short steps that can be done immediately), 'type' (social/calm/creative/active/productive/rest).
-Prioritize activities that address the emotional state first, then ensure they are appropriate for the time of day, then consider location, weather, and user preferences.
+Prioritize activities that address the emotional state first (the most intense feelings above all), then ensure they are appropriate for the time of day, then consider location, weather, and user preferences.
 
 Good Examples (immediately actionable):
 - [{"title": "5-Minute Stretch", "desc": "Release tension with gentle stretches.", "duration": "5m", "actions": ["Stand up", "Reach for the sky", "Touch your toes"], "type": "active"}]
@@ -2198,9 +2845,7 @@ Bad Examples (require planning/travel):
     try {
       // Get current emotion/root causes if user wants to include them
     const emotionContext = aiInspiredFormData.useCurrentEmotion
-      ? selectedCauses
-          .map((id) => CAUSES.find((c) => c.id === id)?.label)
-          .join(", ")
+      ? describeSelectedCauses(causes, selectedCauses, causeDetails)
       : "";
 
     // Get nearby friends (within 20km - using same location as proxy)
@@ -2333,37 +2978,114 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
       }
     }
 
-    const isMonitored = monitoredApps.includes(app.id);
-    const expiry = activeSessions[app.name];
-    const now = Date.now();
-
-    if (isMonitored && (!expiry || Date.now() > expiry)) {
-      if (isQuickTaskActive) {
-        setActiveContext(`app-${app.id}`);
-        return;
-      }
-
-      const uses = ensureQuickTaskWindow(now);
-      const remaining = Math.max(0, quickTaskUsesPerWindow - uses);
-
-      if (remaining > 0) {
-        setPendingQuickTaskApp(app);
-        setShowQuickTaskDialog(true);
-        return;
-      }
+    // Unlock sessions, quick tasks and strict profiles (see core/intervention/launch.js)
+    const { decision, quickTask } = getLaunchDecision({
+      app,
+      monitoredApps,
+      unlockSession: activeSessions[app.name],
+      profile: resolveInterventionProfile(app.id, settings),
+      quickTask: quickTaskState,
+      quickTaskAppId: activeQuickTaskApp?.id ?? null,
+      quickTaskLog,
+      quotaSettings: quickTaskQuotaSettings,
+      now: Date.now(),
+    });
+    if (quickTask !== quickTaskState) applyQuickTaskState(quickTask);
 
+    if (decision === LAUNCH_DECISIONS.OFFER_QUICK_TASK) {
+      setPendingQuickTaskApp(app);
+      setShowQuickTaskDialog(true);
+    } else if (decision === LAUNCH_DECISIONS.INTERVENE) {
       beginInterventionForApp(app);
     } else {
+      // Back within the grace period: the unlock carries on
+      if (activeSessions[app.name]) {
+        setActiveSessions((prev) => ({
+          ...prev,
+          [app.name]: resumeUnlockSession(prev[app.name]),
+        }));
+      }
       setActiveContext(`app-${app.id}`);
     }
   };
 
+  // "Message a trusted friend" step of a guided routine
+  const handleSendGuidedMessage = (friend, text) => {
+    if (!text.trim()) return;
+    const conversationId = getConversationId(currentUserId, friend.id);
+    getOrCreateConversation(currentUserId, friend.id);
+    addMessageToConversation(conversationId, {
+      senderId: currentUserId,
+      senderName: currentUser.name,
+      text: text.trim(),
+    });
+    setGuidedMessageDraft(null);
+    setToast(`Message sent to ${friend.name}.`);
+    dispatchIntervention({
+      type: "COMPLETE_GUIDED_STEP",
+      result: { friendId: friend.id },
+    });
+  };
+
+  // Ask a buddy to approve one unlock past today's budget; the buddy's
+  // answer is simulated like other friend replies
+  const handleRequestBudgetOverride = (buddy) => {
+    if (!targetApp || budgetOverrideRequest?.status === "pending") return;
+    const requestId = Date.now();
+    const conversationId = getConversationId(currentUserId, buddy.id);
+    getOrCreateConversation(currentUserId, buddy.id);
+    addMessageToConversation(conversationId, {
+      senderId: currentUserId,
+      senderName: currentUser.name,
+      text: `My ${targetApp.name} budget for today is used up. Could you approve one more unlock?`,
+    });
+    setBudgetOverrideRequest({ id: requestId, buddy, status: "pending" });
+    setToast(`Asked ${buddy.name} to approve one more unlock.`);
+
+    // Cleared when the intervention moves on, so no answer arrives late
+    budgetOverrideReplyRef.current = setTimeout(() => {
+      budgetOverrideReplyRef.current = null;
+      addMessageToConversation(conversationId, {
+        senderId: buddy.id,
+        senderName: buddy.name,
+        text: "Approved, just this once! 👍",
+      });
+      setBudgetOverrideRequest((prev) =>
+        prev?.id === requestId ? { ...prev, status: "approved" } : prev
+      );
+      setToast(`${buddy.name} approved one more unlock.`);
+    }, 2000);
+  };
+
   const handleUnlockApp = (minutes) => {
     if (!targetApp) return;
-    const expiry = Date.now() + minutes * 60 * 1000;
-    setActiveSessions({ ...activeSessions, [targetApp.name]: expiry });
-    dispatchIntervention({ type: 'RESET_INTERVENTION' });
-    setActiveContext(`app-${targetApp.id}`);
+    const action = {
+      type: 'UNLOCK_APP',
+      minutes,
+      override: budgetOverrideBuddy
+        ? { buddyId: budgetOverrideBuddy.id, buddyName: budgetOverrideBuddy.name }
+        : null,
+    };
+    // Profile maximum and daily budget are enforced by the machine
+    const rejection = getTransitionRejection(interventionContext, action);
+    if (rejection) {
+      reportRejectedTransition(interventionContext, action, rejection);
+      setToast(describeUnlockRejection(interventionContext, action, targetApp.name));
+      return;
+    }
+    setActiveSessions({
+      ...activeSessions,
+      [targetApp.name]: createUnlockSession(Date.now(), minutes),
+    });
+    dispatchIntervention(action);
+  };
+
+  const endAppSession = (app, graceMinutes = 0) => {
+    setActiveSessions((prev) => {
+      const { [app.name]: session, ...rest } = prev;
+      const left = leaveUnlockSession(session, Date.now(), graceMinutes);
+      return left ? { ...rest, [app.name]: left } : rest;
+    });
   };
 
   const handleHomeButton = () => {
@@ -2372,11 +3094,10 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
       const appId = activeContext.replace("app-", "");
       const app = customApps.find((a) => a.id === appId);
 
-      // If it's a monitored app, clear its session so intervention restarts next time
+      // A monitored app keeps its session for the grace period only, so the
+      // intervention restarts when coming back later
       if (app && monitoredApps.includes(app.id)) {
-        const updatedSessions = { ...activeSessions };
-        delete updatedSessions[app.name]; // Remove the session token
-        setActiveSessions(updatedSessions);
+        endAppSession(app, Number(settings.gracePeriod));
       }
     }
 
@@ -2475,10 +3196,6 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
 
   const finishReflection = (rating) => {
     dispatchIntervention({ type: 'FINISH_REFLECTION', rating });
-    if (rating > 0) {
-      setUserAccount((prev) => ({ ...prev, streak: prev.streak + 1 }));
-      setToast("Streak +1! Well done.");
-    }
   };
 
   const handleAddActivityFromProactive = (activity) => {
@@ -2504,69 +3221,79 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
     setToast("Activity added to plan!");
   };
 
-  const getDisplayAlternatives = () => {
-    let pool = [];
-
-    if (altTab === "ai") {
-      return aiSuggestions; // Return AI generated list directly
-    }
-
-    if (altTab === "mylist") {
-      const saved = ALL_ALTS.filter((a) => savedAlternativeIds.includes(a.id));
-      pool = [...customAlternatives, ...saved];
-
-      if (selectedCauses.length > 0) {
-        pool = pool.filter((a) => {
-          if (a.isCustom)
-            return a.causes.some((c) => selectedCauses.includes(c));
-          return selectedCauses.some((cId) =>
-            ALTERNATIVES_DB[cId]?.some((dbItem) => dbItem.id === a.id)
-          );
-        });
-      }
-    } else {
-      if (selectedCauses.length === 0) {
-        pool = [...ALTERNATIVES_DB.boredom];
-      } else {
-        selectedCauses.forEach((causeId) => {
-          if (ALTERNATIVES_DB[causeId])
-            pool = [...pool, ...ALTERNATIVES_DB[causeId]];
-        });
-      }
-
-      const unique = Array.from(new Set(pool.map((a) => a.id))).map((id) =>
-        pool.find((a) => a.id === id)
-      );
-      pool = unique.filter((a) => !savedAlternativeIds.includes(a.id));
-    }
-
-    // --- CONTEXT AWARE FILTERING ---
-    const hour = parseInt(currentTime.split(":")[0]);
-    const isNight = hour >= 22 || hour < 6;
-
-    pool = pool.filter((item) => {
-      const tags = item.tags || [];
-      if (weather === "rainy" && tags.includes("outdoor")) return false;
-      if (isNight && tags.includes("daytime")) return false;
-      if (isNight && tags.includes("social_call")) return false;
-      return true;
-    });
+  // How well each alternative worked, from the reflections in the journal
+  const alternativeEffectiveness = useMemo(
+    () => getAlternativeEffectiveness(interventionJournal),
+    [interventionJournal]
+  );
+  const alternativeCompletion = useMemo(
+    () => getAlternativeCompletion(interventionJournal),
+    [interventionJournal]
+  );
 
-    const sorted = pool.sort((a, b) => {
-      if (a.isFriend && !b.isFriend) return -1;
-      if (!a.isFriend && b.isFriend) return 1;
-      return (b.likes || 0) - (a.likes || 0);
+  // Rank the pool for the current tab (see core/intervention/ranking.js),
+  // only while the alternatives are on screen rather than on every tick
+  const isRankingAlternatives =
+    interventionState === "alternatives" && altTab !== "ai";
+  const interventionProfile = interventionContext.profile;
+  const rankedAlternatives = useMemo(() => {
+    if (!isRankingAlternatives) return [];
+    const saved = allAlts.filter((a) => savedAlternativeIds.includes(a.id));
+    const pool =
+      altTab === "mylist"
+        ? [...customAlternatives, ...saved]
+        : allAlts.filter((a) => !savedAlternativeIds.includes(a.id));
+
+    return rankAlternatives(pool, {
+      causes,
+      selectedCauses,
+      causeDetails,
+      alternativesDb,
+      hour: parseInt(currentTime.split(":")[0]),
+      weather,
+      availableTime: getAvailableTime(currentTime, dailyPlan),
+      completion: alternativeCompletion,
+      effectiveness: alternativeEffectiveness,
+      values: VALUE_CARDS.filter((v) => selectedValues.includes(v.id)),
+      profile: interventionProfile,
     });
-
-    return sorted;
-  };
+  }, [
+    isRankingAlternatives,
+    altTab,
+    allAlts,
+    savedAlternativeIds,
+    customAlternatives,
+    causes,
+    selectedCauses,
+    causeDetails,
+    alternativesDb,
+    currentTime,
+    weather,
+    dailyPlan,
+    alternativeCompletion,
+    alternativeEffectiveness,
+    selectedValues,
+    interventionProfile,
+  ]);
 
   const displayedList =
     altTab === "ai"
       ? aiSuggestions
-      : getDisplayAlternatives().slice(altPage * 3, altPage * 3 + 3);
+      : rankedAlternatives
+          .slice(altPage * 3, altPage * 3 + 3)
+          .map((ranked) => ranked.alternative);
   const hasNextPage =
-    altTab !== "ai" && altPage * 3 + 3 < getDisplayAlternatives().length;
+    altTab !== "ai" && altPage * 3 + 3 < rankedAlternatives.length;
+  const rankingExplanations = useMemo(
+    () =>
+      Object.fromEntries(
+        rankedAlternatives.map((ranked) => [
+          ranked.alternative.id,
+          explainRanking(ranked),
+        ])
+      ),
+    [rankedAlternatives]
+  );
 
   // --- HELPER RENDERERS (Defined BEFORE usage) ---
 
@@ -2694,8 +3421,61 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
     return null;
   };
 
+  // "I really need to use it" escape hatch, gated by escalated friction
+  const renderUnlockEscape = (label, className) => {
+    const friction = interventionContext.friction;
+    const canUnlock = canDispatch(interventionContext, {
+      type: 'PROCEED_TO_TIMER',
+      reason: unlockReasonDraft,
+    });
+    return (
+      <>
+        {friction?.requireReason && (
+          <input
+            type="text"
+            placeholder="Why do you need it right now?"
+            value={unlockReasonDraft}
+            onChange={(e) => setUnlockReasonDraft(e.target.value)}
+            className="w-full bg-black/20 border border-white/10 rounded-lg p-2 text-xs text-white"
+          />
+        )}
+        <button
+          onClick={() =>
+            dispatchIntervention({
+              type: 'PROCEED_TO_TIMER',
+              reason: unlockReasonDraft,
+            })
+          }
+          disabled={!canUnlock}
+          className={`${className} disabled:opacity-40 disabled:hover:text-white/40`}
+        >
+          {label}
+        </button>
+        {!canUnlock && (
+          <p className="text-[10px] text-white/40 text-center">
+            {friction.requireCause && selectedCauses.length === 0
+              ? "Pick a cause first."
+              : `Write at least ${friction.reasonMinLength} characters.`}
+          </p>
+        )}
+      </>
+    );
+  };
+
   const renderInterventionOverlay = () => {
     if (interventionState === "idle") return null;
+    const unlockBudget = interventionContext.unlockBudget;
+    const budgetBuddies = friendsList.filter(
+      (friend) => friend.buddyStatus === "accepted"
+    );
+    const offeredRoutine = getOfferedRoutine(selectedCauses, causeDetails);
+    const guidedRoutine = interventionContext.guidedRoutine;
+    const guidedBreathingPhase =
+      isGuidedBreathing &&
+      getBreathingPhaseAt(
+        getBreathingPattern(guidedStep.patternId),
+        Math.max(0, (guidedTick - guidedRoutine.stepStartedAt) / 1000)
+      );
     return (
       <div className="absolute inset-0 z-50 bg-slate-900/95 backdrop-blur-md flex flex-col items-center justify-center p-6 text-white animate-in fade-in duration-200 font-sans">
         <button
@@ -2717,13 +3497,45 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
           <div className="text-center">
             <div className="mb-8 relative flex items-center justify-center">
               <div className="absolute w-40 h-40 bg-blue-500/30 rounded-full animate-ping"></div>
-              <div className="relative w-32 h-32 bg-gradient-to-tr from-blue-500 to-teal-400 rounded-full flex items-center justify-center text-5xl font-bold shadow-lg shadow-blue-500/50">
-                {breathingCount}
+              {/* Patterned breathing: the circle grows/shrinks over each phase */}
+              <div
+                className="relative w-32 h-32 bg-gradient-to-tr from-blue-500 to-teal-400 rounded-full flex items-center justify-center text-5xl font-bold shadow-lg shadow-blue-500/50 transition-transform ease-in-out"
+                style={
+                  breathingPhase
+                    ? {
+                        transform: `scale(${breathingPhase.expanded ? 1.3 : 0.85})`,
+                        transitionDuration: `${breathingPhase.seconds}s`,
+                      }
+                    : undefined
+                }
+              >
+                {breathingPhase
+                  ? Math.ceil(breathingPhase.secondsLeft)
+                  : breathingCount}
               </div>
             </div>
             <div className="mb-4 bg-white/10 p-4 rounded-xl border border-white/20 animate-in slide-in-from-bottom-4">
-              <div className="text-lg leading-snug font-semibold">Take a breath</div>
+              <div className="text-lg leading-snug font-semibold">
+                {breathingPhase ? breathingPhase.label : "Take a breath"}
+              </div>
+              {breathingPhase && (
+                <div className="text-xs text-white/50 mt-1">
+                  {getBreathingPattern(interventionContext.breathingPattern).label}{" "}
+                  • Cycle {breathingPhase.cycle + 1}
+                </div>
+              )}
             </div>
+            {interventionContext.friction && (
+              <div className="mb-4 bg-amber-500/10 p-3 rounded-xl border border-amber-500/30 text-xs text-amber-200 space-y-1">
+                {describeFriction(
+                  interventionContext.friction,
+                  targetApp?.name,
+                  resolveEscalationPolicy(settings.escalation).windowMinutes
+                ).map((line) => (
+                  <p key={line}>{line}</p>
+                ))}
+              </div>
+            )}
             <p className="text-white/50 text-sm mt-4">
               Opening {targetApp?.name}...
             </p>
@@ -2736,7 +3548,10 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
               Why {targetApp?.name}?
             </h2>
             <div className="grid grid-cols-2 gap-3 overflow-y-auto pb-4 flex-1 content-start">
-              {CAUSES.map((cause) => (
+              {getProfileCauses(
+                interventionContext.profile,
+                getVisibleCauses(causes)
+              ).map((cause) => (
                 <button
                   key={cause.id}
                   onClick={() => {
@@ -2761,7 +3576,75 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
                 </button>
               ))}
             </div>
+            {selectedCauses.length > 0 && (
+              <div className="space-y-3 mb-4 max-h-48 overflow-y-auto">
+                {selectedCauses.map((causeId) => {
+                  const cause = causes.find((c) => c.id === causeId);
+                  const intensity = getCauseIntensity(causeDetails, causeId);
+                  return (
+                    <div key={causeId} className="bg-white/10 rounded-xl p-3 space-y-2">
+                      <div className="flex items-center justify-between">
+                        <span className="text-xs font-bold text-white/80">
+                          {cause?.label || causeId}
+                        </span>
+                        <div className="flex gap-1">
+                          {Array.from(
+                            { length: CAUSE_INTENSITY_MAX - CAUSE_INTENSITY_MIN + 1 },
+                            (_, i) => CAUSE_INTENSITY_MIN + i
+                          ).map((level) => (
+                            <button
+                              key={level}
+                              onClick={() =>
+                                dispatchIntervention({
+                                  type: "SET_CAUSE_DETAILS",
+                                  causeId,
+                                  intensity: level,
+                                })
+                              }
+                              className={`w-6 h-6 rounded-full text-[10px] font-bold ${
+                                level <= intensity
+                                  ? "bg-teal-400 text-blue-900"
+                                  : "bg-white/10 text-white/50"
+                              }`}
+                            >
+                              {level}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <input
+                        type="text"
+                        value={causeDetails[causeId]?.note || ""}
+                        maxLength={CAUSE_NOTE_MAX_LENGTH}
+                        placeholder="What's going on? (optional)"
+                        onChange={(e) =>
+                          dispatchIntervention({
+                            type: "SET_CAUSE_DETAILS",
+                            causeId,
+                            note: e.target.value,
+                          })
+                        }
+                        className="w-full bg-white/10 rounded-lg px-3 py-2 text-xs text-white placeholder-white/40 outline-none"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            )}
             <div className="mt-auto space-y-3">
+              {offeredRoutine && (
+                <button
+                  onClick={() =>
+                    dispatchIntervention({
+                      type: "START_GUIDED_ROUTINE",
+                      routineId: offeredRoutine.id,
+                    })
+                  }
+                  className="w-full bg-teal-500 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+                >
+                  <Anchor size={18} /> {offeredRoutine.title}
+                </button>
+              )}
               <button
                 onClick={() => dispatchIntervention({ type: 'PROCEED_TO_ALTERNATIVES' })}
                 disabled={selectedCauses.length === 0}
@@ -2769,12 +3652,10 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
               >
                 See Alternatives
               </button>
-              <button
-                onClick={() => dispatchIntervention({ type: 'PROCEED_TO_TIMER' })}
-                className="w-full py-2 text-white/40 text-sm hover:text-white"
-              >
-                I really need to use it.
-              </button>
+              {renderUnlockEscape(
+                "I really need to use it.",
+                "w-full py-2 text-white/40 text-sm hover:text-white"
+              )}
             </div>
           </div>
         )}
@@ -2787,7 +3668,7 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
                 Feeling:{" "}
                 <span className="text-teal-300">
                   {selectedCauses
-                    .map((id) => CAUSES.find((c) => c.id === id)?.label)
+                    .map((id) => causes.find((c) => c.id === id)?.label)
                     .join(", ")}
                 </span>
               </p>
@@ -3065,7 +3946,7 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
                             For current emotion:{" "}
                             <span className="text-purple-300 font-semibold">
                               {selectedCauses
-                                .map((id) => CAUSES.find((c) => c.id === id)?.label)
+                                .map((id) => causes.find((c) => c.id === id)?.label)
                                 .join(", ")}
                             </span>
                           </span>
@@ -3273,6 +4154,12 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
                                 {alt.likes}
                               </div>
                             )}
+                            {alternativeEffectiveness[alt.id] && (
+                              <div className="bg-teal-100 text-teal-700 px-2 py-0.5 rounded text-[10px] font-bold flex items-center gap-1">
+                                <Check size={10} />{" "}
+                                {alternativeEffectiveness[alt.id].score}% effective
+                              </div>
+                            )}
                             {/* Privacy Badge for My List items */}
                             {altTab === "mylist" && isPrivate && (
                               <div className="bg-slate-200 text-slate-600 px-2 py-0.5 rounded text-[10px] font-bold flex items-center gap-1">
@@ -3325,6 +4212,11 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
                             <p className="text-slate-500 text-xs mt-1">
                               {alt.desc}
                             </p>
+                            {rankingExplanations[alt.id] && (
+                              <p className="text-teal-600 text-[10px] font-medium mt-1">
+                                {rankingExplanations[alt.id]}
+                              </p>
+                            )}
                           </div>
                           <div className="bg-slate-5 text-slate-600 px-2 py-1 rounded-lg text-xs font-bold whitespace-nowrap">
                             {alt.duration}
@@ -3380,11 +4272,147 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
                 Next Page
               </button>
             </div>
+            {renderUnlockEscape(
+              "Ignore & Continue",
+              "w-full py-2 text-white/40 text-sm hover:text-white mt-2"
+            )}
+          </div>
+        )}
+
+        {interventionState === "guided" && guidedRoutine && (
+          <div className="w-full max-w-md text-center animate-in slide-in-from-bottom-10">
+            <h2 className="text-2xl font-bold mb-1">
+              {getGuidedRoutine(guidedRoutine.id)?.title}
+            </h2>
+            <p className="text-white/50 text-sm mb-6">
+              {getGuidedRoutine(guidedRoutine.id)?.description}
+            </p>
+            <div className="flex justify-center gap-1 mb-6">
+              {getGuidedRoutine(guidedRoutine.id)?.steps.map((step, i) => (
+                <div
+                  key={step.id}
+                  className={`h-1.5 w-6 rounded-full ${
+                    i < guidedRoutine.stepIndex
+                      ? "bg-teal-400"
+                      : i === guidedRoutine.stepIndex
+                      ? "bg-white"
+                      : "bg-white/20"
+                  }`}
+                ></div>
+              ))}
+            </div>
+
+            {guidedStep?.type === "senses" && (
+              <div className="bg-white/10 rounded-2xl p-6 mb-6 border border-white/10">
+                <div className="text-6xl font-bold text-teal-300 mb-2">
+                  {guidedStep.count}
+                </div>
+                <p className="text-lg font-semibold">{guidedStep.prompt}</p>
+                <p className="text-xs text-white/50 mt-2">
+                  Take your time. Say them out loud or in your head.
+                </p>
+              </div>
+            )}
+
+            {guidedStep?.type === "breathing" && (
+              <div className="mb-6">
+                <div className="relative flex items-center justify-center h-48">
+                  <div
+                    className="w-32 h-32 bg-gradient-to-tr from-blue-500 to-teal-400 rounded-2xl flex items-center justify-center text-4xl font-bold transition-transform ease-in-out"
+                    style={
+                      guidedBreathingPhase
+                        ? {
+                            transform: `scale(${guidedBreathingPhase.expanded ? 1.3 : 0.85})`,
+                            transitionDuration: `${guidedBreathingPhase.seconds}s`,
+                          }
+                        : undefined
+                    }
+                  >
+                    {guidedBreathingPhase
+                      ? Math.ceil(guidedBreathingPhase.secondsLeft)
+                      : ""}
+                  </div>
+                </div>
+                <p className="text-lg font-semibold">
+                  {guidedBreathingPhase ? guidedBreathingPhase.label : guidedStep.prompt}
+                </p>
+                <p className="text-xs text-white/50 mt-1">
+                  {formatSeconds(
+                    Math.max(
+                      0,
+                      guidedStep.durationSeconds -
+                        Math.floor((guidedTick - guidedRoutine.stepStartedAt) / 1000)
+                    )
+                  )}{" "}
+                  left
+                </p>
+              </div>
+            )}
+
+            {guidedStep?.type === "message" && (
+              <div className="bg-white/10 rounded-2xl p-4 mb-6 border border-white/10 text-left space-y-3">
+                <p className="text-sm font-semibold">{guidedStep.prompt}</p>
+                <textarea
+                  value={guidedMessageDraft ?? guidedStep.message}
+                  onChange={(e) => setGuidedMessageDraft(e.target.value)}
+                  rows={3}
+                  className="w-full bg-white/10 rounded-lg px-3 py-2 text-sm text-white outline-none resize-none"
+                />
+                {budgetBuddies.length > 0 ? (
+                  <div className="flex flex-wrap gap-2">
+                    {budgetBuddies.map((buddy) => (
+                      <button
+                        key={buddy.id}
+                        onClick={() =>
+                          handleSendGuidedMessage(
+                            buddy,
+                            guidedMessageDraft ?? guidedStep.message
+                          )
+                        }
+                        className="bg-teal-500/80 hover:bg-teal-500 px-3 py-2 rounded-lg text-xs font-bold flex items-center gap-1"
+                      >
+                        <Send size={12} /> {buddy.name}
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-xs text-white/50">
+                    Add a buddy in Community to reach out from here.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {isRoutineFinished(guidedRoutine) ? (
+              <button
+                onClick={() => dispatchIntervention({ type: "FINISH_GUIDED_ROUTINE" })}
+                className="w-full bg-white text-blue-900 font-bold py-3 rounded-xl"
+              >
+                I feel more grounded
+              </button>
+            ) : (
+              <div className="space-y-3">
+                {guidedStep.type !== "message" && (
+                  <button
+                    onClick={() => dispatchIntervention({ type: "COMPLETE_GUIDED_STEP" })}
+                    className="w-full bg-white text-blue-900 font-bold py-3 rounded-xl"
+                  >
+                    Done
+                  </button>
+                )}
+                <button
+                  onClick={() => dispatchIntervention({ type: "SKIP_GUIDED_STEP" })}
+                  className="w-full py-2 text-white/60 text-sm hover:text-white"
+                >
+                  {guidedStep.optional ? "Not now" : "Skip this step"}
+                </button>
+              </div>
+            )}
             <button
-              onClick={() => dispatchIntervention({ type: 'PROCEED_TO_TIMER' })}
-              className="w-full py-2 text-white/40 text-sm hover:text-white mt-2"
+              onClick={() => dispatchIntervention({ type: "EXIT_GUIDED_ROUTINE" })}
+              className="mt-2 w-full py-2 text-white/40 text-xs hover:text-white"
             >
-              Ignore & Continue
+              Skip the exercise and see alternatives
             </button>
           </div>
         )}
@@ -3437,7 +4465,7 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
                   {formatSeconds(actionTimer)}
                 </div>
                 <div className="text-xs text-teal-400 font-bold uppercase tracking-wider mt-2">
-                  Focusing
+                  {actionTimerPausedAt ? "Paused" : "Focusing"}
                 </div>
               </div>
             </div>
@@ -3448,22 +4476,119 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
               Keep going, you're doing great.
             </p>
 
-            {/* ACTION STEPS UNDER TIMER (NEW) */}
-            {selectedAlternative.actions && (
+            {/* ACTION STEPS CHECKLIST (see core/intervention/steps.js) */}
+            {actionSteps.length > 0 && (
               <div className="bg-white/10 p-4 rounded-xl text-left w-full mb-6 border border-white/5 animate-in slide-in-from-bottom-4">
-                <h4 className="text-xs font-bold text-teal-300 uppercase tracking-wider mb-2">
-                  Steps
-                </h4>
-                <ol className="list-decimal pl-4 space-y-1">
-                  {selectedAlternative.actions.map((step, i) => (
-                    <li key={i} className="text-sm text-white/80">
-                      {step}
-                    </li>
-                  ))}
+                <div className="flex justify-between items-center mb-2">
+                  <h4 className="text-xs font-bold text-teal-300 uppercase tracking-wider">
+                    Steps
+                  </h4>
+                  <span className="text-[10px] font-bold text-white/50">
+                    {getActionStepCompletion(actionSteps)}% done
+                  </span>
+                </div>
+                <ol className="space-y-2">
+                  {actionSteps.map((step, i) => {
+                    const isPending = step.status === ACTION_STEP_STATUSES.PENDING;
+                    const elapsed = getActionStepElapsed(
+                      step,
+                      Date.now(),
+                      interventionContext.actionTimerPausedAt
+                    );
+                    return (
+                      <li key={i} className="flex items-center gap-2 text-sm">
+                        <button
+                          onClick={() =>
+                            dispatchIntervention({
+                              type: isPending ? "CHECK_ACTION_STEP" : "UNDO_ACTION_STEP",
+                              index: i,
+                            })
+                          }
+                          className={`w-5 h-5 rounded-full border flex items-center justify-center shrink-0 ${
+                            step.status === ACTION_STEP_STATUSES.DONE
+                              ? "bg-teal-500 border-teal-500 text-white"
+                              : "border-white/30 text-white/30"
+                          }`}
+                        >
+                          {step.status === ACTION_STEP_STATUSES.DONE && <Check size={12} />}
+                          {step.status === ACTION_STEP_STATUSES.SKIPPED && <X size={12} />}
+                        </button>
+                        <span
+                          className={`flex-1 ${
+                            isPending ? "text-white/80" : "text-white/40 line-through"
+                          }`}
+                        >
+                          {step.title}
+                        </span>
+                        {elapsed != null && (
+                          <span className="text-[10px] tabular-nums text-teal-300">
+                            {step.durationSeconds
+                              ? formatSeconds(Math.max(0, step.durationSeconds - elapsed))
+                              : formatSeconds(elapsed)}
+                          </span>
+                        )}
+                        {isPending && step.startedAt == null && (
+                          <button
+                            onClick={() =>
+                              dispatchIntervention({ type: "START_ACTION_STEP", index: i })
+                            }
+                            className="text-white/40 hover:text-white"
+                          >
+                            <Timer size={14} />
+                          </button>
+                        )}
+                        {isPending && (
+                          <button
+                            onClick={() =>
+                              dispatchIntervention({ type: "SKIP_ACTION_STEP", index: i })
+                            }
+                            className="text-[10px] text-white/40 hover:text-white"
+                          >
+                            Skip
+                          </button>
+                        )}
+                      </li>
+                    );
+                  })}
                 </ol>
               </div>
             )}
 
+            {actionTimer > 0 && areActionStepsResolved(actionSteps) && (
+              <div className="bg-teal-500/20 border border-teal-400/40 rounded-xl p-3 mb-4 text-sm">
+                <p className="mb-2">All steps done ahead of time. Wrap up now?</p>
+                <button
+                  onClick={() => dispatchIntervention({ type: "FINISH_ACTION" })}
+                  className="bg-teal-500 text-white px-4 py-2 rounded-lg text-xs font-bold"
+                >
+                  Finish & Reflect
+                </button>
+              </div>
+            )}
+
+            {actionTimer > 0 && (
+              <button
+                onClick={() =>
+                  dispatchIntervention({
+                    type: actionTimerPausedAt
+                      ? 'RESUME_ACTION_TIMER'
+                      : 'PAUSE_ACTION_TIMER',
+                  })
+                }
+                className="mb-3 text-white/60 text-sm hover:text-white flex items-center justify-center gap-2 w-full"
+              >
+                {actionTimerPausedAt ? (
+                  <>
+                    <Play size={14} /> Resume
+                  </>
+                ) : (
+                  <>
+                    <Hourglass size={14} /> Pause (interrupted?)
+                  </>
+                )}
+              </button>
+            )}
+
             <button
               onClick={() => dispatchIntervention({ type: 'FINISH_ACTION' })}
               className="bg-white/10 border border-white/20 text-white px-8 py-3 rounded-xl font-bold w-full flex items-center justify-center gap-2 hover:bg-white/20 transition-colors"
@@ -3478,23 +4603,81 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
           <div className="w-full max-w-md text-center animate-in slide-in-from-bottom-10">
             <Clock size={48} className="mx-auto mb-4 text-white/50" />
             <h2 className="text-2xl font-bold mb-2">Set Intention Timer</h2>
-            <div className="grid grid-cols-3 gap-3 mb-8 mt-6">
-              {[5, 15, 30, 45, 60].map((m) => (
+            {unlockBudget && (
+              <p className="text-sm text-white/60">
+                {budgetOverrideBuddy
+                  ? `Extra unlock approved by ${budgetOverrideBuddy.name}`
+                  : `${unlockBudget.remaining}m of ${unlockBudget.limit}m left today`}
+              </p>
+            )}
+            {unlockBudget?.exhausted && !budgetOverrideBuddy ? (
+              <div className="mt-6 bg-white/10 p-4 rounded-xl border border-white/10 text-sm space-y-3">
+                <p>
+                  Today's budget for {targetApp?.name} is used up. It resets at{" "}
+                  {new Date(unlockBudget.resetsAt).toLocaleTimeString([], {
+                    hour: "2-digit",
+                    minute: "2-digit",
+                  })}
+                  .
+                </p>
+                {unlockBudget.allowBuddyOverride && budgetBuddies.length > 0 ? (
+                  budgetOverrideRequest?.status === "pending" ? (
+                    <p className="text-xs text-white/70 flex items-center justify-center gap-2">
+                      <Loader size={14} className="animate-spin" />
+                      Waiting for {budgetOverrideRequest.buddy.name} to answer…
+                    </p>
+                  ) : (
+                    <>
+                      <p className="text-xs text-white/50">
+                        Ask a buddy to approve one more unlock:
+                      </p>
+                      <div className="flex flex-wrap justify-center gap-2">
+                        {budgetBuddies.map((buddy) => (
+                          <button
+                            key={buddy.id}
+                            onClick={() => handleRequestBudgetOverride(buddy)}
+                            className="bg-white/10 hover:bg-white/20 px-3 py-2 rounded-lg text-xs font-bold"
+                          >
+                            {buddy.name}
+                          </button>
+                        ))}
+                      </div>
+                    </>
+                  )
+                ) : (
+                  <p className="text-xs text-white/50">No more unlocks today.</p>
+                )}
                 <button
-                  key={m}
-                  onClick={() => handleUnlockApp(m)}
-                  className="bg-white/10 hover:bg-white/20 border border-white/10 py-4 rounded-xl font-bold text-xl"
+                  onClick={handleHomeButton}
+                  className="text-white/40 text-xs hover:text-white"
                 >
-                  {m}m
+                  Back to home
                 </button>
-              ))}
-            </div>
-            <button
-              onClick={() => handleUnlockApp(1)}
-              className="text-white/30 text-sm hover:text-white"
-            >
-              Just 1 min
-            </button>
+              </div>
+            ) : (
+              <>
+                <div className="grid grid-cols-3 gap-3 mb-8 mt-6">
+                  {getUnlockMinuteOptions(
+                    interventionContext.profile,
+                    budgetOverrideBuddy ? null : unlockBudget
+                  ).map((m) => (
+                    <button
+                      key={m}
+                      onClick={() => handleUnlockApp(m)}
+                      className="bg-white/10 hover:bg-white/20 border border-white/10 py-4 rounded-xl font-bold text-xl"
+                    >
+                      {m}m
+                    </button>
+                  ))}
+                </div>
+                <button
+                  onClick={() => handleUnlockApp(1)}
+                  className="text-white/30 text-sm hover:text-white"
+                >
+                  Just 1 min
+                </button>
+              </>
+            )}
           </div>
         )}
 
@@ -3503,8 +4686,111 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
             <div className="mb-6">
               <div className="text-4xl mb-2">✨</div>
               <h2 className="text-2xl font-bold">Welcome Back</h2>
-              <p className="text-white/60 text-sm">How did that feel?</p>
+              {actionSteps.length > 0 && (
+                <p className="text-teal-300 text-xs font-bold mb-1">
+                  {getActionStepCompletion(actionSteps)}% of the steps done
+                </p>
+              )}
+            </div>
+            <div className="bg-white/10 rounded-2xl p-4 text-left space-y-4 mb-6 border border-white/10">
+              {[
+                { key: "urgeBefore", label: `Urge to open ${targetApp?.name || "the app"} before` },
+                { key: "urgeAfter", label: "Urge now" },
+              ].map(({ key, label }) => {
+                const isUnset = reflection[key] == null;
+                const recordUrge = (e) =>
+                  dispatchIntervention({
+                    type: "UPDATE_REFLECTION",
+                    changes: { [key]: Number(e.target.value) },
+                  });
+                return (
+                  <div key={key}>
+                    <div className="flex justify-between text-xs text-white/60 mb-1">
+                      <span>{label}</span>
+                      <span className="font-bold text-white">
+                        {isUnset ? "Tap to set" : `${reflection[key]}/${URGE_SCALE.max}`}
+                      </span>
+                    </div>
+                    {/* Unset until touched; a tap records the value it rests on too */}
+                    <input
+                      type="range"
+                      min={URGE_SCALE.min}
+                      max={URGE_SCALE.max}
+                      value={reflection[key] ?? Math.round(URGE_SCALE.max / 2)}
+                      onChange={recordUrge}
+                      onClick={isUnset ? recordUrge : undefined}
+                      className={`w-full accent-teal-400 ${isUnset ? "opacity-40" : ""}`}
+                    />
+                  </div>
+                );
+              })}
+              <div className="flex justify-between items-center text-xs text-white/60">
+                <span>Still want to open it?</span>
+                <div className="flex gap-2">
+                  {[
+                    { value: true, label: "Yes" },
+                    { value: false, label: "No" },
+                  ].map(({ value, label }) => (
+                    <button
+                      key={label}
+                      onClick={() =>
+                        dispatchIntervention({
+                          type: "UPDATE_REFLECTION",
+                          changes: { stillWantsApp: value },
+                        })
+                      }
+                      className={`px-3 py-1 rounded-lg font-bold ${
+                        reflection.stillWantsApp === value
+                          ? "bg-teal-500 text-white"
+                          : "bg-white/10 text-white/60"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="flex justify-between items-center text-xs text-white/60">
+                <span>How helpful was it?</span>
+                <div className="flex gap-1">
+                  {Array.from(
+                    { length: HELPFULNESS_SCALE.max - HELPFULNESS_SCALE.min + 1 },
+                    (_, i) => HELPFULNESS_SCALE.min + i
+                  ).map((level) => (
+                    <button
+                      key={level}
+                      onClick={() =>
+                        dispatchIntervention({
+                          type: "UPDATE_REFLECTION",
+                          changes: { helpfulness: level },
+                        })
+                      }
+                      className={`w-6 h-6 rounded-full text-[10px] font-bold ${
+                        reflection.helpfulness != null && level <= reflection.helpfulness
+                          ? "bg-teal-400 text-blue-900"
+                          : "bg-white/10 text-white/50"
+                      }`}
+                    >
+                      {level}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <textarea
+                value={reflection.note || ""}
+                maxLength={REFLECTION_NOTE_MAX_LENGTH}
+                placeholder="Anything worth remembering? (optional)"
+                onChange={(e) =>
+                  dispatchIntervention({
+                    type: "UPDATE_REFLECTION",
+                    changes: { note: e.target.value },
+                  })
+                }
+                rows={2}
+                className="w-full bg-white/10 rounded-lg px-3 py-2 text-xs text-white placeholder-white/40 outline-none resize-none"
+              />
             </div>
+            <p className="text-white/60 text-sm mb-3">How did that feel?</p>
             <div className="flex justify-center gap-4 mb-8">
               <button
                 onClick={() => finishReflection(1)}
@@ -3571,17 +4857,45 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
   };
 
   const renderQuickTaskDialogUI = () => (
-    <QuickTaskDialog
-      open={showQuickTaskDialog}
-      remainingUses={quickTaskRemainingUses}
-      durationMinutes={quickTaskDurationMinutes}
-      onClose={() => {
-        setShowQuickTaskDialog(false);
-        setPendingQuickTaskApp(null);
-      }}
-      onQuickTask={() => handleStartQuickTask(pendingQuickTaskApp || targetApp)}
-      onConscious={() => handleGoConscious(pendingQuickTaskApp || targetApp)}
-    />
+    <>
+      <QuickTaskDialog
+        open={showQuickTaskDialog}
+        quota={quickTaskQuota}
+        appName={pendingQuickTaskApp?.name}
+        intentionRequired={
+          Boolean(pendingQuickTaskApp) &&
+          resolveInterventionProfile(pendingQuickTaskApp.id, settings)
+            .requireQuickTaskIntention
+        }
+        durationMinutes={quickTaskDurationMinutes}
+        onClose={() => {
+          setShowQuickTaskDialog(false);
+          setPendingQuickTaskApp(null);
+        }}
+        onQuickTask={(intention) =>
+          handleStartQuickTask(pendingQuickTaskApp || targetApp, intention)
+        }
+        onConscious={() => handleGoConscious(pendingQuickTaskApp || targetApp)}
+      />
+      {quickTaskCheckIn && (
+        <QuickTaskCheckInDialog
+          app={quickTaskCheckIn.app}
+          intention={
+            quickTaskLog.find((entry) => entry.id === quickTaskCheckIn.entryId)
+              ?.intention
+          }
+          quota={getQuickTaskQuota({
+            quickTask: quickTaskState,
+            log: quickTaskLog,
+            appId: quickTaskCheckIn.app.id,
+            settings: quickTaskQuotaSettings,
+            now: Date.now(),
+          })}
+          durationMinutes={quickTaskDurationMinutes}
+          onAnswer={handleQuickTaskCheckIn}
+        />
+      )}
+    </>
   );
 
   // --- MAIN RENDER ---
@@ -3719,6 +5033,8 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
                   ? "bg-indigo-500"
                   : simNotification.type === "sleep_hygiene"
                   ? "bg-purple-600"
+                  : simNotification.type === "goal_exceeded"
+                  ? "bg-rose-500"
                   : "bg-blue-500"
               }`}
             >
@@ -3726,6 +5042,8 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
                 <Users size={16} />
               ) : simNotification.type === "sleep_hygiene" ? (
                 <Moon size={16} />
+              ) : simNotification.type === "goal_exceeded" ? (
+                <Target size={16} />
               ) : (
                 <Sparkles size={16} />
               )}
@@ -3781,6 +5099,37 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
             </div>
           )}
 
+        {/* SCREEN TIME GOALS WIDGET ON LAUNCHER */}
+        {usageGoals.length > 0 && (
+          <div
+            className="mx-4 mt-2 p-3 bg-white/15 backdrop-blur-md rounded-2xl flex gap-3 overflow-x-auto scrollbar-hide relative z-10 cursor-pointer"
+            onClick={() => handleLaunchApp({ id: "mindful" })}
+          >
+            {usageGoals.map((goal, index) => {
+              const progress = goalProgress[index];
+              return (
+                <div
+                  key={goal.id}
+                  className="flex flex-col items-center gap-1 w-16 shrink-0"
+                  title={describeUsageGoal(goal, customApps, GOAL_GROUP_LABELS)}
+                >
+                  <GoalRing percent={progress.percent} status={progress.status}>
+                    <span className="text-[10px] font-bold text-white">
+                      {progress.percent}%
+                    </span>
+                  </GoalRing>
+                  <span className="text-[10px] font-medium text-white drop-shadow-md w-16 truncate text-center">
+                    {goal.kind === GOAL_KINDS.APP
+                      ? customApps.find((app) => app.id === goal.value)?.name ||
+                        goal.value
+                      : GOAL_GROUP_LABELS[goal.value] || goal.value}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         <div className="grid grid-cols-4 gap-x-4 gap-y-8 p-6 pt-8 flex-1 align-content-start relative z-10">
           <AppIcon
             id="mindful"
@@ -3796,10 +5145,8 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
               name={app.name}
               color={app.color}
               icon={getIcon(app?.iconName)}
-              isUnlocked={
-                activeSessions[app.name] &&
-                Date.now() < activeSessions[app.name]
-              }
+              isUnlocked={isUnlockSessionOpen(activeSessions[app.name], Date.now())}
+              graceSeconds={getUnlockGraceSeconds(activeSessions[app.name], Date.now())}
               isMonitored={monitoredApps.includes(app.id)}
               onClick={() => handleLaunchApp(app)}
             />
@@ -3901,7 +5248,7 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
     name: "App",
     color: "bg-slate-800",
   };
-  const expiry = activeSessions[dummyApp.name];
+  const expiry = activeSessions[dummyApp.name]?.until;
   const timeLeft = expiry ? Math.ceil((expiry - Date.now()) / 60000) : 0;
 
   return (
@@ -3931,6 +5278,8 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
               onClick={() => {
                 dispatchIntervention({ type: 'RESET_INTERVENTION' });
                 handleHomeButton();
+                // Finishing ends the unlock without a grace period
+                endAppSession(dummyApp);
               }}
               className="ml-2 text-[10px] bg-white/20 px-1.5 rounded hover:bg-white/30"
             >
@@ -4001,13 +5350,22 @@ Example: [{"title": "Watch 'Past Lives' at Cinema München", "desc": "Catch the
 
 function QuickTaskDialog({
   open,
-  remainingUses,
+  quota,
+  appName,
+  intentionRequired,
   durationMinutes,
   onQuickTask,
   onConscious,
   onClose,
 }) {
+  const [intention, setIntention] = useState("");
+
+  useEffect(() => {
+    if (!open) setIntention("");
+  }, [open]);
+
   if (!open) return null;
+  const missingIntention = intentionRequired && !intention.trim();
   return (
     <div className="fixed inset-0 z-[80] bg-black flex items-center justify-center p-4">
       <div className="w-full max-w-md px-6 py-8 space-y-8 text-center relative">
@@ -4028,10 +5386,37 @@ function QuickTaskDialog({
             Quick, necessary task?
           </h2>
           <p className="text-base text-gray-400">
-            {remainingUses > 0
-              ? `${remainingUses} left in this 15-minute window.`
+            {quota.remaining > 0
+              ? `${describeQuickTaskQuota(quota, { appName })}.`
               : "No quick tasks left right now."}
           </p>
+          <p className="text-xs text-gray-500">
+            {getQuickTaskQuotaStrategy(quota.strategy).label}
+            {quota.nextFreeAt &&
+              ` · Next one frees up at ${new Date(quota.nextFreeAt).toLocaleTimeString([], {
+                hour: "2-digit",
+                minute: "2-digit",
+              })}`}
+          </p>
+        </div>
+
+        {/* Intention */}
+        <div className="text-left space-y-2">
+          <label className="text-xs font-medium text-gray-400">
+            What's the quick task?{intentionRequired ? "" : " (optional)"}
+          </label>
+          <input
+            value={intention}
+            onChange={(e) => setIntention(e.target.value)}
+            placeholder="e.g. reply to Anna's DM"
+            maxLength={80}
+            className="w-full bg-gray-900 border border-gray-700 rounded-2xl px-4 py-3 text-white placeholder-gray-600 focus:outline-none focus:border-indigo-500"
+          />
+          {intentionRequired && (
+            <p className="text-xs text-gray-500">
+              {appName || "This app"} asks what a quick task is for.
+            </p>
+          )}
         </div>
 
         {/* Buttons */}
@@ -4043,8 +5428,8 @@ function QuickTaskDialog({
             Start conscious process
           </button>
           <button
-            onClick={onQuickTask}
-            disabled={remainingUses <= 0}
+            onClick={() => onQuickTask(intention)}
+            disabled={quota.remaining <= 0 || missingIntention}
             className="w-full bg-gray-800 hover:bg-gray-700 text-gray-300 font-medium py-4 rounded-2xl transition-colors disabled:bg-gray-900 disabled:text-gray-600"
           >
             Quick Task
@@ -4061,29 +5446,126 @@ function QuickTaskDialog({
   );
 }
 
-function BreakLoopConfig({
-  onClose,
-  state,
-  actions,
-  onOpenAltScheduler = () => {},
-  onSavePlannedAlternative,
-  addSoloActivity,
+function QuickTaskCheckInDialog({
+  app,
+  intention,
+  quota,
+  durationMinutes,
+  onAnswer,
 }) {
-  // Derive currentUser from state
-  const currentUserId = state.currentUserId;
-  const currentUser =
-    state.friendsList?.find((f) => f.id === currentUserId) || {
-      id: currentUserId,
-      name: "You",
-    };
-  const friendsList = state.friendsList;
-  const todayIso = new Date().toISOString().slice(0, 10);
-  
-  // Helper functions for date and time formatting
-  const formatDateLabel = (dateVal) => {
-    if (!dateVal) return "TBD";
-    try {
-      return new Date(dateVal).toLocaleDateString("en-US", {
+  const [done, setDone] = useState(null);
+  const canExtend = quota.remaining > 0;
+
+  return (
+    <div className="fixed inset-0 z-[80] bg-black flex items-center justify-center p-4">
+      <div className="w-full max-w-md px-6 py-8 space-y-8 text-center">
+        <div className="space-y-4">
+          <p className="text-xs font-medium text-gray-400 uppercase tracking-wider">
+            QUICK TASK OVER
+          </p>
+          <h2 className="text-3xl font-medium text-white">Did you do it?</h2>
+          <p className="text-base text-gray-400">
+            {intention ? `"${intention}"` : `Your quick task on ${app.name}.`}
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          {[
+            { value: true, label: "Yes, done" },
+            { value: false, label: "Not yet" },
+          ].map((option) => (
+            <button
+              key={option.label}
+              onClick={() => setDone(option.value)}
+              className={`py-3 rounded-2xl font-medium border transition-colors ${
+                done === option.value
+                  ? "border-indigo-500 bg-indigo-600 text-white"
+                  : "border-gray-700 text-gray-300 hover:bg-gray-800"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-3">
+          <button
+            onClick={() => onAnswer({ done, next: "home" })}
+            disabled={done === null}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-4 rounded-2xl transition-colors disabled:bg-gray-900 disabled:text-gray-600"
+          >
+            Back to home
+          </button>
+          <button
+            onClick={() => onAnswer({ done, next: "continue" })}
+            disabled={done === null}
+            className="w-full bg-gray-800 hover:bg-gray-700 text-gray-300 font-medium py-4 rounded-2xl transition-colors disabled:bg-gray-900 disabled:text-gray-600"
+          >
+            Keep using {app.name} (conscious process)
+          </button>
+          {done !== true && (
+            <button
+              onClick={() => onAnswer({ done: false, next: "extend" })}
+              disabled={!canExtend}
+              className="w-full text-sm text-gray-400 hover:text-gray-200 py-2 disabled:text-gray-600"
+            >
+              {canExtend
+                ? `Extend by ${formatQuickTaskDuration(durationMinutes)} (uses 1 of ${quota.remaining} left)`
+                : "No quick tasks left to extend with"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function BreakLoopConfig({
+  onClose,
+  state,
+  actions,
+  onOpenAltScheduler = () => {},
+  onSavePlannedAlternative,
+  addSoloActivity,
+}) {
+  // Derive currentUser from state
+  const currentUserId = state.currentUserId;
+  const currentUser =
+    state.friendsList?.find((f) => f.id === currentUserId) || {
+      id: currentUserId,
+      name: "You",
+    };
+  const friendsList = state.friendsList;
+  const todayIso = new Date().toISOString().slice(0, 10);
+  const escalationPolicy = resolveEscalationPolicy(state.settings.escalation);
+  const budgetSettings = {
+    ...DEFAULT_BUDGET_SETTINGS,
+    ...state.settings.unlockBudget,
+  };
+
+  // Merge a change into one app's intervention profile overrides
+  const updateAppProfile = (appId, changes) =>
+    actions.setSettings({
+      ...state.settings,
+      appProfiles: {
+        ...state.settings.appProfiles,
+        [appId]: { ...state.settings.appProfiles?.[appId], ...changes },
+      },
+    });
+  const toggleProfileList = (appId, key, value) => {
+    const current = state.settings.appProfiles?.[appId]?.[key] || [];
+    updateAppProfile(appId, {
+      [key]: current.includes(value)
+        ? current.filter((item) => item !== value)
+        : [...current, value],
+    });
+  };
+  
+  // Helper functions for date and time formatting
+  const formatDateLabel = (dateVal) => {
+    if (!dateVal) return "TBD";
+    try {
+      return new Date(dateVal).toLocaleDateString("en-US", {
         weekday: "short",
         month: "short",
         day: "numeric",
@@ -4108,9 +5590,22 @@ function BreakLoopConfig({
   const [activeTab, setActiveTab] = useState("insights");
   const [statsPeriod, setStatsPeriod] = useState("Today");
 
+  // INSIGHTS EXPORT STATE (defaults to the last 7 days)
+  const [exportFrom, setExportFrom] = useState(() => {
+    const date = new Date();
+    date.setDate(date.getDate() - 6);
+    return toExportDate(date.getTime());
+  });
+  const [exportTo, setExportTo] = useState(() => toExportDate(Date.now()));
+  const [exportFormat, setExportFormat] = useState("json");
+
   const [isEditingValues, setIsEditingValues] = useState(false);
   const [newValueCard, setNewValueCard] = useState({ label: "", icon: "❤️" });
   const [isEditingApps, setIsEditingApps] = useState(false);
+  const [editingProfileAppId, setEditingProfileAppId] = useState(null);
+  const [causeDraft, setCauseDraft] = useState({ label: "", icon: "" });
+  const [editingCauseId, setEditingCauseId] = useState(null);
+  const [causeAltDraft, setCauseAltDraft] = useState({ title: "", duration: "10m" });
   const [isEditingProfile, setIsEditingProfile] = useState(false);
   const [profileDraft, setProfileDraft] = useState(null);
   const [onboardingStep, setOnboardingStep] = useState(0);
@@ -4148,9 +5643,14 @@ function BreakLoopConfig({
   const [sessionChatMsg, setSessionChatMsg] = useState("");
   const [sessionChatHistory, setSessionChatHistory] = useState([]);
 
-  // AI INSIGHT STATE
-  const [aiInsight, setAiInsight] = useState(null);
-  const [isGeneratingInsight, setIsGeneratingInsight] = useState(false);
+  // WEEKLY REPORT STATE
+  const [isGeneratingReport, setIsGeneratingReport] = useState(false);
+  const [reportIndex, setReportIndex] = useState(0); // 0 = newest week
+
+  // SCREEN TIME GOAL FORM STATE
+  const [goalTarget, setGoalTarget] = useState(""); // "<kind>:<value>"
+  const [goalPeriod, setGoalPeriod] = useState(GOAL_PERIODS.DAILY);
+  const [goalLimit, setGoalLimit] = useState(GOAL_DAILY_LIMIT_OPTIONS[1]);
   // DELETED: isGeneratingPlan state (AI Auto-Plan removed)
 
   // CHAT UI STATE
@@ -4164,20 +5664,97 @@ function BreakLoopConfig({
 
   const [toast, setToast] = useState(null);
 
+  // Tracked screen time; demo mode keeps the canned data
+  const screenTime = state.demoMode
+    ? SCREEN_TIME_DATA
+    : getUsageSummary(state.usageLog, {
+        now: Date.now(),
+        openSession: state.usageSession,
+      });
+
   // Pre-calc chart maximums so bars always have a visible height
   const todayMaxMinutes = Math.max(
-    ...SCREEN_TIME_DATA.today.hourlyBreakdown.map((h) => h.minutes),
+    ...screenTime.today.hourlyBreakdown.map((h) => h.minutes),
     0
   );
   const weekMaxValue = Math.max(
-    ...SCREEN_TIME_DATA.week.dailyBreakdown.map((day) => day.val),
+    ...screenTime.week.dailyBreakdown.map((day) => day.val),
     0
   );
   const monthMaxValue = Math.max(
-    ...SCREEN_TIME_DATA.month.weeklyBreakdown.map((week) => week.val),
+    ...screenTime.month.weeklyBreakdown.map((week) => week.val),
     0
   );
 
+  // Monitored apps with a daily unlock budget, with their last 7 budget days
+  const budgetedApps = state.monitoredApps
+    .map((id) => ({
+      app: state.customApps.find((a) => a.id === id),
+      profile: resolveInterventionProfile(id, state.settings),
+    }))
+    .filter(({ app, profile }) => app && profile.dailyBudgetMinutes != null)
+    .map((entry) => ({
+      ...entry,
+      history: getUnlockBudgetHistory(
+        state.interventionJournal,
+        entry.app.id,
+        Date.now(),
+        { dayStartHour: budgetSettings.dayStartHour }
+      ),
+    }));
+
+  // How often each root cause came up, and how intense it felt
+  const causeStats = getCauseStats(state.interventionJournal).slice(0, 5);
+
+  // Urge before/after and the alternatives that worked, from reflections
+  const reflectionSummary = getReflectionSummary(state.interventionJournal);
+
+  // What a goal can target: each app, then each app type and category
+  const goalTargets = [
+    ...state.customApps.map((app) => ({
+      key: `${GOAL_KINDS.APP}:${app.id}`,
+      label: app.name,
+    })),
+    ...[GOAL_KINDS.TYPE, GOAL_KINDS.CATEGORY].flatMap((kind) =>
+      Array.from(new Set(state.customApps.map((app) => app[kind])))
+        .filter(Boolean)
+        .map((value) => ({
+          key: `${kind}:${value}`,
+          label: GOAL_GROUP_LABELS[value] || `All ${value} apps`,
+        }))
+    ),
+  ];
+  const goalLimitOptions =
+    goalPeriod === GOAL_PERIODS.WEEKLY
+      ? GOAL_WEEKLY_LIMIT_OPTIONS
+      : GOAL_DAILY_LIMIT_OPTIONS;
+
+  // Weekly report being looked at (reports are newest week first)
+  const weeklyReport = state.weeklyReports[reportIndex] || null;
+
+  // Deep insights for every stats period, recomputed when the log changes or
+  // the day rolls over rather than on each period switch
+  const insightsDayStart = getUsagePeriods(Date.now()).today.from;
+  const insightsByPeriod = useMemo(
+    () =>
+      getInterventionInsightsByPeriod({
+        journal: state.interventionJournal,
+        quickTaskLog: state.quickTaskLog,
+        periods: getUsagePeriods(insightsDayStart),
+      }),
+    [state.interventionJournal, state.quickTaskLog, insightsDayStart]
+  );
+  const advancedStats = useMemo(
+    () =>
+      state.demoMode
+        ? ADVANCED_STATS
+        : toAdvancedStats(insightsByPeriod[statsPeriod.toLowerCase()], {
+            causes: state.causes,
+            apps: state.customApps,
+          }),
+    [state.demoMode, insightsByPeriod, statsPeriod, state.causes, state.customApps]
+  );
+
   useEffect(() => {
     actions.setCurrentTime("09:41");
   }, []);
@@ -4210,38 +5787,23 @@ function BreakLoopConfig({
   }, [leavingSession, leaveCountdown]);
 
   const nowTs = Date.now();
-  const startOfDay = new Date();
-  startOfDay.setHours(0, 0, 0, 0);
-  const quickTasksToday = (state.quickTaskLog || []).filter(
-    (q) => q.startedAt >= startOfDay.getTime()
-  ).length;
-  const quickTasksWeek = (state.quickTaskLog || []).filter(
-    (q) => q.startedAt >= nowTs - 7 * 24 * 60 * 60 * 1000
-  ).length;
   const quickTaskSecondsLeft =
     state.quickTaskActiveUntil && state.quickTaskActiveUntil > nowTs
       ? Math.max(0, Math.floor((state.quickTaskActiveUntil - nowTs) / 1000))
       : 0;
-  const quickTaskInsight =
-    state.quickTaskLog && state.quickTaskLog.length > 0
-      ? (() => {
-          const evening = state.quickTaskLog.filter((q) => {
-            const hour = new Date(q.startedAt).getHours();
-            return hour >= 18 || hour < 6;
-          }).length;
-          const morning = state.quickTaskLog.filter((q) => {
-            const hour = new Date(q.startedAt).getHours();
-            return hour >= 6 && hour < 12;
-          }).length;
-          if (evening / state.quickTaskLog.length > 0.5) {
-            return "You mostly used quick tasks in the evening.";
-          }
-          if (morning / state.quickTaskLog.length > 0.4) {
-            return "You often use quick tasks in the morning.";
-          }
-          return "Quick tasks are spread across the day. Consider pairing them with a reflection.";
-        })()
-      : null;
+
+  // Quick task patterns, and whether they only put interventions off
+  const quickTaskAnalytics = getQuickTaskAnalytics(
+    state.quickTaskLog,
+    state.interventionJournal,
+    { now: nowTs }
+  );
+  const quickTaskSuggestions = getQuickTaskSuggestions(quickTaskAnalytics, {
+    usesPerWindow: state.quickTaskUsesPerWindow,
+    durationMinutes: state.quickTaskDurationMinutes,
+    allowedUses: QUICK_TASK_ALLOWED_USES,
+    allowedDurations: QUICK_TASK_ALLOWED_DURATIONS,
+  });
 
   const findActivityById = useCallback(
     (id) => {
@@ -4326,20 +5888,93 @@ function BreakLoopConfig({
     markConversationAsRead(conversationId);
   };
 
-  // GEMINI FUNCTIONS
-  const handleGenerateInsight = async () => {
-    setIsGeneratingInsight(true);
-    const prompt = `Analyze these digital wellbeing stats for a user: 
-      - Top Trigger: ${ADVANCED_STATS.topTrigger.label} (${ADVANCED_STATS.topTrigger.count} times)
-      - Peak Usage Time: ${ADVANCED_STATS.peakTime}
-      - Top Loop: Boredom leads to TikTok (65% correlation)
-      - Success Rate with Friends: ~85%
-      
-      Generate a short, 2-sentence encouraging insight using "✨" emojis. Address the user as "Wei".`;
+  const handleExportInsights = () => {
+    const range = getExportRange(exportFrom, exportTo);
+    if (!range) {
+      setToast("Pick a start date on or before the end date.");
+      return;
+    }
+    // Demo mode state never touches saved data; the export is marked as demo
+    const data = buildInsightsExport({
+      usageLog: state.usageLog,
+      openSession: state.usageSession,
+      journal: state.interventionJournal,
+      quickTaskLog: state.quickTaskLog,
+      dailyPlan: state.dailyPlan,
+      range,
+      now: Date.now(),
+      demo: state.demoMode,
+    });
+    if (exportFormat === "json") {
+      downloadTextFile(
+        getInsightsExportFileName(data, { format: "json" }),
+        toInsightsJson(data),
+        "application/json"
+      );
+    } else {
+      downloadTextFiles(
+        Object.keys(INSIGHTS_EXPORT_SCHEMA).map((table) => ({
+          fileName: getInsightsExportFileName(data, { format: "csv", table }),
+          content: toInsightsCsv(data, table),
+          type: "text/csv",
+        }))
+      );
+    }
+    setToast(state.demoMode ? "Demo data exported" : "Insights exported");
+  };
+
+  const handleGoalPeriodChange = (period) => {
+    setGoalPeriod(period);
+    setGoalLimit(
+      (period === GOAL_PERIODS.WEEKLY
+        ? GOAL_WEEKLY_LIMIT_OPTIONS
+        : GOAL_DAILY_LIMIT_OPTIONS)[1]
+    );
+  };
 
-    const text = await callGemini(prompt);
-    setAiInsight(text);
-    setIsGeneratingInsight(false);
+  const handleAddGoal = () => {
+    const [kind, ...rest] = (goalTarget || goalTargets[0]?.key || "").split(":");
+    const goal = createUsageGoal({
+      kind,
+      value: rest.join(":"),
+      period: goalPeriod,
+      limitMinutes: goalLimit,
+    });
+    if (!goal) return;
+    actions.setUsageGoals([...state.usageGoals, goal]);
+    setToast(`Goal set: ${describeUsageGoal(goal, state.customApps, GOAL_GROUP_LABELS)}`);
+  };
+
+  const handleRemoveGoal = (goalId) => {
+    actions.setUsageGoals(state.usageGoals.filter((goal) => goal.id !== goalId));
+  };
+
+  // GEMINI FUNCTIONS
+  // Report on last week; the narrative falls back to a template without a key
+  const handleGenerateWeeklyReport = async () => {
+    if (isGeneratingReport) return;
+    setIsGeneratingReport(true);
+    const now = Date.now();
+    const report = buildWeeklyReport({
+      usageLog: state.usageLog,
+      openSession: state.usageSession,
+      journal: state.interventionJournal,
+      quickTaskLog: state.quickTaskLog,
+      week: getLastReportWeek(now),
+      now,
+    });
+    const trigger =
+      report.topTrigger && state.causes.find((c) => c.id === report.topTrigger.causeId);
+    const written = await writeWeeklyReportNarrative(report, {
+      generateText: GEMINI_API_KEY
+        ? (prompt) => callGemini(prompt, { enableGrounding: false })
+        : null,
+      userName: state.userAccount.name,
+      triggerLabel: trigger?.label,
+    });
+    actions.setWeeklyReports((prev = []) => saveWeeklyReport(prev, written));
+    setReportIndex(0);
+    setIsGeneratingReport(false);
   };
 
   // DELETED: handleAutoPlan function
@@ -5698,11 +7333,14 @@ function BreakLoopConfig({
                   <ChevronLeft size={16} />
                 </button>
                 <span>
-                  {statsPeriod === "Today"
-                    ? "Today, 24 Oct"
-                    : statsPeriod === "Week"
-                    ? "Oct 18 - Oct 24"
-                    : "October 2023"}
+                  {formatScreenTimeRange(
+                    statsPeriod,
+                    statsPeriod === "Today"
+                      ? screenTime.today
+                      : statsPeriod === "Week"
+                      ? screenTime.week
+                      : screenTime.month
+                  )}
                 </span>
                 <button className="hover:text-slate-800">
                   <ChevronRight size={16} />
@@ -5711,10 +7349,10 @@ function BreakLoopConfig({
               <div className="text-center mb-6">
                 <div className="text-4xl font-bold text-slate-800">
                   {statsPeriod === "Today"
-                    ? formatScreenTime(SCREEN_TIME_DATA.today.totalMinutes)
+                    ? formatScreenTime(screenTime.today.totalMinutes)
                     : statsPeriod === "Week"
-                    ? formatScreenTime(SCREEN_TIME_DATA.week.totalMinutes)
-                    : formatScreenTime(SCREEN_TIME_DATA.month.totalMinutes)}
+                    ? formatScreenTime(screenTime.week.totalMinutes)
+                    : formatScreenTime(screenTime.month.totalMinutes)}
                 </div>
                 <div className="text-xs text-slate-400 mt-1">
                   Screen time {statsPeriod.toLowerCase()}
@@ -5722,7 +7360,7 @@ function BreakLoopConfig({
               </div>
               <div className="flex items-end gap-2 h-44 pt-8 border-b border-slate-100 pb-4 overflow-x-auto">
                 {statsPeriod === "Today"
-                  ? SCREEN_TIME_DATA.today.hourlyBreakdown.map((d, i) => {
+                  ? screenTime.today.hourlyBreakdown.map((d, i) => {
                       const heightPct =
                         todayMaxMinutes > 0 ? (d.minutes / todayMaxMinutes) * 100 : 0;
                       const barHeight = heightPct > 0 && heightPct < 6 ? 6 : heightPct;
@@ -5750,11 +7388,11 @@ function BreakLoopConfig({
                       );
                     })
                   : statsPeriod === "Week"
-                  ? SCREEN_TIME_DATA.week.dailyBreakdown.map((d, i) => {
+                  ? screenTime.week.dailyBreakdown.map((d, i) => {
                       const heightPct =
                         weekMaxValue > 0 ? (d.val / weekMaxValue) * 100 : 0;
                       const barHeight = heightPct > 0 && heightPct < 6 ? 6 : heightPct;
-                      const isToday = i === 4; // Assuming Friday is today
+                      const isToday = d.current;
                       return (
                         <div
                           key={i}
@@ -5777,11 +7415,11 @@ function BreakLoopConfig({
                         </div>
                       );
                     })
-                  : SCREEN_TIME_DATA.month.weeklyBreakdown.map((d, i) => {
+                  : screenTime.month.weeklyBreakdown.map((d, i) => {
                       const heightPct =
                         monthMaxValue > 0 ? (d.val / monthMaxValue) * 100 : 0;
                       const barHeight = heightPct > 0 && heightPct < 6 ? 6 : heightPct;
-                      const isCurrentWeek = i === 3; // Assuming week 4 is current
+                      const isCurrentWeek = d.current;
                       return (
                         <div
                           key={i}
@@ -5807,87 +7445,585 @@ function BreakLoopConfig({
               </div>
             </div>
 
-            {/* SESSION HISTORY */}
-            {state.sessionHistory.length > 0 && (
+            {/* SCREEN TIME GOALS */}
+            <div className="bg-white p-5 rounded-3xl shadow-sm border border-slate-100">
+              <h3 className="font-bold text-lg text-slate-800 mb-1 flex items-center gap-2">
+                <Target size={18} /> Goals
+              </h3>
+              <p className="text-xs text-slate-400 mb-4">
+                Warns at 80% of a goal. Every day all goals hold counts toward
+                your streak.
+              </p>
+              {state.usageGoals.length === 0 ? (
+                <p className="text-xs text-slate-400 mb-4">
+                  No goals yet. Try keeping TikTok under 30 minutes a day.
+                </p>
+              ) : (
+                <div className="space-y-3 mb-4">
+                  {state.usageGoals.map((goal, index) => {
+                    const progress = state.goalProgress[index];
+                    return (
+                      <div key={goal.id} className="flex items-center gap-3">
+                        <GoalRing
+                          percent={progress.percent}
+                          status={progress.status}
+                        >
+                          <span className="text-[10px] font-bold text-slate-700">
+                            {progress.percent}%
+                          </span>
+                        </GoalRing>
+                        <div className="flex-1 min-w-0">
+                          <div className="text-sm font-bold text-slate-700 truncate">
+                            {describeUsageGoal(
+                              goal,
+                              state.customApps,
+                              GOAL_GROUP_LABELS
+                            )}
+                          </div>
+                          <div
+                            className={`text-xs ${
+                              progress.status === GOAL_STATUSES.EXCEEDED
+                                ? "text-rose-500 font-bold"
+                                : progress.status === GOAL_STATUSES.WARNING
+                                ? "text-amber-500 font-bold"
+                                : "text-slate-400"
+                            }`}
+                          >
+                            {formatScreenTime(progress.usedMinutes)} used
+                            {progress.status === GOAL_STATUSES.EXCEEDED
+                              ? " · over the limit"
+                              : ` · ${formatScreenTime(
+                                  progress.remainingMinutes
+                                )} left`}
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => handleRemoveGoal(goal.id)}
+                          className="p-1 text-slate-300 hover:text-rose-500"
+                          aria-label="Remove goal"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+              <div className="bg-slate-50 p-3 rounded-2xl space-y-2">
+                <select
+                  value={goalTarget || goalTargets[0]?.key || ""}
+                  onChange={(e) => setGoalTarget(e.target.value)}
+                  className="w-full p-2 bg-white border border-slate-200 rounded-xl text-xs font-bold text-slate-700"
+                >
+                  {goalTargets.map(({ key, label }) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <div className="flex gap-2">
+                  {[
+                    { value: GOAL_PERIODS.DAILY, label: "Daily" },
+                    { value: GOAL_PERIODS.WEEKLY, label: "Weekly" },
+                  ].map(({ value, label }) => (
+                    <button
+                      key={value}
+                      onClick={() => handleGoalPeriodChange(value)}
+                      className={`flex-1 py-1.5 rounded-lg text-xs font-bold ${
+                        goalPeriod === value
+                          ? "bg-slate-800 text-white"
+                          : "bg-white border border-slate-200 text-slate-500"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex gap-2">
+                  {goalLimitOptions.map((minutes) => (
+                    <button
+                      key={minutes}
+                      onClick={() => setGoalLimit(minutes)}
+                      className={`flex-1 py-1.5 rounded-lg text-[10px] font-bold ${
+                        goalLimit === minutes
+                          ? "bg-blue-600 text-white"
+                          : "bg-white border border-slate-200 text-slate-500"
+                      }`}
+                    >
+                      {formatScreenTime(minutes)}
+                    </button>
+                  ))}
+                </div>
+                <button
+                  onClick={handleAddGoal}
+                  disabled={goalTargets.length === 0}
+                  className="w-full py-2 bg-blue-600 text-white rounded-xl text-xs font-bold flex items-center justify-center gap-1 disabled:opacity-50"
+                >
+                  <Plus size={14} /> Add goal
+                </button>
+              </div>
+              {state.goalHistory.length > 0 && (
+                <div className="mt-4">
+                  <div className="text-[10px] font-bold text-slate-400 uppercase mb-2">
+                    Last days
+                  </div>
+                  <div className="flex gap-1.5">
+                    {state.goalHistory
+                      .slice(0, 7)
+                      .reverse()
+                      .map((entry) => (
+                        <div
+                          key={entry.day}
+                          className="flex-1 flex flex-col items-center gap-1"
+                        >
+                          <div
+                            className={`w-full h-2 rounded-full ${
+                              entry.met ? "bg-emerald-400" : "bg-rose-300"
+                            }`}
+                            title={entry.met ? "All goals kept" : "Goal missed"}
+                          ></div>
+                          <span className="text-[9px] text-slate-400">
+                            {new Date(entry.day).toLocaleDateString("en-US", {
+                              weekday: "narrow",
+                            })}
+                          </span>
+                        </div>
+                      ))}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* UNLOCK BUDGETS */}
+            {budgetedApps.length > 0 && (
               <div className="bg-white p-5 rounded-3xl shadow-sm border border-slate-100">
                 <h3 className="font-bold text-lg text-slate-800 mb-4 flex items-center gap-2">
-                  <History size={18} /> Focus History
+                  <Clock size={18} /> Unlock Budgets
                 </h3>
-                <div className="space-y-3">
-                  {state.sessionHistory.map((s, i) => (
-                    <div
-                      key={i}
-                      className="flex items-center justify-between p-3 bg-slate-50 rounded-xl"
-                    >
-                      <div>
-                        <div className="font-bold text-sm text-slate-800">
-                          {s.topic}
+                <div className="space-y-4">
+                  {budgetedApps.map(({ app, profile, history }) => {
+                    const today = history[history.length - 1];
+                    const usedPct = Math.min(
+                      100,
+                      (today.minutes / profile.dailyBudgetMinutes) * 100
+                    );
+                    return (
+                      <div key={app.id}>
+                        <div className="flex justify-between text-xs font-bold text-slate-600 mb-1">
+                          <span className="flex items-center gap-1">
+                            {getIcon(app.iconName)} {app.name}
+                          </span>
+                          <span
+                            className={
+                              today.minutes >= profile.dailyBudgetMinutes
+                                ? "text-red-500"
+                                : "text-slate-500"
+                            }
+                          >
+                            {today.minutes}m / {profile.dailyBudgetMinutes}m today
+                          </span>
                         </div>
-                        <div className="text-xs text-slate-500">
-                          {s.date} • {s.category}
+                        <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                          <div
+                            className={`h-full ${
+                              usedPct >= 100 ? "bg-red-400" : "bg-blue-500"
+                            }`}
+                            style={{ width: `${usedPct}%` }}
+                          ></div>
+                        </div>
+                        <div className="flex items-end gap-1 h-10 mt-2">
+                          {history.map((day) => (
+                            <div
+                              key={day.dayStart}
+                              title={`${new Date(day.dayStart).toLocaleDateString("en-US", {
+                                weekday: "short",
+                              })}: ${day.minutes}m${
+                                day.overrides ? `, ${day.overrides} buddy override(s)` : ""
+                              }`}
+                              className={`flex-1 rounded-t ${
+                                day.minutes > profile.dailyBudgetMinutes
+                                  ? "bg-red-300"
+                                  : "bg-slate-200"
+                              }`}
+                              style={{
+                                height: `${Math.min(
+                                  100,
+                                  (day.minutes / profile.dailyBudgetMinutes) * 100
+                                )}%`,
+                              }}
+                            ></div>
+                          ))}
+                        </div>
+                        <div className="text-[10px] text-slate-400 mt-1">
+                          Last 7 days ·{" "}
+                          {history.reduce((sum, day) => sum + day.overrides, 0)}{" "}
+                          buddy override(s)
                         </div>
                       </div>
-                      <div className="bg-green-100 text-green-700 px-2 py-1 rounded-lg text-xs font-bold">
-                        Completed
-                      </div>
-                    </div>
-                  ))}
+                    );
+                  })}
                 </div>
               </div>
             )}
 
-            {/* DEEP INSIGHTS CARD */}
-            <div className="bg-slate-900 p-5 rounded-3xl shadow-lg text-white relative overflow-hidden">
-              <h3 className="font-bold text-lg flex items-center gap-2 mb-4">
-                <Lightbulb size={20} className="text-yellow-400" /> Deep
-                Insights
-              </h3>
-
-              {/* AI BUTTON */}
-              <button
-                onClick={handleGenerateInsight}
-                className="absolute top-5 right-5 bg-white/10 hover:bg-white/20 text-[10px] px-2 py-1 rounded-lg flex items-center gap-1 transition-colors"
-              >
-                {isGeneratingInsight ? (
-                  <Loader size={12} className="animate-spin" />
-                ) : (
-                  <Sparkles size={12} className="text-purple-300" />
-                )}{" "}
-                AI Analysis
-              </button>
-
-              {aiInsight && (
-                <div className="bg-gradient-to-r from-purple-600/30 to-blue-600/30 p-4 rounded-xl mb-4 border border-white/10 animate-in fade-in">
-                  <p className="text-sm leading-relaxed italic">
-                    "{aiInsight}"
-                  </p>
+            {/* TRIGGERS */}
+            {causeStats.length > 0 && (
+              <div className="bg-white p-5 rounded-3xl shadow-sm border border-slate-100">
+                <h3 className="font-bold text-lg text-slate-800 mb-4 flex items-center gap-2">
+                  <Activity size={18} /> Triggers
+                </h3>
+                <div className="space-y-3">
+                  {causeStats.map((stat) => {
+                    const cause = state.causes.find((c) => c.id === stat.causeId);
+                    return (
+                      <div key={stat.causeId}>
+                        <div className="flex justify-between text-xs font-bold text-slate-600 mb-1">
+                          <span>{cause?.label || stat.causeId}</span>
+                          <span className="text-slate-500">
+                            {stat.count}×
+                            {stat.averageIntensity != null &&
+                              ` · avg ${stat.averageIntensity}/${CAUSE_INTENSITY_MAX}`}
+                          </span>
+                        </div>
+                        <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                          <div
+                            className={`h-full ${
+                              stat.averageIntensity >= 4 ? "bg-red-400" : "bg-blue-500"
+                            }`}
+                            style={{
+                              width: `${
+                                ((stat.averageIntensity ?? 0) / CAUSE_INTENSITY_MAX) * 100
+                              }%`,
+                            }}
+                          ></div>
+                        </div>
+                        {(stat.intenseCount > 0 || stat.lastNote) && (
+                          <div className="text-[10px] text-slate-400 mt-1">
+                            {stat.intenseCount > 0 && `${stat.intenseCount} intense`}
+                            {stat.intenseCount > 0 && stat.lastNote && " · "}
+                            {stat.lastNote && `"${stat.lastNote}"`}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
-              )}
-
-              {/* Top Insight */}
-              <div className="bg-white/10 p-4 rounded-xl mb-4 border border-white/5">
-                <p className="text-sm leading-relaxed">
-                  We notice a pattern: scrolling tends to show up during{" "}
-                  <span className="font-bold text-teal-300">
-                    {ADVANCED_STATS.topTrigger.label.toLowerCase()}
-                  </span>{" "}
-                  on{" "}
-                  <span className="font-bold text-teal-300">
-                    {ADVANCED_STATS.peakTime}
-                  </span>
-                  .
-                </p>
               </div>
+            )}
 
-              {/* The Loop Visualization */}
-              <div className="space-y-3">
-                <h4 className="text-xs font-bold text-white/50 uppercase tracking-wider mb-2">
-                  Habit Loops
-                </h4>
-                {ADVANCED_STATS.correlations.map((item, i) => (
+            {/* QUICK TASKS (see core/intervention/quickTaskStats.js) */}
+            {quickTaskAnalytics.total > 0 && (
+              <div className="bg-white p-5 rounded-3xl shadow-sm border border-slate-100">
+                <h3 className="font-bold text-lg text-slate-800 mb-4 flex items-center gap-2">
+                  <Timer size={18} /> Quick Tasks
+                </h3>
+                <div className="grid grid-cols-3 gap-2 mb-4 text-center">
+                  <div className="bg-slate-50 rounded-xl p-2">
+                    <div className="text-lg font-bold text-slate-800">
+                      {quickTaskAnalytics.total}
+                    </div>
+                    <div className="text-[10px] text-slate-500">logged</div>
+                  </div>
+                  <div className="bg-slate-50 rounded-xl p-2">
+                    <div className="text-lg font-bold text-slate-800">
+                      {quickTaskAnalytics.perDay}
+                    </div>
+                    <div className="text-[10px] text-slate-500">a day this week</div>
+                  </div>
                   <div
-                    key={i}
-                    className="flex items-center justify-between bg-white/5 p-3 rounded-xl border border-white/5"
+                    className={`rounded-xl p-2 ${
+                      quickTaskAnalytics.followUpRate >=
+                      QUICK_TASK_ABUSE_THRESHOLDS.followUpRate
+                        ? "bg-amber-50"
+                        : "bg-slate-50"
+                    }`}
+                  >
+                    <div className="text-lg font-bold text-slate-800">
+                      {quickTaskAnalytics.followUpRate}%
+                    </div>
+                    <div className="text-[10px] text-slate-500">
+                      led to an intervention
+                    </div>
+                  </div>
+                </div>
+                <p className="text-[10px] text-slate-400 mb-4">
+                  Share of quick tasks followed by a full intervention on the same
+                  app within {QUICK_TASK_FOLLOW_UP_MINUTES} minutes. A high share
+                  means quick tasks mostly put the intervention off.
+                </p>
+                {quickTaskAnalytics.doneRate != null && (
+                  <div className="flex justify-between text-xs font-bold text-slate-600 bg-slate-50 rounded-xl p-3 mb-4">
+                    <span>{quickTaskAnalytics.doneRate}% got done in time</span>
+                    <span className="text-slate-500">
+                      {quickTaskAnalytics.outcomes.extended} extended ·{" "}
+                      {quickTaskAnalytics.withIntention} with an intention
+                    </span>
+                  </div>
+                )}
+
+                <div className="text-xs font-bold text-slate-500 mb-2">By app</div>
+                <div className="space-y-2 mb-4">
+                  {quickTaskAnalytics.byApp.map((app) => (
+                    <div key={app.appId}>
+                      <div className="flex justify-between text-xs font-bold text-slate-600 mb-1">
+                        <span>{app.appName}</span>
+                        <span className="text-slate-500">
+                          {app.count}× · {app.followedUp} followed up
+                        </span>
+                      </div>
+                      <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-emerald-500"
+                          style={{
+                            width: `${(app.count / quickTaskAnalytics.total) * 100}%`,
+                          }}
+                        ></div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="text-xs font-bold text-slate-500 mb-2">
+                  By hour of day
+                </div>
+                <div className="flex items-end gap-0.5 h-12 mb-1">
+                  {quickTaskAnalytics.byHour.map((count, hour) => (
+                    <div
+                      key={hour}
+                      className={`flex-1 rounded-t ${
+                        hour === quickTaskAnalytics.peakHour
+                          ? "bg-emerald-500"
+                          : "bg-emerald-200"
+                      }`}
+                      style={{
+                        height: `${
+                          (count / Math.max(...quickTaskAnalytics.byHour)) * 100
+                        }%`,
+                      }}
+                      title={`${hour}:00 · ${count}`}
+                    ></div>
+                  ))}
+                </div>
+                <div className="flex justify-between text-[9px] text-slate-400 mb-4">
+                  <span>0h</span>
+                  <span>6h</span>
+                  <span>12h</span>
+                  <span>18h</span>
+                  <span>23h</span>
+                </div>
+
+                <div className="text-xs font-bold text-slate-500 mb-2">By weekday</div>
+                <div className="grid grid-cols-7 gap-1 text-center">
+                  {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((day, i) => (
+                    <div key={day}>
+                      <div className="h-12 flex items-end">
+                        <div
+                          className="w-full bg-emerald-300 rounded-t"
+                          style={{
+                            height: `${
+                              (quickTaskAnalytics.byWeekday[i] /
+                                Math.max(...quickTaskAnalytics.byWeekday)) *
+                              100
+                            }%`,
+                          }}
+                        ></div>
+                      </div>
+                      <div className="text-[9px] text-slate-400 mt-1">{day}</div>
+                    </div>
+                  ))}
+                </div>
+
+                {quickTaskSuggestions.map((suggestion) => (
+                  <div
+                    key={`${suggestion.id}-${suggestion.setting}`}
+                    className="mt-4 p-3 bg-amber-50 border border-amber-100 rounded-xl"
+                  >
+                    <p className="text-xs text-amber-800">{suggestion.message}</p>
+                    {state.userAccount.isPremium ? (
+                      <button
+                        onClick={() => {
+                          if (suggestion.setting === "durationMinutes") {
+                            actions.setQuickTaskDurationMinutes(suggestion.value);
+                          } else {
+                            actions.setQuickTaskUsesPerWindow(suggestion.value);
+                          }
+                          setToast("Quick task settings updated.");
+                        }}
+                        className="mt-2 text-[11px] font-bold bg-amber-500 text-white px-3 py-1 rounded-lg"
+                      >
+                        Apply
+                      </button>
+                    ) : (
+                      <p className="text-[10px] text-amber-600 mt-1">
+                        Premium lets you change quick task settings.
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* SESSION HISTORY */}
+            {state.sessionHistory.length > 0 && (
+              <div className="bg-white p-5 rounded-3xl shadow-sm border border-slate-100">
+                <h3 className="font-bold text-lg text-slate-800 mb-4 flex items-center gap-2">
+                  <History size={18} /> Focus History
+                </h3>
+                <div className="space-y-3">
+                  {state.sessionHistory.map((s, i) => (
+                    <div
+                      key={i}
+                      className="flex items-center justify-between p-3 bg-slate-50 rounded-xl"
+                    >
+                      <div>
+                        <div className="font-bold text-sm text-slate-800">
+                          {s.topic}
+                        </div>
+                        <div className="text-xs text-slate-500">
+                          {s.date} • {s.category}
+                        </div>
+                      </div>
+                      <div className="bg-green-100 text-green-700 px-2 py-1 rounded-lg text-xs font-bold">
+                        Completed
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* WEEKLY REPORT CARD */}
+            <div className="bg-white p-5 rounded-3xl shadow-sm border border-slate-100">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                  <CalendarDays size={18} /> Weekly Report
+                </h3>
+                <button
+                  onClick={handleGenerateWeeklyReport}
+                  disabled={isGeneratingReport}
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 text-[10px] font-bold px-2 py-1 rounded-lg flex items-center gap-1 transition-colors"
+                >
+                  {isGeneratingReport ? (
+                    <Loader size={12} className="animate-spin" />
+                  ) : (
+                    <Sparkles size={12} className="text-purple-500" />
+                  )}{" "}
+                  {weeklyReport ? "Refresh" : "Generate"}
+                </button>
+              </div>
+
+              {!weeklyReport ? (
+                <p className="text-xs text-slate-500">
+                  See how last week went compared with the week before.
+                </p>
+              ) : (
+                <>
+                  <div className="flex justify-between items-center mb-4 text-xs font-bold text-slate-500 bg-slate-50 p-2 rounded-lg">
+                    <button
+                      onClick={() => setReportIndex((i) => i + 1)}
+                      disabled={reportIndex >= state.weeklyReports.length - 1}
+                      className="hover:text-slate-800 disabled:opacity-30"
+                    >
+                      <ChevronLeft size={16} />
+                    </button>
+                    <span>
+                      {formatScreenTimeRange("Week", {
+                        from: weeklyReport.weekStart,
+                        to: weeklyReport.weekEnd,
+                      })}
+                    </span>
+                    <button
+                      onClick={() => setReportIndex((i) => i - 1)}
+                      disabled={reportIndex === 0}
+                      className="hover:text-slate-800 disabled:opacity-30"
+                    >
+                      <ChevronRight size={16} />
+                    </button>
+                  </div>
+                  <p className="text-sm text-slate-700 leading-relaxed mb-1">
+                    {weeklyReport.narrative}
+                  </p>
+                  <p className="text-[10px] text-slate-400 mb-4">
+                    {weeklyReport.source === WEEKLY_REPORT_SOURCES.AI
+                      ? "Written by AI from your numbers"
+                      : "Summary of your numbers"}
+                  </p>
+                  <div className="grid grid-cols-3 gap-2">
+                    {weeklyReport.metrics.map((metric) => (
+                      <div key={metric.id} className="bg-slate-50 p-2 rounded-xl">
+                        <div className="text-[10px] text-slate-500">{metric.label}</div>
+                        <div className="text-sm font-bold text-slate-800">
+                          {formatReportMetric(metric, metric.value)}
+                        </div>
+                        {metric.change != null && (
+                          <div
+                            className={`text-[10px] font-bold ${
+                              metric.improved === true
+                                ? "text-emerald-600"
+                                : metric.improved === false
+                                ? "text-rose-500"
+                                : "text-slate-400"
+                            }`}
+                          >
+                            {metric.trend === "same"
+                              ? "No change"
+                              : `${metric.trend === "up" ? "↑" : "↓"} ${formatReportMetric(
+                                  metric,
+                                  Math.abs(metric.change),
+                                  { isChange: true }
+                                )}`}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* DEEP INSIGHTS CARD */}
+            <div className="bg-slate-900 p-5 rounded-3xl shadow-lg text-white relative overflow-hidden">
+              <h3 className="font-bold text-lg flex items-center gap-2 mb-4">
+                <Lightbulb size={20} className="text-yellow-400" /> Deep
+                Insights
+              </h3>
+
+              {/* Top Insight */}
+              <div className="bg-white/10 p-4 rounded-xl mb-4 border border-white/5">
+                {advancedStats.topTrigger && advancedStats.peakTime ? (
+                  <p className="text-sm leading-relaxed">
+                    We notice a pattern: scrolling tends to show up during{" "}
+                    <span className="font-bold text-teal-300">
+                      {advancedStats.topTrigger.label.toLowerCase()}
+                    </span>{" "}
+                    <span className="font-bold text-teal-300">
+                      {advancedStats.peakTime}
+                    </span>
+                    .
+                  </p>
+                ) : (
+                  <p className="text-sm leading-relaxed text-white/60">
+                    {statsPeriod === "Today"
+                      ? "Not enough check-ins today to spot a pattern yet."
+                      : `Not enough check-ins this ${statsPeriod.toLowerCase()} to spot a pattern yet.`}
+                  </p>
+                )}
+              </div>
+
+              {/* The Loop Visualization */}
+              <div className="space-y-3">
+                <h4 className="text-xs font-bold text-white/50 uppercase tracking-wider mb-2">
+                  Habit Loops
+                </h4>
+                {advancedStats.correlations.length === 0 && (
+                  <p className="text-xs text-white/40">
+                    Loops show up once a trigger comes up a few times.
+                  </p>
+                )}
+                {advancedStats.correlations.map((item, i) => (
+                  <div
+                    key={i}
+                    className="flex items-center justify-between bg-white/5 p-3 rounded-xl border border-white/5"
                   >
                     <div className="flex items-center gap-2">
                       <div className="p-1.5 bg-white/10 rounded-lg text-white/70">
@@ -5914,7 +8050,12 @@ function BreakLoopConfig({
                 <h4 className="text-xs font-semibold text-white/40 tracking-wide mb-2">
                   Patterns by trigger
                 </h4>
-                {ADVANCED_STATS.causeFail.map((item, i) => (
+                {advancedStats.causeFail.length === 0 && (
+                  <p className="text-xs text-white/40">
+                    Not enough check-ins per trigger yet.
+                  </p>
+                )}
+                {advancedStats.causeFail.map((item, i) => (
                   <div key={i} className="flex items-center gap-3">
                     <div
                       className={`p-1.5 rounded-lg ${item.color
@@ -5947,7 +8088,12 @@ function BreakLoopConfig({
                 <h4 className="text-xs font-semibold text-white/40 tracking-wide mb-2">
                   Helpful alternatives
                 </h4>
-                {ADVANCED_STATS.topAlternatives.map((item, i) => {
+                {advancedStats.topAlternatives.length === 0 && (
+                  <p className="text-xs text-white/40">
+                    Finish an alternative to see what helps you most.
+                  </p>
+                )}
+                {advancedStats.topAlternatives.map((item, i) => {
                   // Convert count to qualitative label
                   const getQualitativeLabel = (count) => {
                     if (count >= 10) return "Often helpful";
@@ -5971,6 +8117,44 @@ function BreakLoopConfig({
                   );
                 })}
               </div>
+
+              {/* Reflections */}
+              {reflectionSummary.count > 0 && (
+                <div className="space-y-3 mt-6">
+                  <h4 className="text-xs font-semibold text-white/40 tracking-wide mb-2">
+                    After an alternative
+                  </h4>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div className="bg-white/5 p-3 rounded-xl border border-white/5">
+                      <div className="text-[10px] text-white/50">Urge</div>
+                      <div className="text-sm font-bold">
+                        {reflectionSummary.averageUrgeBefore != null
+                          ? `${reflectionSummary.averageUrgeBefore} → ${reflectionSummary.averageUrgeAfter}`
+                          : "–"}
+                      </div>
+                    </div>
+                    <div className="bg-white/5 p-3 rounded-xl border border-white/5">
+                      <div className="text-[10px] text-white/50">Still wanted the app</div>
+                      <div className="text-sm font-bold">
+                        {reflectionSummary.stillWantsAppRate != null
+                          ? `${reflectionSummary.stillWantsAppRate}%`
+                          : "–"}
+                      </div>
+                    </div>
+                  </div>
+                  {reflectionSummary.topAlternatives.map((item) => (
+                    <div
+                      key={item.id}
+                      className="flex items-center justify-between bg-white/5 p-3 rounded-xl border border-white/5"
+                    >
+                      <div className="text-sm font-bold">{item.title}</div>
+                      <div className="text-[10px] text-white/50 px-2 py-1 rounded-lg">
+                        {item.score}% effective · {item.reflections} reflection(s)
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -7208,6 +9392,552 @@ function BreakLoopConfig({
                   ) : null;
                 })}
               </div>
+              <div className="mt-4 space-y-2">
+                <div className="text-xs font-bold text-slate-600">
+                  Intervention Profiles
+                </div>
+                {state.monitoredApps.map((id) => {
+                  const app = state.customApps.find((a) => a.id === id);
+                  if (!app) return null;
+                  const profile = resolveInterventionProfile(id, state.settings);
+                  const overrides = state.settings.appProfiles?.[id] || {};
+                  const isOpen = editingProfileAppId === id;
+                  return (
+                    <div
+                      key={id}
+                      className="border border-slate-100 rounded-xl p-3 space-y-2"
+                    >
+                      <div className="flex items-center justify-between">
+                        <button
+                          onClick={() =>
+                            setEditingProfileAppId(isOpen ? null : id)
+                          }
+                          className="text-xs font-bold text-slate-700 flex items-center gap-1"
+                        >
+                          {getIcon(app.iconName)} {app.name}
+                          <ChevronRight
+                            size={12}
+                            className={isOpen ? "rotate-90" : ""}
+                          />
+                        </button>
+                        <div className="flex gap-1">
+                          {Object.values(INTERVENTION_PROFILE_PRESETS).map(
+                            (preset) => (
+                              <button
+                                key={preset.id}
+                                onClick={() =>
+                                  actions.setSettings({
+                                    ...state.settings,
+                                    appProfiles: {
+                                      ...state.settings.appProfiles,
+                                      [id]: { preset: preset.id },
+                                    },
+                                  })
+                                }
+                                className={`px-2 py-1 rounded-lg text-[10px] font-bold border ${
+                                  profile.preset === preset.id
+                                    ? "border-blue-500 bg-blue-50 text-blue-700"
+                                    : "border-slate-200 text-slate-500"
+                                }`}
+                              >
+                                {preset.label}
+                              </button>
+                            )
+                          )}
+                        </div>
+                      </div>
+                      <p className="text-[10px] text-slate-400">
+                        {profile.breathingDuration}s breathing · max{" "}
+                        {profile.maxUnlockMinutes}m unlock ·{" "}
+                        {profile.dailyBudgetMinutes == null
+                          ? "no daily budget"
+                          : `${profile.dailyBudgetMinutes}m a day`}{" "}
+                        · Quick Task{" "}
+                        {profile.allowQuickTask ? "allowed" : "off"}
+                      </p>
+                      {isOpen && (
+                        <div className="space-y-3 pt-1">
+                          <div>
+                            <div className="flex justify-between mb-1">
+                              <span className="text-[10px] text-slate-500">
+                                Breathing
+                              </span>
+                              <span className="text-[10px] text-blue-600 font-bold">
+                                {profile.breathingDuration}s
+                              </span>
+                            </div>
+                            <input
+                              type="range"
+                              min="3"
+                              max="60"
+                              value={profile.breathingDuration}
+                              onChange={(e) =>
+                                updateAppProfile(id, {
+                                  breathingDuration: Number(e.target.value),
+                                })
+                              }
+                              className="w-full h-1 bg-slate-200 rounded-lg appearance-none"
+                            />
+                          </div>
+                          <div>
+                            <div className="text-[10px] text-slate-500 mb-1">
+                              Breathing pattern
+                            </div>
+                            <div className="flex flex-wrap gap-1">
+                              {Object.values(BREATHING_PATTERNS).map(
+                                (pattern) => (
+                                  <button
+                                    key={pattern.id}
+                                    onClick={() =>
+                                      updateAppProfile(id, {
+                                        breathingPattern: pattern.id,
+                                      })
+                                    }
+                                    className={`px-2 py-1 rounded-lg text-[10px] font-bold border ${
+                                      getBreathingPattern(profile.breathingPattern)
+                                        .id === pattern.id
+                                        ? "border-blue-500 bg-blue-50 text-blue-700"
+                                        : "border-slate-200 text-slate-500"
+                                    }`}
+                                  >
+                                    {pattern.label}
+                                  </button>
+                                )
+                              )}
+                            </div>
+                          </div>
+                          <div>
+                            <div className="text-[10px] text-slate-500 mb-1">
+                              Max unlock
+                            </div>
+                            <div className="flex flex-wrap gap-1">
+                              {UNLOCK_MINUTE_OPTIONS.map((minutes) => (
+                                <button
+                                  key={minutes}
+                                  onClick={() =>
+                                    updateAppProfile(id, {
+                                      maxUnlockMinutes: minutes,
+                                    })
+                                  }
+                                  className={`px-2 py-1 rounded-lg text-[10px] font-bold border ${
+                                    profile.maxUnlockMinutes === minutes
+                                      ? "border-blue-500 bg-blue-50 text-blue-700"
+                                      : "border-slate-200 text-slate-500"
+                                  }`}
+                                >
+                                  {minutes}m
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                          <div>
+                            <div className="text-[10px] text-slate-500 mb-1">
+                              Daily unlock budget
+                            </div>
+                            <div className="flex flex-wrap gap-1">
+                              {[null, ...UNLOCK_BUDGET_OPTIONS].map((minutes) => (
+                                <button
+                                  key={minutes ?? "none"}
+                                  onClick={() =>
+                                    updateAppProfile(id, {
+                                      dailyBudgetMinutes: minutes,
+                                    })
+                                  }
+                                  className={`px-2 py-1 rounded-lg text-[10px] font-bold border ${
+                                    profile.dailyBudgetMinutes === minutes
+                                      ? "border-blue-500 bg-blue-50 text-blue-700"
+                                      : "border-slate-200 text-slate-500"
+                                  }`}
+                                >
+                                  {minutes == null ? "None" : `${minutes}m`}
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                          <div className="flex items-center justify-between">
+                            <span className="text-[10px] text-slate-500">
+                              Allow Quick Task
+                            </span>
+                            <button
+                              onClick={() =>
+                                updateAppProfile(id, {
+                                  allowQuickTask: !profile.allowQuickTask,
+                                })
+                              }
+                              className={`w-10 h-6 rounded-full transition-colors relative ${
+                                profile.allowQuickTask
+                                  ? "bg-blue-600"
+                                  : "bg-slate-200"
+                              }`}
+                            >
+                              <div
+                                className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${
+                                  profile.allowQuickTask ? "left-5" : "left-1"
+                                }`}
+                              ></div>
+                            </button>
+                          </div>
+                          {profile.allowQuickTask && (
+                            <div className="flex items-center justify-between">
+                              <span className="text-[10px] text-slate-500">
+                                Ask what each quick task is for
+                              </span>
+                              <button
+                                onClick={() =>
+                                  updateAppProfile(id, {
+                                    requireQuickTaskIntention:
+                                      !profile.requireQuickTaskIntention,
+                                  })
+                                }
+                                className={`w-10 h-6 rounded-full transition-colors relative ${
+                                  profile.requireQuickTaskIntention
+                                    ? "bg-blue-600"
+                                    : "bg-slate-200"
+                                }`}
+                              >
+                                <div
+                                  className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${
+                                    profile.requireQuickTaskIntention
+                                      ? "left-5"
+                                      : "left-1"
+                                  }`}
+                                ></div>
+                              </button>
+                            </div>
+                          )}
+                          <div>
+                            <div className="text-[10px] text-slate-500 mb-1">
+                              Causes (none selected = all)
+                            </div>
+                            <div className="flex flex-wrap gap-1">
+                              {state.causes.map((cause) => (
+                                <button
+                                  key={cause.id}
+                                  onClick={() =>
+                                    toggleProfileList(id, "causeIds", cause.id)
+                                  }
+                                  className={`px-2 py-1 rounded-lg text-[10px] font-bold border ${
+                                    (overrides.causeIds || []).includes(cause.id)
+                                      ? "border-blue-500 bg-blue-50 text-blue-700"
+                                      : "border-slate-200 text-slate-500"
+                                  }`}
+                                >
+                                  {cause.label}
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                          <div>
+                            <div className="text-[10px] text-slate-500 mb-1">
+                              Preferred alternatives
+                            </div>
+                            <div className="flex flex-wrap gap-1">
+                              {ALTERNATIVE_TYPES.map((type) => (
+                                <button
+                                  key={type}
+                                  onClick={() =>
+                                    toggleProfileList(id, "alternativeTypes", type)
+                                  }
+                                  className={`px-2 py-1 rounded-lg text-[10px] font-bold border capitalize ${
+                                    profile.alternativeTypes.includes(type)
+                                      ? "border-blue-500 bg-blue-50 text-blue-700"
+                                      : "border-slate-200 text-slate-500"
+                                  }`}
+                                >
+                                  {type}
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="mt-4 space-y-2">
+                <div className="flex justify-between mb-1">
+                  <span className="text-xs font-bold text-slate-600">
+                    Budgets Reset At
+                  </span>
+                  <span className="text-xs text-blue-600 font-bold">
+                    {String(budgetSettings.dayStartHour).padStart(2, "0")}:00
+                  </span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="12"
+                  value={budgetSettings.dayStartHour}
+                  onChange={(e) =>
+                    actions.setSettings({
+                      ...state.settings,
+                      unlockBudget: {
+                        ...budgetSettings,
+                        dayStartHour: Number(e.target.value),
+                      },
+                    })
+                  }
+                  className="w-full h-1 bg-slate-200 rounded-lg appearance-none"
+                />
+                <div className="flex items-center justify-between">
+                  <span className="text-[10px] text-slate-500">
+                    Buddy can approve unlocks past the budget
+                  </span>
+                  <button
+                    onClick={() =>
+                      actions.setSettings({
+                        ...state.settings,
+                        unlockBudget: {
+                          ...budgetSettings,
+                          allowBuddyOverride: !budgetSettings.allowBuddyOverride,
+                        },
+                      })
+                    }
+                    className={`w-10 h-6 rounded-full transition-colors relative ${
+                      budgetSettings.allowBuddyOverride
+                        ? "bg-blue-600"
+                        : "bg-slate-200"
+                    }`}
+                  >
+                    <div
+                      className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${
+                        budgetSettings.allowBuddyOverride ? "left-5" : "left-1"
+                      }`}
+                    ></div>
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {/* SECTION 4B: ROOT CAUSES */}
+            <div className="bg-white rounded-2xl p-5 border border-slate-100 shadow-sm space-y-3">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2">
+                <HelpCircle size={18} /> Root Causes
+              </h3>
+              <p className="text-[10px] text-slate-400">
+                Order, rename or hide the causes on the "Why?" screen, or add
+                your own triggers with their own alternatives.
+              </p>
+              {state.causes.map((cause, index) => {
+                const isEditing = editingCauseId === cause.id;
+                return (
+                  <div
+                    key={cause.id}
+                    className={`border border-slate-100 rounded-xl p-2 ${
+                      cause.hidden ? "opacity-50" : ""
+                    }`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <span className="w-6 text-center text-slate-500">
+                        {cause.icon}
+                      </span>
+                      <button
+                        onClick={() =>
+                          setEditingCauseId(isEditing ? null : cause.id)
+                        }
+                        className="flex-1 text-left text-xs font-bold text-slate-700"
+                      >
+                        {cause.label}
+                        {cause.alternatives.length > 0 && (
+                          <span className="ml-1 text-[10px] text-slate-400 font-normal">
+                            · {cause.alternatives.length} alternative(s)
+                          </span>
+                        )}
+                      </button>
+                      <button
+                        disabled={index === 0}
+                        onClick={() =>
+                          actions.setCustomCauses(
+                            moveCause(CAUSES, state.customCauses, cause.id, -1)
+                          )
+                        }
+                        className="text-slate-400 hover:text-slate-700 disabled:opacity-30"
+                      >
+                        <ChevronUp size={14} />
+                      </button>
+                      <button
+                        disabled={index === state.causes.length - 1}
+                        onClick={() =>
+                          actions.setCustomCauses(
+                            moveCause(CAUSES, state.customCauses, cause.id, 1)
+                          )
+                        }
+                        className="text-slate-400 hover:text-slate-700 disabled:opacity-30"
+                      >
+                        <ChevronDown size={14} />
+                      </button>
+                      <button
+                        onClick={() =>
+                          actions.setCustomCauses(
+                            updateCause(CAUSES, state.customCauses, cause.id, {
+                              hidden: !cause.hidden,
+                            })
+                          )
+                        }
+                        className="text-slate-400 hover:text-slate-700"
+                      >
+                        {cause.hidden ? <EyeOff size={14} /> : <Eye size={14} />}
+                      </button>
+                    </div>
+                    {isEditing && (
+                      <div className="mt-2 space-y-2">
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={cause.isCustom || typeof cause.icon === "string" ? cause.icon : ""}
+                            placeholder="Icon"
+                            maxLength={2}
+                            onChange={(e) =>
+                              actions.setCustomCauses(
+                                updateCause(CAUSES, state.customCauses, cause.id, {
+                                  icon: e.target.value,
+                                })
+                              )
+                            }
+                            className="w-12 border border-slate-200 rounded-lg p-1.5 text-xs text-center"
+                          />
+                          <input
+                            type="text"
+                            value={cause.label}
+                            onChange={(e) =>
+                              actions.setCustomCauses(
+                                updateCause(CAUSES, state.customCauses, cause.id, {
+                                  label: e.target.value,
+                                })
+                              )
+                            }
+                            className="flex-1 border border-slate-200 rounded-lg p-1.5 text-xs"
+                          />
+                          {cause.isCustom && (
+                            <button
+                              onClick={() => {
+                                actions.setCustomCauses(
+                                  removeCustomCause(
+                                    CAUSES,
+                                    state.customCauses,
+                                    cause.id
+                                  )
+                                );
+                                setEditingCauseId(null);
+                              }}
+                              className="text-red-400 hover:text-red-600"
+                            >
+                              <Trash2 size={14} />
+                            </button>
+                          )}
+                        </div>
+                        {cause.alternatives.map((alt) => (
+                          <div
+                            key={alt.id}
+                            className="flex items-center justify-between bg-slate-50 rounded-lg px-2 py-1 text-[10px] text-slate-600"
+                          >
+                            <span>
+                              {alt.title} · {alt.duration}
+                            </span>
+                            <button
+                              onClick={() =>
+                                actions.setCustomCauses(
+                                  updateCause(CAUSES, state.customCauses, cause.id, {
+                                    alternatives: cause.alternatives.filter(
+                                      (a) => a.id !== alt.id
+                                    ),
+                                  })
+                                )
+                              }
+                              className="text-slate-400 hover:text-red-500"
+                            >
+                              <X size={12} />
+                            </button>
+                          </div>
+                        ))}
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={causeAltDraft.title}
+                            placeholder="Add an alternative for this cause"
+                            onChange={(e) =>
+                              setCauseAltDraft({
+                                ...causeAltDraft,
+                                title: e.target.value,
+                              })
+                            }
+                            className="flex-1 border border-slate-200 rounded-lg p-1.5 text-xs"
+                          />
+                          <select
+                            value={causeAltDraft.duration}
+                            onChange={(e) =>
+                              setCauseAltDraft({
+                                ...causeAltDraft,
+                                duration: e.target.value,
+                              })
+                            }
+                            className="border border-slate-200 rounded-lg p-1.5 text-xs"
+                          >
+                            {["5m", "10m", "15m", "30m", "60m"].map((d) => (
+                              <option key={d} value={d}>
+                                {d}
+                              </option>
+                            ))}
+                          </select>
+                          <button
+                            disabled={!causeAltDraft.title.trim()}
+                            onClick={() => {
+                              actions.setCustomCauses(
+                                updateCause(CAUSES, state.customCauses, cause.id, {
+                                  alternatives: [
+                                    ...cause.alternatives,
+                                    createCauseAlternative(causeAltDraft),
+                                  ],
+                                })
+                              );
+                              setCauseAltDraft({ title: "", duration: "10m" });
+                            }}
+                            className="text-blue-600 disabled:opacity-30"
+                          >
+                            <Plus size={16} />
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={causeDraft.icon}
+                  placeholder="🙂"
+                  maxLength={2}
+                  onChange={(e) =>
+                    setCauseDraft({ ...causeDraft, icon: e.target.value })
+                  }
+                  className="w-12 border border-slate-200 rounded-lg p-2 text-xs text-center"
+                />
+                <input
+                  type="text"
+                  value={causeDraft.label}
+                  placeholder="e.g. After arguments"
+                  onChange={(e) =>
+                    setCauseDraft({ ...causeDraft, label: e.target.value })
+                  }
+                  className="flex-1 border border-slate-200 rounded-lg p-2 text-xs"
+                />
+                <button
+                  disabled={!causeDraft.label.trim()}
+                  onClick={() => {
+                    const cause = createCustomCause(causeDraft);
+                    actions.setCustomCauses(
+                      addCause(CAUSES, state.customCauses, cause)
+                    );
+                    setCauseDraft({ label: "", icon: "" });
+                    setEditingCauseId(cause.id);
+                  }}
+                  className="text-xs font-bold text-blue-600 bg-blue-50 px-3 rounded-lg disabled:opacity-40"
+                >
+                  Add
+                </button>
+              </div>
             </div>
 
             {/* SECTION 5: PREFERENCES (INTERVENTION BEHAVIOR) */}
@@ -7238,13 +9968,52 @@ function BreakLoopConfig({
                   className="w-full h-1 bg-slate-200 rounded-lg appearance-none"
                 />
               </div>
+              <div>
+                <div className="text-xs font-bold text-slate-600 mb-2">
+                  Breathing Pattern
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.values(BREATHING_PATTERNS).map((pattern) => (
+                    <button
+                      key={pattern.id}
+                      onClick={() =>
+                        actions.setSettings({
+                          ...state.settings,
+                          breathingPattern: pattern.id,
+                        })
+                      }
+                      className={`p-2 rounded-xl border text-xs font-bold ${
+                        getBreathingPattern(state.settings.breathingPattern)
+                          .id === pattern.id
+                          ? "border-blue-500 bg-blue-50 text-blue-700"
+                          : "border-slate-200 text-slate-600"
+                      }`}
+                    >
+                      {pattern.label}
+                    </button>
+                  ))}
+                </div>
+                {getBreathingPattern(state.settings.breathingPattern).phases
+                  .length > 0 && (
+                  <p className="text-[10px] text-slate-400 mt-1">
+                    Rounded up to full breaths:{" "}
+                    {getBreathingSessionDuration(
+                      getBreathingPattern(state.settings.breathingPattern),
+                      state.settings.interventionDuration
+                    )}
+                    s per intervention.
+                  </p>
+                )}
+              </div>
               <div>
                 <div className="flex justify-between mb-1">
                   <span className="text-xs font-bold text-slate-600">
-                    App Switch Interval
+                    Grace Period
                   </span>
                   <span className="text-xs text-blue-600 font-bold">
-                    {state.settings.gracePeriod}m
+                    {Number(state.settings.gracePeriod) > 0
+                      ? `${state.settings.gracePeriod}m`
+                      : "Off"}
                   </span>
                 </div>
                 <input
@@ -7255,15 +10024,123 @@ function BreakLoopConfig({
                   onChange={(e) =>
                     actions.setSettings({
                       ...state.settings,
-                      gracePeriod: e.target.value,
+                      gracePeriod: Number(e.target.value),
                     })
                   }
                   className="w-full h-1 bg-slate-200 rounded-lg appearance-none"
                 />
                 <p className="text-[10px] text-slate-400 mt-1">
-                  Allows switching between configured apps without a new
-                  breathing exercise.
+                  An unlocked app stays unlocked this long after you leave
+                  it, so coming back quickly skips the breathing exercise.
+                </p>
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-xs font-bold text-slate-600">
+                    Escalating Friction
+                  </span>
+                  <button
+                    onClick={() =>
+                      actions.setSettings({
+                        ...state.settings,
+                        escalation: {
+                          ...state.settings.escalation,
+                          enabled: !escalationPolicy.enabled,
+                        },
+                      })
+                    }
+                    className={`w-10 h-6 rounded-full transition-colors relative ${
+                      escalationPolicy.enabled ? "bg-blue-600" : "bg-slate-200"
+                    }`}
+                  >
+                    <div
+                      className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${
+                        escalationPolicy.enabled ? "left-5" : "left-1"
+                      }`}
+                    ></div>
+                  </button>
+                </div>
+                <p className="text-[10px] text-slate-400 mb-2">
+                  Repeated attempts on the same app within the window make the
+                  next intervention harder to skip.
                 </p>
+                {escalationPolicy.enabled && (
+                  <div className="space-y-2">
+                    {[
+                      {
+                        label: "Window",
+                        unit: "m",
+                        min: 10,
+                        max: 240,
+                        step: 10,
+                        value: escalationPolicy.windowMinutes,
+                        update: (value) => ({ windowMinutes: value }),
+                      },
+                      {
+                        label: "Longer breathing from attempt",
+                        min: 2,
+                        max: 10,
+                        value: escalationPolicy.breathing.afterAttempts,
+                        update: (value) => ({
+                          breathing: {
+                            ...escalationPolicy.breathing,
+                            afterAttempts: value,
+                          },
+                        }),
+                      },
+                      {
+                        label: "Require a cause from attempt",
+                        min: 2,
+                        max: 10,
+                        value: escalationPolicy.requireCause.afterAttempts,
+                        update: (value) => ({
+                          requireCause: { afterAttempts: value },
+                        }),
+                      },
+                      {
+                        label: "Require a reason from attempt",
+                        min: 2,
+                        max: 10,
+                        value: escalationPolicy.requireReason.afterAttempts,
+                        update: (value) => ({
+                          requireReason: {
+                            ...escalationPolicy.requireReason,
+                            afterAttempts: value,
+                          },
+                        }),
+                      },
+                    ].map((step) => (
+                      <div key={step.label}>
+                        <div className="flex justify-between mb-1">
+                          <span className="text-[10px] text-slate-500">
+                            {step.label}
+                          </span>
+                          <span className="text-[10px] text-blue-600 font-bold">
+                            {step.value}
+                            {step.unit || ""}
+                          </span>
+                        </div>
+                        <input
+                          type="range"
+                          min={step.min}
+                          max={step.max}
+                          step={step.step || 1}
+                          value={step.value}
+                          onChange={(e) =>
+                            actions.setSettings({
+                              ...state.settings,
+                              escalation: {
+                                ...state.settings.escalation,
+                                ...step.update(Number(e.target.value)),
+                              },
+                            })
+                          }
+                          className="w-full h-1 bg-slate-200 rounded-lg appearance-none"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
 
@@ -7345,28 +10222,140 @@ function BreakLoopConfig({
                   </div>
                   <div>
                     <div className="text-xs font-bold text-slate-500 mb-2">
-                      Quick tasks per 15 minutes
+                      How uses are counted
                     </div>
                     <div className="grid grid-cols-2 gap-2">
-                      {[1, 2].map((val) => (
+                      {Object.values(QUICK_TASK_QUOTA_STRATEGIES).map((strategy) => (
                         <button
-                          key={val}
-                          onClick={() => actions.setQuickTaskUsesPerWindow(val)}
+                          key={strategy.id}
+                          onClick={() => actions.setQuickTaskStrategy(strategy.id)}
                           className={`p-3 rounded-xl border text-xs font-bold ${
-                            state.quickTaskUsesPerWindow === val
+                            state.quickTaskStrategy === strategy.id
                               ? "border-emerald-500 bg-emerald-50 text-emerald-700"
                               : "border-slate-200 text-slate-600"
                           }`}
                         >
-                          {val} use{val > 1 ? "s" : ""}
+                          {strategy.label}
                         </button>
                       ))}
                     </div>
+                    <p className="text-[10px] text-slate-400 mt-2">
+                      {getQuickTaskQuotaStrategy(state.quickTaskStrategy).description}
+                    </p>
                   </div>
+                  {getQuickTaskQuotaStrategy(state.quickTaskStrategy).limitSetting ===
+                  "dailyLimit" ? (
+                    <div>
+                      <div className="text-xs font-bold text-slate-500 mb-2">
+                        Quick tasks per day
+                      </div>
+                      <div className="grid grid-cols-3 gap-2">
+                        {QUICK_TASK_ALLOWED_DAILY_LIMITS.map((val) => (
+                          <button
+                            key={val}
+                            onClick={() => actions.setQuickTaskDailyLimit(val)}
+                            className={`p-3 rounded-xl border text-xs font-bold ${
+                              state.quickTaskDailyLimit === val
+                                ? "border-emerald-500 bg-emerald-50 text-emerald-700"
+                                : "border-slate-200 text-slate-600"
+                            }`}
+                          >
+                            {val} uses
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ) : (
+                    <div>
+                      <div className="text-xs font-bold text-slate-500 mb-2">
+                        Quick tasks per 15 minutes
+                        {getQuickTaskQuotaStrategy(state.quickTaskStrategy).perApp
+                          ? " (each app)"
+                          : ""}
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        {QUICK_TASK_ALLOWED_USES.map((val) => (
+                          <button
+                            key={val}
+                            onClick={() => actions.setQuickTaskUsesPerWindow(val)}
+                            className={`p-3 rounded-xl border text-xs font-bold ${
+                              state.quickTaskUsesPerWindow === val
+                                ? "border-emerald-500 bg-emerald-50 text-emerald-700"
+                                : "border-slate-200 text-slate-600"
+                            }`}
+                          >
+                            {val} use{val > 1 ? "s" : ""}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </>
               )}
             </div>
 
+            {/* SECTION 6B: EXPORT DATA */}
+            <div className="bg-white rounded-2xl p-5 border border-slate-100 shadow-sm space-y-3">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2">
+                <Download size={18} /> Export Data
+              </h3>
+              <p className="text-xs text-slate-500">
+                Usage sessions, interventions, quick tasks, unlocks, completed
+                alternatives and daily plan adherence. JSON holds everything in
+                one file; CSV saves one file per table (format version{" "}
+                {INSIGHTS_EXPORT_VERSION}).
+              </p>
+              <div className="grid grid-cols-2 gap-2">
+                <label className="text-[10px] font-bold text-slate-500">
+                  From
+                  <input
+                    type="date"
+                    value={exportFrom}
+                    max={exportTo}
+                    onChange={(e) => setExportFrom(e.target.value)}
+                    className="mt-1 w-full p-2 rounded-xl border border-slate-200 text-xs text-slate-700"
+                  />
+                </label>
+                <label className="text-[10px] font-bold text-slate-500">
+                  To
+                  <input
+                    type="date"
+                    value={exportTo}
+                    min={exportFrom}
+                    onChange={(e) => setExportTo(e.target.value)}
+                    className="mt-1 w-full p-2 rounded-xl border border-slate-200 text-xs text-slate-700"
+                  />
+                </label>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                {INSIGHTS_EXPORT_FORMATS.map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => setExportFormat(format)}
+                    className={`p-3 rounded-xl border text-xs font-bold ${
+                      exportFormat === format
+                        ? "border-emerald-500 bg-emerald-50 text-emerald-700"
+                        : "border-slate-200 text-slate-600"
+                    }`}
+                  >
+                    {format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+              {state.demoMode && (
+                <p className="text-[10px] text-amber-600">
+                  Demo mode is on, so the export holds demo data and is marked
+                  as such.
+                </p>
+              )}
+              <button
+                onClick={handleExportInsights}
+                className="w-full bg-slate-900 text-white font-bold py-3 rounded-xl text-xs hover:bg-slate-800 transition-colors flex items-center justify-center gap-2"
+              >
+                <Download size={14} /> Export
+              </button>
+            </div>
+
             {/* SECTION 7: DEMO / TEST / ADVANCED TOOLS */}
             <div className="mt-8 pt-6 border-t border-slate-200 space-y-4">
               <p className="text-xs text-slate-400 text-center mb-4">
@@ -8086,7 +11075,15 @@ const PhoneShell = ({ children, statusBar, bg = "bg-black" }) => (
   </div>
 );
 
-const AppIcon = ({ name, color, icon, onClick, isUnlocked, isMonitored }) => (
+const AppIcon = ({
+  name,
+  color,
+  icon,
+  onClick,
+  isUnlocked,
+  isMonitored,
+  graceSeconds = null,
+}) => (
   <button
     onClick={onClick}
     className="flex flex-col items-center gap-1.5 group relative"
@@ -8096,9 +11093,21 @@ const AppIcon = ({ name, color, icon, onClick, isUnlocked, isMonitored }) => (
     >
       {icon}
       {isMonitored && isUnlocked && (
-        <div className="absolute inset-0 border-4 border-green-400 rounded-2xl animate-pulse"></div>
+        <div
+          className={`absolute inset-0 border-4 rounded-2xl ${
+            graceSeconds != null ? "border-amber-400" : "border-green-400 animate-pulse"
+          }`}
+        ></div>
       )}
     </div>
+    {isMonitored && graceSeconds != null && (
+      <span
+        className="absolute -top-2 -right-2 bg-amber-400 text-slate-900 text-[9px] font-bold px-1.5 py-0.5 rounded-full shadow"
+        title="Come back before this runs out to skip the intervention"
+      >
+        {formatTimerDisplay(graceSeconds)}
+      </span>
+    )}
     <span
       className={`text-[11px] font-medium text-center leading-tight w-16 truncate ${
         name === "BreakLoop"
@@ -8113,6 +11122,47 @@ const AppIcon = ({ name, color, icon, onClick, isUnlocked, isMonitored }) => (
   </button>
 );
 
+// Progress ring of a screen time goal; the ring stays full once exceeded
+const GOAL_RING_COLORS = {
+  [GOAL_STATUSES.ON_TRACK]: "stroke-emerald-500",
+  [GOAL_STATUSES.WARNING]: "stroke-amber-400",
+  [GOAL_STATUSES.EXCEEDED]: "stroke-rose-500",
+};
+
+const GoalRing = ({ percent, status, size = 44, children }) => {
+  const radius = (size - 6) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const filled = Math.min(percent, 100) / 100;
+  return (
+    <div className="relative shrink-0" style={{ width: size, height: size }}>
+      <svg width={size} height={size} className="-rotate-90">
+        <circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          strokeWidth="5"
+          fill="none"
+          className="stroke-slate-200/60"
+        />
+        <circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          strokeWidth="5"
+          fill="none"
+          strokeLinecap="round"
+          strokeDasharray={circumference}
+          strokeDashoffset={circumference * (1 - filled)}
+          className={`${GOAL_RING_COLORS[status]} transition-all duration-500`}
+        />
+      </svg>
+      <div className="absolute inset-0 flex items-center justify-center">
+        {children}
+      </div>
+    </div>
+  );
+};
+
 const DockIcon = ({ bg, icon }) => (
   <button
     className={`w-12 h-12 ${bg} rounded-2xl flex items-center justify-center shadow-sm transition-transform hover:scale-105 active:scale-95`}
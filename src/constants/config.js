@@ -22,8 +22,16 @@ export const QUICK_TASK_ALLOWED_DURATIONS = QUICK_TASK_DURATION_OPTIONS.map(
   (opt) => opt.value
 );
 
+export const QUICK_TASK_ALLOWED_USES = [1, 2]; // Quick tasks per window
+export const QUICK_TASK_ALLOWED_DAILY_LIMITS = [3, 5, 8]; // Quick tasks per day (daily cap)
+
 export const DEFAULT_QUICK_TASK_DURATION = 3;
 export const DEFAULT_QUICK_TASK_LIMIT = 1;
+export const DEFAULT_QUICK_TASK_DAILY_LIMIT = 5;
+
+// Screen time goal limits (minutes per period)
+export const GOAL_DAILY_LIMIT_OPTIONS = [15, 30, 60, 120, 180];
+export const GOAL_WEEKLY_LIMIT_OPTIONS = [120, 300, 600, 900];
 
 // Default monitored apps
 export const DEFAULT_MONITORED_APPS = ["instagram", "tiktok"];
@@ -31,6 +39,15 @@ export const DEFAULT_MONITORED_APPS = ["instagram", "tiktok"];
 // Default application settings
 export const DEFAULT_SETTINGS = {
   interventionDuration: 5,
+  breathingPattern: "countdown", // See BREATHING_PATTERNS in core/intervention
+  escalation: {}, // Overrides for DEFAULT_ESCALATION_POLICY in core/intervention
+  // Per-app intervention profiles, keyed by app id (see core/intervention/profiles.js)
+  appProfiles: {
+    tiktok: { preset: "strict" },
+    youtube: { preset: "light" },
+  },
+  // Daily unlock budget reset hour and buddy overrides (see DEFAULT_BUDGET_SETTINGS)
+  unlockBudget: { dayStartHour: 4, allowBuddyOverride: true },
   gracePeriod: 5,
   shareAlternatives: true, // Share alternatives list with friends
   shareActivity: true, // Share current activity with friends
@@ -0,0 +1,5 @@
+/**
+ * Insights Export - Public API
+ */
+
+export * from './insightsExport';
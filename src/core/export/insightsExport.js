@@ -0,0 +1,381 @@
+/**
+ * Insights Export
+ *
+ * Framework-agnostic export of what the app recorded over a date range, for
+ * analysis outside the app: usage sessions, interventions, quick tasks,
+ * unlocks, completed alternatives and daily plan adherence. The export is
+ * one JSON document holding every table, or one CSV file per table.
+ *
+ * The columns of each table are described by INSIGHTS_EXPORT_SCHEMA (see
+ * also INSIGHTS_EXPORT.md). Any change to them bumps INSIGHTS_EXPORT_VERSION,
+ * which is part of every JSON document and file name. Exports made in demo
+ * mode are flagged as such, so demo data never passes for a user's own.
+ */
+
+import { JOURNAL_OUTCOMES } from '../intervention';
+import { getUsageMinutes } from '../usage';
+
+/**
+ * Export format version, bumped whenever a table or column changes
+ */
+export const INSIGHTS_EXPORT_VERSION = 1;
+
+export const INSIGHTS_EXPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Minutes of app use a plan item tolerates when it has no distracted limit
+ */
+export const DEFAULT_PLAN_DISTRACTED_LIMIT = 15;
+
+const column = (name, type, description) => ({ name, type, description });
+
+/**
+ * Tables of the export, keyed by ID
+ * Column types: 'string', 'number', 'boolean', 'datetime' (ISO 8601, UTC),
+ * 'date' (YYYY-MM-DD, local) and 'list' (strings, ";"-separated in CSV).
+ * Empty values are null in JSON and empty in CSV.
+ */
+export const INSIGHTS_EXPORT_SCHEMA = {
+  sessions: {
+    label: 'Usage sessions',
+    description: 'Time spent in an app, one row per visit.',
+    columns: [
+      column('appId', 'string', 'App ID'),
+      column('appName', 'string', 'App name'),
+      column('start', 'datetime', 'When the app came to the foreground'),
+      column('end', 'datetime', 'When the app was left'),
+      column('minutes', 'number', 'Length of the visit, to one decimal'),
+    ],
+  },
+  interventions: {
+    label: 'Interventions',
+    description: 'Every intervention, however it ended.',
+    columns: [
+      column('id', 'string', 'Intervention ID'),
+      column('appId', 'string', 'App that was opened'),
+      column('appName', 'string', 'App name'),
+      column('startedAt', 'datetime', 'When the intervention started'),
+      column('endedAt', 'datetime', 'When it ended'),
+      column('outcome', 'string', 'completed, unlocked or abandoned'),
+      column('causes', 'list', 'Root cause IDs selected'),
+      column('alternativeId', 'string', 'Alternative chosen'),
+      column('frictionLevel', 'number', 'Escalation level the intervention ran at'),
+      column('rating', 'number', 'Reflection rating (-1, 0 or 1)'),
+      column('urgeBefore', 'number', 'Urge before the alternative (0-10)'),
+      column('urgeAfter', 'number', 'Urge after the alternative (0-10)'),
+    ],
+  },
+  quickTasks: {
+    label: 'Quick tasks',
+    description: 'Quick tasks taken instead of an intervention.',
+    columns: [
+      column('id', 'string', 'Quick task ID'),
+      column('appId', 'string', 'App the quick task was for'),
+      column('appName', 'string', 'App name'),
+      column('startedAt', 'datetime', 'When the quick task started'),
+      column('endedAt', 'datetime', 'When the check-in was answered'),
+      column('intention', 'string', 'What the quick task was for'),
+      column('outcome', 'string', 'done, not-done or extended; empty without a check-in'),
+      column('extendsId', 'string', 'Quick task this one extended'),
+    ],
+  },
+  unlocks: {
+    label: 'Unlocks',
+    description: 'Interventions that ended with the app unlocked.',
+    columns: [
+      column('interventionId', 'string', 'Intervention ID'),
+      column('appId', 'string', 'App that was unlocked'),
+      column('appName', 'string', 'App name'),
+      column('unlockedAt', 'datetime', 'When the app was unlocked'),
+      column('minutes', 'number', 'Minutes the app was unlocked for'),
+      column('reason', 'string', 'Reason given for the unlock'),
+      column('budgetOverrideBy', 'string', 'Buddy who approved an unlock past the daily budget'),
+      column('causes', 'list', 'Root cause IDs selected'),
+    ],
+  },
+  alternatives: {
+    label: 'Alternatives completed',
+    description: 'Alternatives done to the end of an intervention.',
+    columns: [
+      column('interventionId', 'string', 'Intervention ID'),
+      column('alternativeId', 'string', 'Alternative ID'),
+      column('title', 'string', 'Alternative title'),
+      column('duration', 'string', 'Planned duration, as shown in the app'),
+      column('completedAt', 'datetime', 'When the reflection was finished'),
+      column('stepCompletion', 'number', 'Share of the steps checked off (0-100)'),
+      column('helpfulness', 'number', 'How helpful it was (1-5)'),
+      column('stillWantsApp', 'boolean', 'Whether the app was still wanted afterwards'),
+    ],
+  },
+  planAdherence: {
+    label: 'Daily plan adherence',
+    description: 'Each daily plan item on each day, once it is over.',
+    columns: [
+      column('date', 'date', 'Day of the plan item'),
+      column('planItemId', 'string', 'Plan item ID'),
+      column('title', 'string', 'Plan item title'),
+      column('start', 'datetime', 'When the item started'),
+      column('end', 'datetime', 'When the item ended'),
+      column('appMinutes', 'number', 'Minutes spent in apps during the item'),
+      column('distractedLimit', 'number', 'Minutes of app use the item tolerates'),
+      column('interventions', 'number', 'Interventions started during the item'),
+      column('quickTasks', 'number', 'Quick tasks started during the item'),
+      column('adhered', 'boolean', 'Whether app use stayed within the limit'),
+    ],
+  },
+};
+
+const toDateTime = (timestamp) => (timestamp != null ? new Date(timestamp).toISOString() : null);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const inRange = (timestamp, { from, to }) => timestamp >= from && timestamp < to;
+
+const countInRange = (entries, range) =>
+  entries.filter((entry) => inRange(entry.startedAt, range)).length;
+
+const atTime = (dayStart, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(dayStart);
+  date.setHours(hours, minutes, 0, 0);
+  return date.getTime();
+};
+
+const nextDay = (dayStart) => {
+  const date = new Date(dayStart);
+  date.setDate(date.getDate() + 1);
+  return date.getTime();
+};
+
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  // Rejects days that roll over, like 2026-02-30
+  return date.getMonth() === month - 1 && date.getDate() === day ? date.getTime() : null;
+};
+
+/**
+ * Get the range covering whole local days
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} lastDate - Last day, included (YYYY-MM-DD)
+ * @returns {Object|null} { from, to } timestamps (to exclusive), or null when
+ *   a day is invalid or the last day is before the first
+ */
+export const getExportRange = (fromDate, lastDate) => {
+  const from = parseDay(fromDate);
+  const last = parseDay(lastDate);
+  if (from == null || last == null || last < from) return null;
+  return { from, to: nextDay(last) };
+};
+
+/**
+ * Format a timestamp as a local day, as taken by getExportRange
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} YYYY-MM-DD
+ */
+export const toExportDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Get the adherence to the daily plan, one row per plan item and day
+ * Only items that are over by now are included.
+ * @returns {Array} Rows as described by INSIGHTS_EXPORT_SCHEMA.planAdherence
+ */
+const getPlanAdherence = ({ dailyPlan, sessions, journal, quickTaskLog, range, now }) => {
+  const rows = [];
+  const firstDay = new Date(range.from).setHours(0, 0, 0, 0);
+  for (let day = firstDay; day < range.to; day = nextDay(day)) {
+    dailyPlan.forEach((item) => {
+      const start = atTime(day, item.time);
+      const end = start + (item.duration || 0) * 60 * 1000;
+      if (start < range.from || end > Math.min(range.to, now)) return;
+      const slot = { from: start, to: end };
+      const appMinutes = Math.round(getUsageMinutes(sessions, start, end));
+      const distractedLimit =
+        item.supervision?.distractedLimit ?? DEFAULT_PLAN_DISTRACTED_LIMIT;
+      rows.push({
+        date: toExportDate(day),
+        planItemId: item.id,
+        title: item.title,
+        start: toDateTime(start),
+        end: toDateTime(end),
+        appMinutes,
+        distractedLimit,
+        interventions: countInRange(journal, slot),
+        quickTasks: countInRange(quickTaskLog, slot),
+        adhered: appMinutes <= distractedLimit,
+      });
+    });
+  }
+  return rows.sort((a, b) => a.start.localeCompare(b.start));
+};
+
+const byStart = (key) => (a, b) => a[key] - b[key];
+
+/**
+ * Build the export for a date range
+ * @param {Object} params
+ * @param {Array} [params.usageLog] - Usage log (see core/usage)
+ * @param {Object|null} [params.openSession] - Usage session still running (counts up to now)
+ * @param {Array} [params.journal] - Intervention journal records
+ * @param {Array} [params.quickTaskLog] - Quick task log entries
+ * @param {Array} [params.dailyPlan] - Daily plan items ({ id, time: "HH:MM", duration, title, supervision })
+ * @param {Object} params.range - { from, to } timestamps (to exclusive), see getExportRange
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @param {boolean} [params.demo] - Whether the data comes from demo mode
+ * @returns {Object} { format, version, exportedAt, demo, range: { from, to },
+ *   schema, tables } with one array of rows per INSIGHTS_EXPORT_SCHEMA table,
+ *   oldest first
+ */
+export const buildInsightsExport = ({
+  usageLog = [],
+  openSession = null,
+  journal = [],
+  quickTaskLog = [],
+  dailyPlan = [],
+  range,
+  now,
+  demo = false,
+}) => {
+  const sessions = openSession
+    ? [{ ...openSession, end: Math.max(now, openSession.start) }, ...usageLog]
+    : usageLog;
+  const records = journal
+    .filter((record) => inRange(record.startedAt, range))
+    .sort(byStart('startedAt'));
+  const unlocked = records.filter((record) => record.outcome === JOURNAL_OUTCOMES.UNLOCKED);
+  const completed = records.filter(
+    (record) => record.outcome === JOURNAL_OUTCOMES.COMPLETED && record.alternative
+  );
+
+  const tables = {
+    sessions: sessions
+      .filter((session) => session.end > range.from && session.start < range.to)
+      .sort(byStart('start'))
+      .map((session) => ({
+        appId: session.appId,
+        appName: session.appName || session.appId,
+        start: toDateTime(session.start),
+        end: toDateTime(session.end),
+        minutes: Math.round(((session.end - session.start) / 60000) * 10) / 10,
+      })),
+    interventions: records.map((record) => ({
+      id: record.id,
+      appId: record.appId,
+      appName: record.appName,
+      startedAt: toDateTime(record.startedAt),
+      endedAt: toDateTime(record.endedAt),
+      outcome: record.outcome,
+      causes: record.causes || [],
+      alternativeId: record.alternative?.id ?? null,
+      frictionLevel: record.frictionLevel ?? 0,
+      rating: record.rating ?? null,
+      urgeBefore: record.reflection?.urgeBefore ?? null,
+      urgeAfter: record.reflection?.urgeAfter ?? null,
+    })),
+    quickTasks: quickTaskLog
+      .filter((entry) => inRange(entry.startedAt, range))
+      .sort(byStart('startedAt'))
+      .map((entry) => ({
+        id: entry.id,
+        appId: entry.appId,
+        appName: entry.appName || entry.appId,
+        startedAt: toDateTime(entry.startedAt),
+        endedAt: toDateTime(entry.endedAt),
+        intention: entry.intention || null,
+        outcome: entry.outcome || null,
+        extendsId: entry.extendsId || null,
+      })),
+    unlocks: unlocked.map((record) => ({
+      interventionId: record.id,
+      appId: record.appId,
+      appName: record.appName,
+      unlockedAt: toDateTime(record.endedAt),
+      minutes: record.unlockMinutes ?? null,
+      reason: record.unlockReason ?? null,
+      budgetOverrideBy: record.budgetOverride?.buddyName ?? null,
+      causes: record.causes || [],
+    })),
+    alternatives: completed.map((record) => ({
+      interventionId: record.id,
+      alternativeId: record.alternative.id,
+      title: record.alternative.title,
+      duration: record.alternative.duration,
+      completedAt: toDateTime(record.endedAt),
+      stepCompletion: record.stepCompletion ?? null,
+      helpfulness: record.reflection?.helpfulness ?? null,
+      stillWantsApp: record.reflection?.stillWantsApp ?? null,
+    })),
+    planAdherence: getPlanAdherence({
+      dailyPlan,
+      sessions,
+      journal,
+      quickTaskLog,
+      range,
+      now,
+    }),
+  };
+
+  return {
+    format: 'breakloop-insights',
+    version: INSIGHTS_EXPORT_VERSION,
+    exportedAt: toDateTime(now),
+    demo,
+    range: { from: toDateTime(range.from), to: toDateTime(range.to) },
+    schema: INSIGHTS_EXPORT_SCHEMA,
+    tables,
+  };
+};
+
+// Text a spreadsheet would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const toCsvValue = (value) => {
+  if (value == null) return '';
+  const joined = Array.isArray(value) ? value.join(';') : String(value);
+  // Free text such as intentions and reasons must stay text when opened
+  const text = typeof value === 'number' || !FORMULA_START.test(joined) ? joined : `'${joined}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise the export as JSON
+ * @param {Object} data - From buildInsightsExport
+ * @returns {string}
+ */
+export const toInsightsJson = (data) => JSON.stringify(data, null, 2);
+
+/**
+ * Serialise one table of the export as CSV, with a header row
+ * @param {Object} data - From buildInsightsExport
+ * @param {string} table - Table ID (see INSIGHTS_EXPORT_SCHEMA)
+ * @returns {string}
+ */
+export const toInsightsCsv = (data, table) => {
+  const { columns } = INSIGHTS_EXPORT_SCHEMA[table];
+  return [
+    columns.map((col) => col.name).join(','),
+    ...data.tables[table].map((row) =>
+      columns.map((col) => toCsvValue(row[col.name])).join(',')
+    ),
+  ].join('\r\n');
+};
+
+/**
+ * Get the file name for an export
+ * @param {Object} data - From buildInsightsExport
+ * @param {Object} options
+ * @param {string} options.format - 'json' or 'csv'
+ * @param {string} [options.table] - Table ID, for CSV
+ * @returns {string} e.g. "breakloop-sessions-v1-2026-01-05-to-2026-01-11.csv"
+ */
+export const getInsightsExportFileName = (data, { format, table }) => {
+  const from = toExportDate(Date.parse(data.range.from));
+  const last = toExportDate(Date.parse(data.range.to) - 1);
+  const name = format === 'csv' ? table : 'insights';
+  return `breakloop-${data.demo ? 'demo-' : ''}${name}-v${data.version}-${from}-to-${last}.${format}`;
+};
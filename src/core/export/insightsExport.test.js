@@ -0,0 +1,228 @@
+import {
+  INSIGHTS_EXPORT_SCHEMA,
+  INSIGHTS_EXPORT_VERSION,
+  buildInsightsExport,
+  getExportRange,
+  getInsightsExportFileName,
+  toExportDate,
+  toInsightsCsv,
+  toInsightsJson,
+} from "./index";
+
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute).getTime();
+const iso = (timestamp) => new Date(timestamp).toISOString();
+
+const usageLog = [
+  { appId: "instagram", appName: "Instagram", start: at(6, 9, 30), end: at(6, 9, 50) },
+  { appId: "tiktok", appName: "TikTok", start: at(4, 20), end: at(4, 21) },
+];
+
+const journal = [
+  {
+    id: "i3",
+    appId: "instagram",
+    appName: "Instagram",
+    startedAt: at(6, 10),
+    endedAt: at(6, 10, 5),
+    causes: ["boredom", "fatigue"],
+    alternative: { id: "r1", title: "Power Nap", duration: "20m" },
+    stepCompletion: 100,
+    reflection: { urgeBefore: 7, urgeAfter: 2, helpfulness: 5, stillWantsApp: false },
+    frictionLevel: 1,
+    rating: 1,
+    outcome: "completed",
+  },
+  {
+    id: "i2",
+    appId: "tiktok",
+    appName: "TikTok",
+    startedAt: at(5, 21),
+    endedAt: at(5, 21, 2),
+    causes: ["anxiety"],
+    alternative: null,
+    unlockMinutes: 10,
+    unlockReason: "Reply to a message, quickly",
+    budgetOverride: { buddyId: "f1", buddyName: "Alex" },
+    frictionLevel: 0,
+    outcome: "unlocked",
+  },
+  { id: "i1", appId: "tiktok", startedAt: at(4, 20), causes: [], outcome: "abandoned" },
+];
+
+const quickTaskLog = [
+  {
+    id: "q1",
+    appId: "instagram",
+    appName: "Instagram",
+    startedAt: at(6, 11),
+    intention: "Check the event time",
+    extendsId: null,
+    outcome: "done",
+    endedAt: at(6, 11, 3),
+  },
+];
+
+const dailyPlan = [
+  { id: "p1", time: "09:00", duration: 180, title: "Deep Work", supervision: { distractedLimit: 15 } },
+  { id: "p2", time: "18:00", duration: 60, title: "Gym" },
+];
+
+const range = getExportRange("2026-01-05", "2026-01-06");
+const build = (overrides = {}) =>
+  buildInsightsExport({
+    usageLog,
+    journal,
+    quickTaskLog,
+    dailyPlan,
+    range,
+    now: at(6, 15),
+    ...overrides,
+  });
+
+describe("export range", () => {
+  it("covers whole local days, the last one included", () => {
+    expect(getExportRange("2026-01-05", "2026-01-06")).toEqual({ from: at(5, 0), to: at(7, 0) });
+    expect(toExportDate(at(5, 23, 59))).toBe("2026-01-05");
+  });
+
+  it("rejects invalid and reversed days", () => {
+    expect(getExportRange("2026-02-30", "2026-03-01")).toBeNull();
+    expect(getExportRange("2026-01-06", "2026-01-05")).toBeNull();
+    expect(getExportRange("", "2026-01-05")).toBeNull();
+  });
+});
+
+describe("insights export", () => {
+  it("is versioned and carries its schema", () => {
+    const data = build();
+    expect(data).toMatchObject({
+      format: "breakloop-insights",
+      version: INSIGHTS_EXPORT_VERSION,
+      exportedAt: iso(at(6, 15)),
+      demo: false,
+      range: { from: iso(at(5, 0)), to: iso(at(7, 0)) },
+    });
+    expect(data.schema).toBe(INSIGHTS_EXPORT_SCHEMA);
+    Object.entries(data.tables).forEach(([table, rows]) => {
+      const columns = INSIGHTS_EXPORT_SCHEMA[table].columns.map((col) => col.name);
+      rows.forEach((row) => expect(Object.keys(row)).toEqual(columns));
+    });
+  });
+
+  it("only includes what happened in the range, oldest first", () => {
+    const { tables } = build();
+    expect(tables.sessions).toEqual([
+      {
+        appId: "instagram",
+        appName: "Instagram",
+        start: iso(at(6, 9, 30)),
+        end: iso(at(6, 9, 50)),
+        minutes: 20,
+      },
+    ]);
+    expect(tables.interventions.map((row) => row.id)).toEqual(["i2", "i3"]);
+    expect(tables.interventions[1]).toMatchObject({
+      causes: ["boredom", "fatigue"],
+      alternativeId: "r1",
+      urgeBefore: 7,
+      urgeAfter: 2,
+    });
+    expect(tables.quickTasks).toEqual([
+      {
+        id: "q1",
+        appId: "instagram",
+        appName: "Instagram",
+        startedAt: iso(at(6, 11)),
+        endedAt: iso(at(6, 11, 3)),
+        intention: "Check the event time",
+        outcome: "done",
+        extendsId: null,
+      },
+    ]);
+  });
+
+  it("lists unlocks and completed alternatives", () => {
+    const { tables } = build();
+    expect(tables.unlocks).toEqual([
+      {
+        interventionId: "i2",
+        appId: "tiktok",
+        appName: "TikTok",
+        unlockedAt: iso(at(5, 21, 2)),
+        minutes: 10,
+        reason: "Reply to a message, quickly",
+        budgetOverrideBy: "Alex",
+        causes: ["anxiety"],
+      },
+    ]);
+    expect(tables.alternatives).toEqual([
+      {
+        interventionId: "i3",
+        alternativeId: "r1",
+        title: "Power Nap",
+        duration: "20m",
+        completedAt: iso(at(6, 10, 5)),
+        stepCompletion: 100,
+        helpfulness: 5,
+        stillWantsApp: false,
+      },
+    ]);
+  });
+
+  it("checks every plan item that is over against the app use during it", () => {
+    const { tables } = build({
+      openSession: { appId: "tiktok", appName: "TikTok", start: at(6, 11, 50), lastSeenAt: at(6, 11, 55) },
+    });
+    // Today's gym session has not happened yet
+    expect(tables.planAdherence.map((row) => `${row.date} ${row.planItemId}`)).toEqual([
+      "2026-01-05 p1",
+      "2026-01-05 p2",
+      "2026-01-06 p1",
+    ]);
+    expect(tables.planAdherence[0]).toMatchObject({ appMinutes: 0, adhered: true });
+    expect(tables.planAdherence[1]).toMatchObject({ distractedLimit: 15, interventions: 0 });
+    expect(tables.planAdherence[2]).toMatchObject({
+      start: iso(at(6, 9)),
+      end: iso(at(6, 12)),
+      appMinutes: 30,
+      interventions: 1,
+      quickTasks: 1,
+      adhered: false,
+    });
+  });
+
+  it("writes one CSV per table, quoting where needed", () => {
+    const csv = toInsightsCsv(build(), "unlocks").split("\r\n");
+    expect(csv[0]).toBe(
+      "interventionId,appId,appName,unlockedAt,minutes,reason,budgetOverrideBy,causes"
+    );
+    expect(csv[1]).toBe(
+      `i2,tiktok,TikTok,${iso(at(5, 21, 2))},10,"Reply to a message, quickly",Alex,anxiety`
+    );
+    expect(toInsightsCsv(build(), "interventions").split("\r\n")[1]).toMatch(/,unlocked,anxiety,,0,,,$/);
+  });
+
+  it("keeps text that looks like a formula from running in a spreadsheet", () => {
+    const text = (intention) =>
+      toInsightsCsv(
+        build({ quickTaskLog: [{ ...quickTaskLog[0], intention }] }),
+        "quickTasks"
+      ).split("\r\n")[1];
+    expect(text("=HYPERLINK(\"http://x\")")).toContain(`"'=HYPERLINK(""http://x"")"`);
+    expect(text("+1 more")).toContain(",'+1 more,");
+    expect(text("-check mail")).toContain(",'-check mail,");
+    expect(text("@home")).toContain(",'@home,");
+    expect(text("Check the event time")).toContain(",Check the event time,");
+  });
+
+  it("flags demo data in the document and file names", () => {
+    const data = build({ demo: true });
+    expect(JSON.parse(toInsightsJson(data)).demo).toBe(true);
+    expect(getInsightsExportFileName(data, { format: "json" })).toBe(
+      "breakloop-demo-insights-v1-2026-01-05-to-2026-01-06.json"
+    );
+    expect(getInsightsExportFileName(build(), { format: "csv", table: "sessions" })).toBe(
+      "breakloop-sessions-v1-2026-01-05-to-2026-01-06.csv"
+    );
+  });
+});
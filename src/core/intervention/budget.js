@@ -0,0 +1,150 @@
+/**
+ * Intervention State Machine - Daily Unlock Budget
+ *
+ * Framework-agnostic daily budget of unlock minutes per app. The journal is
+ * the ledger: every 'unlocked' record spends its `unlockMinutes` on the budget
+ * day it ended in. Budget days start at a configurable local hour, so a
+ * late-night session still counts towards the evening it belongs to.
+ */
+
+import { JOURNAL_OUTCOMES } from './journal';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Default budget settings
+ * - dayStartHour: Local hour (0-23) at which budgets reset
+ * - allowBuddyOverride: Whether a buddy can approve unlocks past the budget
+ */
+export const DEFAULT_BUDGET_SETTINGS = {
+  dayStartHour: 4,
+  allowBuddyOverride: true,
+};
+
+/**
+ * Daily budgets offered in settings (minutes)
+ */
+export const UNLOCK_BUDGET_OPTIONS = [15, 30, 60, 120];
+
+/**
+ * Get the start of the budget day containing a timestamp
+ * @param {number} now - Timestamp in milliseconds
+ * @param {number} [dayStartHour] - Local hour at which the budget day starts
+ * @returns {number} Timestamp of the budget day start (local time)
+ */
+export const getBudgetDayStart = (now, dayStartHour = DEFAULT_BUDGET_SETTINGS.dayStartHour) => {
+  const start = new Date(now);
+  start.setHours(Number(dayStartHour) || 0, 0, 0, 0);
+  if (start.getTime() > now) start.setDate(start.getDate() - 1);
+  return start.getTime();
+};
+
+/**
+ * Get the start of the budget day after the one containing a timestamp
+ * @param {number} now - Timestamp in milliseconds
+ * @param {number} [dayStartHour] - Local hour at which the budget day starts
+ * @returns {number} Timestamp of the next budget day start (local time)
+ */
+export const getNextBudgetDayStart = (
+  now,
+  dayStartHour = DEFAULT_BUDGET_SETTINGS.dayStartHour
+) =>
+  // Aim a couple of hours into tomorrow so 23h/25h DST days still land there
+  getBudgetDayStart(getBudgetDayStart(now, dayStartHour) + DAY_MS + 2 * HOUR_MS, dayStartHour);
+
+/**
+ * Sum the unlock minutes spent on an app within [from, to)
+ * @param {Array} journal - Intervention journal records
+ * @param {string} appId - App ID
+ * @param {number} from - Start timestamp (inclusive)
+ * @param {number} to - End timestamp (exclusive)
+ * @returns {{ minutes: number, unlocks: number, overrides: number }}
+ */
+export const getUnlockUsage = (journal = [], appId, from, to) =>
+  journal
+    .filter(
+      (entry) =>
+        entry.appId === appId &&
+        entry.outcome === JOURNAL_OUTCOMES.UNLOCKED &&
+        entry.endedAt >= from &&
+        entry.endedAt < to
+    )
+    .reduce(
+      (usage, entry) => ({
+        minutes: usage.minutes + (Number(entry.unlockMinutes) || 0),
+        unlocks: usage.unlocks + 1,
+        overrides: usage.overrides + (entry.budgetOverride ? 1 : 0),
+      }),
+      { minutes: 0, unlocks: 0, overrides: 0 }
+    );
+
+/**
+ * Get today's unlock budget for an app
+ * @param {Object} params
+ * @param {Array} params.journal - Intervention journal records
+ * @param {string} params.appId - App ID
+ * @param {number|null} params.dailyBudgetMinutes - Budget from the app profile (null = unlimited)
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @param {Object} [params.settings] - Budget settings (see DEFAULT_BUDGET_SETTINGS)
+ * @returns {Object|null} { limit, used, remaining, exhausted, allowBuddyOverride, resetsAt },
+ *   or null when the app has no budget
+ */
+export const getUnlockBudget = ({ journal, appId, dailyBudgetMinutes, now, settings = {} }) => {
+  if (dailyBudgetMinutes == null) return null;
+  const { dayStartHour, allowBuddyOverride } = { ...DEFAULT_BUDGET_SETTINGS, ...settings };
+  const dayStart = getBudgetDayStart(now, dayStartHour);
+  const limit = Number(dailyBudgetMinutes);
+  const { minutes: used } = getUnlockUsage(journal, appId, dayStart, now + 1);
+  const remaining = Math.max(0, limit - used);
+  return {
+    limit,
+    used,
+    remaining,
+    exhausted: remaining === 0,
+    allowBuddyOverride,
+    resetsAt: getNextBudgetDayStart(now, dayStartHour),
+  };
+};
+
+/**
+ * Check if an unlock fits the budget captured on the context
+ * An exhausted budget can only be passed with a buddy override, if allowed.
+ * @param {Object} context - Intervention context
+ * @param {Object} action - UNLOCK_APP action ({ minutes, override })
+ * @returns {boolean}
+ */
+export const isUnlockWithinBudget = (context, action) => {
+  const budget = context.unlockBudget;
+  if (!budget) return true;
+  if (action.override) return budget.allowBuddyOverride;
+  return action.minutes <= budget.remaining;
+};
+
+/**
+ * Get daily unlock usage for the last days, for Insights
+ * @param {Array} journal - Intervention journal records
+ * @param {string} appId - App ID
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {Object} [options]
+ * @param {number} [options.days] - Number of budget days, including today
+ * @param {number} [options.dayStartHour] - Local hour at which budget days start
+ * @returns {Array} Oldest first: { dayStart, minutes, unlocks, overrides }
+ */
+export const getUnlockBudgetHistory = (
+  journal,
+  appId,
+  now,
+  { days = 7, dayStartHour = DEFAULT_BUDGET_SETTINGS.dayStartHour } = {}
+) => {
+  const history = [];
+  let end = now + 1;
+  let dayStart = getBudgetDayStart(now, dayStartHour);
+  for (let i = 0; i < days; i += 1) {
+    history.unshift({ dayStart, ...getUnlockUsage(journal, appId, dayStart, end) });
+    end = dayStart;
+    // The millisecond before a day starts belongs to the previous one (DST-safe)
+    dayStart = getBudgetDayStart(dayStart - 1, dayStartHour);
+  }
+  return history;
+};
@@ -0,0 +1,87 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  beginIntervention,
+  resolveInterventionProfile,
+  getBudgetDayStart,
+  getUnlockBudget,
+  getUnlockBudgetHistory,
+  getUnlockMinuteOptions,
+} from "./index";
+
+const app = { id: "tiktok", name: "TikTok" };
+// Local times, so the day boundary is independent of the test machine's zone
+const at = (day, hour, minute = 0) => new Date(2024, 2, day, hour, minute).getTime();
+const unlock = (id, endedAt, minutes, budgetOverride = null) => ({
+  id,
+  appId: app.id,
+  outcome: "unlocked",
+  startedAt: endedAt,
+  endedAt,
+  unlockMinutes: minutes,
+  budgetOverride,
+});
+
+describe("daily unlock budget", () => {
+  it("resets at the configured local hour", () => {
+    expect(getBudgetDayStart(at(10, 2), 4)).toBe(at(9, 4));
+    expect(getBudgetDayStart(at(10, 5), 4)).toBe(at(10, 4));
+    expect(getBudgetDayStart(at(10, 2), 0)).toBe(at(10, 0));
+  });
+
+  it("subtracts today's unlocks from the budget", () => {
+    const journal = [
+      unlock("a", at(9, 23), 15),
+      unlock("b", at(10, 3), 10),
+      unlock("c", at(10, 9), 15),
+    ];
+    const budget = getUnlockBudget({
+      journal,
+      appId: app.id,
+      dailyBudgetMinutes: 30,
+      now: at(10, 12),
+      settings: { dayStartHour: 4 },
+    });
+    expect(budget.used).toBe(15);
+    expect(budget.remaining).toBe(15);
+    expect(budget.resetsAt).toBe(at(11, 4));
+    expect(getUnlockBudget({ journal, appId: app.id, dailyBudgetMinutes: null, now: 0 })).toBeNull();
+  });
+
+  it("refuses unlocks past the budget unless a buddy overrides", () => {
+    const profile = resolveInterventionProfile(app.id, {
+      appProfiles: { tiktok: { preset: "strict" } },
+    });
+    const unlockBudget = getUnlockBudget({
+      journal: [unlock("a", at(10, 9), 30)],
+      appId: app.id,
+      dailyBudgetMinutes: profile.dailyBudgetMinutes,
+      now: at(10, 12),
+    });
+    expect(unlockBudget.exhausted).toBe(true);
+    expect(getUnlockMinuteOptions(profile, unlockBudget)).toEqual([]);
+
+    const timer = [{ type: "BREATHING_COMPLETE" }, { type: "PROCEED_TO_TIMER" }].reduce(
+      interventionReducer,
+      beginIntervention(createInitialInterventionContext(), app, profile, { unlockBudget })
+    );
+    expect(interventionReducer(timer, { type: "UNLOCK_APP", minutes: 5 })).toBe(timer);
+
+    const override = { buddyId: "f1", buddyName: "Alex" };
+    const unlocked = interventionReducer(timer, { type: "UNLOCK_APP", minutes: 5, override });
+    expect(unlocked.state).toBe("idle");
+    expect(unlocked.lastRecord.budgetOverride).toEqual(override);
+  });
+
+  it("summarises the last days for Insights", () => {
+    const journal = [
+      unlock("a", at(8, 20), 15),
+      unlock("b", at(10, 9), 5, { buddyId: "f1" }),
+      unlock("c", at(10, 10), 5),
+    ];
+    const history = getUnlockBudgetHistory(journal, app.id, at(10, 12), { days: 3 });
+    expect(history.map((day) => day.dayStart)).toEqual([at(8, 4), at(9, 4), at(10, 4)]);
+    expect(history.map((day) => day.minutes)).toEqual([15, 0, 10]);
+    expect(history[2].overrides).toBe(1);
+  });
+});
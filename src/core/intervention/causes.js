@@ -0,0 +1,252 @@
+/**
+ * Intervention State Machine - Causes
+ *
+ * Framework-agnostic merging of the built-in root causes with the user's own.
+ * The user's edits are stored as an ordered list of plain entries:
+ * - Built-in entries { id, label, icon, hidden, alternatives } override a
+ *   built-in cause; a null label/icon keeps the built-in one
+ * - Custom entries { id, label, icon, hidden, alternatives, isCustom: true }
+ * Built-in causes missing from the stored list are appended in their default
+ * order, so an empty list means "the defaults". `alternatives` are the user's
+ * own alternatives for that cause, merged into the alternatives database.
+ *
+ * During an intervention each selected cause also carries details
+ * { intensity, note }: how strong it is (1-5) and an optional short note.
+ */
+
+/**
+ * Intensity scale for a selected cause
+ */
+export const CAUSE_INTENSITY_MIN = 1;
+export const CAUSE_INTENSITY_MAX = 5;
+export const DEFAULT_CAUSE_INTENSITY = 3;
+
+/**
+ * Maximum length of the note on a selected cause
+ */
+export const CAUSE_NOTE_MAX_LENGTH = 140;
+
+/**
+ * Build a custom cause entry
+ * @param {Object} cause
+ * @param {string} cause.label - Label shown on the root-cause screen
+ * @param {string} [cause.icon] - Emoji icon
+ * @param {number} [now] - Timestamp used for the ID
+ * @returns {Object} Custom cause entry
+ */
+export const createCustomCause = ({ label, icon }, now = Date.now()) => ({
+  id: `cause-${now}`,
+  label: label.trim(),
+  icon: icon || '💭',
+  hidden: false,
+  alternatives: [],
+  isCustom: true,
+});
+
+/**
+ * Build an alternative for a cause
+ * @param {Object} alternative
+ * @param {string} alternative.title - Title
+ * @param {string} [alternative.duration] - Duration (e.g. "10m")
+ * @param {number} [now] - Timestamp used for the ID
+ * @returns {Object} Alternative in the shape of the alternatives database
+ */
+export const createCauseAlternative = ({ title, duration }, now = Date.now()) => ({
+  id: `cause-alt-${now}`,
+  title: title.trim(),
+  desc: '',
+  duration: duration || '10m',
+  type: 'custom',
+  tags: [],
+  likes: 0,
+  actions: [],
+});
+
+/**
+ * Normalize stored cause entries to the full ordered list
+ * @param {Array} builtInCauses - Built-in causes ({ id, label, icon })
+ * @param {Array} [storedCauses] - Stored cause entries
+ * @returns {Array} Entries for every cause, in display order
+ */
+export const normalizeCauseEntries = (builtInCauses, storedCauses = []) => {
+  const builtInIds = builtInCauses.map((cause) => cause.id);
+  const entries = storedCauses
+    .filter((entry) => entry.isCustom || builtInIds.includes(entry.id))
+    .map((entry) =>
+      entry.isCustom
+        ? { ...entry, hidden: Boolean(entry.hidden), alternatives: entry.alternatives || [] }
+        : {
+            id: entry.id,
+            label: entry.label || null,
+            icon: entry.icon || null,
+            hidden: Boolean(entry.hidden),
+            alternatives: entry.alternatives || [],
+          }
+    );
+  builtInIds
+    .filter((id) => !entries.some((entry) => entry.id === id))
+    .forEach((id) =>
+      entries.push({ id, label: null, icon: null, hidden: false, alternatives: [] })
+    );
+  return entries;
+};
+
+/**
+ * Merge built-in causes with the stored entries
+ * @param {Array} builtInCauses - Built-in causes ({ id, label, icon })
+ * @param {Array} [storedCauses] - Stored cause entries
+ * @returns {Array} Causes in display order: { id, label, icon, hidden, alternatives, isCustom }
+ */
+export const mergeCauses = (builtInCauses, storedCauses = []) =>
+  normalizeCauseEntries(builtInCauses, storedCauses).map((entry) => {
+    if (entry.isCustom) return entry;
+    const builtIn = builtInCauses.find((cause) => cause.id === entry.id);
+    return {
+      ...builtIn,
+      label: entry.label || builtIn.label,
+      icon: entry.icon || builtIn.icon,
+      hidden: entry.hidden,
+      alternatives: entry.alternatives,
+      isCustom: false,
+    };
+  });
+
+/**
+ * Get the causes offered on the root-cause screen
+ * @param {Array} causes - Merged causes
+ * @returns {Array}
+ */
+export const getVisibleCauses = (causes) => causes.filter((cause) => !cause.hidden);
+
+/**
+ * Add a custom cause at the end of the list
+ * @param {Array} builtInCauses - Built-in causes
+ * @param {Array} storedCauses - Stored cause entries
+ * @param {Object} cause - Entry from createCustomCause
+ * @returns {Array} New stored cause entries
+ */
+export const addCause = (builtInCauses, storedCauses, cause) => [
+  ...normalizeCauseEntries(builtInCauses, storedCauses),
+  cause,
+];
+
+/**
+ * Edit a cause's label, icon or visibility
+ * @param {Array} builtInCauses - Built-in causes
+ * @param {Array} storedCauses - Stored cause entries
+ * @param {string} causeId - Cause ID
+ * @param {Object} changes - { label, icon, hidden, alternatives }
+ * @returns {Array} New stored cause entries
+ */
+export const updateCause = (builtInCauses, storedCauses, causeId, changes) =>
+  normalizeCauseEntries(builtInCauses, storedCauses).map((entry) =>
+    entry.id === causeId ? { ...entry, ...changes } : entry
+  );
+
+/**
+ * Move a cause up or down
+ * @param {Array} builtInCauses - Built-in causes
+ * @param {Array} storedCauses - Stored cause entries
+ * @param {string} causeId - Cause ID
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Array} New stored cause entries
+ */
+export const moveCause = (builtInCauses, storedCauses, causeId, offset) => {
+  const entries = normalizeCauseEntries(builtInCauses, storedCauses);
+  const from = entries.findIndex((entry) => entry.id === causeId);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= entries.length) return entries;
+  const [entry] = entries.splice(from, 1);
+  entries.splice(to, 0, entry);
+  return entries;
+};
+
+/**
+ * Delete a custom cause (built-in causes can only be hidden)
+ * @param {Array} builtInCauses - Built-in causes
+ * @param {Array} storedCauses - Stored cause entries
+ * @param {string} causeId - Cause ID
+ * @returns {Array} New stored cause entries
+ */
+export const removeCustomCause = (builtInCauses, storedCauses, causeId) =>
+  normalizeCauseEntries(builtInCauses, storedCauses).filter(
+    (entry) => !(entry.isCustom && entry.id === causeId)
+  );
+
+/**
+ * Merge the causes' own alternatives into the alternatives database
+ * @param {Object} database - Built-in alternatives keyed by cause ID
+ * @param {Array} causes - Merged causes
+ * @returns {Object} Alternatives keyed by cause ID; built-in ones first
+ */
+export const buildAlternativesDatabase = (database, causes) =>
+  causes.reduce(
+    (merged, cause) =>
+      cause.alternatives?.length
+        ? { ...merged, [cause.id]: [...(merged[cause.id] || []), ...cause.alternatives] }
+        : merged,
+    database
+  );
+
+/**
+ * Check the details carried by SELECT_CAUSE / SET_CAUSE_DETAILS
+ * Missing fields are valid (they keep their current value).
+ * @param {Object} details - { intensity, note }
+ * @returns {boolean}
+ */
+export const isValidCauseDetails = ({ intensity, note } = {}) => {
+  if (
+    intensity !== undefined &&
+    !(
+      Number.isInteger(intensity) &&
+      intensity >= CAUSE_INTENSITY_MIN &&
+      intensity <= CAUSE_INTENSITY_MAX
+    )
+  ) {
+    return false;
+  }
+  if (note === undefined || note === null) return true;
+  return typeof note === 'string' && note.trim().length <= CAUSE_NOTE_MAX_LENGTH;
+};
+
+/**
+ * Merge new details into a cause's current details
+ * @param {Object|undefined} current - Current { intensity, note }
+ * @param {Object} changes - { intensity, note }; missing fields are kept
+ * @returns {Object} { intensity, note }
+ */
+export const mergeCauseDetails = (current, { intensity, note } = {}) => ({
+  intensity: intensity ?? current?.intensity ?? DEFAULT_CAUSE_INTENSITY,
+  // Kept as typed (trailing spaces included); trimmed when recorded
+  note: note === undefined ? current?.note ?? null : note || null,
+});
+
+/**
+ * Get the intensity of a selected cause
+ * Journal records from before intensities were recorded have none, so they
+ * count as the default.
+ * @param {Object} causeDetails - Details keyed by cause ID
+ * @param {string} causeId - Cause ID
+ * @returns {number}
+ */
+export const getCauseIntensity = (causeDetails, causeId) =>
+  causeDetails?.[causeId]?.intensity ?? DEFAULT_CAUSE_INTENSITY;
+
+/**
+ * Describe the selected causes for prompts, e.g. 'Boredom (4/5: "stuck at my desk")'
+ * @param {Array} causes - Merged causes
+ * @param {Array<string>} selectedCauses - Selected cause IDs
+ * @param {Object} causeDetails - Details keyed by cause ID
+ * @returns {string}
+ */
+export const describeSelectedCauses = (causes, selectedCauses, causeDetails = {}) =>
+  selectedCauses
+    .map((id) => {
+      const label = causes.find((cause) => cause.id === id)?.label;
+      if (!label) return null;
+      const note = causeDetails[id]?.note?.trim();
+      const intensity = `${getCauseIntensity(causeDetails, id)}/${CAUSE_INTENSITY_MAX}`;
+      return `${label} (${note ? `${intensity}: "${note}"` : intensity})`;
+    })
+    .filter(Boolean)
+    .join(', ');
@@ -0,0 +1,138 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  describeSelectedCauses,
+  migrateJournal,
+  getCauseStats,
+  createCustomCause,
+  createCauseAlternative,
+  mergeCauses,
+  getVisibleCauses,
+  addCause,
+  updateCause,
+  moveCause,
+  removeCustomCause,
+  buildAlternativesDatabase,
+} from "./index";
+
+const builtIns = [
+  { id: "boredom", label: "Boredom", icon: "B" },
+  { id: "anxiety", label: "Anxiety", icon: "A" },
+  { id: "fatigue", label: "Fatigue", icon: "F" },
+];
+
+describe("user-defined causes", () => {
+  it("falls back to the built-in causes when nothing is stored", () => {
+    expect(mergeCauses(builtIns, []).map((cause) => cause.id)).toEqual([
+      "boredom",
+      "anxiety",
+      "fatigue",
+    ]);
+  });
+
+  it("reorders, renames and hides built-in causes", () => {
+    let stored = moveCause(builtIns, [], "fatigue", -1);
+    stored = updateCause(builtIns, stored, "boredom", { label: "Bored", hidden: true });
+    const causes = mergeCauses(builtIns, stored);
+
+    expect(causes.map((cause) => cause.id)).toEqual(["boredom", "fatigue", "anxiety"]);
+    expect(causes[0]).toMatchObject({ label: "Bored", icon: "B", hidden: true });
+    expect(getVisibleCauses(causes).map((cause) => cause.id)).toEqual(["fatigue", "anxiety"]);
+    expect(moveCause(builtIns, stored, "boredom", -1)).toEqual(stored);
+  });
+
+  it("adds and removes custom causes but only hides built-in ones", () => {
+    const custom = createCustomCause({ label: " After arguments ", icon: "" }, 1);
+    let stored = addCause(builtIns, [], custom);
+    let causes = mergeCauses(builtIns, stored);
+    expect(causes[3]).toMatchObject({ id: "cause-1", label: "After arguments", icon: "💭", isCustom: true });
+
+    stored = removeCustomCause(builtIns, stored, "anxiety");
+    stored = removeCustomCause(builtIns, stored, "cause-1");
+    causes = mergeCauses(builtIns, stored);
+    expect(causes.map((cause) => cause.id)).toEqual(["boredom", "anxiety", "fatigue"]);
+  });
+
+  it("merges each cause's own alternatives into the database", () => {
+    const custom = createCustomCause({ label: "Work stress" }, 2);
+    let stored = addCause(builtIns, [], custom);
+    stored = updateCause(builtIns, stored, custom.id, {
+      alternatives: [createCauseAlternative({ title: "Stretch" }, 3)],
+    });
+    stored = updateCause(builtIns, stored, "boredom", {
+      alternatives: [createCauseAlternative({ title: "Sketch", duration: "15m" }, 4)],
+    });
+    const database = { boredom: [{ id: "b1", title: "Read" }] };
+    const merged = buildAlternativesDatabase(database, mergeCauses(builtIns, stored));
+
+    expect(merged.boredom.map((alt) => alt.title)).toEqual(["Read", "Sketch"]);
+    expect(merged["cause-2"]).toEqual([expect.objectContaining({ title: "Stretch", duration: "10m" })]);
+    expect(database.boredom).toHaveLength(1);
+  });
+});
+
+describe("cause intensity and notes", () => {
+  const app = { id: "instagram", name: "Instagram" };
+  const rootCause = [
+    { type: "BEGIN_INTERVENTION", app, breathingDuration: 1, now: 1000 },
+    { type: "BREATHING_COMPLETE", now: 2000 },
+  ].reduce(interventionReducer, createInitialInterventionContext());
+
+  it("records intensity and a note per selected cause", () => {
+    const ctx = [
+      { type: "SELECT_CAUSE", causeId: "boredom" },
+      { type: "SELECT_CAUSE", causeId: "anxiety", intensity: 5, note: " exam tomorrow " },
+      { type: "SET_CAUSE_DETAILS", causeId: "boredom", intensity: 2 },
+    ].reduce(interventionReducer, rootCause);
+
+    expect(ctx.causeDetails).toEqual({
+      boredom: { intensity: 2, note: null },
+      anxiety: { intensity: 5, note: " exam tomorrow " },
+    });
+    expect(describeSelectedCauses(builtIns, ctx.selectedCauses, ctx.causeDetails)).toBe(
+      'Boredom (2/5), Anxiety (5/5: "exam tomorrow")'
+    );
+
+    const deselected = interventionReducer(ctx, { type: "DESELECT_CAUSE", causeId: "anxiety" });
+    expect(deselected.causeDetails).toEqual({ boredom: { intensity: 2, note: null } });
+
+    const unlocked = [
+      { type: "PROCEED_TO_TIMER" },
+      { type: "UNLOCK_APP", minutes: 5 },
+    ].reduce(interventionReducer, ctx);
+    expect(unlocked.lastRecord.causeDetails.anxiety).toEqual({ intensity: 5, note: "exam tomorrow" });
+    expect(unlocked.causeDetails).toEqual({});
+  });
+
+  it("rejects invalid intensities, long notes and unselected causes", () => {
+    expect(interventionReducer(rootCause, { type: "SELECT_CAUSE", causeId: "boredom", intensity: 6 })).toBe(rootCause);
+    expect(interventionReducer(rootCause, { type: "SELECT_CAUSE", causeId: "boredom", intensity: 2.5 })).toBe(rootCause);
+    expect(
+      interventionReducer(rootCause, { type: "SELECT_CAUSE", causeId: "boredom", note: "x".repeat(141) })
+    ).toBe(rootCause);
+    expect(interventionReducer(rootCause, { type: "SET_CAUSE_DETAILS", causeId: "boredom", intensity: 4 })).toBe(
+      rootCause
+    );
+  });
+
+  it("migrates older journal records and summarises intensities", () => {
+    const journal = [
+      { id: "old", startedAt: 1, causes: ["boredom"] },
+      {
+        id: "new",
+        startedAt: 2,
+        causes: ["boredom", "anxiety"],
+        causeDetails: { boredom: { intensity: 4, note: "long queue" }, anxiety: { intensity: 2, note: null } },
+      },
+    ];
+    const migrated = migrateJournal(journal);
+    expect(migrated[0].causeDetails).toEqual({ boredom: { intensity: null, note: null } });
+    expect(migrated[1]).toBe(journal[1]);
+    expect(migrateJournal(migrated)).toBe(migrated);
+
+    expect(getCauseStats(migrated)).toEqual([
+      { causeId: "boredom", count: 2, intenseCount: 1, lastNote: "long queue", averageIntensity: 4 },
+      { causeId: "anxiety", count: 1, intenseCount: 0, lastNote: null, averageIntensity: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Intervention State Machine - Escalating Friction
+ *
+ * Framework-agnostic escalation policy. Repeated attempts to open the same
+ * app within a time window make the next intervention harder to skip:
+ * longer breathing, a required cause selection and finally a typed reason
+ * before "I really need to use it" (PROCEED_TO_TIMER) is allowed.
+ */
+
+/**
+ * Default escalation policy
+ * `afterAttempts` is the attempt number (within the window) from which a step
+ * applies; the first attempt is 1.
+ */
+export const DEFAULT_ESCALATION_POLICY = {
+  enabled: true,
+  windowMinutes: 60,
+  breathing: {
+    afterAttempts: 2,
+    extraSecondsPerAttempt: 5,
+    maxExtraSeconds: 30,
+  },
+  requireCause: {
+    afterAttempts: 3,
+  },
+  requireReason: {
+    afterAttempts: 4,
+    minLength: 10,
+  },
+};
+
+/**
+ * Merge a (partial) stored policy with the defaults
+ * @param {Object} [policy] - Policy from settings
+ * @returns {Object} Complete policy
+ */
+export const resolveEscalationPolicy = (policy = {}) => ({
+  ...DEFAULT_ESCALATION_POLICY,
+  ...policy,
+  breathing: { ...DEFAULT_ESCALATION_POLICY.breathing, ...(policy.breathing || {}) },
+  requireCause: {
+    ...DEFAULT_ESCALATION_POLICY.requireCause,
+    ...(policy.requireCause || {}),
+  },
+  requireReason: {
+    ...DEFAULT_ESCALATION_POLICY.requireReason,
+    ...(policy.requireReason || {}),
+  },
+});
+
+/**
+ * Count earlier interventions for an app within the policy window
+ * @param {Array} journal - Intervention journal records
+ * @param {string} appId - App ID
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {number} windowMinutes - Window length in minutes
+ * @returns {number}
+ */
+export const countRecentAttempts = (journal = [], appId, now, windowMinutes) => {
+  const since = now - windowMinutes * 60 * 1000;
+  return journal.filter(
+    (entry) => entry.appId === appId && entry.startedAt >= since && entry.startedAt <= now
+  ).length;
+};
+
+/**
+ * Get the friction for an attempt
+ * @param {Object} policy - Complete escalation policy
+ * @param {number} attempt - Attempt number within the window (1 = first)
+ * @returns {Object|null} { level, attempt, extraBreathingSeconds, requireCause,
+ *   requireReason, reasonMinLength } or null when no friction applies
+ */
+export const getFriction = (policy, attempt) => {
+  if (!policy.enabled) return null;
+
+  const { breathing, requireCause, requireReason } = policy;
+  const extraSteps = attempt - breathing.afterAttempts + 1;
+  const extraBreathingSeconds =
+    extraSteps > 0
+      ? Math.min(breathing.maxExtraSeconds, extraSteps * breathing.extraSecondsPerAttempt)
+      : 0;
+  const friction = {
+    attempt,
+    extraBreathingSeconds,
+    requireCause: attempt >= requireCause.afterAttempts,
+    requireReason: attempt >= requireReason.afterAttempts,
+    reasonMinLength: requireReason.minLength,
+  };
+  const level =
+    (friction.extraBreathingSeconds > 0 ? 1 : 0) +
+    (friction.requireCause ? 1 : 0) +
+    (friction.requireReason ? 1 : 0);
+
+  return level > 0 ? { ...friction, level } : null;
+};
+
+/**
+ * Get friction for the next intervention on an app
+ * @param {Object} params
+ * @param {Array} params.journal - Intervention journal records
+ * @param {string} params.appId - App ID
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @param {Object} [params.policy] - (Partial) escalation policy
+ * @returns {Object|null} Friction (see getFriction)
+ */
+export const getFrictionForApp = ({ journal, appId, now, policy }) => {
+  const resolved = resolveEscalationPolicy(policy);
+  const attempt =
+    countRecentAttempts(journal, appId, now, resolved.windowMinutes) + 1;
+  return getFriction(resolved, attempt);
+};
+
+/**
+ * Explain to the user why friction increased
+ * @param {Object|null} friction - Friction from getFriction
+ * @param {string} appName - Target app name
+ * @param {number} windowMinutes - Window length in minutes
+ * @returns {Array<string>} One sentence per active step
+ */
+export const describeFriction = (friction, appName, windowMinutes) => {
+  if (!friction) return [];
+  const lines = [
+    `This is attempt ${friction.attempt} to open ${appName} in the last ${windowMinutes} minutes.`,
+  ];
+  if (friction.extraBreathingSeconds > 0) {
+    lines.push(`Breathing is ${friction.extraBreathingSeconds}s longer.`);
+  }
+  if (friction.requireReason) {
+    lines.push('Pick a cause and write down why you need it before unlocking.');
+  } else if (friction.requireCause) {
+    lines.push('Pick a cause before unlocking.');
+  }
+  return lines;
+};
+
+/**
+ * Check if the context satisfies the friction required to unlock
+ * @param {Object} context - Intervention context
+ * @param {string|null} [reason] - Typed reason for unlocking
+ * @returns {boolean}
+ */
+export const meetsFrictionRequirements = (context, reason) => {
+  const friction = context.friction;
+  if (!friction) return true;
+  if (friction.requireCause && context.selectedCauses.length === 0) return false;
+  if (friction.requireReason && (reason || '').trim().length < friction.reasonMinLength) {
+    return false;
+  }
+  return true;
+};
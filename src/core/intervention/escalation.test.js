@@ -0,0 +1,72 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  getFrictionForApp,
+  meetsFrictionRequirements,
+} from "./index";
+
+const app = { id: "instagram", name: "Instagram" };
+const minutes = (n) => n * 60 * 1000;
+const attemptsAt = (...times) =>
+  times.map((startedAt, i) => ({ id: `s${i}`, appId: app.id, startedAt }));
+
+describe("escalating friction", () => {
+  it("escalates step by step with recent attempts on the same app", () => {
+    const now = minutes(100);
+    expect(getFrictionForApp({ journal: [], appId: app.id, now })).toBeNull();
+
+    const second = getFrictionForApp({ journal: attemptsAt(minutes(90)), appId: app.id, now });
+    expect(second.extraBreathingSeconds).toBe(5);
+    expect(second.requireCause).toBe(false);
+
+    const fourth = getFrictionForApp({
+      journal: attemptsAt(minutes(70), minutes(80), minutes(90)),
+      appId: app.id,
+      now,
+    });
+    expect(fourth.level).toBe(3);
+    expect(fourth.requireReason).toBe(true);
+  });
+
+  it("ignores attempts outside the window and respects a disabled policy", () => {
+    const journal = attemptsAt(minutes(10), minutes(20));
+    const now = minutes(100);
+    expect(getFrictionForApp({ journal, appId: app.id, now })).toBeNull();
+    expect(
+      getFrictionForApp({ journal, appId: app.id, now, policy: { windowMinutes: 120 } }).attempt
+    ).toBe(3);
+    expect(
+      getFrictionForApp({ journal, appId: app.id, now, policy: { enabled: false, windowMinutes: 120 } })
+    ).toBeNull();
+  });
+
+  it("blocks PROCEED_TO_TIMER until cause and reason are given", () => {
+    const friction = getFrictionForApp({
+      journal: attemptsAt(1, 2, 3),
+      appId: app.id,
+      now: 10,
+    });
+    const ctx = [
+      { type: "BEGIN_INTERVENTION", app, breathingDuration: 0, friction, now: 10 },
+      { type: "BREATHING_COMPLETE", now: 10 },
+    ].reduce(interventionReducer, createInitialInterventionContext());
+    expect(ctx.breathingDuration).toBe(15);
+
+    const blocked = interventionReducer(ctx, { type: "PROCEED_TO_TIMER", reason: "bored" });
+    expect(blocked.state).toBe("root-cause");
+
+    const withCause = interventionReducer(ctx, { type: "SELECT_CAUSE", causeId: "boredom" });
+    expect(meetsFrictionRequirements(withCause, "short")).toBe(false);
+    // Scenario JSON can carry a null reason: rejected, not thrown
+    expect(meetsFrictionRequirements(withCause, null)).toBe(false);
+    expect(interventionReducer(withCause, { type: "PROCEED_TO_TIMER", reason: null }).state).toBe(
+      "root-cause"
+    );
+    const unlocked = interventionReducer(withCause, {
+      type: "PROCEED_TO_TIMER",
+      reason: "Need to reply to a message",
+    });
+    expect(unlocked.state).toBe("timer");
+    expect(unlocked.unlockReason).toBe("Need to reply to a message");
+  });
+});
@@ -6,5 +6,21 @@
 
 export * from './state';
 export * from './transitions';
+export * from './machine';
+export * from './lifecycle';
 export * from './timers';
+export * from './journal';
+export * from './escalation';
+export * from './profiles';
+export * from './budget';
+export * from './causes';
+export * from './ranking';
+export * from './steps';
+export * from './reflection';
+export * from './routines';
+export * from './quickTaskQuotas';
+export * from './launch';
+export * from './quickTaskStats';
+export * from './insights';
+export * from './persistence';
 
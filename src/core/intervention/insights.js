@@ -0,0 +1,201 @@
+/**
+ * Intervention State Machine - Insights
+ *
+ * Framework-agnostic patterns behind the "Deep Insights" card, derived from
+ * the intervention journal (see journal.js) and the quick task log (see
+ * launch.js) for a period such as today, this week or this month:
+ * - topTrigger: The cause selected most often
+ * - peakTime: The weekday and part of the day most launches happen
+ * - correlations: Which app each frequent cause leads to
+ * - causeFail: How often each frequent cause still ended in an unlock
+ * - topAlternatives: The alternatives completed most often
+ * Every field has an empty state (null or []) until there is enough data.
+ */
+
+import { JOURNAL_OUTCOMES } from './journal';
+import { getTimeOfDay } from './ranking';
+
+/**
+ * How much data an insight needs before it is shown
+ * - minInterventions: Interventions in the period before any cause insight
+ * - minLaunches: Interventions and quick tasks in the period before a peak time
+ * - minCauseSamples: Times a cause was selected before it gets a loop or rate
+ */
+export const INSIGHT_THRESHOLDS = {
+  minInterventions: 3,
+  minLaunches: 3,
+  minCauseSamples: 2,
+};
+
+const WEEKDAY_NAMES = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+const inRange = (timestamp, { from, to }) => timestamp >= from && timestamp < to;
+
+const percent = (count, of) => Math.round((count / of) * 100);
+
+/**
+ * Count how often each cause was selected
+ * @returns {Array} [{ causeId, records }] most frequent first
+ */
+const groupByCause = (records) => {
+  const groups = {};
+  records.forEach((record) => {
+    (record.causes || []).forEach((causeId) => {
+      groups[causeId] = [...(groups[causeId] || []), record];
+    });
+  });
+  return Object.entries(groups)
+    .map(([causeId, causeRecords]) => ({ causeId, records: causeRecords }))
+    .sort((a, b) => b.records.length - a.records.length);
+};
+
+/**
+ * Get the weekday and part of the day with the most launches
+ * Ties go to the most recent launch.
+ * @param {Array<number>} timestamps - Launch timestamps, newest first
+ * @param {boolean} singleDay - Whether the period is a single day
+ * @returns {Object} { weekday, timeOfDay, count, label }
+ */
+const getPeakTime = (timestamps, singleDay) => {
+  const slots = {};
+  timestamps.forEach((timestamp) => {
+    const date = new Date(timestamp);
+    const weekday = date.getDay();
+    const timeOfDay = getTimeOfDay(date.getHours());
+    const key = `${weekday}-${timeOfDay}`;
+    slots[key] = slots[key] || { weekday, timeOfDay, count: 0 };
+    slots[key].count += 1;
+  });
+  const peak = Object.values(slots).reduce((best, slot) =>
+    slot.count > best.count ? slot : best
+  );
+  return {
+    ...peak,
+    label: singleDay
+      ? `in the ${peak.timeOfDay}`
+      : `on ${WEEKDAY_NAMES[peak.weekday]} ${peak.timeOfDay === 'night' ? 'nights' : `${peak.timeOfDay}s`}`,
+  };
+};
+
+/**
+ * Get the insights for a period
+ * @param {Object} params
+ * @param {Array} params.journal - Intervention journal records
+ * @param {Array} [params.quickTaskLog] - Quick task log entries
+ * @param {Object} params.range - { from, to } timestamps (to exclusive)
+ * @param {Object} [params.thresholds] - See INSIGHT_THRESHOLDS
+ * @param {number} [params.top] - Number of loops, rates and alternatives to return
+ * @returns {Object} { interventions, quickTasks, unlocks, topTrigger, peakTime,
+ *   correlations, causeFail, topAlternatives } where
+ *   - topTrigger: { causeId, count } or null
+ *   - peakTime: { weekday (0 = Sunday), timeOfDay, count, label } or null;
+ *     label reads "on Tuesday afternoons", or "in the afternoon" for a single day
+ *   - correlations: [{ causeId, appId, appName, count, pct }], pct being the
+ *     share of the cause's interventions on that app
+ *   - causeFail: [{ causeId, count, unlocks, rate }], highest rate first
+ *   - topAlternatives: [{ id, title, count }] counting completed interventions
+ */
+export const getInterventionInsights = ({
+  journal = [],
+  quickTaskLog = [],
+  range,
+  thresholds = INSIGHT_THRESHOLDS,
+  top = 3,
+}) => {
+  const records = journal.filter((record) => inRange(record.startedAt, range));
+  const quickTasks = quickTaskLog.filter((entry) => inRange(entry.startedAt, range));
+  const unlocks = records.filter((record) => record.outcome === JOURNAL_OUTCOMES.UNLOCKED);
+  const launches = [...records, ...quickTasks]
+    .map((entry) => entry.startedAt)
+    .sort((a, b) => b - a);
+
+  const enoughInterventions = records.length >= thresholds.minInterventions;
+  const causes = enoughInterventions ? groupByCause(records) : [];
+  const frequentCauses = causes.filter(
+    ({ records: causeRecords }) => causeRecords.length >= thresholds.minCauseSamples
+  );
+
+  const correlations = frequentCauses.slice(0, top).map(({ causeId, records: causeRecords }) => {
+    const apps = {};
+    causeRecords.forEach((record) => {
+      apps[record.appId] = apps[record.appId] || {
+        appId: record.appId,
+        appName: record.appName || record.appId,
+        count: 0,
+      };
+      apps[record.appId].count += 1;
+    });
+    const app = Object.values(apps).sort((a, b) => b.count - a.count)[0];
+    return { causeId, ...app, pct: percent(app.count, causeRecords.length) };
+  });
+
+  const causeFail = frequentCauses
+    .map(({ causeId, records: causeRecords }) => {
+      const causeUnlocks = causeRecords.filter(
+        (record) => record.outcome === JOURNAL_OUTCOMES.UNLOCKED
+      ).length;
+      return {
+        causeId,
+        count: causeRecords.length,
+        unlocks: causeUnlocks,
+        rate: percent(causeUnlocks, causeRecords.length),
+      };
+    })
+    .sort((a, b) => b.rate - a.rate || b.count - a.count)
+    .slice(0, top);
+
+  const alternatives = {};
+  records
+    .filter((record) => record.outcome === JOURNAL_OUTCOMES.COMPLETED && record.alternative?.id)
+    .forEach(({ alternative }) => {
+      alternatives[alternative.id] = alternatives[alternative.id] || {
+        id: alternative.id,
+        title: alternative.title,
+        count: 0,
+      };
+      alternatives[alternative.id].count += 1;
+    });
+
+  return {
+    interventions: records.length,
+    quickTasks: quickTasks.length,
+    unlocks: unlocks.length,
+    topTrigger: causes.length
+      ? { causeId: causes[0].causeId, count: causes[0].records.length }
+      : null,
+    peakTime:
+      launches.length >= thresholds.minLaunches
+        ? getPeakTime(
+            launches,
+            new Date(range.from).toDateString() === new Date(range.to - 1).toDateString()
+          )
+        : null,
+    correlations,
+    causeFail,
+    topAlternatives: Object.values(alternatives)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, top),
+  };
+};
+
+/**
+ * Get the insights for several periods at once
+ * @param {Object} params - As for getInterventionInsights, with periods instead of range
+ * @param {Object} params.periods - Map of period key -> { from, to }
+ * @returns {Object} Map of period key -> insights
+ */
+export const getInterventionInsightsByPeriod = ({ periods, ...params }) =>
+  Object.fromEntries(
+    Object.entries(periods).map(([key, range]) => [
+      key,
+      getInterventionInsights({ ...params, range }),
+    ])
+  );
@@ -0,0 +1,101 @@
+import { getInterventionInsights, getInterventionInsightsByPeriod } from "./index";
+import { getUsagePeriods } from "../usage";
+
+// Tuesday 6 January 2026 unless another day is given
+const at = (hour, day = 6) => new Date(2026, 0, day, hour).getTime();
+const week = { from: new Date(2026, 0, 5).getTime(), to: new Date(2026, 0, 12).getTime() };
+
+const record = (appId, startedAt, causes, outcome = "completed", alternative = null) => ({
+  id: `${appId}-${startedAt}`,
+  appId,
+  appName: appId === "tiktok" ? "TikTok" : "Instagram",
+  startedAt,
+  causes,
+  outcome,
+  alternative,
+});
+
+const nap = { id: "r1", title: "Power Nap", duration: "20m" };
+const sketch = { id: "c1", title: "Quick Sketch", duration: "15m" };
+
+const journal = [
+  record("tiktok", at(14), ["boredom"], "completed", nap),
+  record("tiktok", at(15), ["boredom", "anxiety"], "unlocked"),
+  record("instagram", at(16), ["boredom"], "completed", sketch),
+  record("instagram", at(20, 7), ["anxiety"], "unlocked"),
+  record("tiktok", at(9, 8), ["fatigue"], "completed", nap),
+];
+
+describe("intervention insights", () => {
+  it("finds the top trigger, its loops and how often each cause ended in an unlock", () => {
+    const insights = getInterventionInsights({ journal, range: week });
+    expect(insights).toMatchObject({ interventions: 5, quickTasks: 0, unlocks: 2 });
+    expect(insights.topTrigger).toEqual({ causeId: "boredom", count: 3 });
+    expect(insights.correlations).toEqual([
+      { causeId: "boredom", appId: "tiktok", appName: "TikTok", count: 2, pct: 67 },
+      { causeId: "anxiety", appId: "tiktok", appName: "TikTok", count: 1, pct: 50 },
+    ]);
+    // Fatigue only came up once, so it has no loop or rate yet
+    expect(insights.causeFail).toEqual([
+      { causeId: "anxiety", count: 2, unlocks: 2, rate: 100 },
+      { causeId: "boredom", count: 3, unlocks: 1, rate: 33 },
+    ]);
+  });
+
+  it("counts completed alternatives", () => {
+    const { topAlternatives } = getInterventionInsights({ journal, range: week });
+    expect(topAlternatives).toEqual([
+      { id: "r1", title: "Power Nap", count: 2 },
+      { id: "c1", title: "Quick Sketch", count: 1 },
+    ]);
+  });
+
+  it("finds the peak time across interventions and quick tasks", () => {
+    const quickTaskLog = [
+      { appId: "tiktok", startedAt: at(10, 9) },
+      { appId: "tiktok", startedAt: at(11, 9) },
+      { appId: "tiktok", startedAt: at(11, 9) },
+      { appId: "tiktok", startedAt: at(13) },
+    ];
+    const { peakTime, quickTasks } = getInterventionInsights({
+      journal,
+      quickTaskLog,
+      range: week,
+    });
+    expect(quickTasks).toBe(4);
+    expect(peakTime).toEqual({
+      weekday: 2,
+      timeOfDay: "afternoon",
+      count: 4,
+      label: "on Tuesday afternoons",
+    });
+
+    const today = getUsagePeriods(at(18)).today;
+    expect(getInterventionInsights({ journal, range: today }).peakTime.label).toBe(
+      "in the afternoon"
+    );
+  });
+
+  it("returns empty states until there is enough data", () => {
+    const insights = getInterventionInsights({ journal: journal.slice(3), range: week });
+    expect(insights).toMatchObject({
+      interventions: 2,
+      topTrigger: null,
+      peakTime: null,
+      correlations: [],
+      causeFail: [],
+    });
+    expect(insights.topAlternatives).toEqual([{ id: "r1", title: "Power Nap", count: 1 }]);
+  });
+
+  it("computes every period in one go", () => {
+    const insights = getInterventionInsightsByPeriod({
+      journal,
+      periods: getUsagePeriods(at(18, 8)),
+    });
+    expect(insights.today.interventions).toBe(1);
+    expect(insights.today.topTrigger).toBeNull();
+    expect(insights.week.interventions).toBe(5);
+    expect(insights.month.topTrigger).toEqual({ causeId: "boredom", count: 3 });
+  });
+});
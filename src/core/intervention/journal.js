@@ -0,0 +1,254 @@
+/**
+ * Intervention State Machine - Journal
+ *
+ * Framework-agnostic helpers for the intervention journal.
+ * The reducer keeps a trail of timestamped transition events on the context
+ * while an intervention is running; when it ends, the trail is condensed into
+ * a journal record that consumers persist and query.
+ */
+
+/**
+ * How an intervention ended:
+ * - 'completed': User did an alternative and finished the reflection
+ * - 'unlocked': User chose "I really need to use it" and unlocked the app
+ * - 'abandoned': Intervention was reset or replaced before it finished
+ */
+export const JOURNAL_OUTCOMES = {
+  COMPLETED: 'completed',
+  UNLOCKED: 'unlocked',
+  ABANDONED: 'abandoned',
+};
+
+/**
+ * Maximum number of records kept in the persisted journal
+ */
+export const JOURNAL_MAX_ENTRIES = 500;
+
+/**
+ * Create a timestamped transition event
+ * @param {Object} prevContext - Context before the action
+ * @param {Object} nextContext - Context after the action
+ * @param {Object} action - Action that caused the transition
+ * @param {number} at - Timestamp in milliseconds
+ * @returns {Object} Transition event
+ */
+export const createTransitionEvent = (prevContext, nextContext, action, at) => ({
+  action: action.type,
+  from: prevContext.state,
+  to: nextContext.state,
+  at,
+});
+
+/**
+ * Build a journal record from the context of a finished intervention
+ * @param {Object} context - Intervention context at the moment it ended
+ * @param {Object} params
+ * @param {string} params.outcome - One of JOURNAL_OUTCOMES
+ * @param {number} params.endedAt - Timestamp in milliseconds
+ * @param {Array} params.events - Full event trail, including the closing event
+ * @param {number} [params.unlockMinutes] - Minutes the app was unlocked for
+ * @param {number} [params.rating] - Reflection rating (-1, 0, 1)
+ * @param {Object} [params.budgetOverride] - Buddy who approved an unlock past the budget
+ * @param {number} [params.stepCompletion] - Percentage of the alternative's steps checked off
+ * @param {Object} [params.reflection] - Structured reflection (see reflection.js)
+ * @param {Object} [params.guidedRoutine] - Guided routine summary (see routines.js)
+ * @returns {Object} Journal record
+ */
+export const buildJournalRecord = (
+  context,
+  {
+    outcome,
+    endedAt,
+    events,
+    unlockMinutes = null,
+    rating = null,
+    budgetOverride = null,
+    stepCompletion = null,
+    reflection = null,
+    guidedRoutine = null,
+  }
+) => ({
+  id: context.sessionId,
+  appId: context.targetApp?.id || null,
+  appName: context.targetApp?.name || null,
+  startedAt: context.startedAt,
+  endedAt,
+  causes: [...context.selectedCauses],
+  causeDetails: Object.fromEntries(
+    context.selectedCauses.map((id) => [
+      id,
+      {
+        intensity: context.causeDetails?.[id]?.intensity ?? null,
+        note: context.causeDetails?.[id]?.note?.trim() || null,
+      },
+    ])
+  ),
+  alternative: context.selectedAlternative
+    ? {
+        id: context.selectedAlternative.id || null,
+        title: context.selectedAlternative.title || null,
+        duration: context.selectedAlternative.duration || null,
+      }
+    : null,
+  unlockMinutes,
+  budgetOverride,
+  unlockReason: context.unlockReason ?? null,
+  frictionLevel: context.friction?.level ?? 0,
+  rating,
+  stepCompletion,
+  reflection,
+  guidedRoutine,
+  outcome,
+  events,
+});
+
+/**
+ * Bring a stored record up to the current shape
+ * Records from before cause details were recorded get a null intensity and
+ * note for each of their causes.
+ * @param {Object} record - Stored journal record
+ * @returns {Object} The same record if it is current, otherwise a migrated copy
+ */
+export const migrateJournalRecord = (record) => {
+  if (record.causeDetails) return record;
+  return {
+    ...record,
+    causeDetails: Object.fromEntries(
+      (record.causes || []).map((id) => [id, { intensity: null, note: null }])
+    ),
+  };
+};
+
+/**
+ * Migrate every record of a stored journal
+ * @param {Array} journal - Stored journal records
+ * @returns {Array} The same array if nothing needed migrating
+ */
+export const migrateJournal = (journal = []) => {
+  const migrated = journal.map(migrateJournalRecord);
+  return migrated.some((record, i) => record !== journal[i]) ? migrated : journal;
+};
+
+/**
+ * Append a finished record to the journal (newest first, capped)
+ * Records already present (same id) are ignored.
+ * @param {Array} journal - Journal records
+ * @param {Object} record - Record to append
+ * @returns {Array} New journal
+ */
+export const appendJournalRecord = (journal = [], record) => {
+  if (!record || !record.id) return journal;
+  if (journal.some((entry) => entry.id === record.id)) return journal;
+  return [record, ...journal].slice(0, JOURNAL_MAX_ENTRIES);
+};
+
+/**
+ * Query journal records
+ * @param {Array} journal - Journal records
+ * @param {Object} [filters]
+ * @param {string} [filters.appId] - Only records for this app
+ * @param {string} [filters.causeId] - Only records where this cause was selected
+ * @param {string} [filters.outcome] - Only records with this outcome
+ * @param {number} [filters.from] - Only records started at or after this timestamp
+ * @param {number} [filters.to] - Only records started before this timestamp
+ * @returns {Array} Matching records, newest first
+ */
+export const queryJournal = (journal = [], filters = {}) => {
+  const { appId, causeId, outcome, from, to } = filters;
+  return journal
+    .filter((entry) => {
+      if (appId && entry.appId !== appId) return false;
+      if (causeId && !(entry.causes || []).includes(causeId)) return false;
+      if (outcome && entry.outcome !== outcome) return false;
+      if (from !== undefined && entry.startedAt < from) return false;
+      if (to !== undefined && entry.startedAt >= to) return false;
+      return true;
+    })
+    .sort((a, b) => b.startedAt - a.startedAt);
+};
+
+/**
+ * Get journal records for an app
+ * @param {Array} journal - Journal records
+ * @param {string} appId - App ID
+ * @returns {Array}
+ */
+export const getJournalByApp = (journal, appId) => queryJournal(journal, { appId });
+
+/**
+ * Get journal records where a cause was selected
+ * @param {Array} journal - Journal records
+ * @param {string} causeId - Cause ID
+ * @returns {Array}
+ */
+export const getJournalByCause = (journal, causeId) => queryJournal(journal, { causeId });
+
+/**
+ * Get journal records started within [from, to)
+ * @param {Array} journal - Journal records
+ * @param {number} from - Start timestamp (inclusive)
+ * @param {number} to - End timestamp (exclusive)
+ * @returns {Array}
+ */
+export const getJournalInRange = (journal, from, to) => queryJournal(journal, { from, to });
+
+/**
+ * Count journal records per outcome
+ * @param {Array} journal - Journal records
+ * @returns {Object} Map of outcome -> count
+ */
+export const countJournalOutcomes = (journal = []) =>
+  journal.reduce(
+    (counts, entry) => ({
+      ...counts,
+      [entry.outcome]: (counts[entry.outcome] || 0) + 1,
+    }),
+    {
+      [JOURNAL_OUTCOMES.COMPLETED]: 0,
+      [JOURNAL_OUTCOMES.UNLOCKED]: 0,
+      [JOURNAL_OUTCOMES.ABANDONED]: 0,
+    }
+  );
+
+/**
+ * Summarise how often each cause was selected and how intense it was
+ * Records without an intensity (see migrateJournalRecord) count towards the
+ * total but not the average.
+ * @param {Array} journal - Journal records
+ * @returns {Array} Most frequent first:
+ *   { causeId, count, averageIntensity, intenseCount, lastNote }
+ *   averageIntensity is null when no record has an intensity; intenseCount
+ *   counts intensities of 4 and above
+ */
+export const getCauseStats = (journal = []) => {
+  const stats = {};
+  [...journal]
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .forEach((entry) => {
+      (entry.causes || []).forEach((causeId) => {
+        const stat = stats[causeId] || {
+          causeId,
+          count: 0,
+          rated: 0,
+          intensityTotal: 0,
+          intenseCount: 0,
+          lastNote: null,
+        };
+        const { intensity, note } = entry.causeDetails?.[causeId] || {};
+        stat.count += 1;
+        if (intensity != null) {
+          stat.rated += 1;
+          stat.intensityTotal += intensity;
+          if (intensity >= 4) stat.intenseCount += 1;
+        }
+        if (note) stat.lastNote = note;
+        stats[causeId] = stat;
+      });
+    });
+  return Object.values(stats)
+    .map(({ rated, intensityTotal, ...stat }) => ({
+      ...stat,
+      averageIntensity: rated ? Math.round((intensityTotal / rated) * 10) / 10 : null,
+    }))
+    .sort((a, b) => b.count - a.count);
+};
@@ -0,0 +1,88 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  appendJournalRecord,
+  queryJournal,
+  JOURNAL_OUTCOMES,
+} from "./index";
+
+const instagram = { id: "instagram", name: "Instagram" };
+const tiktok = { id: "tiktok", name: "TikTok" };
+
+const run = (actions, context = createInitialInterventionContext()) =>
+  actions.reduce((ctx, action) => interventionReducer(ctx, action), context);
+
+describe("intervention journal recording", () => {
+  it("records a completed intervention with its event trail", () => {
+    const ctx = run([
+      { type: "BEGIN_INTERVENTION", app: instagram, breathingDuration: 1, now: 1000 },
+      { type: "BREATHING_TICK", now: 2000 },
+      { type: "SELECT_CAUSE", causeId: "boredom", now: 3000 },
+      { type: "PROCEED_TO_ALTERNATIVES", now: 4000 },
+      { type: "SELECT_ALTERNATIVE", alternative: { id: "b1", title: "Walk" }, now: 5000 },
+      { type: "START_ALTERNATIVE", durationMinutes: 5, now: 6000 },
+      { type: "FINISH_ACTION", now: 7000 },
+      { type: "FINISH_REFLECTION", rating: 1, now: 8000 },
+    ]);
+
+    expect(ctx.state).toBe("idle");
+    const record = ctx.lastRecord;
+    expect(record.appId).toBe("instagram");
+    expect(record.causes).toEqual(["boredom"]);
+    expect(record.alternative.id).toBe("b1");
+    expect(record.outcome).toBe(JOURNAL_OUTCOMES.COMPLETED);
+    expect(record.rating).toBe(1);
+    expect(record.startedAt).toBe(1000);
+    expect(record.endedAt).toBe(8000);
+    expect(record.events.map((e) => e.to)).toEqual([
+      "breathing",
+      "root-cause",
+      "alternatives",
+      "action",
+      "action_timer",
+      "reflection",
+      "idle",
+    ]);
+  });
+
+  it("records unlock minutes when the user unlocks the app", () => {
+    const ctx = run([
+      { type: "BEGIN_INTERVENTION", app: tiktok, breathingDuration: 0, now: 1000 },
+      { type: "BREATHING_COMPLETE", now: 1500 },
+      { type: "PROCEED_TO_TIMER", now: 2000 },
+      { type: "UNLOCK_APP", minutes: 15, now: 2500 },
+    ]);
+    expect(ctx.lastRecord.outcome).toBe(JOURNAL_OUTCOMES.UNLOCKED);
+    expect(ctx.lastRecord.unlockMinutes).toBe(15);
+  });
+
+  it("records a reset intervention as abandoned and ignores idle resets", () => {
+    const abandoned = run([
+      { type: "BEGIN_INTERVENTION", app: tiktok, breathingDuration: 5, now: 1000 },
+      { type: "RESET_INTERVENTION", now: 2000 },
+    ]);
+    expect(abandoned.lastRecord.outcome).toBe(JOURNAL_OUTCOMES.ABANDONED);
+
+    const again = interventionReducer(abandoned, { type: "RESET_INTERVENTION" });
+    expect(again.lastRecord).toBe(abandoned.lastRecord);
+  });
+});
+
+describe("journal queries", () => {
+  const journal = [
+    { id: "a", appId: "instagram", causes: ["boredom"], startedAt: 100, outcome: "completed" },
+    { id: "b", appId: "tiktok", causes: ["anxiety"], startedAt: 200, outcome: "unlocked" },
+    { id: "c", appId: "instagram", causes: ["anxiety"], startedAt: 300, outcome: "abandoned" },
+  ];
+
+  it("filters by app, cause and date range", () => {
+    expect(queryJournal(journal, { appId: "instagram" }).map((r) => r.id)).toEqual(["c", "a"]);
+    expect(queryJournal(journal, { causeId: "anxiety" }).map((r) => r.id)).toEqual(["c", "b"]);
+    expect(queryJournal(journal, { from: 150, to: 300 }).map((r) => r.id)).toEqual(["b"]);
+  });
+
+  it("does not append the same record twice", () => {
+    const once = appendJournalRecord([], journal[0]);
+    expect(appendJournalRecord(once, journal[0])).toBe(once);
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * Intervention State Machine - App Launches and Quick Tasks
+ *
+ * Framework-agnostic decisions made when a monitored app is launched, before
+ * the state machine is involved:
+ * - An unlocked app (open unlock session) or an unmonitored one just opens
+ * - A running quick task lets the app open without an intervention (under a
+ *   per-app quota strategy, only the app it was started for)
+ * - Otherwise a quick task is offered while the quota has uses left
+ *   (and the app's profile allows quick tasks), or the intervention begins
+ * Quick task state is a plain object: { windowStart, usesInWindow, activeUntil }.
+ * Every quick task is logged with its stated intention; when it runs out a
+ * check-in records whether it got done, or extends it with another use.
+ * By default uses are counted per window of QUICK_TASK_WINDOW_MS that starts
+ * with the first launch after the previous window ran out; the other quota
+ * strategies count over the quick task log (see quickTaskQuotas.js).
+ * An unlock session is { until, graceUntil }. Leaving the app starts a grace
+ * period (settings.gracePeriod minutes): coming back before it ends resumes
+ * the unlock, later the session is over even if unlock time was left.
+ */
+
+import { QUICK_TASK_WINDOW_MS } from '../../constants/config';
+import { getFrictionForApp } from './escalation';
+import { resolveInterventionProfile } from './profiles';
+import { getUnlockBudget } from './budget';
+import {
+  isQuickTaskWindowExpired,
+  ensureQuickTaskWindow,
+  getQuickTaskQuota,
+  getQuickTaskQuotaStrategy,
+} from './quickTaskQuotas';
+
+/**
+ * What a launch leads to
+ */
+export const LAUNCH_DECISIONS = {
+  OPEN: 'open',
+  QUICK_TASK_RUNNING: 'quick-task-running',
+  OFFER_QUICK_TASK: 'offer-quick-task',
+  INTERVENE: 'intervene',
+};
+
+/**
+ * Maximum quick task log entries kept (oldest are dropped)
+ */
+export const QUICK_TASK_LOG_MAX_ENTRIES = 100;
+
+/**
+ * Empty quick task state
+ * @returns {Object}
+ */
+export const createQuickTaskState = () => ({
+  windowStart: 0,
+  usesInWindow: 0,
+  activeUntil: 0,
+});
+
+/**
+ * Get the quick tasks left in the current fixed window
+ * @param {Object} quickTask - Quick task state
+ * @param {number} usesPerWindow - Quick tasks allowed per window
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {number} [windowMs] - Window length
+ * @returns {number}
+ */
+export const getQuickTaskRemainingUses = (
+  quickTask,
+  usesPerWindow,
+  now,
+  windowMs = QUICK_TASK_WINDOW_MS
+) => {
+  if (isQuickTaskWindowExpired(quickTask, now, windowMs)) return usesPerWindow;
+  return Math.max(0, usesPerWindow - quickTask.usesInWindow);
+};
+
+/**
+ * Check if a quick task is running
+ * @param {Object} quickTask - Quick task state
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {boolean}
+ */
+export const isQuickTaskActive = (quickTask, now) =>
+  Boolean(quickTask.activeUntil) && quickTask.activeUntil > now;
+
+/**
+ * Check if a quick task ran out and still needs to be cleared
+ * @param {Object} quickTask - Quick task state
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {boolean}
+ */
+export const isQuickTaskExpired = (quickTask, now) =>
+  Boolean(quickTask.activeUntil) && quickTask.activeUntil <= now;
+
+/**
+ * Start a quick task, using up one quick task of the window
+ * @param {Object} quickTask - Quick task state
+ * @param {Object} options
+ * @param {number} options.now - Current timestamp in milliseconds
+ * @param {number} options.durationMinutes - Quick task length
+ * @param {number} [options.windowMs] - Window length
+ * @returns {Object} New quick task state
+ */
+export const startQuickTask = (quickTask, { now, durationMinutes, windowMs }) => {
+  const current = ensureQuickTaskWindow(quickTask, now, windowMs);
+  return {
+    ...current,
+    usesInWindow: current.usesInWindow + 1,
+    activeUntil: now + durationMinutes * 60 * 1000,
+  };
+};
+
+/**
+ * How a quick task ended, answered at its check-in
+ */
+export const QUICK_TASK_OUTCOMES = {
+  DONE: 'done',
+  NOT_DONE: 'not-done',
+  EXTENDED: 'extended',
+};
+
+/**
+ * Add a started quick task to the log (newest first)
+ * @param {Array} log - Quick task log
+ * @param {Object} app - App ({ id, name })
+ * @param {number} now - Timestamp the quick task started at
+ * @param {Object} [options]
+ * @param {string} [options.intention] - What the quick task is for
+ * @param {number} [options.extendsId] - Log entry this quick task extends
+ * @returns {Array} New log; entries are { id, appId, appName, startedAt,
+ *   intention, extendsId, outcome, endedAt } with the last two set at the check-in
+ */
+export const appendQuickTaskLog = (log = [], app, now, { intention = '', extendsId = null } = {}) =>
+  [
+    {
+      id: now,
+      appId: app.id,
+      appName: app.name || app.id,
+      startedAt: now,
+      intention: intention.trim() || null,
+      extendsId,
+      outcome: null,
+      endedAt: null,
+    },
+    ...log,
+  ].slice(0, QUICK_TASK_LOG_MAX_ENTRIES);
+
+/**
+ * Check if a quick task can start with this intention
+ * @param {Object} profile - Resolved app profile (see profiles.js)
+ * @param {string} intention - What the quick task is for
+ * @returns {boolean}
+ */
+export const canStartQuickTask = (profile, intention = '') =>
+  !profile?.requireQuickTaskIntention || intention.trim().length > 0;
+
+/**
+ * Get the app's quick task still waiting for its check-in
+ * @param {Array} log - Quick task log
+ * @param {string} appId - App ID
+ * @returns {Object|null} Log entry
+ */
+export const getOpenQuickTaskEntry = (log = [], appId) =>
+  log.find((entry) => entry.appId === appId && !entry.outcome) || null;
+
+/**
+ * Record how a quick task ended
+ * @param {Array} log - Quick task log
+ * @param {number} entryId - Log entry ID
+ * @param {string} outcome - One of QUICK_TASK_OUTCOMES
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Array} New log
+ */
+export const recordQuickTaskOutcome = (log = [], entryId, outcome, now) =>
+  log.map((entry) => (entry.id === entryId ? { ...entry, outcome, endedAt: now } : entry));
+
+/**
+ * Extend a quick task at its check-in
+ * The extension uses up another quick task and is logged as its own entry,
+ * with the same intention, so quotas count it like any other. Without an
+ * entry (the quick task was never logged) it is logged as a fresh one.
+ * @param {Object} params
+ * @param {Object} params.quickTask - Quick task state
+ * @param {Array} params.log - Quick task log
+ * @param {Object|null} params.entry - Log entry being extended
+ * @param {Object} params.app - App ({ id, name })
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @param {number} params.durationMinutes - Quick task length
+ * @param {number} [params.windowMs] - Window length
+ * @returns {Object} { quickTask, log }
+ */
+export const extendQuickTask = ({
+  quickTask,
+  log,
+  entry,
+  app,
+  now,
+  durationMinutes,
+  windowMs,
+}) => ({
+  quickTask: startQuickTask(quickTask, { now, durationMinutes, windowMs }),
+  log: entry
+    ? appendQuickTaskLog(
+        recordQuickTaskOutcome(log, entry.id, QUICK_TASK_OUTCOMES.EXTENDED, now),
+        app,
+        now,
+        { intention: entry.intention || '', extendsId: entry.id }
+      )
+    : appendQuickTaskLog(log, app, now),
+});
+
+/**
+ * Start an unlock session
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {number} minutes - Unlocked minutes
+ * @returns {Object} Unlock session
+ */
+export const createUnlockSession = (now, minutes) => ({
+  until: now + minutes * 60 * 1000,
+  graceUntil: null,
+});
+
+/**
+ * Check if an unlock session still lets the app open
+ * @param {Object|null} session - Unlock session
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {boolean}
+ */
+export const isUnlockSessionOpen = (session, now) =>
+  Boolean(session) &&
+  now <= session.until &&
+  (session.graceUntil == null || now <= session.graceUntil);
+
+/**
+ * Leave an unlocked app
+ * @param {Object|null} session - Unlock session
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {number} graceMinutes - Grace period (0 ends the session right away)
+ * @returns {Object|null} Session in its grace period, or null when it is over
+ */
+export const leaveUnlockSession = (session, now, graceMinutes) => {
+  const grace = Math.max(0, Number(graceMinutes) || 0);
+  if (!isUnlockSessionOpen(session, now) || grace === 0) return null;
+  return { ...session, graceUntil: now + grace * 60 * 1000 };
+};
+
+/**
+ * Come back to an app during its grace period
+ * @param {Object} session - Unlock session
+ * @returns {Object} Session without a grace period
+ */
+export const resumeUnlockSession = (session) =>
+  session.graceUntil == null ? session : { ...session, graceUntil: null };
+
+/**
+ * Get the grace left before a left app needs a new intervention
+ * The grace never outlasts the unlock itself.
+ * @param {Object|null} session - Unlock session
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number|null} Seconds left, or null when the session is not in a grace period
+ */
+export const getUnlockGraceSeconds = (session, now) => {
+  if (!isUnlockSessionOpen(session, now) || session.graceUntil == null) return null;
+  return Math.ceil((Math.min(session.graceUntil, session.until) - now) / 1000);
+};
+
+/**
+ * Decide what launching an app leads to
+ * @param {Object} params
+ * @param {Object} params.app - Launched app ({ id, name })
+ * @param {Array<string>} params.monitoredApps - Monitored app IDs
+ * @param {Object|null} params.unlockSession - The app's unlock session, if any
+ * @param {Object} params.profile - Resolved app profile (see profiles.js)
+ * @param {Object} params.quickTask - Quick task state
+ * @param {string|null} [params.quickTaskAppId] - App the running quick task
+ *   was started for (null when unknown: it then lets every app through)
+ * @param {Array} [params.quickTaskLog] - Quick task log
+ * @param {Object} params.quotaSettings - { strategy, usesPerWindow, dailyLimit, dayStartHour }
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @param {number} [params.windowMs] - Window length
+ * @returns {Object} { decision, quickTask, quota } where decision is one of
+ *   LAUNCH_DECISIONS, quickTask has the window started if it had run out and
+ *   quota is the app's quota (null when no quick task was considered)
+ */
+export const getLaunchDecision = ({
+  app,
+  monitoredApps = [],
+  unlockSession = null,
+  profile,
+  quickTask,
+  quickTaskAppId = null,
+  quickTaskLog = [],
+  quotaSettings,
+  now,
+  windowMs = QUICK_TASK_WINDOW_MS,
+}) => {
+  if (!monitoredApps.includes(app.id) || isUnlockSessionOpen(unlockSession, now)) {
+    return { decision: LAUNCH_DECISIONS.OPEN, quickTask, quota: null };
+  }
+
+  // Strict profiles skip Quick Task and always intervene
+  const allowQuickTask = profile?.allowQuickTask !== false;
+  // With per-app allowances, one app's quick task does not open the others
+  const runningForApp =
+    !getQuickTaskQuotaStrategy(quotaSettings?.strategy).perApp ||
+    quickTaskAppId == null ||
+    quickTaskAppId === app.id;
+  if (allowQuickTask && runningForApp && isQuickTaskActive(quickTask, now)) {
+    return { decision: LAUNCH_DECISIONS.QUICK_TASK_RUNNING, quickTask, quota: null };
+  }
+
+  const current = ensureQuickTaskWindow(quickTask, now, windowMs);
+  const quota = getQuickTaskQuota({
+    quickTask: current,
+    log: quickTaskLog,
+    appId: app.id,
+    settings: quotaSettings,
+    now,
+    windowMs,
+  });
+  return {
+    decision:
+      allowQuickTask && quota.remaining > 0
+        ? LAUNCH_DECISIONS.OFFER_QUICK_TASK
+        : LAUNCH_DECISIONS.INTERVENE,
+    quickTask: current,
+    quota: allowQuickTask ? quota : null,
+  };
+};
+
+/**
+ * Build the BEGIN_INTERVENTION action for an app
+ * Resolves the app's profile, today's unlock budget and the friction of
+ * repeated attempts from the journal.
+ * @param {Object} params
+ * @param {Object} params.app - App ({ id, name })
+ * @param {Array} params.journal - Intervention journal records
+ * @param {Object} params.settings - App settings (see resolveInterventionProfile)
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @returns {Object} BEGIN_INTERVENTION action
+ */
+export const createBeginInterventionAction = ({ app, journal = [], settings = {}, now }) => {
+  const profile = resolveInterventionProfile(app.id, settings);
+  return {
+    type: 'BEGIN_INTERVENTION',
+    app,
+    profile,
+    friction: getFrictionForApp({
+      journal,
+      appId: app.id,
+      now,
+      policy: settings.escalation,
+    }),
+    unlockBudget: getUnlockBudget({
+      journal,
+      appId: app.id,
+      dailyBudgetMinutes: profile.dailyBudgetMinutes,
+      now,
+      settings: settings.unlockBudget,
+    }),
+    now,
+  };
+};
@@ -0,0 +1,272 @@
+import {
+  LAUNCH_DECISIONS,
+  createQuickTaskState,
+  ensureQuickTaskWindow,
+  getQuickTaskRemainingUses,
+  getLaunchDecision,
+  isQuickTaskActive,
+  isQuickTaskExpired,
+  startQuickTask,
+  appendQuickTaskLog,
+  canStartQuickTask,
+  getOpenQuickTaskEntry,
+  recordQuickTaskOutcome,
+  extendQuickTask,
+  QUICK_TASK_OUTCOMES,
+  createBeginInterventionAction,
+  createUnlockSession,
+  leaveUnlockSession,
+  resumeUnlockSession,
+  isUnlockSessionOpen,
+  getUnlockGraceSeconds,
+  resolveInterventionProfile,
+} from "./index";
+
+const app = { id: "instagram", name: "Instagram" };
+const minutes = (n) => n * 60 * 1000;
+const WINDOW = minutes(15);
+
+const launch = (overrides = {}) =>
+  getLaunchDecision({
+    app,
+    monitoredApps: ["instagram"],
+    unlockSession: null,
+    profile: resolveInterventionProfile("instagram", {}),
+    quickTask: createQuickTaskState(),
+    quotaSettings: { usesPerWindow: 1 },
+    now: minutes(100),
+    windowMs: WINDOW,
+    ...overrides,
+  });
+
+describe("quick task window", () => {
+  it("counts uses per window and resets once it runs out", () => {
+    const started = startQuickTask(createQuickTaskState(), {
+      now: minutes(100),
+      durationMinutes: 3,
+      windowMs: WINDOW,
+    });
+    expect(started).toEqual({
+      windowStart: minutes(100),
+      usesInWindow: 1,
+      activeUntil: minutes(103),
+    });
+    expect(getQuickTaskRemainingUses(started, 2, minutes(110), WINDOW)).toBe(1);
+    expect(getQuickTaskRemainingUses(started, 1, minutes(110), WINDOW)).toBe(0);
+    expect(getQuickTaskRemainingUses(started, 1, minutes(116), WINDOW)).toBe(1);
+
+    expect(ensureQuickTaskWindow(started, minutes(110), WINDOW)).toBe(started);
+    expect(ensureQuickTaskWindow(started, minutes(116), WINDOW)).toMatchObject({
+      windowStart: minutes(116),
+      usesInWindow: 0,
+    });
+  });
+
+  it("tells a running quick task from one that ran out", () => {
+    const quickTask = { ...createQuickTaskState(), activeUntil: minutes(3) };
+    expect(isQuickTaskActive(quickTask, minutes(2))).toBe(true);
+    expect(isQuickTaskExpired(quickTask, minutes(2))).toBe(false);
+    expect(isQuickTaskActive(quickTask, minutes(3))).toBe(false);
+    expect(isQuickTaskExpired(quickTask, minutes(3))).toBe(true);
+    expect(isQuickTaskExpired(createQuickTaskState(), minutes(3))).toBe(false);
+  });
+
+  it("keeps the newest log entries first", () => {
+    const log = Array.from({ length: 100 }, (_, i) => ({ id: i }));
+    const next = appendQuickTaskLog(log, app, 500);
+    expect(next).toHaveLength(100);
+    expect(next[0]).toEqual({
+      id: 500,
+      appId: "instagram",
+      appName: "Instagram",
+      startedAt: 500,
+      intention: null,
+      extendsId: null,
+      outcome: null,
+      endedAt: null,
+    });
+  });
+});
+
+describe("quick task check-ins", () => {
+  const profile = resolveInterventionProfile("instagram", {});
+  const strict = resolveInterventionProfile("instagram", {
+    appProfiles: { instagram: { requireQuickTaskIntention: true } },
+  });
+
+  it("only asks for an intention where the profile requires one", () => {
+    expect(canStartQuickTask(profile, "")).toBe(true);
+    expect(canStartQuickTask(strict, "  ")).toBe(false);
+    expect(canStartQuickTask(strict, "Reply to Anna's DM")).toBe(true);
+  });
+
+  it("records the outcome of the app's open quick task", () => {
+    const log = appendQuickTaskLog(
+      appendQuickTaskLog([], app, minutes(1), { intention: "Old" }),
+      app,
+      minutes(20),
+      { intention: " Reply to Anna's DM " }
+    );
+    const open = getOpenQuickTaskEntry(log, "instagram");
+    expect(open).toMatchObject({ id: minutes(20), intention: "Reply to Anna's DM" });
+    expect(getOpenQuickTaskEntry(log, "tiktok")).toBeNull();
+
+    const next = recordQuickTaskOutcome(log, open.id, QUICK_TASK_OUTCOMES.DONE, minutes(23));
+    expect(next[0]).toMatchObject({ outcome: "done", endedAt: minutes(23) });
+    expect(next[1].outcome).toBeNull();
+  });
+
+  it("extends a quick task with another use and the same intention", () => {
+    const quickTask = startQuickTask(createQuickTaskState(), {
+      now: minutes(100),
+      durationMinutes: 3,
+      windowMs: WINDOW,
+    });
+    const log = appendQuickTaskLog([], app, minutes(100), { intention: "Check the bus" });
+    const extended = extendQuickTask({
+      quickTask,
+      log,
+      entry: log[0],
+      app,
+      now: minutes(103),
+      durationMinutes: 3,
+      windowMs: WINDOW,
+    });
+    expect(extended.quickTask).toMatchObject({ usesInWindow: 2, activeUntil: minutes(106) });
+    expect(extended.log).toMatchObject([
+      { startedAt: minutes(103), intention: "Check the bus", extendsId: minutes(100), outcome: null },
+      { outcome: "extended", endedAt: minutes(103) },
+    ]);
+  });
+
+  it("logs a fresh entry when extending a quick task that was never logged", () => {
+    const quickTask = startQuickTask(createQuickTaskState(), {
+      now: minutes(100),
+      durationMinutes: 3,
+      windowMs: WINDOW,
+    });
+    const extended = extendQuickTask({
+      quickTask,
+      log: [],
+      entry: null,
+      app,
+      now: minutes(103),
+      durationMinutes: 3,
+      windowMs: WINDOW,
+    });
+    expect(extended.quickTask).toMatchObject({ usesInWindow: 2, activeUntil: minutes(106) });
+    expect(extended.log).toMatchObject([
+      { startedAt: minutes(103), intention: null, extendsId: null, outcome: null },
+    ]);
+  });
+});
+
+describe("unlock sessions", () => {
+  const session = createUnlockSession(0, 30);
+
+  it("keeps a left app open for the grace period only", () => {
+    const left = leaveUnlockSession(session, minutes(10), 5);
+    expect(left).toEqual({ until: minutes(30), graceUntil: minutes(15) });
+    expect(isUnlockSessionOpen(left, minutes(15))).toBe(true);
+    expect(isUnlockSessionOpen(left, minutes(15) + 1)).toBe(false);
+    expect(getUnlockGraceSeconds(left, minutes(12))).toBe(180);
+    expect(getUnlockGraceSeconds(session, minutes(12))).toBeNull();
+  });
+
+  it("resumes the unlock when the app is entered again in time", () => {
+    const resumed = resumeUnlockSession(leaveUnlockSession(session, minutes(10), 5));
+    expect(resumed.graceUntil).toBeNull();
+    expect(isUnlockSessionOpen(resumed, minutes(25))).toBe(true);
+    expect(isUnlockSessionOpen(resumed, minutes(31))).toBe(false);
+  });
+
+  it("never outlasts the unlock, and no grace ends the session", () => {
+    const left = leaveUnlockSession(session, minutes(28), 5);
+    expect(getUnlockGraceSeconds(left, minutes(28))).toBe(120);
+    expect(leaveUnlockSession(session, minutes(10), 0)).toBeNull();
+    expect(leaveUnlockSession(session, minutes(10), "2")).toMatchObject({
+      graceUntil: minutes(12),
+    });
+    expect(leaveUnlockSession(session, minutes(31), 5)).toBeNull();
+  });
+});
+
+describe("launch decisions", () => {
+  it("opens unmonitored and unlocked apps", () => {
+    expect(launch({ monitoredApps: [] }).decision).toBe(LAUNCH_DECISIONS.OPEN);
+    const session = createUnlockSession(minutes(90), 11);
+    expect(launch({ unlockSession: session }).decision).toBe(LAUNCH_DECISIONS.OPEN);
+    expect(launch({ unlockSession: createUnlockSession(minutes(90), 9) }).decision).toBe(
+      LAUNCH_DECISIONS.OFFER_QUICK_TASK
+    );
+    expect(
+      launch({ unlockSession: { ...session, graceUntil: minutes(99) } }).decision
+    ).toBe(LAUNCH_DECISIONS.OFFER_QUICK_TASK);
+  });
+
+  it("offers a quick task while the window has uses left, and starts the window", () => {
+    const { decision, quickTask } = launch();
+    expect(decision).toBe(LAUNCH_DECISIONS.OFFER_QUICK_TASK);
+    expect(quickTask).toEqual({ windowStart: minutes(100), usesInWindow: 0, activeUntil: 0 });
+
+    const used = { windowStart: minutes(95), usesInWindow: 1, activeUntil: minutes(98) };
+    expect(launch({ quickTask: used }).decision).toBe(LAUNCH_DECISIONS.INTERVENE);
+    expect(launch({ quickTask: used }).quickTask).toBe(used);
+  });
+
+  it("lets a running quick task through unless the profile is strict", () => {
+    const running = { windowStart: minutes(99), usesInWindow: 1, activeUntil: minutes(102) };
+    expect(launch({ quickTask: running }).decision).toBe(LAUNCH_DECISIONS.QUICK_TASK_RUNNING);
+
+    const strict = resolveInterventionProfile("tiktok", { appProfiles: { tiktok: { preset: "strict" } } });
+    expect(launch({ quickTask: running, profile: strict }).decision).toBe(
+      LAUNCH_DECISIONS.INTERVENE
+    );
+    expect(launch({ profile: strict }).decision).toBe(LAUNCH_DECISIONS.INTERVENE);
+  });
+
+  it("only lets the quick task's own app through under per-app quotas", () => {
+    const running = { windowStart: minutes(99), usesInWindow: 1, activeUntil: minutes(102) };
+    const tiktok = { id: "tiktok", name: "TikTok" };
+    const quickTaskLog = appendQuickTaskLog([], app, minutes(99));
+    const perApp = (overrides) =>
+      launch({
+        monitoredApps: ["instagram", "tiktok"],
+        quickTask: running,
+        quickTaskAppId: "instagram",
+        quickTaskLog,
+        quotaSettings: { strategy: "per-app", usesPerWindow: 1 },
+        ...overrides,
+      });
+
+    expect(perApp().decision).toBe(LAUNCH_DECISIONS.QUICK_TASK_RUNNING);
+    expect(perApp({ app: tiktok })).toMatchObject({
+      decision: LAUNCH_DECISIONS.OFFER_QUICK_TASK,
+      quota: { perApp: true, remaining: 1 },
+    });
+    // Shared strategies keep letting every app through
+    expect(
+      perApp({ app: tiktok, quotaSettings: { strategy: "sliding-window", usesPerWindow: 1 } })
+        .decision
+    ).toBe(LAUNCH_DECISIONS.QUICK_TASK_RUNNING);
+  });
+});
+
+describe("createBeginInterventionAction", () => {
+  it("carries the profile, budget and friction for the app", () => {
+    const journal = [{ appId: "tiktok", startedAt: minutes(90), outcome: "abandoned" }];
+    const action = createBeginInterventionAction({
+      app: { id: "tiktok", name: "TikTok" },
+      journal,
+      settings: { interventionDuration: 5, appProfiles: { tiktok: { preset: "strict" } } },
+      now: minutes(100),
+    });
+    expect(action).toMatchObject({
+      type: "BEGIN_INTERVENTION",
+      now: minutes(100),
+      profile: { preset: "strict", breathingDuration: 20 },
+      unlockBudget: { limit: 30, remaining: 30 },
+      friction: { attempt: 2 },
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Intervention State Machine - Lifecycle Hooks
+ *
+ * Framework-agnostic registry for side effects around state changes
+ * (analytics, notifications, buddy alerts, sounds, UI resets). The reducer
+ * stays pure; consumers call `notify(prevContext, nextContext)` after a new
+ * context has been committed, and the registry replays every transition in
+ * between from the context's event trail (see journal.js), so transitions that
+ * were batched into one update are not lost.
+ */
+
+import { ANY_STATE } from './machine';
+
+/**
+ * Check if a state matches a hook's state filter
+ * @param {string|Array<string>} filter - State, list of states or ANY_STATE
+ * @param {string} state - State to test
+ * @returns {boolean}
+ */
+const matchesState = (filter, state) =>
+  filter === ANY_STATE ||
+  filter === state ||
+  (Array.isArray(filter) && filter.includes(state));
+
+/**
+ * Get the transition events that happened between two committed contexts
+ * @param {Object} prevContext - Previously committed context
+ * @param {Object} nextContext - Newly committed context
+ * @returns {Array} Transition events ({ action, from, to, at }), oldest first
+ */
+export const getNewTransitionEvents = (prevContext, nextContext) => {
+  const prevEvents = prevContext.events || [];
+  const events = [];
+
+  // The previous session ended; its record holds the rest of its trail
+  const record =
+    nextContext.lastRecord !== prevContext.lastRecord ? nextContext.lastRecord : null;
+  if (record && record.id === prevContext.sessionId) {
+    events.push(
+      ...record.events
+        .slice(prevEvents.length)
+        // A BEGIN that replaced the session also opens the new trail below
+        .filter((event) => event.action !== 'BEGIN_INTERVENTION')
+    );
+  }
+
+  if (nextContext.sessionId) {
+    events.push(
+      ...(nextContext.sessionId === prevContext.sessionId
+        ? nextContext.events.slice(prevEvents.length)
+        : nextContext.events)
+    );
+  }
+  return events;
+};
+
+/**
+ * Create a lifecycle hook registry
+ * Callbacks receive { event, context, record }:
+ * - event: Transition event { action, from, to, at }
+ * - context: Newly committed context
+ * - record: Journal record of a session that ended in this update, or null
+ * Each register function returns an unsubscribe function.
+ * @returns {Object} { onEnter, onExit, onTransition, notify }
+ */
+export const createTransitionHooks = () => {
+  const hooks = { enter: [], exit: [], transition: [] };
+
+  const register = (list, state, callback) => {
+    const entry = { state, callback };
+    list.push(entry);
+    return () => {
+      const index = list.indexOf(entry);
+      if (index !== -1) list.splice(index, 1);
+    };
+  };
+
+  const run = (list, state, payload) => {
+    list
+      .filter((entry) => matchesState(entry.state, state))
+      .forEach((entry) => {
+        // One failing consumer must not keep the others from running
+        try {
+          entry.callback(payload);
+        } catch (error) {
+          console.error('[intervention] Lifecycle hook failed:', error);
+        }
+      });
+  };
+
+  return {
+    /**
+     * Register a callback for entering a state
+     * @param {string|Array<string>} state - State(s) or ANY_STATE
+     * @param {Function} callback
+     * @returns {Function} Unsubscribe
+     */
+    onEnter: (state, callback) => register(hooks.enter, state, callback),
+
+    /**
+     * Register a callback for leaving a state
+     * @param {string|Array<string>} state - State(s) or ANY_STATE
+     * @param {Function} callback
+     * @returns {Function} Unsubscribe
+     */
+    onExit: (state, callback) => register(hooks.exit, state, callback),
+
+    /**
+     * Register a callback for every transition
+     * @param {Function} callback
+     * @returns {Function} Unsubscribe
+     */
+    onTransition: (callback) => register(hooks.transition, ANY_STATE, callback),
+
+    /**
+     * Run the callbacks for everything that happened between two contexts
+     * Order per transition: onExit(from), onTransition, onEnter(to).
+     * @param {Object} prevContext - Previously committed context
+     * @param {Object} nextContext - Newly committed context
+     */
+    notify: (prevContext, nextContext) => {
+      if (prevContext === nextContext) return;
+      const record =
+        nextContext.lastRecord !== prevContext.lastRecord ? nextContext.lastRecord : null;
+      getNewTransitionEvents(prevContext, nextContext).forEach((event) => {
+        const payload = { event, context: nextContext, record };
+        run(hooks.exit, event.from, payload);
+        run(hooks.transition, ANY_STATE, payload);
+        run(hooks.enter, event.to, payload);
+      });
+    },
+  };
+};
@@ -0,0 +1,73 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  createTransitionHooks,
+} from "./index";
+
+const app = { id: "instagram", name: "Instagram" };
+
+const run = (actions, context = createInitialInterventionContext()) =>
+  actions.reduce((ctx, action) => interventionReducer(ctx, action), context);
+
+describe("intervention lifecycle hooks", () => {
+  it("runs exit, transition and enter callbacks in order", () => {
+    const hooks = createTransitionHooks();
+    const calls = [];
+    hooks.onExit("breathing", ({ event }) => calls.push(`exit ${event.from}`));
+    hooks.onTransition(({ event }) => calls.push(`${event.action}`));
+    hooks.onEnter(["root-cause", "alternatives"], ({ event }) => calls.push(`enter ${event.to}`));
+
+    const breathing = run([{ type: "BEGIN_INTERVENTION", app, breathingDuration: 0, now: 0 }]);
+    const rootCause = run([{ type: "BREATHING_COMPLETE", now: 1 }], breathing);
+    hooks.notify(breathing, rootCause);
+
+    expect(calls).toEqual(["exit breathing", "BREATHING_COMPLETE", "enter root-cause"]);
+  });
+
+  it("replays transitions batched into one update and passes the closed record", () => {
+    const hooks = createTransitionHooks();
+    const entered = [];
+    let record = null;
+    hooks.onEnter("*", ({ event }) => entered.push(event.to));
+    hooks.onEnter("idle", (payload) => {
+      record = payload.record;
+    });
+
+    const breathing = run([{ type: "BEGIN_INTERVENTION", app, breathingDuration: 0, now: 0 }]);
+    const unlocked = run(
+      [
+        { type: "BREATHING_COMPLETE", now: 1 },
+        { type: "PROCEED_TO_TIMER", now: 2 },
+        { type: "UNLOCK_APP", minutes: 5, now: 3 },
+      ],
+      breathing
+    );
+    hooks.notify(breathing, unlocked);
+
+    expect(entered).toEqual(["root-cause", "timer", "idle"]);
+    expect(record.appId).toBe("instagram");
+    expect(record.unlockMinutes).toBe(5);
+  });
+
+  it("treats a replaced session as exit and re-entry, and stops after unsubscribe", () => {
+    const hooks = createTransitionHooks();
+    const calls = [];
+    const unsubscribe = hooks.onEnter("breathing", ({ event }) => calls.push(event.from));
+
+    const first = run([{ type: "BEGIN_INTERVENTION", app, breathingDuration: 5, now: 0 }]);
+    const second = run([{ type: "BEGIN_INTERVENTION", app, breathingDuration: 5, now: 10 }], first);
+    hooks.notify(first, second);
+    expect(calls).toEqual(["breathing"]);
+
+    unsubscribe();
+    const restarted = run(
+      [
+        { type: "RESET_INTERVENTION", now: 20 },
+        { type: "BEGIN_INTERVENTION", app, breathingDuration: 5, now: 30 },
+      ],
+      second
+    );
+    hooks.notify(second, restarted);
+    expect(calls).toEqual(["breathing"]);
+  });
+});
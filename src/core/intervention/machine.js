@@ -0,0 +1,375 @@
+/**
+ * Intervention State Machine - Transition Table
+ *
+ * Declarative description of which actions are valid in which states, and
+ * where they lead. The reducer consults this table before applying an action,
+ * so an action that is not listed for the current state (or whose guard fails)
+ * is rejected instead of silently changing the context. The same table drives
+ * the generated INTERVENTION_TRANSITIONS.md and the state/action tests.
+ */
+
+import { meetsFrictionRequirements } from './escalation';
+import { isUnlockWithinBudget } from './budget';
+import { isValidCauseDetails } from './causes';
+import { isPendingStep } from './steps';
+import { isValidReflectionUpdate } from './reflection';
+import { getCurrentRoutineStep, getGuidedRoutine, isRoutineFinished } from './routines';
+
+/**
+ * All intervention flow states (see state.js for what each one means)
+ */
+export const INTERVENTION_STATES = [
+  'idle',
+  'breathing',
+  'root-cause',
+  'alternatives',
+  'guided',
+  'action',
+  'action_timer',
+  'timer',
+  'reflection',
+];
+
+/**
+ * Marker for actions valid in every state
+ */
+export const ANY_STATE = '*';
+
+/**
+ * Transition table, keyed by action type
+ * - from: States the action is valid in (or ANY_STATE)
+ * - to: States the machine can end up in after the action
+ * - guard: Optional { description, test(context, action) } that must pass
+ * - description: What the action means for the user
+ */
+export const TRANSITION_TABLE = {
+  BEGIN_INTERVENTION: {
+    from: ANY_STATE,
+    to: ['breathing'],
+    description: 'Start an intervention for an app; a running one is abandoned',
+  },
+  BREATHING_TICK: {
+    from: ['breathing'],
+    to: ['breathing', 'root-cause'],
+    description: 'Refresh the countdown from its deadline; moves on when it runs out',
+  },
+  BREATHING_COMPLETE: {
+    from: ['breathing'],
+    to: ['root-cause'],
+    description: 'Finish breathing early',
+  },
+  SELECT_CAUSE: {
+    from: ['root-cause'],
+    to: ['root-cause'],
+    guard: {
+      description: 'Intensity is 1-5 and the note fits, when given',
+      test: (context, action) => isValidCauseDetails(action),
+    },
+    description: 'Select an emotional cause, optionally with its intensity and a note',
+  },
+  SET_CAUSE_DETAILS: {
+    from: ['root-cause'],
+    to: ['root-cause'],
+    guard: {
+      description: 'Cause is selected; intensity is 1-5 and the note fits, when given',
+      test: (context, action) =>
+        context.selectedCauses.includes(action.causeId) && isValidCauseDetails(action),
+    },
+    description: 'Change the intensity or note of a selected cause',
+  },
+  DESELECT_CAUSE: {
+    from: ['root-cause'],
+    to: ['root-cause'],
+    description: 'Deselect an emotional cause',
+  },
+  PROCEED_TO_ALTERNATIVES: {
+    from: ['root-cause'],
+    to: ['alternatives'],
+    description: 'Browse alternatives for the selected causes',
+  },
+  PROCEED_TO_TIMER: {
+    from: ['root-cause', 'alternatives'],
+    to: ['timer'],
+    guard: {
+      description: 'Escalated friction is satisfied (cause selected, reason typed)',
+      test: (context, action) => meetsFrictionRequirements(context, action.reason),
+    },
+    description: '"I really need to use it" - choose how long to unlock the app',
+  },
+  START_GUIDED_ROUTINE: {
+    from: ['root-cause'],
+    to: ['guided'],
+    guard: {
+      description: 'Routine exists',
+      test: (context, action) => Boolean(getGuidedRoutine(action.routineId)),
+    },
+    description: 'Start a guided routine (e.g. grounding) instead of browsing alternatives',
+  },
+  COMPLETE_GUIDED_STEP: {
+    from: ['guided'],
+    to: ['guided'],
+    guard: {
+      description: 'Routine has a step left',
+      test: (context) => Boolean(getCurrentRoutineStep(context.guidedRoutine)),
+    },
+    description: 'Finish the current routine step',
+  },
+  SKIP_GUIDED_STEP: {
+    from: ['guided'],
+    to: ['guided'],
+    guard: {
+      description: 'Routine has a step left',
+      test: (context) => Boolean(getCurrentRoutineStep(context.guidedRoutine)),
+    },
+    description: 'Skip the current routine step',
+  },
+  FINISH_GUIDED_ROUTINE: {
+    from: ['guided'],
+    to: ['reflection'],
+    guard: {
+      description: 'Every step is done or skipped',
+      test: (context) => isRoutineFinished(context.guidedRoutine),
+    },
+    description: 'Reflect on the routine',
+  },
+  EXIT_GUIDED_ROUTINE: {
+    from: ['guided'],
+    to: ['alternatives'],
+    description: 'Skip the rest of the routine and browse alternatives',
+  },
+  SELECT_ALTERNATIVE: {
+    from: ['alternatives'],
+    to: ['action'],
+    description: 'Open the details of an alternative',
+  },
+  GO_BACK_FROM_ACTION: {
+    from: ['action'],
+    to: ['alternatives'],
+    description: 'Return from the alternative details to the list',
+  },
+  START_ALTERNATIVE: {
+    from: ['action'],
+    to: ['action_timer'],
+    description: 'Start the timer for the selected alternative',
+  },
+  START_ACTION_STEP: {
+    from: ['action_timer'],
+    to: ['action_timer'],
+    guard: {
+      description: 'Step is pending and its sub-timer not started',
+      test: (context, action) =>
+        isPendingStep(context.actionSteps, action.index) &&
+        context.actionSteps[action.index].startedAt == null,
+    },
+    description: "Start a step's own sub-timer",
+  },
+  CHECK_ACTION_STEP: {
+    from: ['action_timer'],
+    to: ['action_timer'],
+    guard: {
+      description: 'Step is pending',
+      test: (context, action) => isPendingStep(context.actionSteps, action.index),
+    },
+    description: 'Check off a step of the alternative',
+  },
+  SKIP_ACTION_STEP: {
+    from: ['action_timer'],
+    to: ['action_timer'],
+    guard: {
+      description: 'Step is pending',
+      test: (context, action) => isPendingStep(context.actionSteps, action.index),
+    },
+    description: 'Skip a step of the alternative',
+  },
+  UNDO_ACTION_STEP: {
+    from: ['action_timer'],
+    to: ['action_timer'],
+    guard: {
+      description: 'Step was checked off or skipped',
+      test: (context, action) =>
+        Boolean(context.actionSteps[action.index]) &&
+        !isPendingStep(context.actionSteps, action.index),
+    },
+    description: 'Put a checked or skipped step back on the list',
+  },
+  ACTION_TIMER_TICK: {
+    from: ['action_timer'],
+    to: ['action_timer'],
+    description: 'Refresh the action timer from its deadline (no-op while paused)',
+  },
+  PAUSE_ACTION_TIMER: {
+    from: ['action_timer'],
+    to: ['action_timer'],
+    guard: {
+      description: 'Timer is running',
+      test: (context) => context.actionTimerPausedAt == null,
+    },
+    description: 'Freeze the action timer',
+  },
+  RESUME_ACTION_TIMER: {
+    from: ['action_timer'],
+    to: ['action_timer'],
+    guard: {
+      description: 'Timer is paused',
+      test: (context) => context.actionTimerPausedAt != null,
+    },
+    description: 'Continue the action timer, pushing its deadline back',
+  },
+  ACTION_TIMER_COMPLETE: {
+    from: ['action_timer'],
+    to: ['reflection'],
+    description: 'Timer ran out - reflect on the alternative',
+  },
+  FINISH_ACTION: {
+    from: ['action_timer'],
+    to: ['reflection'],
+    description: 'Finish the alternative before the timer runs out',
+  },
+  UPDATE_REFLECTION: {
+    from: ['reflection'],
+    to: ['reflection'],
+    guard: {
+      description: 'Answers are known fields within their scales',
+      test: (context, action) => isValidReflectionUpdate(action.changes),
+    },
+    description: 'Answer part of the reflection (urge, still wanting the app, helpfulness, note)',
+  },
+  FINISH_REFLECTION: {
+    from: ['reflection'],
+    to: ['idle'],
+    description: 'Rate the alternative and end the intervention',
+  },
+  UNLOCK_APP: {
+    from: ['timer'],
+    to: ['idle'],
+    guard: {
+      description:
+        "Unlock minutes within the app profile's maximum and today's budget (or a buddy override)",
+      test: (context, action) =>
+        (!context.profile || action.minutes <= context.profile.maxUnlockMinutes) &&
+        isUnlockWithinBudget(context, action),
+    },
+    description: 'Unlock the target app and end the intervention',
+  },
+  RESET_INTERVENTION: {
+    from: ANY_STATE,
+    to: ['idle'],
+    description: 'Abandon the intervention',
+  },
+};
+
+/**
+ * Check the transition table for an action
+ * @param {Object} context - Current intervention context
+ * @param {Object} action - Action object with type and payload
+ * @returns {string|null} Why the action is rejected, or null if it may be dispatched
+ */
+export const getTransitionRejection = (context, action) => {
+  const transition = TRANSITION_TABLE[action.type];
+  if (!transition) return `unknown action ${action.type}`;
+  if (transition.from !== ANY_STATE && !transition.from.includes(context.state)) {
+    return `${action.type} is not valid in state '${context.state}'`;
+  }
+  if (transition.guard && !transition.guard.test(context, action)) {
+    return `guard failed: ${transition.guard.description}`;
+  }
+  return null;
+};
+
+/**
+ * Check if an action is valid for the current context
+ * @param {Object} context - Current intervention context
+ * @param {Object} action - Action object with type and payload
+ * @returns {boolean}
+ */
+export const canDispatch = (context, action) =>
+  getTransitionRejection(context, action) === null;
+
+/**
+ * Explain to the user why an unlock cannot go ahead
+ * getTransitionRejection is for developers; this names the limit that was hit.
+ * @param {Object} context - Current intervention context
+ * @param {Object} action - PROCEED_TO_TIMER or UNLOCK_APP action
+ * @param {string} appName - Target app name
+ * @returns {string|null} Message for the user, or null if the action may be dispatched
+ */
+export const describeUnlockRejection = (context, action, appName) => {
+  if (canDispatch(context, action)) return null;
+  if (action.type === 'PROCEED_TO_TIMER' && !meetsFrictionRequirements(context, action.reason)) {
+    return context.friction.requireReason
+      ? `Pick a cause and write down why you need ${appName} before unlocking.`
+      : `Pick a cause before unlocking ${appName}.`;
+  }
+  if (action.type === 'UNLOCK_APP') {
+    const { profile, unlockBudget } = context;
+    if (profile && action.minutes > profile.maxUnlockMinutes) {
+      return `${appName} can be unlocked for at most ${profile.maxUnlockMinutes} minutes at a time.`;
+    }
+    if (!isUnlockWithinBudget(context, action)) {
+      if (action.override) return `Buddy approvals are turned off for ${appName}.`;
+      return unlockBudget.remaining > 0
+        ? `Only ${unlockBudget.remaining} minutes of today's ${appName} budget are left.`
+        : `Today's ${appName} budget is used up.`;
+    }
+  }
+  return `Can't unlock ${appName} right now.`;
+};
+
+/**
+ * Report a rejected action (development builds only)
+ * @param {Object} context - Current intervention context
+ * @param {Object} action - Rejected action
+ * @param {string} reason - From getTransitionRejection
+ */
+export const reportRejectedTransition = (context, action, reason) => {
+  if (process.env.NODE_ENV !== 'development') return;
+  console.warn(`[intervention] Rejected ${action.type} in '${context.state}': ${reason}`);
+};
+
+/**
+ * Render the transition table as Markdown
+ * @returns {string} Contents of INTERVENTION_TRANSITIONS.md
+ */
+export const formatTransitionTable = () => {
+  const formatStates = (states) =>
+    states === ANY_STATE ? 'any' : states.map((state) => `\`${state}\``).join(', ');
+  const rows = Object.entries(TRANSITION_TABLE).map(
+    ([type, transition]) =>
+      `| \`${type}\` | ${formatStates(transition.from)} | ${formatStates(transition.to)} | ${
+        transition.guard ? transition.guard.description : '-'
+      } | ${transition.description} |`
+  );
+  const matrix = INTERVENTION_STATES.map(
+    (state) =>
+      `| \`${state}\` | ${Object.keys(TRANSITION_TABLE)
+        .filter((type) => {
+          const { from } = TRANSITION_TABLE[type];
+          return from === ANY_STATE || from.includes(state);
+        })
+        .map((type) => `\`${type}\``)
+        .join(', ')} |`
+  );
+
+  return [
+    '# Intervention Transitions',
+    '',
+    '<!-- Generated from src/core/intervention/machine.js. Do not edit by hand;',
+    '     run `UPDATE_TRANSITION_DOCS=1 npm test -- machine` to regenerate. -->',
+    '',
+    'Actions not listed for the current state, or whose guard fails, are rejected:',
+    'the reducer returns the context unchanged and warns in development builds.',
+    '',
+    '## Actions',
+    '',
+    '| Action | From | To | Guard | Description |',
+    '| --- | --- | --- | --- | --- |',
+    ...rows,
+    '',
+    '## Valid actions per state',
+    '',
+    '| State | Actions |',
+    '| --- | --- |',
+    ...matrix,
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,144 @@
+import fs from "fs";
+import path from "path";
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  canDispatch,
+  describeUnlockRejection,
+  formatTransitionTable,
+  INTERVENTION_STATES,
+  TRANSITION_TABLE,
+} from "./index";
+
+const app = { id: "instagram", name: "Instagram" };
+const DOCS_PATH = path.resolve(__dirname, "../../../INTERVENTION_TRANSITIONS.md");
+
+const run = (actions, context = createInitialInterventionContext()) =>
+  actions.reduce((ctx, action) => interventionReducer(ctx, action), context);
+
+// One representative action per type
+const SAMPLE_ACTIONS = {
+  BEGIN_INTERVENTION: { app, breathingDuration: 10 },
+  BREATHING_TICK: {},
+  BREATHING_COMPLETE: {},
+  SELECT_CAUSE: { causeId: "boredom" },
+  SET_CAUSE_DETAILS: { causeId: "boredom", intensity: 4 },
+  DESELECT_CAUSE: { causeId: "boredom" },
+  PROCEED_TO_ALTERNATIVES: {},
+  PROCEED_TO_TIMER: {},
+  START_GUIDED_ROUTINE: { routineId: "grounding" },
+  COMPLETE_GUIDED_STEP: {},
+  SKIP_GUIDED_STEP: {},
+  FINISH_GUIDED_ROUTINE: {},
+  EXIT_GUIDED_ROUTINE: {},
+  SELECT_ALTERNATIVE: {
+    alternative: { id: "b1", title: "Walk", duration: "5m", actions: ["Shoes on", "Go outside"] },
+  },
+  GO_BACK_FROM_ACTION: {},
+  START_ALTERNATIVE: { durationMinutes: 5 },
+  START_ACTION_STEP: { index: 0 },
+  CHECK_ACTION_STEP: { index: 0 },
+  SKIP_ACTION_STEP: { index: 0 },
+  UNDO_ACTION_STEP: { index: 0 },
+  ACTION_TIMER_TICK: {},
+  PAUSE_ACTION_TIMER: {},
+  RESUME_ACTION_TIMER: {},
+  ACTION_TIMER_COMPLETE: {},
+  FINISH_ACTION: {},
+  UPDATE_REFLECTION: { changes: { urgeBefore: 7, urgeAfter: 2 } },
+  FINISH_REFLECTION: { rating: 1 },
+  UNLOCK_APP: { minutes: 5 },
+  RESET_INTERVENTION: {},
+};
+
+const action = (type, now = 5000) => ({ type, ...SAMPLE_ACTIONS[type], now });
+
+// Reach every state through real transitions
+const breathing = run([action("BEGIN_INTERVENTION", 0)]);
+const rootCause = run([action("BREATHING_COMPLETE", 0)], breathing);
+const alternatives = run([action("PROCEED_TO_ALTERNATIVES", 0)], rootCause);
+const actionState = run([action("SELECT_ALTERNATIVE", 0)], alternatives);
+const actionTimer = run([action("START_ALTERNATIVE", 0)], actionState);
+const CONTEXTS = {
+  idle: createInitialInterventionContext(),
+  breathing,
+  "root-cause": rootCause,
+  alternatives,
+  guided: run([action("START_GUIDED_ROUTINE", 0)], rootCause),
+  action: actionState,
+  action_timer: actionTimer,
+  timer: run([action("PROCEED_TO_TIMER", 0)], rootCause),
+  reflection: run([action("FINISH_ACTION", 0)], actionTimer),
+};
+
+describe("intervention transition table", () => {
+  it("covers every dispatched action and state", () => {
+    expect(Object.keys(TRANSITION_TABLE).sort()).toEqual(Object.keys(SAMPLE_ACTIONS).sort());
+    INTERVENTION_STATES.forEach((state) => expect(CONTEXTS[state].state).toBe(state));
+  });
+
+  describe.each(INTERVENTION_STATES)("in state '%s'", (state) => {
+    it.each(Object.keys(TRANSITION_TABLE))("%s follows the table", (type) => {
+      const context = CONTEXTS[state];
+      const next = interventionReducer(context, action(type));
+      if (canDispatch(context, action(type))) {
+        expect(TRANSITION_TABLE[type].to).toContain(next.state);
+      } else {
+        expect(next).toBe(context);
+      }
+    });
+  });
+
+  it("rejects unlocking outside the unlock flow", () => {
+    expect(canDispatch(CONTEXTS.idle, action("PROCEED_TO_TIMER"))).toBe(false);
+    expect(canDispatch(CONTEXTS.action_timer, action("PROCEED_TO_TIMER"))).toBe(false);
+    expect(canDispatch(CONTEXTS.idle, action("UNLOCK_APP"))).toBe(false);
+    expect(canDispatch(CONTEXTS.idle, { type: "NOT_AN_ACTION" })).toBe(false);
+  });
+
+  it("explains rejected unlocks in words for the user", () => {
+    const timer = {
+      ...CONTEXTS.timer,
+      profile: { maxUnlockMinutes: 15 },
+      unlockBudget: { remaining: 10, allowBuddyOverride: false },
+    };
+    const unlock = (minutes, override = null) => ({ type: "UNLOCK_APP", minutes, override });
+
+    expect(describeUnlockRejection(timer, unlock(5), "Instagram")).toBeNull();
+    expect(describeUnlockRejection(timer, unlock(30), "Instagram")).toBe(
+      "Instagram can be unlocked for at most 15 minutes at a time."
+    );
+    expect(describeUnlockRejection(timer, unlock(15), "Instagram")).toBe(
+      "Only 10 minutes of today's Instagram budget are left."
+    );
+    expect(
+      describeUnlockRejection(
+        { ...timer, unlockBudget: { remaining: 0, allowBuddyOverride: false } },
+        unlock(5),
+        "Instagram"
+      )
+    ).toBe("Today's Instagram budget is used up.");
+    expect(describeUnlockRejection(timer, unlock(5, { buddyId: "b" }), "Instagram")).toBe(
+      "Buddy approvals are turned off for Instagram."
+    );
+
+    const rootCause = {
+      ...CONTEXTS["root-cause"],
+      friction: { requireCause: true, requireReason: true, reasonMinLength: 5 },
+    };
+    expect(
+      describeUnlockRejection(rootCause, { type: "PROCEED_TO_TIMER", reason: "" }, "Instagram")
+    ).toBe("Pick a cause and write down why you need Instagram before unlocking.");
+    expect(describeUnlockRejection(CONTEXTS.idle, unlock(5), "Instagram")).toBe(
+      "Can't unlock Instagram right now."
+    );
+  });
+
+  it("keeps INTERVENTION_TRANSITIONS.md in sync with the table", () => {
+    const generated = formatTransitionTable();
+    if (process.env.UPDATE_TRANSITION_DOCS) {
+      fs.writeFileSync(DOCS_PATH, generated);
+    }
+    expect(fs.readFileSync(DOCS_PATH, "utf8")).toBe(generated);
+  });
+});
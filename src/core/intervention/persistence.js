@@ -0,0 +1,109 @@
+/**
+ * Intervention State Machine - Persistence
+ *
+ * Framework-agnostic snapshot/rehydration of an in-flight intervention, so a
+ * reload in the middle of breathing or an action timer resumes where it left
+ * off instead of silently dropping the friction.
+ *
+ * Expiry policy: a snapshot is only resumed if it was saved less than
+ * `maxInactiveMinutes` ago. Timers are wall-clock based, so time spent away
+ * counts: breathing that ran out while away resumes at root-cause, and a
+ * running action timer resumes with whatever is left of its deadline (a paused
+ * one stays paused). A paused action timer never goes stale: the pause is
+ * deliberate (e.g. a phone call) and nothing changes while it lasts. Other
+ * stale snapshots close the intervention as abandoned so it still lands in
+ * the journal.
+ */
+
+import { createInitialInterventionContext } from './state';
+import { interventionReducer } from './transitions';
+import { isActionTimerPaused } from './timers';
+
+/**
+ * Snapshot format version; snapshots with another version are discarded
+ */
+export const INTERVENTION_SNAPSHOT_VERSION = 1;
+
+/**
+ * Default rehydration policy
+ */
+export const DEFAULT_REHYDRATION_POLICY = {
+  maxInactiveMinutes: 30,
+};
+
+/**
+ * Create a persistable snapshot of the intervention context
+ * @param {Object} context - Intervention context
+ * @param {number} [now] - Current timestamp in milliseconds
+ * @returns {Object|null} Snapshot, or null when there is nothing to resume
+ */
+export const serializeInterventionContext = (context, now = Date.now()) => {
+  if (!context || context.state === 'idle') return null;
+  return {
+    version: INTERVENTION_SNAPSHOT_VERSION,
+    savedAt: now,
+    // The finished record is persisted by the journal, not the snapshot
+    context: { ...context, lastRecord: null },
+  };
+};
+
+/**
+ * Check if a snapshot is too old to resume
+ * Snapshots of a paused action timer never expire.
+ * @param {Object} snapshot - Snapshot from serializeInterventionContext
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {Object} [policy] - Rehydration policy
+ * @returns {boolean}
+ */
+export const isSnapshotExpired = (
+  snapshot,
+  now,
+  policy = DEFAULT_REHYDRATION_POLICY
+) =>
+  !isActionTimerPaused(snapshot.context) &&
+  now - snapshot.savedAt > policy.maxInactiveMinutes * 60 * 1000;
+
+/**
+ * Rebuild the intervention context from a snapshot
+ * @param {Object|null} snapshot - Snapshot from serializeInterventionContext
+ * @param {number} [now] - Current timestamp in milliseconds
+ * @param {Object} [policy] - Rehydration policy
+ * @returns {Object} Intervention context; an expired session comes back idle
+ *   with its abandoned record in `lastRecord`
+ */
+export const rehydrateInterventionContext = (
+  snapshot,
+  now = Date.now(),
+  policy = DEFAULT_REHYDRATION_POLICY
+) => {
+  const initial = createInitialInterventionContext();
+  if (
+    !snapshot ||
+    snapshot.version !== INTERVENTION_SNAPSHOT_VERSION ||
+    !snapshot.context ||
+    typeof snapshot.savedAt !== 'number'
+  ) {
+    return initial;
+  }
+
+  const context = { ...initial, ...snapshot.context };
+  if (context.state === 'idle') return initial;
+
+  if (isSnapshotExpired(snapshot, now, policy)) {
+    // Close it as of the moment it was last seen
+    return interventionReducer(context, {
+      type: 'RESET_INTERVENTION',
+      now: snapshot.savedAt,
+    });
+  }
+
+  // Catch the wall-clock timers up with the time spent away
+  switch (context.state) {
+    case 'breathing':
+      return interventionReducer(context, { type: 'BREATHING_TICK', now });
+    case 'action_timer':
+      return interventionReducer(context, { type: 'ACTION_TIMER_TICK', now });
+    default:
+      return context;
+  }
+};
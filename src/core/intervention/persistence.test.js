@@ -0,0 +1,83 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  serializeInterventionContext,
+  rehydrateInterventionContext,
+  JOURNAL_OUTCOMES,
+} from "./index";
+
+const app = { id: "instagram", name: "Instagram" };
+const minutes = (n) => n * 60 * 1000;
+
+const run = (actions, context = createInitialInterventionContext()) =>
+  actions.reduce((ctx, action) => interventionReducer(ctx, action), context);
+
+// Round-trip through JSON like localStorage does
+const reload = (context, savedAt, now) =>
+  rehydrateInterventionContext(
+    JSON.parse(JSON.stringify(serializeInterventionContext(context, savedAt))),
+    now
+  );
+
+describe("intervention rehydration", () => {
+  it("resumes breathing with the remaining time, or moves on if it ran out", () => {
+    const breathing = run([
+      { type: "BEGIN_INTERVENTION", app, breathingDuration: 10, now: 0 },
+    ]);
+    const resumed = reload(breathing, 2000, 4000);
+    expect(resumed.state).toBe("breathing");
+    expect(resumed.breathingCount).toBe(6);
+
+    expect(reload(breathing, 2000, 60000).state).toBe("root-cause");
+  });
+
+  it("resumes a running action timer from its deadline and keeps a paused one frozen", () => {
+    const timer = run([
+      { type: "BEGIN_INTERVENTION", app, breathingDuration: 0, now: 0 },
+      { type: "BREATHING_COMPLETE", now: 0 },
+      { type: "PROCEED_TO_ALTERNATIVES", now: 0 },
+      { type: "SELECT_ALTERNATIVE", alternative: { id: "b1", title: "Walk" }, now: 0 },
+      { type: "START_ALTERNATIVE", durationMinutes: 5, now: 0 },
+    ]);
+    expect(reload(timer, 1000, minutes(2)).actionTimer).toBe(180);
+
+    const paused = interventionReducer(timer, { type: "PAUSE_ACTION_TIMER", now: minutes(1) });
+    const resumed = reload(paused, minutes(1), minutes(10));
+    expect(resumed.actionTimerPausedAt).toBe(minutes(1));
+    expect(resumed.actionTimer).toBe(240);
+  });
+
+  it("resumes a timer paused for longer than the inactivity limit", () => {
+    const paused = run([
+      { type: "BEGIN_INTERVENTION", app, breathingDuration: 0, now: 0 },
+      { type: "BREATHING_COMPLETE", now: 0 },
+      { type: "PROCEED_TO_ALTERNATIVES", now: 0 },
+      { type: "SELECT_ALTERNATIVE", alternative: { id: "b1", title: "Walk" }, now: 0 },
+      { type: "START_ALTERNATIVE", durationMinutes: 5, now: 0 },
+      { type: "PAUSE_ACTION_TIMER", now: minutes(1) },
+    ]);
+    const resumed = reload(paused, minutes(1), minutes(90));
+    expect(resumed.state).toBe("action_timer");
+    expect(resumed.actionTimer).toBe(240);
+
+    const running = interventionReducer(resumed, { type: "RESUME_ACTION_TIMER", now: minutes(90) });
+    expect(running.actionTimerPausedAt).toBeNull();
+    expect(interventionReducer(running, { type: "ACTION_TIMER_TICK", now: minutes(91) }).actionTimer).toBe(180);
+  });
+
+  it("closes stale sessions as abandoned and ignores idle or foreign snapshots", () => {
+    const rootCause = run([
+      { type: "BEGIN_INTERVENTION", app, breathingDuration: 0, now: 0 },
+      { type: "BREATHING_COMPLETE", now: 0 },
+    ]);
+    const expired = reload(rootCause, minutes(1), minutes(45));
+    expect(expired.state).toBe("idle");
+    expect(expired.lastRecord.outcome).toBe(JOURNAL_OUTCOMES.ABANDONED);
+    expect(expired.lastRecord.endedAt).toBe(minutes(1));
+
+    expect(serializeInterventionContext(createInitialInterventionContext())).toBeNull();
+    expect(rehydrateInterventionContext({ version: 0, savedAt: 0, context: rootCause }).state).toBe(
+      "idle"
+    );
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Intervention State Machine - Per-App Profiles
+ *
+ * Framework-agnostic resolution of how strict the intervention is for a
+ * given app. A profile is resolved from three layers:
+ * 1. The global settings (breathing pattern and duration)
+ * 2. The app's preset (light / standard / strict)
+ * 3. The app's own overrides
+ * The resolved profile is passed to BEGIN_INTERVENTION and kept on the
+ * context, so later screens (causes, alternatives, unlock timer) use it too.
+ */
+
+/**
+ * Maximum unlock minutes when neither preset nor app sets one
+ */
+export const DEFAULT_MAX_UNLOCK_MINUTES = 60;
+
+/**
+ * Unlock durations offered on the timer screen
+ */
+export const UNLOCK_MINUTE_OPTIONS = [5, 15, 30, 45, 60];
+
+/**
+ * Profile presets; fields left out fall back to the global settings
+ */
+export const INTERVENTION_PROFILE_PRESETS = {
+  light: {
+    id: 'light',
+    label: 'Light',
+    breathingDuration: 3,
+    maxUnlockMinutes: 60,
+    allowQuickTask: true,
+  },
+  standard: {
+    id: 'standard',
+    label: 'Standard',
+  },
+  strict: {
+    id: 'strict',
+    label: 'Strict',
+    breathingDuration: 20,
+    maxUnlockMinutes: 15,
+    dailyBudgetMinutes: 30,
+    allowQuickTask: false,
+  },
+};
+
+export const DEFAULT_PROFILE_PRESET = 'standard';
+
+/**
+ * Resolve the intervention profile for an app
+ * @param {string} appId - App ID
+ * @param {Object} settings - App settings (interventionDuration, breathingPattern, appProfiles)
+ * @returns {Object} Resolved profile:
+ *   { appId, preset, breathingPattern, breathingDuration, causeIds,
+ *     alternativeTypes, maxUnlockMinutes, dailyBudgetMinutes, allowQuickTask,
+ *     requireQuickTaskIntention }
+ *   causeIds is null when every cause is available; dailyBudgetMinutes is
+ *   null when unlocks are not budgeted (see budget.js).
+ */
+export const resolveInterventionProfile = (appId, settings = {}) => {
+  const overrides = settings.appProfiles?.[appId] || {};
+  const preset =
+    INTERVENTION_PROFILE_PRESETS[overrides.preset] ||
+    INTERVENTION_PROFILE_PRESETS[DEFAULT_PROFILE_PRESET];
+  // An explicit null override (e.g. "no budget") beats the preset
+  const pick = (key, fallback) => {
+    if (overrides[key] !== undefined) return overrides[key];
+    return preset[key] !== undefined ? preset[key] : fallback;
+  };
+  const dailyBudgetMinutes = pick('dailyBudgetMinutes', null);
+
+  return {
+    appId,
+    preset: preset.id,
+    breathingPattern: pick('breathingPattern', settings.breathingPattern),
+    breathingDuration: Number(pick('breathingDuration', settings.interventionDuration)),
+    causeIds: overrides.causeIds?.length ? [...overrides.causeIds] : null,
+    alternativeTypes: [...(overrides.alternativeTypes || [])],
+    maxUnlockMinutes: Number(pick('maxUnlockMinutes', DEFAULT_MAX_UNLOCK_MINUTES)),
+    dailyBudgetMinutes: dailyBudgetMinutes == null ? null : Number(dailyBudgetMinutes),
+    allowQuickTask: pick('allowQuickTask', true),
+    requireQuickTaskIntention: pick('requireQuickTaskIntention', false),
+  };
+};
+
+/**
+ * Get the causes offered by a profile
+ * @param {Object|null} profile - Resolved profile
+ * @param {Array} causes - All causes ({ id, ... })
+ * @returns {Array} Causes in their original order
+ */
+export const getProfileCauses = (profile, causes) =>
+  profile?.causeIds ? causes.filter((cause) => profile.causeIds.includes(cause.id)) : causes;
+
+/**
+ * Get the unlock durations a profile allows
+ * @param {Object|null} profile - Resolved profile
+ * @param {Object|null} [unlockBudget] - Today's budget (see budget.js); ignored for buddy overrides
+ * @returns {Array<number>} Minutes
+ */
+export const getUnlockMinuteOptions = (profile, unlockBudget = null) => {
+  const max = Math.min(
+    profile ? profile.maxUnlockMinutes : Infinity,
+    unlockBudget ? unlockBudget.remaining : Infinity
+  );
+  return UNLOCK_MINUTE_OPTIONS.filter((minutes) => minutes <= max);
+};
+
+/**
+ * Check if an alternative belongs to the profile's preferred pool
+ * @param {Object|null} profile - Resolved profile
+ * @param {Object} alternative - Alternative activity ({ type, ... })
+ * @returns {boolean}
+ */
+export const isPreferredAlternative = (profile, alternative) =>
+  Boolean(profile?.alternativeTypes.includes(alternative.type));
@@ -0,0 +1,59 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  beginIntervention,
+  resolveInterventionProfile,
+  getProfileCauses,
+  getUnlockMinuteOptions,
+} from "./index";
+
+const settings = {
+  interventionDuration: "5",
+  breathingPattern: "countdown",
+  appProfiles: {
+    tiktok: { preset: "strict" },
+    youtube: { preset: "light", causeIds: ["boredom"], maxUnlockMinutes: 30 },
+  },
+};
+
+describe("per-app intervention profiles", () => {
+  it("layers app overrides over the preset over the global settings", () => {
+    const instagram = resolveInterventionProfile("instagram", settings);
+    expect(instagram.preset).toBe("standard");
+    expect(instagram.breathingDuration).toBe(5);
+    expect(instagram.allowQuickTask).toBe(true);
+    expect(instagram.requireQuickTaskIntention).toBe(false);
+
+    const tiktok = resolveInterventionProfile("tiktok", settings);
+    expect(tiktok.breathingDuration).toBe(20);
+    expect(tiktok.allowQuickTask).toBe(false);
+    expect(getUnlockMinuteOptions(tiktok)).toEqual([5, 15]);
+
+    const youtube = resolveInterventionProfile("youtube", settings);
+    expect(youtube.breathingDuration).toBe(3);
+    expect(youtube.maxUnlockMinutes).toBe(30);
+    expect(getProfileCauses(youtube, [{ id: "boredom" }, { id: "anxiety" }])).toEqual([
+      { id: "boredom" },
+    ]);
+  });
+
+  it("drives breathing and the unlock limit of the intervention", () => {
+    const app = { id: "tiktok", name: "TikTok" };
+    const started = beginIntervention(
+      createInitialInterventionContext(),
+      app,
+      resolveInterventionProfile("tiktok", settings)
+    );
+    expect(started.breathingDuration).toBe(20);
+
+    const timer = [
+      { type: "BREATHING_COMPLETE" },
+      { type: "PROCEED_TO_TIMER" },
+    ].reduce(interventionReducer, started);
+    expect(interventionReducer(timer, { type: "UNLOCK_APP", minutes: 60 })).toBe(timer);
+
+    const unlocked = interventionReducer(timer, { type: "UNLOCK_APP", minutes: 15 });
+    expect(unlocked.state).toBe("idle");
+    expect(unlocked.profile).toBeNull();
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Intervention State Machine - Quick Task Quotas
+ *
+ * Framework-agnostic strategies deciding how many quick tasks are left.
+ * Every strategy counts uses its own way and tells when the next one frees
+ * up; new strategies only need a new entry in QUICK_TASK_QUOTA_STRATEGIES.
+ * - 'fixed-window': One window shared by all apps, starting at the first
+ *   launch after the previous one ran out ({ windowStart, usesInWindow })
+ * - 'sliding-window': Uses in the last window length, over the quick task log
+ * - 'per-app': Like the sliding window, but every app has its own allowance
+ * - 'daily': A cap per day, resetting at the budget day start (see budget.js)
+ */
+
+import { QUICK_TASK_WINDOW_MS } from '../../constants/config';
+import { DEFAULT_BUDGET_SETTINGS, getBudgetDayStart, getNextBudgetDayStart } from './budget';
+
+/**
+ * Check if the fixed quick task window has run out (or never started)
+ * @param {Object} quickTask - Quick task state
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {number} [windowMs] - Window length
+ * @returns {boolean}
+ */
+export const isQuickTaskWindowExpired = (quickTask, now, windowMs = QUICK_TASK_WINDOW_MS) =>
+  !quickTask.windowStart || now - quickTask.windowStart >= windowMs;
+
+/**
+ * Start a new fixed window if the previous one ran out
+ * @param {Object} quickTask - Quick task state
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {number} [windowMs] - Window length
+ * @returns {Object} Quick task state (unchanged while the window runs)
+ */
+export const ensureQuickTaskWindow = (quickTask, now, windowMs = QUICK_TASK_WINDOW_MS) =>
+  isQuickTaskWindowExpired(quickTask, now, windowMs)
+    ? { ...quickTask, windowStart: now, usesInWindow: 0 }
+    : quickTask;
+
+/**
+ * Count log entries in the window ending now
+ * @returns {Object} { used, nextFreeAt } where nextFreeAt is when leaving
+ *   uses bring the count back under the limit
+ */
+const countSlidingWindow = (entries, { limit, now, windowMs }) => {
+  const inWindow = entries
+    .filter((entry) => entry.startedAt > now - windowMs && entry.startedAt <= now)
+    .map((entry) => entry.startedAt)
+    .sort((a, b) => a - b);
+  const freeing = inWindow[Math.max(0, inWindow.length - limit)];
+  return {
+    used: inWindow.length,
+    nextFreeAt: freeing != null ? freeing + windowMs : null,
+  };
+};
+
+const windowMinutes = (windowMs) => Math.round(windowMs / 60000);
+
+/**
+ * Quota strategies, keyed by ID
+ * - limitSetting: Which limit applies ('usesPerWindow' or 'dailyLimit')
+ * - perApp: Whether each app has its own allowance
+ * - getUsage(params): { used, nextFreeAt } where nextFreeAt is when another
+ *   use frees up (null while nothing is used)
+ * - describe(quota, { windowMs, appName }): Summary for the quick task dialog
+ */
+export const QUICK_TASK_QUOTA_STRATEGIES = {
+  'fixed-window': {
+    id: 'fixed-window',
+    label: 'Fixed window',
+    description: 'A window starts with your first quick task; all apps share it.',
+    limitSetting: 'usesPerWindow',
+    perApp: false,
+    getUsage: ({ quickTask, now, windowMs }) =>
+      isQuickTaskWindowExpired(quickTask, now, windowMs)
+        ? { used: 0, nextFreeAt: null }
+        : { used: quickTask.usesInWindow, nextFreeAt: quickTask.windowStart + windowMs },
+    describe: (quota, { windowMs }) =>
+      `${quota.remaining} of ${quota.limit} left in this ${windowMinutes(windowMs)}-minute window`,
+  },
+  'sliding-window': {
+    id: 'sliding-window',
+    label: 'Rolling window',
+    description: 'Counts your quick tasks over the last window, across all apps.',
+    limitSetting: 'usesPerWindow',
+    perApp: false,
+    getUsage: ({ log, limit, now, windowMs }) =>
+      countSlidingWindow(log, { limit, now, windowMs }),
+    describe: (quota, { windowMs }) =>
+      `${quota.remaining} of ${quota.limit} left in the last ${windowMinutes(windowMs)} minutes`,
+  },
+  'per-app': {
+    id: 'per-app',
+    label: 'Per app',
+    description: 'Each app has its own allowance over the last window.',
+    limitSetting: 'usesPerWindow',
+    perApp: true,
+    getUsage: ({ log, appId, limit, now, windowMs }) =>
+      countSlidingWindow(
+        log.filter((entry) => entry.appId === appId),
+        { limit, now, windowMs }
+      ),
+    describe: (quota, { windowMs, appName }) =>
+      `${quota.remaining} of ${quota.limit} left for ${appName || 'this app'} in the last ${windowMinutes(windowMs)} minutes`,
+  },
+  daily: {
+    id: 'daily',
+    label: 'Daily cap',
+    description: 'A fixed number of quick tasks per day, across all apps.',
+    limitSetting: 'dailyLimit',
+    perApp: false,
+    getUsage: ({ log, now, dayStartHour }) => {
+      const dayStart = getBudgetDayStart(now, dayStartHour);
+      const used = log.filter(
+        (entry) => entry.startedAt >= dayStart && entry.startedAt <= now
+      ).length;
+      return { used, nextFreeAt: used ? getNextBudgetDayStart(now, dayStartHour) : null };
+    },
+    describe: (quota) => `${quota.remaining} of ${quota.limit} left today`,
+  },
+};
+
+export const DEFAULT_QUICK_TASK_QUOTA_STRATEGY = 'fixed-window';
+
+/**
+ * Get a quota strategy by ID (falls back to the fixed window)
+ * @param {string} strategyId - Strategy ID
+ * @returns {Object} Strategy definition
+ */
+export const getQuickTaskQuotaStrategy = (strategyId) =>
+  QUICK_TASK_QUOTA_STRATEGIES[strategyId] ||
+  QUICK_TASK_QUOTA_STRATEGIES[DEFAULT_QUICK_TASK_QUOTA_STRATEGY];
+
+/**
+ * Get the quick tasks left for an app
+ * @param {Object} params
+ * @param {Object} params.quickTask - Quick task state (fixed window)
+ * @param {Array} params.log - Quick task log
+ * @param {string|null} params.appId - App the quick task would be for
+ * @param {Object} params.settings - { strategy, usesPerWindow, dailyLimit, dayStartHour }
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @param {number} [params.windowMs] - Window length
+ * @returns {Object} { strategy, perApp, limit, used, remaining, nextFreeAt } where
+ *   nextFreeAt is when another use frees up (null while nothing is used)
+ */
+export const getQuickTaskQuota = ({
+  quickTask,
+  log = [],
+  appId = null,
+  settings,
+  now,
+  windowMs = QUICK_TASK_WINDOW_MS,
+}) => {
+  const strategy = getQuickTaskQuotaStrategy(settings.strategy);
+  const limit = Math.max(0, Number(settings[strategy.limitSetting]) || 0);
+  const { used, nextFreeAt } = strategy.getUsage({
+    quickTask,
+    log,
+    appId,
+    limit,
+    now,
+    windowMs,
+    dayStartHour: settings.dayStartHour ?? DEFAULT_BUDGET_SETTINGS.dayStartHour,
+  });
+  const remaining = Math.max(0, limit - used);
+  return {
+    strategy: strategy.id,
+    perApp: strategy.perApp,
+    limit,
+    used,
+    remaining,
+    nextFreeAt: used > 0 ? nextFreeAt : null,
+  };
+};
+
+/**
+ * Summarise a quota for the quick task dialog
+ * @param {Object} quota - From getQuickTaskQuota
+ * @param {Object} [options]
+ * @param {number} [options.windowMs] - Window length
+ * @param {string} [options.appName] - App the quick task would be for
+ * @returns {string} e.g. "1 of 2 left in the last 15 minutes"
+ */
+export const describeQuickTaskQuota = (
+  quota,
+  { windowMs = QUICK_TASK_WINDOW_MS, appName } = {}
+) => getQuickTaskQuotaStrategy(quota.strategy).describe(quota, { windowMs, appName });
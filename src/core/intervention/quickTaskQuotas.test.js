@@ -0,0 +1,128 @@
+import {
+  createQuickTaskState,
+  describeQuickTaskQuota,
+  getNextBudgetDayStart,
+  getQuickTaskQuota,
+  getQuickTaskQuotaStrategy,
+  startQuickTask,
+} from "./index";
+
+const minutes = (n) => n * 60 * 1000;
+const WINDOW = minutes(15);
+// Monday 5 January 2026, 09:00 local time
+const monday9am = new Date(2026, 0, 5, 9, 0).getTime();
+
+const entry = (appId, startedAt) => ({ id: startedAt, appId, appName: appId, startedAt });
+
+const quota = (overrides = {}) =>
+  getQuickTaskQuota({
+    quickTask: createQuickTaskState(),
+    log: [],
+    appId: "instagram",
+    settings: { strategy: "sliding-window", usesPerWindow: 2, dailyLimit: 3, dayStartHour: 4 },
+    now: monday9am,
+    windowMs: WINDOW,
+    ...overrides,
+  });
+
+describe("quick task quota strategies", () => {
+  it("falls back to the fixed window for unknown strategies", () => {
+    expect(getQuickTaskQuotaStrategy("nope").id).toBe("fixed-window");
+    expect(getQuickTaskQuotaStrategy(undefined).id).toBe("fixed-window");
+  });
+
+  it("counts the fixed window from the quick task state", () => {
+    const quickTask = startQuickTask(createQuickTaskState(), {
+      now: monday9am - minutes(5),
+      durationMinutes: 3,
+      windowMs: WINDOW,
+    });
+    const settings = { strategy: "fixed-window", usesPerWindow: 1 };
+    expect(quota({ quickTask, settings })).toEqual({
+      strategy: "fixed-window",
+      perApp: false,
+      limit: 1,
+      used: 1,
+      remaining: 0,
+      nextFreeAt: monday9am + minutes(10),
+    });
+    expect(quota({ quickTask, settings, now: monday9am + minutes(10) })).toMatchObject({
+      used: 0,
+      remaining: 1,
+      nextFreeAt: null,
+    });
+  });
+
+  it("frees sliding window uses one at a time as they leave the window", () => {
+    const log = [
+      entry("tiktok", monday9am - minutes(2)),
+      entry("instagram", monday9am - minutes(10)),
+      entry("instagram", monday9am - minutes(20)),
+    ];
+    expect(quota({ log })).toMatchObject({
+      used: 2,
+      remaining: 0,
+      nextFreeAt: monday9am + minutes(5),
+    });
+    expect(quota({ log, now: monday9am + minutes(5) })).toMatchObject({
+      used: 1,
+      remaining: 1,
+      nextFreeAt: monday9am + minutes(13),
+    });
+    expect(quota({ log: [] })).toMatchObject({ used: 0, remaining: 2, nextFreeAt: null });
+  });
+
+  it("waits for enough uses to leave when the limit was lowered", () => {
+    const log = [
+      entry("instagram", monday9am - minutes(1)),
+      entry("instagram", monday9am - minutes(2)),
+      entry("instagram", monday9am - minutes(3)),
+    ];
+    const settings = { strategy: "sliding-window", usesPerWindow: 1 };
+    expect(quota({ log, settings })).toMatchObject({
+      used: 3,
+      remaining: 0,
+      nextFreeAt: monday9am + minutes(14),
+    });
+  });
+
+  it("gives every app its own allowance with the per-app strategy", () => {
+    const log = [entry("tiktok", monday9am - minutes(2)), entry("tiktok", monday9am - minutes(4))];
+    const settings = { strategy: "per-app", usesPerWindow: 2 };
+    expect(quota({ log, settings })).toMatchObject({ perApp: true, used: 0, remaining: 2 });
+    expect(quota({ log, settings, appId: "tiktok" })).toMatchObject({
+      used: 2,
+      remaining: 0,
+      nextFreeAt: monday9am + minutes(11),
+    });
+  });
+
+  it("caps quick tasks per day and frees them at the next day start", () => {
+    const log = [
+      entry("instagram", monday9am - minutes(60)),
+      entry("tiktok", monday9am - minutes(240)),
+      // Before the 04:00 day start, so yesterday's
+      entry("instagram", monday9am - minutes(360)),
+    ];
+    const settings = { strategy: "daily", dailyLimit: 2, dayStartHour: 4 };
+    expect(quota({ log, settings })).toMatchObject({
+      used: 2,
+      remaining: 0,
+      nextFreeAt: new Date(2026, 0, 6, 4, 0).getTime(),
+    });
+    expect(getNextBudgetDayStart(monday9am, 4)).toBe(new Date(2026, 0, 6, 4, 0).getTime());
+  });
+
+  it("describes the quota for the quick task dialog", () => {
+    const settings = { strategy: "per-app", usesPerWindow: 2 };
+    expect(describeQuickTaskQuota(quota({ settings }), { appName: "Instagram" })).toBe(
+      "2 of 2 left for Instagram in the last 15 minutes"
+    );
+    expect(describeQuickTaskQuota(quota({ settings: { strategy: "daily", dailyLimit: 3 } }))).toBe(
+      "3 of 3 left today"
+    );
+    expect(describeQuickTaskQuota(quota({ settings: { strategy: "fixed-window", usesPerWindow: 1 } }))).toBe(
+      "1 of 1 left in this 15-minute window"
+    );
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Intervention State Machine - Quick Task Analytics
+ *
+ * Framework-agnostic statistics over the quick task log ({ appId, appName,
+ * startedAt, intention, outcome }, newest first, see launch.js): uses per
+ * app, hour of day and weekday, how the check-ins went, and how often a quick
+ * task was followed by a full intervention on the same app soon after. A
+ * high follow-up rate means quick tasks are used to put the intervention off
+ * rather than for something quick, so the settings get a suggestion to
+ * tighten them.
+ */
+
+import { QUICK_TASK_OUTCOMES } from './launch';
+
+/**
+ * Minutes after a quick task in which an intervention on the same app
+ * counts as its follow-up
+ */
+export const QUICK_TASK_FOLLOW_UP_MINUTES = 30;
+
+/**
+ * When quick task patterns look like a loophole
+ * - minSamples: Quick tasks needed before suggesting anything
+ * - followUpRate: Share of quick tasks (0-100) followed by an intervention
+ * - dailyUses: Average quick tasks per day over the last week
+ */
+export const QUICK_TASK_ABUSE_THRESHOLDS = {
+  minSamples: 5,
+  followUpRate: 50,
+  dailyUses: 6,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the intervention that followed a quick task, if any
+ * @param {Object} entry - Quick task log entry
+ * @param {Array} journal - Intervention journal records
+ * @param {number} withinMinutes - Follow-up window
+ * @returns {Object|null} Journal record
+ */
+export const getQuickTaskFollowUp = (
+  entry,
+  journal = [],
+  withinMinutes = QUICK_TASK_FOLLOW_UP_MINUTES
+) =>
+  journal.find(
+    (record) =>
+      record.appId === entry.appId &&
+      record.startedAt > entry.startedAt &&
+      record.startedAt <= entry.startedAt + withinMinutes * 60 * 1000
+  ) || null;
+
+/**
+ * Summarise the quick task log
+ * @param {Array} log - Quick task log
+ * @param {Array} journal - Intervention journal records
+ * @param {Object} options
+ * @param {number} options.now - Current timestamp in milliseconds
+ * @param {number} [options.followUpMinutes] - Follow-up window
+ * @returns {Object} { total, lastWeek, perDay, byApp: [{ appId, appName, count, followedUp }],
+ *   byHour: [24 counts], byWeekday: [7 counts, Sunday first], peakHour,
+ *   followedUp, followUpRate, withIntention, outcomes: { done, notDone, extended },
+ *   doneRate, extendedRate } where peakHour and the rates (0-100) are null
+ *   without quick tasks to base them on; doneRate is over the answered
+ *   check-ins and extendedRate over all check-ins
+ */
+export const getQuickTaskAnalytics = (
+  log = [],
+  journal = [],
+  { now, followUpMinutes = QUICK_TASK_FOLLOW_UP_MINUTES }
+) => {
+  const byHour = Array(24).fill(0);
+  const byWeekday = Array(7).fill(0);
+  const apps = {};
+  let followedUp = 0;
+
+  log.forEach((entry) => {
+    const date = new Date(entry.startedAt);
+    byHour[date.getHours()] += 1;
+    byWeekday[date.getDay()] += 1;
+    const isFollowedUp = Boolean(getQuickTaskFollowUp(entry, journal, followUpMinutes));
+    const app = apps[entry.appId] || {
+      appId: entry.appId,
+      appName: entry.appName || entry.appId,
+      count: 0,
+      followedUp: 0,
+    };
+    apps[entry.appId] = {
+      ...app,
+      count: app.count + 1,
+      followedUp: app.followedUp + (isFollowedUp ? 1 : 0),
+    };
+    if (isFollowedUp) followedUp += 1;
+  });
+
+  const lastWeek = log.filter((entry) => entry.startedAt > now - 7 * DAY_MS).length;
+  const peak = Math.max(...byHour);
+  const countOutcome = (outcome) => log.filter((entry) => entry.outcome === outcome).length;
+  const outcomes = {
+    done: countOutcome(QUICK_TASK_OUTCOMES.DONE),
+    notDone: countOutcome(QUICK_TASK_OUTCOMES.NOT_DONE),
+    extended: countOutcome(QUICK_TASK_OUTCOMES.EXTENDED),
+  };
+  const answered = outcomes.done + outcomes.notDone;
+  const checkedIn = answered + outcomes.extended;
+  const percent = (count, of) => (of ? Math.round((count / of) * 100) : null);
+  return {
+    total: log.length,
+    lastWeek,
+    perDay: Math.round((lastWeek / 7) * 10) / 10,
+    byApp: Object.values(apps).sort((a, b) => b.count - a.count),
+    byHour,
+    byWeekday,
+    peakHour: peak > 0 ? byHour.indexOf(peak) : null,
+    followedUp,
+    followUpRate: percent(followedUp, log.length),
+    withIntention: log.filter((entry) => entry.intention).length,
+    outcomes,
+    doneRate: percent(outcomes.done, answered),
+    extendedRate: percent(outcomes.extended, checkedIn),
+  };
+};
+
+/**
+ * Suggest tighter quick task settings when the patterns look abusive
+ * Each setting is only suggested once, and only to a value it may take.
+ * @param {Object} analytics - From getQuickTaskAnalytics
+ * @param {Object} settings
+ * @param {number} settings.usesPerWindow - Current quick tasks per window
+ * @param {number} settings.durationMinutes - Current quick task length
+ * @param {Array<number>} settings.allowedUses - Values usesPerWindow may take
+ * @param {Array<number>} settings.allowedDurations - Values durationMinutes may take
+ * @param {Object} [thresholds] - See QUICK_TASK_ABUSE_THRESHOLDS
+ * @returns {Array} { id, setting, value, message }; setting is
+ *   'usesPerWindow' or 'durationMinutes'
+ */
+export const getQuickTaskSuggestions = (
+  analytics,
+  { usesPerWindow, durationMinutes, allowedUses, allowedDurations },
+  thresholds = QUICK_TASK_ABUSE_THRESHOLDS
+) => {
+  if (analytics.total < thresholds.minSamples) return [];
+  const suggestions = [];
+  const fewerUses = allowedUses.filter((value) => value < usesPerWindow).sort((a, b) => b - a)[0];
+  // Whole minutes only, so testing durations are never suggested
+  const shorter = allowedDurations
+    .filter((value) => value >= 1 && value < durationMinutes)
+    .sort((a, b) => b - a)[0];
+
+  if (analytics.followUpRate >= thresholds.followUpRate && shorter != null) {
+    suggestions.push({
+      id: 'loophole',
+      setting: 'durationMinutes',
+      value: shorter,
+      message: `${analytics.followUpRate}% of your quick tasks ran into a full intervention anyway. A ${shorter}-minute quick task makes putting it off less tempting.`,
+    });
+  }
+  if (analytics.perDay >= thresholds.dailyUses && fewerUses != null) {
+    suggestions.push({
+      id: 'frequent',
+      setting: 'usesPerWindow',
+      value: fewerUses,
+      message: `You started about ${analytics.perDay} quick tasks a day this week. Allowing ${fewerUses} per window keeps them for what's really quick.`,
+    });
+  } else if (
+    analytics.followUpRate >= thresholds.followUpRate &&
+    shorter == null &&
+    fewerUses != null
+  ) {
+    suggestions.push({
+      id: 'loophole',
+      setting: 'usesPerWindow',
+      value: fewerUses,
+      message: `${analytics.followUpRate}% of your quick tasks ran into a full intervention anyway. Allowing ${fewerUses} per window makes putting it off less tempting.`,
+    });
+  }
+  return suggestions;
+};
@@ -0,0 +1,117 @@
+import {
+  getQuickTaskAnalytics,
+  getQuickTaskFollowUp,
+  getQuickTaskSuggestions,
+} from "./index";
+
+const minutes = (n) => n * 60 * 1000;
+// Monday 5 January 2026, 09:00 local time
+const monday9am = new Date(2026, 0, 5, 9, 0).getTime();
+const now = monday9am + minutes(60 * 24);
+
+const entry = (appId, startedAt) => ({ id: startedAt, appId, appName: appId, startedAt });
+const intervention = (appId, startedAt) => ({ appId, startedAt, outcome: "abandoned" });
+
+const settings = {
+  usesPerWindow: 2,
+  durationMinutes: 5,
+  allowedUses: [1, 2],
+  allowedDurations: [10 / 60, 2, 3, 5],
+};
+
+describe("quick task analytics", () => {
+  it("finds the intervention on the same app within the follow-up window", () => {
+    const quickTask = entry("instagram", monday9am);
+    const journal = [
+      intervention("tiktok", monday9am + minutes(3)),
+      intervention("instagram", monday9am + minutes(40)),
+    ];
+    expect(getQuickTaskFollowUp(quickTask, journal)).toBeNull();
+    expect(getQuickTaskFollowUp(quickTask, journal, 45)).toBe(journal[1]);
+  });
+
+  it("counts uses per app, hour and weekday", () => {
+    const log = [
+      entry("instagram", monday9am + minutes(60 * 12)),
+      entry("tiktok", monday9am + minutes(5)),
+      entry("instagram", monday9am),
+    ];
+    const journal = [intervention("instagram", monday9am + minutes(3))];
+    const analytics = getQuickTaskAnalytics(log, journal, { now });
+
+    expect(analytics.total).toBe(3);
+    expect(analytics.byApp).toEqual([
+      { appId: "instagram", appName: "instagram", count: 2, followedUp: 1 },
+      { appId: "tiktok", appName: "tiktok", count: 1, followedUp: 0 },
+    ]);
+    expect(analytics.byHour[9]).toBe(2);
+    expect(analytics.byHour[21]).toBe(1);
+    expect(analytics.peakHour).toBe(9);
+    expect(analytics.byWeekday[1]).toBe(3);
+    expect(analytics.followUpRate).toBe(33);
+    expect(analytics.perDay).toBe(0.4);
+  });
+
+  it("handles an empty log", () => {
+    expect(getQuickTaskAnalytics([], [], { now })).toMatchObject({
+      total: 0,
+      peakHour: null,
+      followUpRate: null,
+      byApp: [],
+      doneRate: null,
+      extendedRate: null,
+    });
+  });
+
+  it("sums up intentions and check-ins", () => {
+    const log = [
+      { ...entry("instagram", monday9am + minutes(20)), intention: "Reply to Anna", outcome: "done" },
+      { ...entry("instagram", monday9am + minutes(17)), intention: "Reply to Anna", outcome: "extended" },
+      { ...entry("tiktok", monday9am + minutes(5)), outcome: "not-done" },
+      { ...entry("tiktok", monday9am), outcome: "done" },
+      entry("tiktok", monday9am - minutes(60)),
+    ];
+    expect(getQuickTaskAnalytics(log, [], { now })).toMatchObject({
+      withIntention: 2,
+      outcomes: { done: 2, notDone: 1, extended: 1 },
+      doneRate: 67,
+      extendedRate: 25,
+    });
+  });
+});
+
+describe("quick task suggestions", () => {
+  const loopholeLog = Array.from({ length: 6 }, (_, i) =>
+    entry("instagram", monday9am + minutes(i * 60))
+  );
+  const followUps = loopholeLog.map((q) => intervention("instagram", q.startedAt + minutes(5)));
+
+  it("needs enough quick tasks", () => {
+    const analytics = getQuickTaskAnalytics(loopholeLog.slice(0, 4), followUps, { now });
+    expect(getQuickTaskSuggestions(analytics, settings)).toEqual([]);
+  });
+
+  it("suggests a shorter quick task when they keep running into interventions", () => {
+    const analytics = getQuickTaskAnalytics(loopholeLog, followUps, { now });
+    expect(getQuickTaskSuggestions(analytics, settings)).toEqual([
+      expect.objectContaining({ id: "loophole", setting: "durationMinutes", value: 3 }),
+    ]);
+    // Already at the shortest whole-minute duration -> fewer uses instead
+    expect(
+      getQuickTaskSuggestions(analytics, { ...settings, durationMinutes: 2 })
+    ).toEqual([expect.objectContaining({ setting: "usesPerWindow", value: 1 })]);
+    expect(
+      getQuickTaskSuggestions(analytics, { ...settings, durationMinutes: 2, usesPerWindow: 1 })
+    ).toEqual([]);
+  });
+
+  it("suggests fewer uses per window when quick tasks are frequent", () => {
+    const busyLog = Array.from({ length: 50 }, (_, i) =>
+      entry("tiktok", now - minutes(i * 120))
+    );
+    const analytics = getQuickTaskAnalytics(busyLog, [], { now });
+    expect(getQuickTaskSuggestions(analytics, settings)).toEqual([
+      expect.objectContaining({ id: "frequent", setting: "usesPerWindow", value: 1 }),
+    ]);
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Intervention State Machine - Alternative Ranking
+ *
+ * Framework-agnostic scoring of alternatives for the alternatives view.
+ * Every alternative gets a score from independent factors (selected causes,
+ * time of day, weather, duration vs. available time, past completion rate,
+ * reflected effectiveness, the user's values, ...), each weighted by
+ * RANKING_WEIGHTS so they can be tuned in one place. Factors that add to the
+ * score also produce a short reason, which explainRanking() turns into
+ * "Because you picked Fatigue and it's raining". A few combinations are
+ * never suggested at all (outdoor activities in the rain, calls in the
+ * middle of the night).
+ */
+
+import { CAUSE_INTENSITY_MAX, getCauseIntensity } from './causes';
+import { JOURNAL_OUTCOMES } from './journal';
+import { isPreferredAlternative } from './profiles';
+import { parseDurationToMinutes } from './timers';
+
+/**
+ * Weight of each scoring factor
+ * Each factor scores roughly within [-1, 1] before weighting.
+ */
+export const RANKING_WEIGHTS = {
+  friend: 4,
+  cause: 3,
+  preferredType: 2,
+  weather: 1.5,
+  timeOfDay: 1.5,
+  duration: 1.5,
+  completion: 2,
+  effectiveness: 2,
+  values: 1,
+  popularity: 0.5,
+};
+
+/**
+ * Alternative types that suit each part of the day
+ */
+export const TIME_OF_DAY_TYPES = {
+  morning: ['active', 'physical', 'productive'],
+  afternoon: ['social', 'active', 'creative', 'productive'],
+  evening: ['social', 'creative', 'calm'],
+  night: ['calm', 'rest', 'mental'],
+};
+
+/**
+ * Alternative types that are a poor fit late at night
+ */
+const NIGHT_UNSUITABLE_TYPES = ['active', 'physical', 'social'];
+
+/**
+ * What each value card (see VALUE_CARDS in the app) looks like as an alternative
+ * - types: Alternative types that serve the value
+ * - tags: Alternative tags that serve the value
+ */
+export const VALUE_ALTERNATIVE_MATCHES = {
+  work: { types: ['productive', 'work'] },
+  sports: { types: ['active', 'physical'] },
+  partner: { types: ['social'] },
+  kids: { types: ['family', 'social'] },
+  reading: { types: ['mental', 'calm'] },
+  nature: { tags: ['outdoor'] },
+  friends: { types: ['social'] },
+};
+
+/**
+ * Minimum times an alternative must have been started before its completion
+ * rate counts
+ */
+export const MIN_COMPLETION_SAMPLES = 2;
+
+/**
+ * Get the part of the day for an hour (same buckets as the AI prompt)
+ * @param {number} hour - Hour (0-23)
+ * @returns {'morning'|'afternoon'|'evening'|'night'}
+ */
+export const getTimeOfDay = (hour) => {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+};
+
+/**
+ * Get the time left before the next item of the daily plan
+ * @param {string} currentTime - Current time ("HH:MM")
+ * @param {Array} plan - Daily plan items ({ time: "HH:MM", title })
+ * @returns {Object|null} { minutes, title }, or null when nothing is planned later today
+ */
+export const getAvailableTime = (currentTime, plan = []) => {
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const now = toMinutes(currentTime);
+  const next = plan
+    .filter((item) => item.time && toMinutes(item.time) > now)
+    .sort((a, b) => toMinutes(a.time) - toMinutes(b.time))[0];
+  return next ? { minutes: toMinutes(next.time) - now, title: next.title } : null;
+};
+
+/**
+ * Get how often each alternative was finished once started
+ * @param {Array} journal - Intervention journal records
+ * @returns {Object} Map of alternative ID -> { started, completed }
+ */
+export const getAlternativeCompletion = (journal = []) =>
+  journal.reduce((stats, entry) => {
+    const id = entry.alternative?.id;
+    if (!id) return stats;
+    const stat = stats[id] || { started: 0, completed: 0 };
+    return {
+      ...stats,
+      [id]: {
+        started: stat.started + 1,
+        completed: stat.completed + (entry.outcome === JOURNAL_OUTCOMES.COMPLETED ? 1 : 0),
+      },
+    };
+  }, {});
+
+/**
+ * Get the causes an alternative is meant for
+ * @param {Object} alternative - Alternative ({ id, causes })
+ * @param {Object} alternativesDb - Alternatives keyed by cause ID
+ * @returns {Array<string>} Cause IDs
+ */
+export const getAlternativeCauseIds = (alternative, alternativesDb = {}) => {
+  const fromDb = Object.keys(alternativesDb).filter((causeId) =>
+    alternativesDb[causeId].some((item) => item.id === alternative.id)
+  );
+  return Array.from(new Set([...(alternative.causes || []), ...fromDb]));
+};
+
+/**
+ * Check if an alternative should not be suggested at all right now
+ * @param {Object} alternative - Alternative ({ tags })
+ * @param {Object} context - Ranking context (see rankAlternatives)
+ * @returns {boolean}
+ */
+export const isAlternativeUnsuitable = (alternative, { hour, weather }) => {
+  const tags = alternative.tags || [];
+  const isNight = hour >= 22 || hour < 6;
+  if (weather === 'rainy' && tags.includes('outdoor')) return true;
+  if (isNight && (tags.includes('daytime') || tags.includes('social_call'))) return true;
+  return false;
+};
+
+/**
+ * Score one alternative
+ * @param {Object} alternative - Alternative
+ * @param {Object} context - Ranking context (see rankAlternatives)
+ * @param {Object} [weights] - Factor weights
+ * @returns {Object} { score, reasons } where reasons are
+ *   { factor, score, text } for every factor that scored, strongest first
+ */
+export const scoreAlternative = (alternative, context, weights = RANKING_WEIGHTS) => {
+  const {
+    causes = [],
+    selectedCauses = [],
+    causeDetails = {},
+    alternativesDb = {},
+    hour,
+    weather,
+    availableTime = null,
+    completion = {},
+    effectiveness = {},
+    values = [],
+    profile = null,
+  } = context;
+  const tags = alternative.tags || [];
+  const reasons = [];
+  const add = (factor, score, text) => {
+    if (score !== 0) reasons.push({ factor, score: score * weights[factor], text });
+  };
+
+  if (alternative.isFriend) {
+    add('friend', 1, `${alternative.friendName || 'a friend'} is around`);
+  }
+
+  // Strongest selected cause the alternative is meant for
+  const causeIds = getAlternativeCauseIds(alternative, alternativesDb);
+  const matched = selectedCauses
+    .filter((causeId) => causeIds.includes(causeId))
+    .sort((a, b) => getCauseIntensity(causeDetails, b) - getCauseIntensity(causeDetails, a));
+  if (matched.length > 0) {
+    const label = causes.find((cause) => cause.id === matched[0])?.label || matched[0];
+    add(
+      'cause',
+      getCauseIntensity(causeDetails, matched[0]) / CAUSE_INTENSITY_MAX,
+      `you picked ${label}`
+    );
+  } else if (selectedCauses.length > 0) {
+    add('cause', -1, null);
+  }
+
+  if (isPreferredAlternative(profile, alternative)) {
+    add('preferredType', 1, `it's one of your ${alternative.type} picks for this app`);
+  }
+
+  if (weather === 'rainy' && tags.includes('indoor')) {
+    add('weather', 1, "it's raining");
+  } else if (weather === 'sunny' && tags.includes('outdoor')) {
+    add('weather', 1, "it's sunny");
+  }
+
+  if (hour != null) {
+    const timeOfDay = getTimeOfDay(hour);
+    if (TIME_OF_DAY_TYPES[timeOfDay].includes(alternative.type)) {
+      add('timeOfDay', 1, timeOfDay === 'night' ? "it's late" : `it's ${timeOfDay}`);
+    } else if (timeOfDay === 'night' && NIGHT_UNSUITABLE_TYPES.includes(alternative.type)) {
+      add('timeOfDay', -1, null);
+    }
+  }
+
+  if (availableTime) {
+    const minutes = parseDurationToMinutes(alternative.duration || '5m');
+    if (minutes <= availableTime.minutes) {
+      add('duration', 1, `it fits in the ${availableTime.minutes}m before ${availableTime.title}`);
+    } else {
+      add('duration', -Math.min(1, (minutes - availableTime.minutes) / availableTime.minutes), null);
+    }
+  }
+
+  const stat = completion[alternative.id];
+  if (stat && stat.started >= MIN_COMPLETION_SAMPLES) {
+    const rate = stat.completed / stat.started;
+    add(
+      'completion',
+      rate * 2 - 1,
+      rate >= 0.5 ? `you finished it ${stat.completed} of ${stat.started} times` : null
+    );
+  }
+
+  const reflected = effectiveness[alternative.id];
+  if (reflected) {
+    add(
+      'effectiveness',
+      (reflected.score / 100) * 2 - 1,
+      reflected.score >= 50 ? `it worked for you before (${reflected.score}% effective)` : null
+    );
+  }
+
+  const value = values.find((candidate) => {
+    const match = VALUE_ALTERNATIVE_MATCHES[candidate.id];
+    return (
+      match &&
+      ((match.types || []).includes(alternative.type) ||
+        (match.tags || []).some((tag) => tags.includes(tag)))
+    );
+  });
+  if (value) add('values', 1, `it serves your ${value.label} goal`);
+
+  // Popularity only breaks ties: 0 likes -> 0, 10k likes -> 1
+  add('popularity', Math.min(1, Math.log10((alternative.likes || 0) + 1) / 4), null);
+
+  return {
+    score: reasons.reduce((sum, reason) => sum + reason.score, 0),
+    reasons: reasons.sort((a, b) => b.score - a.score),
+  };
+};
+
+/**
+ * Rank alternatives, best first
+ * Unsuitable alternatives (see isAlternativeUnsuitable) are left out and
+ * duplicates (same ID) are ranked once.
+ * @param {Array} alternatives - Alternatives to rank
+ * @param {Object} context
+ * @param {Array} [context.causes] - Merged causes, for labels
+ * @param {Array<string>} [context.selectedCauses] - Selected cause IDs
+ * @param {Object} [context.causeDetails] - { intensity, note } per selected cause
+ * @param {Object} [context.alternativesDb] - Alternatives keyed by cause ID
+ * @param {number} [context.hour] - Current hour (0-23)
+ * @param {string} [context.weather] - 'sunny' or 'rainy'
+ * @param {Object|null} [context.availableTime] - From getAvailableTime
+ * @param {Object} [context.completion] - From getAlternativeCompletion
+ * @param {Object} [context.effectiveness] - From getAlternativeEffectiveness (see reflection.js)
+ * @param {Array} [context.values] - The user's selected value cards ({ id, label })
+ * @param {Object|null} [context.profile] - Resolved app profile
+ * @param {Object} [weights] - Factor weights
+ * @returns {Array} { alternative, score, reasons }, highest score first
+ */
+export const rankAlternatives = (alternatives, context, weights = RANKING_WEIGHTS) => {
+  const seen = new Set();
+  return alternatives
+    .filter((alternative) => {
+      if (seen.has(alternative.id)) return false;
+      seen.add(alternative.id);
+      return !isAlternativeUnsuitable(alternative, context);
+    })
+    .map((alternative) => ({
+      alternative,
+      ...scoreAlternative(alternative, context, weights),
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Explain a ranked alternative from its strongest reasons
+ * @param {Object} ranked - Entry from rankAlternatives
+ * @param {number} [maxReasons] - Reasons to mention
+ * @returns {string|null} e.g. "Because you picked Fatigue and it's raining"
+ */
+export const explainRanking = ({ reasons }, maxReasons = 2) => {
+  const texts = reasons
+    .filter((reason) => reason.score > 0 && reason.text)
+    .slice(0, maxReasons)
+    .map((reason) => reason.text);
+  return texts.length > 0 ? `Because ${texts.join(' and ')}` : null;
+};
@@ -0,0 +1,82 @@
+import {
+  rankAlternatives,
+  scoreAlternative,
+  explainRanking,
+  getAvailableTime,
+  getAlternativeCompletion,
+  getTimeOfDay,
+  RANKING_WEIGHTS,
+} from "./index";
+
+const nap = { id: "f1", title: "Power Nap", duration: "20m", type: "rest", tags: ["indoor"], likes: 10 };
+const walk = { id: "f2", title: "Walk", duration: "15m", type: "active", tags: ["outdoor"], likes: 500 };
+const puzzle = { id: "b1", title: "Puzzle", duration: "45m", type: "mental", tags: ["indoor"], likes: 50 };
+const alternativesDb = { fatigue: [nap, walk], boredom: [puzzle] };
+const context = {
+  causes: [
+    { id: "fatigue", label: "Fatigue" },
+    { id: "boredom", label: "Boredom" },
+  ],
+  selectedCauses: ["fatigue"],
+  causeDetails: { fatigue: { intensity: 4, note: null } },
+  alternativesDb,
+  hour: 14,
+  weather: "rainy",
+};
+
+describe("alternative ranking", () => {
+  it("ranks alternatives for the selected causes first and explains why", () => {
+    const ranked = rankAlternatives([puzzle, walk, nap, nap], { ...context, weather: "sunny" });
+    expect(ranked.map((r) => r.alternative.id)).toEqual(["f2", "f1", "b1"]);
+    expect(explainRanking(ranked[0])).toBe("Because you picked Fatigue and it's sunny");
+  });
+
+  it("leaves out outdoor activities in the rain", () => {
+    const ranked = rankAlternatives([puzzle, walk, nap], context);
+    expect(ranked.map((r) => r.alternative.id)).toEqual(["f1", "b1"]);
+    expect(explainRanking(ranked[0])).toBe("Because you picked Fatigue and it's raining");
+  });
+
+  it("prefers alternatives that fit the time before the next plan item", () => {
+    const availableTime = getAvailableTime("14:00", [
+      { time: "09:00", title: "Standup" },
+      { time: "14:30", title: "Team sync" },
+    ]);
+    expect(availableTime).toEqual({ minutes: 30, title: "Team sync" });
+
+    const ranked = rankAlternatives([puzzle, nap], { ...context, selectedCauses: [], availableTime });
+    expect(ranked[0].alternative.id).toBe("f1");
+    expect(ranked[0].reasons.map((r) => r.text)).toContain("it fits in the 30m before Team sync");
+  });
+
+  it("uses the past completion rate and the user's values", () => {
+    const journal = [
+      { alternative: { id: "b1" }, outcome: "completed" },
+      { alternative: { id: "b1" }, outcome: "completed" },
+      { alternative: { id: "f1" }, outcome: "abandoned" },
+      { alternative: { id: "f1" }, outcome: "abandoned" },
+      { alternative: null, outcome: "unlocked" },
+    ];
+    const completion = getAlternativeCompletion(journal);
+    expect(completion).toEqual({ b1: { started: 2, completed: 2 }, f1: { started: 2, completed: 0 } });
+
+    const ranked = rankAlternatives([nap, puzzle], {
+      ...context,
+      selectedCauses: [],
+      completion,
+      values: [{ id: "reading", label: "Reading" }],
+    });
+    expect(ranked[0].alternative.id).toBe("b1");
+    expect(explainRanking(ranked[0], 3)).toBe(
+      "Because you finished it 2 of 2 times and it's raining and it serves your Reading goal"
+    );
+  });
+
+  it("scales factors by their weights", () => {
+    const base = scoreAlternative(nap, context);
+    const noCause = scoreAlternative(nap, context, { ...RANKING_WEIGHTS, cause: 0 });
+    expect(base.score - noCause.score).toBeCloseTo((RANKING_WEIGHTS.cause * 4) / 5);
+    expect(getTimeOfDay(23)).toBe("night");
+    expect(getTimeOfDay(7)).toBe("morning");
+  });
+});
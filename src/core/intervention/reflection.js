@@ -0,0 +1,165 @@
+/**
+ * Intervention State Machine - Structured Reflection
+ *
+ * Framework-agnostic reflection captured after an alternative:
+ * - urgeBefore / urgeAfter: How strong the urge to open the app was (0-10)
+ * - stillWantsApp: Whether the user still wants to open the app
+ * - helpfulness: How helpful the alternative was (1-5)
+ * - note: Optional free text
+ * The answers are kept on the context while the reflection screen is open
+ * and stored on the journal record. Journal records with a reflection give
+ * each alternative an effectiveness score (0-100) used by the ranking and
+ * the insights.
+ */
+
+/**
+ * Scales of the reflection answers
+ */
+export const URGE_SCALE = { min: 0, max: 10 };
+export const HELPFULNESS_SCALE = { min: 1, max: 5 };
+export const REFLECTION_NOTE_MAX_LENGTH = 280;
+
+/**
+ * Empty reflection
+ * @returns {Object}
+ */
+export const createEmptyReflection = () => ({
+  urgeBefore: null,
+  urgeAfter: null,
+  stillWantsApp: null,
+  helpfulness: null,
+  note: null,
+});
+
+const isOnScale = (value, { min, max }) =>
+  value === null || (Number.isInteger(value) && value >= min && value <= max);
+
+/**
+ * Check the answers carried by UPDATE_REFLECTION
+ * Only known fields are allowed; null clears an answer.
+ * @param {Object} changes - Partial reflection
+ * @returns {boolean}
+ */
+export const isValidReflectionUpdate = (changes) => {
+  if (!changes || typeof changes !== 'object') return false;
+  return Object.entries(changes).every(([key, value]) => {
+    switch (key) {
+      case 'urgeBefore':
+      case 'urgeAfter':
+        return isOnScale(value, URGE_SCALE);
+      case 'helpfulness':
+        return isOnScale(value, HELPFULNESS_SCALE);
+      case 'stillWantsApp':
+        return value === null || typeof value === 'boolean';
+      case 'note':
+        return (
+          value === null ||
+          (typeof value === 'string' && value.trim().length <= REFLECTION_NOTE_MAX_LENGTH)
+        );
+      default:
+        return false;
+    }
+  });
+};
+
+/**
+ * Check if the user answered anything
+ * @param {Object|null} reflection - Reflection
+ * @returns {boolean}
+ */
+export const hasReflectionAnswers = (reflection) =>
+  Boolean(reflection) &&
+  Object.values(reflection).some((value) => value !== null && value !== '');
+
+/**
+ * Condense the reflection for the journal record
+ * @param {Object|null} reflection - Reflection from the context
+ * @returns {Object|null} Reflection with a trimmed note, or null when nothing was answered
+ */
+export const finalizeReflection = (reflection) => {
+  if (!hasReflectionAnswers(reflection)) return null;
+  return {
+    ...createEmptyReflection(),
+    ...reflection,
+    note: reflection.note?.trim() || null,
+  };
+};
+
+/**
+ * Score how well one reflection says the alternative worked
+ * Averages whichever of these were answered: the drop in urge, the
+ * helpfulness, and not wanting the app anymore.
+ * @param {Object} reflection - Journal reflection
+ * @returns {number|null} 0-100, or null when nothing relevant was answered
+ */
+export const getReflectionEffectiveness = (reflection) => {
+  if (!reflection) return null;
+  const parts = [];
+  const { urgeBefore, urgeAfter, helpfulness, stillWantsApp } = reflection;
+  // Urge gone entirely -> 1, unchanged or stronger -> 0; without an urge
+  // before there is nothing to drop, so only a new urge counts (as 0)
+  if (urgeBefore != null && urgeAfter != null && (urgeBefore > 0 || urgeAfter > 0)) {
+    parts.push(Math.max(0, (urgeBefore - urgeAfter) / Math.max(urgeBefore, 1)));
+  }
+  if (helpfulness != null) {
+    parts.push(
+      (helpfulness - HELPFULNESS_SCALE.min) / (HELPFULNESS_SCALE.max - HELPFULNESS_SCALE.min)
+    );
+  }
+  if (stillWantsApp != null) parts.push(stillWantsApp ? 0 : 1);
+  if (parts.length === 0) return null;
+  return Math.round((parts.reduce((sum, part) => sum + part, 0) / parts.length) * 100);
+};
+
+/**
+ * Get the effectiveness of each alternative from its reflections
+ * @param {Array} journal - Intervention journal records
+ * @returns {Object} Map of alternative ID -> { title, reflections, score }
+ */
+export const getAlternativeEffectiveness = (journal = []) => {
+  const totals = {};
+  journal.forEach((entry) => {
+    const id = entry.alternative?.id;
+    const score = getReflectionEffectiveness(entry.reflection);
+    if (!id || score == null) return;
+    const total = totals[id] || { title: entry.alternative.title, reflections: 0, sum: 0 };
+    totals[id] = { ...total, reflections: total.reflections + 1, sum: total.sum + score };
+  });
+  return Object.fromEntries(
+    Object.entries(totals).map(([id, { title, reflections, sum }]) => [
+      id,
+      { title, reflections, score: Math.round(sum / reflections) },
+    ])
+  );
+};
+
+/**
+ * Summarise reflections for the insights
+ * @param {Array} journal - Intervention journal records
+ * @param {Object} [options]
+ * @param {number} [options.top] - Number of most effective alternatives to return
+ * @returns {Object} { count, averageUrgeBefore, averageUrgeAfter, stillWantsAppRate,
+ *   topAlternatives: [{ id, title, reflections, score }] }; averages and the
+ *   rate are null when no reflection answered them
+ */
+export const getReflectionSummary = (journal = [], { top = 3 } = {}) => {
+  const reflections = journal.map((entry) => entry.reflection).filter(Boolean);
+  const average = (values) =>
+    values.length
+      ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+      : null;
+  const urges = reflections.filter((r) => r.urgeBefore != null && r.urgeAfter != null);
+  const wants = reflections.filter((r) => r.stillWantsApp != null);
+  return {
+    count: reflections.length,
+    averageUrgeBefore: average(urges.map((r) => r.urgeBefore)),
+    averageUrgeAfter: average(urges.map((r) => r.urgeAfter)),
+    stillWantsAppRate: wants.length
+      ? Math.round((wants.filter((r) => r.stillWantsApp).length / wants.length) * 100)
+      : null,
+    topAlternatives: Object.entries(getAlternativeEffectiveness(journal))
+      .map(([id, stat]) => ({ id, ...stat }))
+      .sort((a, b) => b.score - a.score || b.reflections - a.reflections)
+      .slice(0, top),
+  };
+};
@@ -0,0 +1,109 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  getReflectionEffectiveness,
+  getAlternativeEffectiveness,
+  getReflectionSummary,
+  rankAlternatives,
+  explainRanking,
+} from "./index";
+
+const app = { id: "instagram", name: "Instagram" };
+const walk = { id: "b1", title: "Walk", duration: "5m", type: "calm" };
+
+const run = (actions, context = createInitialInterventionContext()) =>
+  actions.reduce((ctx, action) => interventionReducer(ctx, action), context);
+
+const reflecting = run([
+  { type: "BEGIN_INTERVENTION", app, breathingDuration: 1, now: 0 },
+  { type: "BREATHING_COMPLETE", now: 0 },
+  { type: "SELECT_CAUSE", causeId: "boredom", now: 0 },
+  { type: "PROCEED_TO_ALTERNATIVES", now: 0 },
+  { type: "SELECT_ALTERNATIVE", alternative: walk, now: 0 },
+  { type: "START_ALTERNATIVE", durationMinutes: 5, now: 0 },
+  { type: "FINISH_ACTION", now: 1000 },
+]);
+
+const entry = (id, reflection) => ({ alternative: { id, title: id }, reflection });
+
+describe("structured reflection", () => {
+  it("stores the answers with the journal record", () => {
+    const done = run(
+      [
+        { type: "UPDATE_REFLECTION", changes: { urgeBefore: 8, urgeAfter: 2 } },
+        { type: "UPDATE_REFLECTION", changes: { stillWantsApp: false, helpfulness: 4 } },
+        { type: "UPDATE_REFLECTION", changes: { note: "  felt calmer  " } },
+        { type: "FINISH_REFLECTION", rating: 1, now: 2000 },
+      ],
+      reflecting
+    );
+    expect(done.lastRecord.reflection).toEqual({
+      urgeBefore: 8,
+      urgeAfter: 2,
+      stillWantsApp: false,
+      helpfulness: 4,
+      note: "felt calmer",
+    });
+    expect(done.reflection.urgeBefore).toBeNull();
+  });
+
+  it("records no reflection when nothing was answered", () => {
+    const done = interventionReducer(reflecting, { type: "FINISH_REFLECTION", rating: 0 });
+    expect(done.lastRecord.reflection).toBeNull();
+  });
+
+  it("rejects answers outside their scales and unknown fields", () => {
+    [
+      { urgeBefore: 11 },
+      { urgeAfter: -1 },
+      { helpfulness: 0 },
+      { stillWantsApp: "yes" },
+      { note: "x".repeat(281) },
+      { mood: 3 },
+    ].forEach((changes) => {
+      expect(interventionReducer(reflecting, { type: "UPDATE_REFLECTION", changes })).toBe(reflecting);
+    });
+  });
+
+  it("scores alternatives by how well they worked", () => {
+    expect(
+      getReflectionEffectiveness({ urgeBefore: 8, urgeAfter: 2, helpfulness: 5, stillWantsApp: false })
+    ).toBe(92);
+    expect(getReflectionEffectiveness({ urgeBefore: 5, urgeAfter: 7, helpfulness: null })).toBe(0);
+    // No urge before: a new urge scores 0, none at all leaves the urge out
+    expect(getReflectionEffectiveness({ urgeBefore: 0, urgeAfter: 8 })).toBe(0);
+    expect(getReflectionEffectiveness({ urgeBefore: 0, urgeAfter: 0 })).toBeNull();
+    expect(getReflectionEffectiveness({ urgeBefore: 0, urgeAfter: 0, helpfulness: 5 })).toBe(100);
+    expect(getReflectionEffectiveness({ note: "meh" })).toBeNull();
+
+    const journal = [
+      entry("b1", { urgeBefore: 8, urgeAfter: 2, helpfulness: 5, stillWantsApp: false }),
+      entry("b1", { helpfulness: 3, stillWantsApp: true }),
+      entry("b2", { urgeBefore: 6, urgeAfter: 6, stillWantsApp: true }),
+      entry("b3", null),
+    ];
+    expect(getAlternativeEffectiveness(journal)).toEqual({
+      b1: { title: "b1", reflections: 2, score: 59 },
+      b2: { title: "b2", reflections: 1, score: 0 },
+    });
+
+    const summary = getReflectionSummary(journal);
+    expect(summary).toMatchObject({
+      count: 3,
+      averageUrgeBefore: 7,
+      averageUrgeAfter: 4,
+      stillWantsAppRate: 67,
+    });
+    expect(summary.topAlternatives.map((alt) => alt.id)).toEqual(["b1", "b2"]);
+  });
+
+  it("feeds the alternative ranking", () => {
+    const effectiveness = getAlternativeEffectiveness([
+      entry("b1", { urgeBefore: 8, urgeAfter: 0, helpfulness: 5 }),
+      entry("b2", { urgeBefore: 8, urgeAfter: 8, helpfulness: 1 }),
+    ]);
+    const ranked = rankAlternatives([{ ...walk, id: "b2" }, walk], { effectiveness });
+    expect(ranked.map((r) => r.alternative.id)).toEqual(["b1", "b2"]);
+    expect(explainRanking(ranked[0])).toBe("Because it worked for you before (100% effective)");
+  });
+});
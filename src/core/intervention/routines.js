@@ -0,0 +1,147 @@
+/**
+ * Intervention State Machine - Guided Routines
+ *
+ * Framework-agnostic guided routines run in the 'guided' state, entered from
+ * root-cause instead of browsing alternatives. Routines are plain data: each
+ * is a list of steps, and new routines only need a new entry in
+ * GUIDED_ROUTINES. Step types the app knows how to show:
+ * - 'senses': Notice `count` things with one sense (prompt + count)
+ * - 'breathing': Paced breathing with a pattern from timers.js for `durationSeconds`
+ * - 'message': Optionally message a trusted friend (`message` is the suggested text)
+ * Every step can be skipped, and so can the whole routine (back to the
+ * alternatives). How far the user got is stored on the journal record.
+ */
+
+import { getCauseIntensity } from './causes';
+
+/**
+ * Step outcomes
+ */
+export const GUIDED_STEP_STATUSES = {
+  DONE: 'done',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * Guided routines, keyed by ID
+ * - causeIds / minIntensity: Offered when one of these causes is selected
+ *   with at least this intensity (see causes.js)
+ */
+export const GUIDED_ROUTINES = {
+  grounding: {
+    id: 'grounding',
+    title: 'Grounding (5-4-3-2-1)',
+    description: 'Come back to the present moment, one sense at a time.',
+    causeIds: ['anxiety'],
+    minIntensity: 3,
+    steps: [
+      { id: 'see', type: 'senses', count: 5, prompt: 'Name 5 things you can see' },
+      { id: 'touch', type: 'senses', count: 4, prompt: 'Notice 4 things you can touch' },
+      { id: 'hear', type: 'senses', count: 3, prompt: 'Listen for 3 things you can hear' },
+      { id: 'smell', type: 'senses', count: 2, prompt: 'Find 2 things you can smell' },
+      { id: 'taste', type: 'senses', count: 1, prompt: 'Notice 1 thing you can taste' },
+      {
+        id: 'breathe',
+        type: 'breathing',
+        prompt: 'Breathe slowly with the square',
+        patternId: 'box',
+        durationSeconds: 64,
+      },
+      {
+        id: 'reach-out',
+        type: 'message',
+        prompt: 'Message someone you trust',
+        message: "Hey, I'm having a rough moment. Could you check in on me when you can?",
+        optional: true,
+      },
+    ],
+  },
+};
+
+/**
+ * Get a guided routine by ID
+ * @param {string} routineId - Routine ID
+ * @returns {Object|null}
+ */
+export const getGuidedRoutine = (routineId) => GUIDED_ROUTINES[routineId] || null;
+
+/**
+ * Get the routine offered for the selected causes
+ * @param {Array<string>} selectedCauses - Selected cause IDs
+ * @param {Object} causeDetails - { intensity, note } per selected cause
+ * @returns {Object|null} First matching routine
+ */
+export const getOfferedRoutine = (selectedCauses = [], causeDetails = {}) =>
+  Object.values(GUIDED_ROUTINES).find((routine) =>
+    routine.causeIds.some(
+      (causeId) =>
+        selectedCauses.includes(causeId) &&
+        getCauseIntensity(causeDetails, causeId) >= (routine.minIntensity || 0)
+    )
+  ) || null;
+
+/**
+ * Start tracking a routine
+ * @param {string} routineId - Routine ID
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {Object} Routine progress: { id, stepIndex, stepStartedAt, steps, startedAt }
+ */
+export const createRoutineProgress = (routineId, now) => ({
+  id: routineId,
+  stepIndex: 0,
+  stepStartedAt: now,
+  steps: [],
+  startedAt: now,
+});
+
+/**
+ * Get the step the user is on
+ * @param {Object|null} progress - Routine progress
+ * @returns {Object|null} Step definition, or null when every step is resolved
+ */
+export const getCurrentRoutineStep = (progress) =>
+  (progress && getGuidedRoutine(progress.id)?.steps[progress.stepIndex]) || null;
+
+/**
+ * Resolve the current step and move to the next one
+ * @param {Object} progress - Routine progress
+ * @param {string} status - One of GUIDED_STEP_STATUSES
+ * @param {number} now - Timestamp in milliseconds
+ * @param {Object|null} [result] - What came out of the step (e.g. the friend messaged)
+ * @returns {Object} New routine progress
+ */
+export const resolveRoutineStep = (progress, status, now, result = null) => ({
+  ...progress,
+  stepIndex: progress.stepIndex + 1,
+  stepStartedAt: now,
+  steps: [
+    ...progress.steps,
+    { id: getCurrentRoutineStep(progress).id, status, at: now, result },
+  ],
+});
+
+/**
+ * Check if every step of the routine is resolved
+ * @param {Object|null} progress - Routine progress
+ * @returns {boolean}
+ */
+export const isRoutineFinished = (progress) =>
+  Boolean(progress) && getCurrentRoutineStep(progress) === null;
+
+/**
+ * Condense routine progress for the journal record
+ * @param {Object|null} progress - Routine progress
+ * @returns {Object|null} { id, completedSteps, skippedSteps, totalSteps, finished, steps }
+ */
+export const summarizeRoutine = (progress) => {
+  if (!progress) return null;
+  const count = (status) => progress.steps.filter((step) => step.status === status).length;
+  return {
+    id: progress.id,
+    completedSteps: count(GUIDED_STEP_STATUSES.DONE),
+    skippedSteps: count(GUIDED_STEP_STATUSES.SKIPPED),
+    totalSteps: getGuidedRoutine(progress.id)?.steps.length ?? progress.steps.length,
+    finished: isRoutineFinished(progress),
+    steps: progress.steps,
+  };
+};
@@ -0,0 +1,86 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  getOfferedRoutine,
+  getCurrentRoutineStep,
+  GUIDED_ROUTINES,
+} from "./index";
+
+const app = { id: "instagram", name: "Instagram" };
+
+const run = (actions, context = createInitialInterventionContext()) =>
+  actions.reduce((ctx, action) => interventionReducer(ctx, action), context);
+
+const rootCause = run([
+  { type: "BEGIN_INTERVENTION", app, breathingDuration: 1, now: 0 },
+  { type: "BREATHING_COMPLETE", now: 0 },
+  { type: "SELECT_CAUSE", causeId: "anxiety", intensity: 5, now: 0 },
+]);
+const grounding = GUIDED_ROUTINES.grounding;
+
+describe("guided routines", () => {
+  it("offers grounding for anxiety of at least the routine's intensity", () => {
+    expect(getOfferedRoutine(["anxiety"], {})).toBe(grounding);
+    expect(getOfferedRoutine(["anxiety"], { anxiety: { intensity: 2 } })).toBeNull();
+    expect(getOfferedRoutine(["boredom"], {})).toBeNull();
+  });
+
+  it("walks through the steps and records them in the journal", () => {
+    const guided = interventionReducer(rootCause, {
+      type: "START_GUIDED_ROUTINE",
+      routineId: "grounding",
+      now: 1000,
+    });
+    expect(guided.state).toBe("guided");
+    expect(getCurrentRoutineStep(guided.guidedRoutine).id).toBe("see");
+
+    const steps = grounding.steps.map((step, i) =>
+      step.optional
+        ? { type: "SKIP_GUIDED_STEP", now: 2000 + i }
+        : { type: "COMPLETE_GUIDED_STEP", now: 2000 + i }
+    );
+    const finished = run(steps, guided);
+    expect(getCurrentRoutineStep(finished.guidedRoutine)).toBeNull();
+    expect(interventionReducer(finished, { type: "COMPLETE_GUIDED_STEP" })).toBe(finished);
+
+    const done = run(
+      [
+        { type: "FINISH_GUIDED_ROUTINE", now: 3000 },
+        { type: "FINISH_REFLECTION", rating: 1, now: 4000 },
+      ],
+      finished
+    );
+    expect(done.lastRecord.outcome).toBe("completed");
+    expect(done.lastRecord.guidedRoutine).toMatchObject({
+      id: "grounding",
+      completedSteps: grounding.steps.length - 1,
+      skippedSteps: 1,
+      finished: true,
+    });
+    expect(done.guidedRoutine).toBeNull();
+  });
+
+  it("can be left early for the alternatives, keeping the progress", () => {
+    const guided = run(
+      [
+        { type: "START_GUIDED_ROUTINE", routineId: "grounding" },
+        { type: "COMPLETE_GUIDED_STEP", result: { note: "a lamp" } },
+      ],
+      rootCause
+    );
+    expect(interventionReducer(guided, { type: "FINISH_GUIDED_ROUTINE" })).toBe(guided);
+
+    const exited = interventionReducer(guided, { type: "EXIT_GUIDED_ROUTINE" });
+    expect(exited.state).toBe("alternatives");
+
+    const reset = interventionReducer(exited, { type: "RESET_INTERVENTION" });
+    expect(reset.lastRecord.guidedRoutine).toMatchObject({ completedSteps: 1, finished: false });
+    expect(reset.lastRecord.guidedRoutine.steps[0].result).toEqual({ note: "a lamp" });
+  });
+
+  it("rejects unknown routines", () => {
+    expect(interventionReducer(rootCause, { type: "START_GUIDED_ROUTINE", routineId: "nope" })).toBe(
+      rootCause
+    );
+  });
+});
@@ -5,12 +5,16 @@
  * This module defines the core state structure without any React dependencies.
  */
 
+import { createEmptyReflection } from './reflection';
+import { DEFAULT_BREATHING_PATTERN } from './timers';
+
 /**
  * Intervention flow states:
  * - 'idle': No intervention active
  * - 'breathing': Breathing countdown before intervention
  * - 'root-cause': User selects emotional causes
  * - 'alternatives': User browses alternative activities
+ * - 'guided': User follows a guided routine (e.g. grounding for anxiety)
  * - 'action': User views selected alternative details
  * - 'action_timer': Timer running for selected alternative
  * - 'timer': User chose "I really need to use it" - set unlock timer
@@ -25,9 +29,39 @@ export const createInitialInterventionContext = () => ({
   state: 'idle',
   targetApp: null,
   breathingCount: 3,
+  breathingPattern: DEFAULT_BREATHING_PATTERN,
+  breathingDuration: 3,
+  // Current phase of patterned breathing (null for the plain countdown)
+  breathingPhase: null,
+  // Wall-clock timestamps (ms); breathingCount/actionTimer are derived from these
+  breathingStartedAt: null,
+  breathingDeadline: null,
   selectedCauses: [],
+  // { intensity, note } per selected cause (see causes.js)
+  causeDetails: {},
   selectedAlternative: null,
   actionTimer: 0,
+  actionTimerDeadline: null,
+  actionTimerPausedAt: null,
+  // Checklist for the selected alternative's steps (see steps.js)
+  actionSteps: [],
+  // Answers on the reflection screen (see reflection.js)
+  reflection: createEmptyReflection(),
+  // Progress through a guided routine (see routines.js)
+  guidedRoutine: null,
+  // Resolved per-app profile for this intervention (see profiles.js)
+  profile: null,
+  // Today's unlock budget for the target app (see budget.js)
+  unlockBudget: null,
+  // Escalating friction for this attempt (see escalation.js) and typed unlock reason
+  friction: null,
+  unlockReason: null,
+  // Journal bookkeeping for the running intervention (see journal.js)
+  sessionId: null,
+  startedAt: null,
+  events: [],
+  // Record of the most recently finished intervention, for consumers to persist
+  lastRecord: null,
 });
 
 /**
@@ -45,7 +79,12 @@ export const isInterventionActive = (state) => {
  * @returns {boolean}
  */
 export const isInterventionBlocking = (state) => {
-  return state === 'breathing' || state === 'root-cause' || state === 'alternatives';
+  return (
+    state === 'breathing' ||
+    state === 'root-cause' ||
+    state === 'alternatives' ||
+    state === 'guided'
+  );
 };
 
 /**
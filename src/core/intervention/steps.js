@@ -0,0 +1,104 @@
+/**
+ * Intervention State Machine - Action Steps
+ *
+ * Framework-agnostic checklist for the steps of the alternative being done.
+ * START_ALTERNATIVE turns the alternative's `actions` into steps on the
+ * context; while the action timer runs each step can be checked off, skipped
+ * or timed with its own sub-timer. Sub-timers pause along with the action
+ * timer. Entries of `actions` are plain strings or { title, duration }
+ * objects, where a duration ("2m") gives the step's sub-timer a target.
+ */
+
+import { parseDurationToMinutes } from './timers';
+
+/**
+ * Step statuses
+ */
+export const ACTION_STEP_STATUSES = {
+  PENDING: 'pending',
+  DONE: 'done',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * Build the checklist for an alternative
+ * @param {Object|null} alternative - Alternative ({ actions })
+ * @returns {Array} Steps: { title, status, durationSeconds, startedAt, resolvedAt }
+ */
+export const createActionSteps = (alternative) =>
+  (alternative?.actions || [])
+    .map((entry) => (typeof entry === 'string' ? { title: entry } : entry || {}))
+    .filter((entry) => entry.title && entry.title.trim())
+    .map((entry) => ({
+      title: entry.title.trim(),
+      status: ACTION_STEP_STATUSES.PENDING,
+      durationSeconds: entry.duration ? parseDurationToMinutes(entry.duration) * 60 : null,
+      startedAt: null,
+      resolvedAt: null,
+    }));
+
+/**
+ * Check if a step index points at a pending step
+ * @param {Array} steps - Steps
+ * @param {number} index - Step index
+ * @returns {boolean}
+ */
+export const isPendingStep = (steps = [], index) =>
+  steps[index]?.status === ACTION_STEP_STATUSES.PENDING;
+
+/**
+ * Check if every step was checked off or skipped
+ * @param {Array} steps - Steps
+ * @returns {boolean} False when there are no steps
+ */
+export const areActionStepsResolved = (steps = []) =>
+  steps.length > 0 && steps.every((step) => step.status !== ACTION_STEP_STATUSES.PENDING);
+
+/**
+ * Get the share of steps that were checked off (skipped steps don't count)
+ * @param {Array} steps - Steps
+ * @returns {number|null} Percentage (0-100), or null when there are no steps
+ */
+export const getActionStepCompletion = (steps = []) => {
+  if (steps.length === 0) return null;
+  const done = steps.filter((step) => step.status === ACTION_STEP_STATUSES.DONE).length;
+  return Math.round((done / steps.length) * 100);
+};
+
+/**
+ * Get the seconds spent on a step's sub-timer
+ * @param {Object} step - Step
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {number|null} [pausedAt] - When the action timer was paused, if it is
+ * @returns {number|null} Elapsed seconds, or null when the step was never timed
+ */
+export const getActionStepElapsed = (step, now, pausedAt = null) => {
+  if (step.startedAt == null) return null;
+  const end = step.resolvedAt ?? pausedAt ?? now;
+  return Math.max(0, Math.floor((end - step.startedAt) / 1000));
+};
+
+/**
+ * Move the running sub-timers past a pause of the action timer
+ * A step timed during the pause starts counting when the pause ends.
+ * @param {Array} steps - Steps
+ * @param {number} pausedAt - When the pause started
+ * @param {number} resumedAt - When the pause ended
+ * @returns {Array} New steps
+ */
+export const resumeActionSteps = (steps = [], pausedAt, resumedAt) =>
+  steps.map((step) =>
+    step.startedAt == null || step.resolvedAt != null
+      ? step
+      : { ...step, startedAt: Math.min(step.startedAt, pausedAt) + (resumedAt - pausedAt) }
+  );
+
+/**
+ * Update one step
+ * @param {Array} steps - Steps
+ * @param {number} index - Step index
+ * @param {Object} changes - Fields to change
+ * @returns {Array} New steps
+ */
+export const updateActionStep = (steps, index, changes) =>
+  steps.map((step, i) => (i === index ? { ...step, ...changes } : step));
@@ -0,0 +1,106 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  createActionSteps,
+  areActionStepsResolved,
+  getActionStepCompletion,
+  getActionStepElapsed,
+} from "./index";
+
+const app = { id: "instagram", name: "Instagram" };
+const alternative = {
+  id: "l2",
+  title: "Cook & Invite",
+  duration: "30m",
+  actions: ["Choose a recipe", { title: "Check ingredients", duration: "2m" }, "Start cooking", " "],
+};
+
+const run = (actions, context = createInitialInterventionContext()) =>
+  actions.reduce((ctx, action) => interventionReducer(ctx, action), context);
+
+const actionTimer = run([
+  { type: "BEGIN_INTERVENTION", app, breathingDuration: 1, now: 0 },
+  { type: "BREATHING_COMPLETE", now: 0 },
+  { type: "SELECT_CAUSE", causeId: "loneliness", now: 0 },
+  { type: "PROCEED_TO_ALTERNATIVES", now: 0 },
+  { type: "SELECT_ALTERNATIVE", alternative, now: 0 },
+  { type: "START_ALTERNATIVE", durationMinutes: 30, now: 1000 },
+]);
+
+describe("action step checklist", () => {
+  it("turns the alternative's actions into pending steps", () => {
+    expect(createActionSteps(alternative).map((step) => [step.title, step.durationSeconds])).toEqual([
+      ["Choose a recipe", null],
+      ["Check ingredients", 120],
+      ["Start cooking", null],
+    ]);
+    expect(actionTimer.actionSteps.every((step) => step.status === "pending")).toBe(true);
+    expect(getActionStepCompletion([])).toBeNull();
+  });
+
+  it("checks, skips, times and undoes steps", () => {
+    const ctx = run(
+      [
+        { type: "CHECK_ACTION_STEP", index: 0, now: 2000 },
+        { type: "START_ACTION_STEP", index: 1, now: 3000 },
+        { type: "SKIP_ACTION_STEP", index: 2, now: 4000 },
+        { type: "UNDO_ACTION_STEP", index: 2, now: 5000 },
+      ],
+      actionTimer
+    );
+    expect(ctx.actionSteps.map((step) => step.status)).toEqual(["done", "pending", "pending"]);
+    expect(ctx.actionSteps[0].resolvedAt).toBe(2000);
+    expect(getActionStepElapsed(ctx.actionSteps[1], 63000)).toBe(60);
+
+    // Already checked, already timed, or out of range
+    expect(interventionReducer(ctx, { type: "CHECK_ACTION_STEP", index: 0 })).toBe(ctx);
+    expect(interventionReducer(ctx, { type: "START_ACTION_STEP", index: 1 })).toBe(ctx);
+    expect(interventionReducer(ctx, { type: "SKIP_ACTION_STEP", index: 7 })).toBe(ctx);
+    expect(interventionReducer(ctx, { type: "UNDO_ACTION_STEP", index: 1 })).toBe(ctx);
+  });
+
+  it("holds step sub-timers while the action timer is paused", () => {
+    const started = interventionReducer(actionTimer, {
+      type: "START_ACTION_STEP",
+      index: 1,
+      now: 3000,
+    });
+    const paused = interventionReducer(started, { type: "PAUSE_ACTION_TIMER", now: 33000 });
+    const pausedAt = paused.actionTimerPausedAt;
+    expect(getActionStepElapsed(paused.actionSteps[1], 600000, pausedAt)).toBe(30);
+
+    const resumed = run(
+      [
+        { type: "START_ACTION_STEP", index: 2, now: 60000 },
+        { type: "RESUME_ACTION_TIMER", now: 633000 },
+      ],
+      paused
+    );
+    expect(getActionStepElapsed(resumed.actionSteps[1], 663000)).toBe(60);
+    // Timed during the pause: counts from the resume
+    expect(getActionStepElapsed(resumed.actionSteps[2], 663000)).toBe(30);
+    expect(resumed.actionSteps[0].startedAt).toBeNull();
+  });
+
+  it("stores the completion percentage in the journal record", () => {
+    const ctx = run(
+      [
+        { type: "CHECK_ACTION_STEP", index: 0, now: 2000 },
+        { type: "CHECK_ACTION_STEP", index: 1, now: 3000 },
+        { type: "SKIP_ACTION_STEP", index: 2, now: 4000 },
+      ],
+      actionTimer
+    );
+    expect(areActionStepsResolved(ctx.actionSteps)).toBe(true);
+
+    const done = run(
+      [
+        { type: "FINISH_ACTION", now: 5000 },
+        { type: "FINISH_REFLECTION", rating: 1, now: 6000 },
+      ],
+      ctx
+    );
+    expect(done.lastRecord.stepCompletion).toBe(67);
+    expect(done.actionSteps).toEqual([]);
+  });
+});
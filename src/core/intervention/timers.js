@@ -5,6 +5,148 @@
  * These functions handle breathing countdown and action timer logic.
  */
 
+/**
+ * Breathing patterns
+ * Each pattern is a cycle of phases ('inhale' | 'hold' | 'exhale') that
+ * repeats for the length of the breathing step. The 'countdown' pattern has
+ * no phases and keeps the plain seconds countdown.
+ */
+export const BREATHING_PATTERNS = {
+  countdown: {
+    id: 'countdown',
+    label: 'Simple countdown',
+    phases: [],
+  },
+  box: {
+    id: 'box',
+    label: 'Box breathing',
+    phases: [
+      { name: 'inhale', seconds: 4 },
+      { name: 'hold', seconds: 4 },
+      { name: 'exhale', seconds: 4 },
+      { name: 'hold', seconds: 4 },
+    ],
+  },
+  '4-7-8': {
+    id: '4-7-8',
+    label: '4-7-8',
+    phases: [
+      { name: 'inhale', seconds: 4 },
+      { name: 'hold', seconds: 7 },
+      { name: 'exhale', seconds: 8 },
+    ],
+  },
+  coherent: {
+    id: 'coherent',
+    label: 'Coherent 5-5',
+    phases: [
+      { name: 'inhale', seconds: 5 },
+      { name: 'exhale', seconds: 5 },
+    ],
+  },
+};
+
+export const DEFAULT_BREATHING_PATTERN = 'countdown';
+
+/**
+ * Display labels for breathing phases
+ */
+export const BREATHING_PHASE_LABELS = {
+  inhale: 'Breathe in',
+  hold: 'Hold',
+  exhale: 'Breathe out',
+};
+
+/**
+ * Get a breathing pattern by id (falls back to the plain countdown)
+ * @param {string} patternId - Pattern ID
+ * @returns {Object} Pattern definition
+ */
+export const getBreathingPattern = (patternId) => {
+  return BREATHING_PATTERNS[patternId] || BREATHING_PATTERNS[DEFAULT_BREATHING_PATTERN];
+};
+
+/**
+ * Get the length of one full cycle of a pattern
+ * @param {Object} pattern - Pattern definition
+ * @returns {number} Cycle length in seconds (0 for the plain countdown)
+ */
+export const getBreathingCycleSeconds = (pattern) => {
+  return pattern.phases.reduce((total, phase) => total + phase.seconds, 0);
+};
+
+/**
+ * Derive phase boundaries within one cycle of a pattern
+ * `expanded` tells whether the lungs are full at the end of the phase
+ * (holds keep the previous phase's value), so UIs can animate each phase.
+ * @param {Object} pattern - Pattern definition
+ * @returns {Array} [{ name, seconds, start, end, expanded }]
+ */
+export const getBreathingPhaseBoundaries = (pattern) => {
+  const lastDirectional = [...pattern.phases]
+    .reverse()
+    .find((phase) => phase.name !== 'hold');
+  let expanded = lastDirectional ? lastDirectional.name === 'inhale' : false;
+  let start = 0;
+  return pattern.phases.map((phase) => {
+    if (phase.name !== 'hold') expanded = phase.name === 'inhale';
+    const boundary = {
+      name: phase.name,
+      seconds: phase.seconds,
+      start,
+      end: start + phase.seconds,
+      expanded,
+    };
+    start += phase.seconds;
+    return boundary;
+  });
+};
+
+/**
+ * Get the total breathing duration for a pattern
+ * Patterned breathing is rounded up to whole cycles so the step never ends
+ * mid-breath; the plain countdown uses the requested duration as-is.
+ * @param {Object} pattern - Pattern definition
+ * @param {number} requestedSeconds - Duration from settings
+ * @returns {number} Duration in seconds
+ */
+export const getBreathingSessionDuration = (pattern, requestedSeconds) => {
+  const requested = Math.max(0, Number(requestedSeconds) || 0);
+  const cycle = getBreathingCycleSeconds(pattern);
+  if (cycle === 0) return requested;
+  return Math.max(1, Math.ceil(requested / cycle)) * cycle;
+};
+
+/**
+ * Get the breathing phase at a point in the breathing step
+ * @param {Object} pattern - Pattern definition
+ * @param {number} elapsedSeconds - Seconds since breathing started
+ * @returns {Object|null} { name, label, index, cycle, seconds, progress, secondsLeft, expanded }
+ *   or null for the plain countdown
+ */
+export const getBreathingPhaseAt = (pattern, elapsedSeconds) => {
+  const cycleSeconds = getBreathingCycleSeconds(pattern);
+  if (cycleSeconds === 0) return null;
+
+  const elapsed = Math.max(0, elapsedSeconds);
+  const cycle = Math.floor(elapsed / cycleSeconds);
+  const offset = elapsed - cycle * cycleSeconds;
+  const boundaries = getBreathingPhaseBoundaries(pattern);
+  const index = boundaries.findIndex((b) => offset >= b.start && offset < b.end);
+  const current = boundaries[index];
+
+  return {
+    name: current.name,
+    label: BREATHING_PHASE_LABELS[current.name],
+    index,
+    cycle,
+    seconds: current.seconds,
+    progress: (offset - current.start) / current.seconds,
+    secondsLeft: current.end - offset,
+    expanded: current.expanded,
+  };
+};
+
 /**
  * Check if breathing countdown should tick
  * @param {string} state - Current intervention state
@@ -29,10 +171,11 @@ export const isBreathingComplete = (state, breathingCount) => {
  * Check if action timer should tick
  * @param {string} state - Current intervention state
  * @param {number} actionTimer - Current action timer value
+ * @param {number|null} [pausedAt] - Timestamp the timer was paused at, if paused
  * @returns {boolean}
  */
-export const shouldTickActionTimer = (state, actionTimer) => {
-  return state === 'action_timer' && actionTimer > 0;
+export const shouldTickActionTimer = (state, actionTimer, pausedAt = null) => {
+  return state === 'action_timer' && actionTimer > 0 && pausedAt == null;
 };
 
 /**
@@ -69,12 +212,67 @@ export const calculateTimerProgress = (current, total) => {
 
 /**
  * Get timer interval in milliseconds
- * Breathing uses 1000ms (1 second)
- * Action timer uses 1000ms (1 second)
+ * Ticks only refresh the displayed values: remaining time is always derived
+ * from wall-clock deadlines, so throttled or late ticks never stretch a timer.
+ * A sub-second interval keeps the countdown from skipping a second.
  * @param {string} timerType - 'breathing' or 'action'
  * @returns {number} Interval in milliseconds
  */
 export const getTimerInterval = (timerType) => {
-  return 1000; // Both use 1 second intervals
+  return 250; // Both refresh four times per second
+};
+
+/**
+ * Get whole seconds left until a deadline
+ * @param {number|null} deadline - Deadline timestamp in milliseconds
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number} Seconds left (rounded up, never negative)
+ */
+export const getRemainingSeconds = (deadline, now) => {
+  if (!deadline) return 0;
+  return Math.max(0, Math.ceil((deadline - now) / 1000));
+};
+
+/**
+ * Get seconds elapsed since breathing started
+ * @param {Object} context - Intervention context
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number} Elapsed seconds (fractional)
+ */
+export const getBreathingElapsedSeconds = (context, now) => {
+  if (context.breathingStartedAt == null) return 0;
+  return Math.max(0, (now - context.breathingStartedAt) / 1000);
 };
 
+/**
+ * Get seconds left on the action timer
+ * While paused, the remaining time is frozen at the moment of pausing.
+ * @param {Object} context - Intervention context
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number} Seconds left
+ */
+export const getActionTimerRemaining = (context, now) => {
+  return getRemainingSeconds(
+    context.actionTimerDeadline,
+    context.actionTimerPausedAt ?? now
+  );
+};
+
+/**
+ * Check if the action timer is paused
+ * @param {Object} context - Intervention context
+ * @returns {boolean}
+ */
+export const isActionTimerPaused = (context) => {
+  return context.state === 'action_timer' && context.actionTimerPausedAt != null;
+};
+
+/**
+ * Parse duration string to minutes
+ * @param {string} durationStr - Duration string (e.g., "5m", "30m")
+ * @returns {number} Duration in minutes
+ */
+export const parseDurationToMinutes = (durationStr) => {
+  const match = durationStr.match(/(\d+)/);
+  return match ? parseInt(match[1], 10) : 5;
+};
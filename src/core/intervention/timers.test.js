@@ -0,0 +1,130 @@
+import {
+  createInitialInterventionContext,
+  interventionReducer,
+  getBreathingPattern,
+  getBreathingCycleSeconds,
+  getBreathingPhaseBoundaries,
+  getBreathingSessionDuration,
+  getBreathingPhaseAt,
+  BREATHING_PATTERNS,
+} from "./index";
+
+const app = { id: "instagram", name: "Instagram" };
+
+const run = (actions, context = createInitialInterventionContext()) =>
+  actions.reduce((ctx, action) => interventionReducer(ctx, action), context);
+
+describe("breathing patterns", () => {
+  it("falls back to the plain countdown for unknown patterns", () => {
+    expect(getBreathingPattern("4-7-8")).toBe(BREATHING_PATTERNS["4-7-8"]);
+    expect(getBreathingPattern("nope")).toBe(BREATHING_PATTERNS.countdown);
+    expect(getBreathingCycleSeconds(BREATHING_PATTERNS["4-7-8"])).toBe(19);
+    expect(getBreathingCycleSeconds(BREATHING_PATTERNS.countdown)).toBe(0);
+  });
+
+  it("derives phase boundaries, holds keeping the lungs as they were", () => {
+    expect(getBreathingPhaseBoundaries(BREATHING_PATTERNS.box)).toEqual([
+      { name: "inhale", seconds: 4, start: 0, end: 4, expanded: true },
+      { name: "hold", seconds: 4, start: 4, end: 8, expanded: true },
+      { name: "exhale", seconds: 4, start: 8, end: 12, expanded: false },
+      { name: "hold", seconds: 4, start: 12, end: 16, expanded: false },
+    ]);
+    expect(
+      getBreathingPhaseBoundaries(BREATHING_PATTERNS["4-7-8"]).map((phase) => phase.expanded)
+    ).toEqual([true, true, false]);
+  });
+
+  it("rounds patterned breathing up to whole cycles", () => {
+    expect(getBreathingSessionDuration(BREATHING_PATTERNS.box, 5)).toBe(16);
+    expect(getBreathingSessionDuration(BREATHING_PATTERNS.box, 16)).toBe(16);
+    expect(getBreathingSessionDuration(BREATHING_PATTERNS.box, 20)).toBe(32);
+    expect(getBreathingSessionDuration(BREATHING_PATTERNS["4-7-8"], 30)).toBe(38);
+    // At least one cycle; the countdown keeps the requested seconds
+    expect(getBreathingSessionDuration(BREATHING_PATTERNS.box, 0)).toBe(16);
+    expect(getBreathingSessionDuration(BREATHING_PATTERNS.countdown, 7)).toBe(7);
+    expect(getBreathingSessionDuration(BREATHING_PATTERNS.countdown, "x")).toBe(0);
+  });
+
+  it("tells the phase at any point of the step", () => {
+    expect(getBreathingPhaseAt(BREATHING_PATTERNS.box, 5)).toEqual({
+      name: "hold",
+      label: "Hold",
+      index: 1,
+      cycle: 0,
+      seconds: 4,
+      progress: 0.25,
+      secondsLeft: 3,
+      expanded: true,
+    });
+    expect(getBreathingPhaseAt(BREATHING_PATTERNS.box, 16)).toMatchObject({
+      name: "inhale",
+      index: 0,
+      cycle: 1,
+    });
+    expect(getBreathingPhaseAt(BREATHING_PATTERNS.box, -3)).toMatchObject({ name: "inhale", cycle: 0 });
+    expect(getBreathingPhaseAt(BREATHING_PATTERNS.countdown, 5)).toBeNull();
+  });
+});
+
+describe("wall-clock breathing", () => {
+  it("derives the countdown from the deadline, not the number of ticks", () => {
+    const started = run([
+      { type: "BEGIN_INTERVENTION", app, breathingDuration: 10, now: 0 },
+    ]);
+    // A single late tick (e.g. throttled tab) catches up in one step
+    const late = interventionReducer(started, { type: "BREATHING_TICK", now: 7200 });
+    expect(late.breathingCount).toBe(3);
+
+    const done = interventionReducer(late, { type: "BREATHING_TICK", now: 10000 });
+    expect(done.state).toBe("root-cause");
+  });
+
+  it("tracks the phase of patterned breathing", () => {
+    const started = run([
+      { type: "BEGIN_INTERVENTION", app, breathingDuration: 5, breathingPattern: "box", now: 0 },
+    ]);
+    expect(started.breathingDuration).toBe(16);
+    const ticked = interventionReducer(started, { type: "BREATHING_TICK", now: 9000 });
+    expect(ticked.breathingPhase.name).toBe("exhale");
+    expect(ticked.breathingPhase.cycle).toBe(0);
+    expect(getBreathingPhaseAt(BREATHING_PATTERNS.box, 17).cycle).toBe(1);
+  });
+});
+
+describe("action timer pause/resume", () => {
+  const startTimer = () =>
+    run([
+      { type: "BEGIN_INTERVENTION", app, breathingDuration: 0, now: 0 },
+      { type: "BREATHING_COMPLETE", now: 0 },
+      { type: "PROCEED_TO_ALTERNATIVES", now: 0 },
+      { type: "SELECT_ALTERNATIVE", alternative: { id: "b1", title: "Walk" }, now: 0 },
+      { type: "START_ALTERNATIVE", durationMinutes: 5, now: 1000 },
+    ]);
+
+  it("counts down from the deadline", () => {
+    const ticked = interventionReducer(startTimer(), { type: "ACTION_TIMER_TICK", now: 61000 });
+    expect(ticked.actionTimer).toBe(240);
+  });
+
+  it("freezes while paused and shifts the deadline on resume", () => {
+    const paused = run(
+      [
+        { type: "ACTION_TIMER_TICK", now: 31000 },
+        { type: "PAUSE_ACTION_TIMER", now: 31000 },
+        { type: "ACTION_TIMER_TICK", now: 200000 },
+      ],
+      startTimer()
+    );
+    expect(paused.actionTimer).toBe(270);
+
+    const resumed = run(
+      [
+        { type: "RESUME_ACTION_TIMER", now: 331000 },
+        { type: "ACTION_TIMER_TICK", now: 341000 },
+      ],
+      paused
+    );
+    expect(resumed.actionTimerPausedAt).toBeNull();
+    expect(resumed.actionTimer).toBe(260);
+  });
+});
@@ -3,116 +3,371 @@
  * 
  * Framework-agnostic pure functions for state transitions.
  * All functions are pure: they take state as input and return new state.
+ * Actions may carry a `now` timestamp; it defaults to Date.now().
  */
 
+import {
+  JOURNAL_OUTCOMES,
+  buildJournalRecord,
+  createTransitionEvent,
+} from './journal';
+import { mergeCauseDetails } from './causes';
+import {
+  ACTION_STEP_STATUSES,
+  createActionSteps,
+  getActionStepCompletion,
+  resumeActionSteps,
+  updateActionStep,
+} from './steps';
+import { createEmptyReflection, finalizeReflection } from './reflection';
+import {
+  GUIDED_STEP_STATUSES,
+  createRoutineProgress,
+  resolveRoutineStep,
+  summarizeRoutine,
+} from './routines';
+import { getTransitionRejection, reportRejectedTransition } from './machine';
+import {
+  getActionTimerRemaining,
+  getBreathingElapsedSeconds,
+  getBreathingPattern,
+  getBreathingPhaseAt,
+  getBreathingSessionDuration,
+  getRemainingSeconds,
+  parseDurationToMinutes,
+} from './timers';
+
 /**
- * Main reducer function for intervention state transitions
+ * Timer fields cleared whenever the machine leaves its timed states
+ */
+const CLEARED_TIMERS = {
+  breathingPhase: null,
+  breathingStartedAt: null,
+  breathingDeadline: null,
+  actionTimerDeadline: null,
+  actionTimerPausedAt: null,
+};
+
+/**
+ * Get the timestamp an action happened at
+ * @param {Object} action - Action object
+ * @returns {number} Timestamp in milliseconds
+ */
+const getActionTime = (action) => action.now ?? Date.now();
+
+/**
+ * Get the journal outcome for the action that ended an intervention
+ * @param {Object} action - Action that returned the machine to idle
+ * @returns {string} One of JOURNAL_OUTCOMES
+ */
+const getOutcomeForAction = (action) => {
+  switch (action.type) {
+    case 'FINISH_REFLECTION':
+      return JOURNAL_OUTCOMES.COMPLETED;
+    case 'UNLOCK_APP':
+      return JOURNAL_OUTCOMES.UNLOCKED;
+    default:
+      return JOURNAL_OUTCOMES.ABANDONED;
+  }
+};
+
+/**
+ * Close the running intervention and condense it into a journal record
+ * @param {Object} context - Context of the intervention being closed
+ * @param {Object} action - Action that closed it
+ * @param {Array} events - Event trail including the closing event
+ * @returns {Object} Journal record
+ */
+const closeSession = (context, action, events) =>
+  buildJournalRecord(context, {
+    outcome: getOutcomeForAction(action),
+    endedAt: getActionTime(action),
+    events,
+    unlockMinutes: action.type === 'UNLOCK_APP' ? action.minutes : null,
+    budgetOverride: action.type === 'UNLOCK_APP' ? action.override ?? null : null,
+    rating: action.type === 'FINISH_REFLECTION' ? action.rating ?? null : null,
+    stepCompletion: getActionStepCompletion(context.actionSteps),
+    reflection: action.type === 'FINISH_REFLECTION' ? finalizeReflection(context.reflection) : null,
+    guidedRoutine: summarizeRoutine(context.guidedRoutine),
+  });
+
+/**
+ * State transitions without journal bookkeeping
+ * Only called for actions the transition table accepts (see machine.js), so
+ * the cases below don't re-check the current state.
  * @param {Object} context - Current intervention context
  * @param {Object} action - Action object with type and payload
  * @returns {Object} New intervention context
  */
-export const interventionReducer = (context, action) => {
+const applyTransition = (context, action) => {
   switch (action.type) {
-    case 'BEGIN_INTERVENTION':
+    case 'BEGIN_INTERVENTION': {
+      const startedAt = getActionTime(action);
+      // The app's resolved profile (see profiles.js) wins over bare values
+      const profile = action.profile || null;
+      const pattern = getBreathingPattern(
+        profile?.breathingPattern ?? action.breathingPattern
+      );
+      const friction = action.friction || null;
+      const breathingDuration = getBreathingSessionDuration(
+        pattern,
+        Number(profile?.breathingDuration ?? action.breathingDuration) +
+          (friction?.extraBreathingSeconds || 0)
+      );
       return {
         ...context,
         state: 'breathing',
         targetApp: action.app,
-        breathingCount: action.breathingDuration,
+        breathingCount: breathingDuration,
+        breathingPattern: pattern.id,
+        breathingDuration,
+        breathingPhase: getBreathingPhaseAt(pattern, 0),
+        breathingStartedAt: startedAt,
+        breathingDeadline: startedAt + breathingDuration * 1000,
         selectedCauses: [],
+        causeDetails: {},
         selectedAlternative: null,
         actionTimer: 0,
+        actionTimerDeadline: null,
+        actionTimerPausedAt: null,
+        actionSteps: [],
+        reflection: createEmptyReflection(),
+        guidedRoutine: null,
+        profile,
+        unlockBudget: action.unlockBudget || null,
+        friction,
+        unlockReason: null,
+        sessionId: `intv_${startedAt}_${action.app?.id || 'unknown'}`,
+        startedAt,
+        events: [],
       };
+    }
 
-    case 'BREATHING_TICK':
-      if (context.state !== 'breathing') return context;
-      const newCount = Math.max(0, context.breathingCount - 1);
+    case 'BREATHING_TICK': {
+      const now = getActionTime(action);
+      const newCount = getRemainingSeconds(context.breathingDeadline, now);
+      // Auto-transition to root-cause when breathing completes
+      if (newCount === 0) {
+        return {
+          ...context,
+          ...CLEARED_TIMERS,
+          state: 'root-cause',
+          breathingCount: 0,
+        };
+      }
+      const breathingPhase = getBreathingPhaseAt(
+        getBreathingPattern(context.breathingPattern),
+        getBreathingElapsedSeconds(context, now)
+      );
+      // Skip re-renders until the displayed second or phase changes
+      const samePhase =
+        breathingPhase?.index === context.breathingPhase?.index &&
+        breathingPhase?.cycle === context.breathingPhase?.cycle;
+      if (newCount === context.breathingCount && samePhase) return context;
       return {
         ...context,
         breathingCount: newCount,
-        // Auto-transition to root-cause when breathing completes
-        state: newCount === 0 ? 'root-cause' : context.state,
+        breathingPhase,
       };
+    }
 
     case 'BREATHING_COMPLETE':
-      if (context.state !== 'breathing') return context;
       return {
         ...context,
+        ...CLEARED_TIMERS,
         state: 'root-cause',
         breathingCount: 0,
       };
 
     case 'SELECT_CAUSE':
-      if (context.state !== 'root-cause') return context;
       if (context.selectedCauses.includes(action.causeId)) return context;
       return {
         ...context,
         selectedCauses: [...context.selectedCauses, action.causeId],
+        causeDetails: {
+          ...context.causeDetails,
+          [action.causeId]: mergeCauseDetails(null, action),
+        },
+      };
+
+    case 'SET_CAUSE_DETAILS':
+      return {
+        ...context,
+        causeDetails: {
+          ...context.causeDetails,
+          [action.causeId]: mergeCauseDetails(context.causeDetails?.[action.causeId], action),
+        },
       };
 
-    case 'DESELECT_CAUSE':
-      if (context.state !== 'root-cause') return context;
+    case 'DESELECT_CAUSE': {
+      const { [action.causeId]: removed, ...causeDetails } = context.causeDetails || {};
       return {
         ...context,
         selectedCauses: context.selectedCauses.filter(id => id !== action.causeId),
+        causeDetails,
       };
+    }
 
     case 'PROCEED_TO_ALTERNATIVES':
-      if (context.state !== 'root-cause') return context;
       return {
         ...context,
         state: 'alternatives',
       };
 
     case 'PROCEED_TO_TIMER':
-      // User chose "I really need to use it"
+      // User chose "I really need to use it" - the table's guard checks the
+      // escalated friction (selected cause and/or typed reason) first
       return {
         ...context,
         state: 'timer',
+        unlockReason: action.reason?.trim() || null,
+      };
+
+    case 'START_GUIDED_ROUTINE':
+      return {
+        ...context,
+        state: 'guided',
+        guidedRoutine: createRoutineProgress(action.routineId, getActionTime(action)),
+      };
+
+    case 'COMPLETE_GUIDED_STEP':
+    case 'SKIP_GUIDED_STEP':
+      return {
+        ...context,
+        guidedRoutine: resolveRoutineStep(
+          context.guidedRoutine,
+          action.type === 'COMPLETE_GUIDED_STEP'
+            ? GUIDED_STEP_STATUSES.DONE
+            : GUIDED_STEP_STATUSES.SKIPPED,
+          getActionTime(action),
+          action.result ?? null
+        ),
+      };
+
+    case 'FINISH_GUIDED_ROUTINE':
+      return {
+        ...context,
+        state: 'reflection',
+      };
+
+    case 'EXIT_GUIDED_ROUTINE':
+      // Progress is kept so the journal shows how far the user got
+      return {
+        ...context,
+        state: 'alternatives',
       };
 
     case 'SELECT_ALTERNATIVE':
-      if (context.state !== 'alternatives') return context;
       return {
         ...context,
         selectedAlternative: action.alternative,
         state: 'action',
       };
 
-    case 'START_ALTERNATIVE':
-      if (context.state !== 'action') return context;
+    case 'START_ALTERNATIVE': {
+      const durationSeconds = action.durationMinutes * 60; // Convert to seconds
       return {
         ...context,
         state: 'action_timer',
-        actionTimer: action.durationMinutes * 60, // Convert to seconds
+        actionTimer: durationSeconds,
+        actionTimerDeadline: getActionTime(action) + durationSeconds * 1000,
+        actionTimerPausedAt: null,
+        actionSteps: createActionSteps(context.selectedAlternative),
+      };
+    }
+
+    case 'START_ACTION_STEP':
+      // Start the step's own sub-timer
+      return {
+        ...context,
+        actionSteps: updateActionStep(context.actionSteps, action.index, {
+          startedAt: getActionTime(action),
+        }),
+      };
+
+    case 'CHECK_ACTION_STEP':
+    case 'SKIP_ACTION_STEP':
+      return {
+        ...context,
+        actionSteps: updateActionStep(context.actionSteps, action.index, {
+          status:
+            action.type === 'CHECK_ACTION_STEP'
+              ? ACTION_STEP_STATUSES.DONE
+              : ACTION_STEP_STATUSES.SKIPPED,
+          resolvedAt: getActionTime(action),
+        }),
       };
 
-    case 'ACTION_TIMER_TICK':
-      if (context.state !== 'action_timer') return context;
-      const newTimer = Math.max(0, context.actionTimer - 1);
+    case 'UNDO_ACTION_STEP':
+      return {
+        ...context,
+        actionSteps: updateActionStep(context.actionSteps, action.index, {
+          status: ACTION_STEP_STATUSES.PENDING,
+          resolvedAt: null,
+        }),
+      };
+
+    case 'ACTION_TIMER_TICK': {
+      if (context.actionTimerPausedAt != null) return context;
+      const newTimer = getActionTimerRemaining(context, getActionTime(action));
+      // Skip re-renders until the displayed second changes
+      if (newTimer === context.actionTimer) return context;
       return {
         ...context,
         actionTimer: newTimer,
       };
+    }
+
+    case 'PAUSE_ACTION_TIMER': {
+      // User was interrupted (e.g. a phone call) - freeze the remaining time
+      const now = getActionTime(action);
+      return {
+        ...context,
+        actionTimer: getActionTimerRemaining(context, now),
+        actionTimerPausedAt: now,
+      };
+    }
+
+    case 'RESUME_ACTION_TIMER': {
+      // Push the deadline and the step sub-timers back by however long the
+      // timer was paused
+      const resumedAt = Math.max(getActionTime(action), context.actionTimerPausedAt);
+      return {
+        ...context,
+        actionTimerDeadline:
+          context.actionTimerDeadline + (resumedAt - context.actionTimerPausedAt),
+        actionTimerPausedAt: null,
+        actionSteps: resumeActionSteps(
+          context.actionSteps,
+          context.actionTimerPausedAt,
+          resumedAt
+        ),
+      };
+    }
 
     case 'ACTION_TIMER_COMPLETE':
-      if (context.state !== 'action_timer') return context;
       return {
         ...context,
+        ...CLEARED_TIMERS,
         state: 'reflection',
         actionTimer: 0,
       };
 
     case 'FINISH_ACTION':
       // User manually finishes action (before timer completes)
-      if (context.state !== 'action_timer') return context;
       return {
         ...context,
+        ...CLEARED_TIMERS,
         state: 'reflection',
       };
 
+    case 'UPDATE_REFLECTION':
+      return {
+        ...context,
+        reflection: { ...createEmptyReflection(), ...context.reflection, ...action.changes },
+      };
+
     case 'FINISH_REFLECTION':
-      if (context.state !== 'reflection') return context;
       return {
         ...context,
         state: 'idle',
@@ -120,9 +375,22 @@ export const interventionReducer = (context, action) => {
         selectedAlternative: null,
       };
 
+    case 'UNLOCK_APP':
+      // User unlocked the target app from the timer screen
+      return {
+        ...context,
+        ...CLEARED_TIMERS,
+        state: 'idle',
+        targetApp: null,
+        breathingCount: 0,
+        selectedCauses: [],
+        causeDetails: {},
+        selectedAlternative: null,
+        actionTimer: 0,
+      };
+
     case 'GO_BACK_FROM_ACTION':
       // User goes back from action view to alternatives
-      if (context.state !== 'action') return context;
       return {
         ...context,
         state: 'alternatives',
@@ -132,10 +400,12 @@ export const interventionReducer = (context, action) => {
     case 'RESET_INTERVENTION':
       return {
         ...context,
+        ...CLEARED_TIMERS,
         state: 'idle',
         targetApp: null,
         breathingCount: 0,
         selectedCauses: [],
+        causeDetails: {},
         selectedAlternative: null,
         actionTimer: 0,
       };
@@ -145,18 +415,88 @@ export const interventionReducer = (context, action) => {
   }
 };
 
+/**
+ * Main reducer function for intervention state transitions
+ * Actions the transition table rejects leave the context unchanged.
+ * Every state change is appended to the running intervention's event trail.
+ * When the machine returns to idle (or a new intervention replaces a running
+ * one), the trail is condensed into `lastRecord` for the journal.
+ * @param {Object} context - Current intervention context
+ * @param {Object} action - Action object with type and payload
+ * @returns {Object} New intervention context
+ */
+export const interventionReducer = (context, action) => {
+  const rejection = getTransitionRejection(context, action);
+  if (rejection) {
+    reportRejectedTransition(context, action, rejection);
+    return context;
+  }
+
+  const next = applyTransition(context, action);
+  if (next === context) return context;
+
+  const at = getActionTime(action);
+  const event = createTransitionEvent(context, next, action, at);
+
+  if (action.type === 'BEGIN_INTERVENTION') {
+    // A running intervention replaced by a new one counts as abandoned
+    const replaced = context.state !== 'idle' && context.sessionId;
+    return {
+      ...next,
+      events: [event],
+      lastRecord: replaced
+        ? closeSession(context, action, [...(context.events || []), event])
+        : context.lastRecord,
+    };
+  }
+
+  if (next.state === context.state) return next;
+
+  const events = [...(context.events || []), event];
+  if (next.state !== 'idle') {
+    return { ...next, events };
+  }
+
+  return {
+    ...next,
+    sessionId: null,
+    startedAt: null,
+    events: [],
+    actionSteps: [],
+    reflection: createEmptyReflection(),
+    guidedRoutine: null,
+    profile: null,
+    unlockBudget: null,
+    friction: null,
+    unlockReason: null,
+    lastRecord: context.sessionId
+      ? closeSession(context, action, events)
+      : context.lastRecord,
+  };
+};
+
 /**
  * Helper: Begin intervention for an app
  * @param {Object} context - Current intervention context
  * @param {Object} app - App object with id and name
- * @param {number} breathingDuration - Duration of breathing countdown in seconds
+ * @param {Object} profile - Resolved profile for the app (see resolveInterventionProfile)
+ * @param {Object} [extras]
+ * @param {Object|null} [extras.friction] - Escalated friction for this attempt (see escalation.js)
+ * @param {Object|null} [extras.unlockBudget] - Today's unlock budget (see budget.js)
  * @returns {Object} New intervention context
  */
-export const beginIntervention = (context, app, breathingDuration) => {
+export const beginIntervention = (
+  context,
+  app,
+  profile,
+  { friction = null, unlockBudget = null } = {}
+) => {
   return interventionReducer(context, {
     type: 'BEGIN_INTERVENTION',
     app,
-    breathingDuration,
+    profile,
+    friction,
+    unlockBudget,
   });
 };
 
@@ -183,16 +523,6 @@ export const canProceedToAlternatives = (context) => {
   return context.state === 'root-cause' && context.selectedCauses.length > 0;
 };
 
-/**
- * Helper: Parse duration string to minutes
- * @param {string} durationStr - Duration string (e.g., "5m", "30m")
- * @returns {number} Duration in minutes
- */
-export const parseDurationToMinutes = (durationStr) => {
-  const match = durationStr.match(/(\d+)/);
-  return match ? parseInt(match[1], 10) : 5;
-};
-
 /**
  * Helper: Start alternative with parsed duration
  * @param {Object} context - Current intervention context
@@ -0,0 +1,5 @@
+/**
+ * Reports - Public API
+ */
+
+export * from './weeklyReport';
@@ -0,0 +1,312 @@
+/**
+ * Weekly Report
+ *
+ * Framework-agnostic weekly reports: the metrics of a week (Monday to
+ * Sunday) next to the week before, plus a short narrative. The narrative is
+ * written by an AI model from buildWeeklyReportPrompt when one is available,
+ * and by renderWeeklyReportTemplate otherwise; the template is deterministic,
+ * so the same week always reads the same. Reports are kept (newest first) so
+ * past weeks can be looked back on.
+ */
+
+import { JOURNAL_OUTCOMES, getCauseStats } from '../intervention';
+import { getAppBreakdown, getUsageMinutes, getUsagePeriods } from '../usage';
+
+/**
+ * Maximum number of reports kept (half a year)
+ */
+export const WEEKLY_REPORTS_MAX_ENTRIES = 26;
+
+export const WEEKLY_REPORT_SOURCES = {
+  AI: 'ai',
+  TEMPLATE: 'template',
+};
+
+/**
+ * Metrics of a report, in display order
+ * - better: Which way is an improvement ('lower', 'higher', or null when
+ *   neither is)
+ * - unit: 'minutes', 'count' or 'percent'
+ */
+export const WEEKLY_REPORT_METRICS = [
+  { id: 'screenTimeMinutes', label: 'Screen time', better: 'lower', unit: 'minutes' },
+  { id: 'interventions', label: 'Interventions', better: null, unit: 'count' },
+  { id: 'alternatives', label: 'Alternatives done', better: 'higher', unit: 'count' },
+  { id: 'unlocks', label: 'Unlocks', better: 'lower', unit: 'count' },
+  { id: 'quickTasks', label: 'Quick tasks', better: 'lower', unit: 'count' },
+  { id: 'alternativeRate', label: 'Chose an alternative', better: 'higher', unit: 'percent' },
+];
+
+const addDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toDay = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Format minutes as "3h 20m"
+ * @param {number} minutes - Whole minutes
+ * @returns {string}
+ */
+export const formatReportMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  if (hours === 0) return `${mins}m`;
+  return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+};
+
+/**
+ * Get the last full week (Monday to Sunday) before now
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Object} { from, to } timestamps (to exclusive)
+ */
+export const getLastReportWeek = (now) => {
+  const thisWeek = getUsagePeriods(now).week.from;
+  return { from: addDays(thisWeek, -7), to: thisWeek };
+};
+
+/**
+ * Count the raw metrics of a week
+ */
+const getWeekMetrics = ({ sessions, journal, quickTaskLog }, { from, to }) => {
+  const records = journal.filter((record) => record.startedAt >= from && record.startedAt < to);
+  const alternatives = records.filter(
+    (record) => record.outcome === JOURNAL_OUTCOMES.COMPLETED
+  ).length;
+  return {
+    records,
+    values: {
+      screenTimeMinutes: Math.round(getUsageMinutes(sessions, from, to)),
+      interventions: records.length,
+      alternatives,
+      unlocks: records.filter((record) => record.outcome === JOURNAL_OUTCOMES.UNLOCKED).length,
+      quickTasks: quickTaskLog.filter((entry) => entry.startedAt >= from && entry.startedAt < to)
+        .length,
+      alternativeRate: records.length ? Math.round((alternatives / records.length) * 100) : null,
+    },
+  };
+};
+
+const getTrend = (change) => {
+  if (change == null) return null;
+  if (change === 0) return 'same';
+  return change > 0 ? 'up' : 'down';
+};
+
+/**
+ * Build the report of a week
+ * @param {Object} params
+ * @param {Array} [params.usageLog] - Usage log (see core/usage)
+ * @param {Object|null} [params.openSession] - Usage session still running (counts up to now)
+ * @param {Array} [params.journal] - Intervention journal records
+ * @param {Array} [params.quickTaskLog] - Quick task log entries
+ * @param {Object} params.week - { from, to } of the week, see getLastReportWeek
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @returns {Object} { id, weekStart, weekEnd, generatedAt, metrics, topTrigger,
+ *   topApp, isEmpty, narrative: null, source: null } where
+ *   - id: "week-YYYY-MM-DD" after the week's Monday
+ *   - metrics: [{ id, label, unit, value, previous, change, trend, improved }],
+ *     change being value - previous (percentage points for rates) or null
+ *     when either is, trend 'up', 'down' or 'same', and improved null for
+ *     metrics where neither way is better
+ *   - topTrigger: { causeId, count } or null
+ *   - topApp: { appId, appName, minutes } or null
+ *   - isEmpty: Whether nothing was recorded in the week
+ */
+export const buildWeeklyReport = ({
+  usageLog = [],
+  openSession = null,
+  journal = [],
+  quickTaskLog = [],
+  week,
+  now,
+}) => {
+  const sessions = openSession
+    ? [{ ...openSession, end: Math.max(now, openSession.start) }, ...usageLog]
+    : usageLog;
+  const data = { sessions, journal, quickTaskLog };
+  const current = getWeekMetrics(data, week);
+  const previous = getWeekMetrics(data, { from: addDays(week.from, -7), to: week.from });
+
+  const metrics = WEEKLY_REPORT_METRICS.map(({ id, label, better, unit }) => {
+    const value = current.values[id];
+    const before = previous.values[id];
+    const change = value != null && before != null ? value - before : null;
+    const trend = getTrend(change);
+    return {
+      id,
+      label,
+      unit,
+      value,
+      previous: before,
+      change,
+      trend,
+      improved:
+        better && trend && trend !== 'same' ? (better === 'lower') === (trend === 'down') : null,
+    };
+  });
+  const topCause = getCauseStats(current.records)[0];
+  const topApp = getAppBreakdown(sessions, week.from, week.to)[0];
+
+  return {
+    id: `week-${toDay(week.from)}`,
+    weekStart: week.from,
+    weekEnd: week.to,
+    generatedAt: now,
+    metrics,
+    topTrigger: topCause ? { causeId: topCause.causeId, count: topCause.count } : null,
+    topApp: topApp || null,
+    isEmpty:
+      current.values.screenTimeMinutes === 0 &&
+      current.values.interventions === 0 &&
+      current.values.quickTasks === 0,
+    narrative: null,
+    source: null,
+  };
+};
+
+const getMetric = (report, id) => report.metrics.find((metric) => metric.id === id);
+
+const describeMetric = (metric) =>
+  metric.unit === 'minutes'
+    ? formatReportMinutes(metric.value)
+    : metric.unit === 'percent'
+    ? `${metric.value}%`
+    : String(metric.value);
+
+const describeChange = (metric) => {
+  if (metric.previous == null) return 'no data the week before';
+  if (metric.trend === 'same') return 'the same as the week before';
+  const amount = Math.abs(metric.change);
+  const text =
+    metric.unit === 'minutes'
+      ? formatReportMinutes(amount)
+      : metric.unit === 'percent'
+      ? `${amount} points`
+      : String(amount);
+  return `${metric.trend} ${text} from the week before`;
+};
+
+/**
+ * Build the prompt asking an AI model for the report's narrative
+ * @param {Object} report - From buildWeeklyReport
+ * @param {Object} [options]
+ * @param {string} [options.userName] - Name to address the user by
+ * @param {string} [options.triggerLabel] - Label of the top trigger
+ * @returns {string}
+ */
+export const buildWeeklyReportPrompt = (report, { userName, triggerLabel } = {}) => {
+  const lines = report.metrics.map((metric) =>
+    metric.value == null
+      ? `- ${metric.label}: no data`
+      : `- ${metric.label}: ${describeMetric(metric)} (${describeChange(metric)})`
+  );
+  if (report.topTrigger) {
+    lines.push(
+      `- Most common trigger: ${triggerLabel || report.topTrigger.causeId} (${report.topTrigger.count} times)`
+    );
+  }
+  if (report.topApp) {
+    lines.push(
+      `- Most used app: ${report.topApp.appName} (${formatReportMinutes(report.topApp.minutes)})`
+    );
+  }
+  return `Write a short weekly digital wellbeing report for a user of a mindful phone use app, from these numbers for the week of ${toDay(report.weekStart)} compared with the week before:
+${lines.join('\n')}
+
+Write 2-3 encouraging, non-judgemental sentences using only these numbers; do not invent any others. ${
+    userName ? `Address the user as "${userName}".` : 'Do not address the user by name.'
+  } Use at most one "✨" emoji.`;
+};
+
+/**
+ * Write the report's narrative without an AI model
+ * @param {Object} report - From buildWeeklyReport
+ * @param {Object} [options]
+ * @param {string} [options.userName] - Name to address the user by
+ * @param {string} [options.triggerLabel] - Label of the top trigger
+ * @returns {string}
+ */
+export const renderWeeklyReportTemplate = (report, { userName, triggerLabel } = {}) => {
+  const greeting = userName ? `${userName}, ` : '';
+  if (report.isEmpty) {
+    return `${greeting}nothing was recorded that week. Keep using your apps as usual and the next report will fill in.`;
+  }
+  const screenTime = getMetric(report, 'screenTimeMinutes');
+  const interventions = getMetric(report, 'interventions');
+  const alternatives = getMetric(report, 'alternatives');
+  const unlocks = getMetric(report, 'unlocks');
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+  const sentences = [
+    `${greeting}you spent ${describeMetric(screenTime)} in your apps, ${describeChange(screenTime)}.`,
+  ];
+  if (interventions.value > 0) {
+    sentences.push(
+      `Out of ${plural(interventions.value, 'intervention')}, you chose an alternative ${plural(
+        alternatives.value,
+        'time'
+      )} and unlocked ${plural(unlocks.value, 'time')}.`
+    );
+  }
+  if (report.topTrigger) {
+    sentences.push(
+      `${triggerLabel || report.topTrigger.causeId} came up most often (${report.topTrigger.count}×).`
+    );
+  }
+  sentences.push(
+    alternatives.improved || screenTime.improved
+      ? 'Nice progress, keep it going.'
+      : 'Every pause counts, so keep noticing the moments you reach for your phone.'
+  );
+  // Capitalise the first sentence when there is no name in front of it
+  return sentences.join(' ').replace(/^./, (char) => char.toUpperCase());
+};
+
+/**
+ * Give the report its narrative, from the AI model when there is one
+ * Falls back to the template when there is no model, the week is empty, or
+ * the model fails or returns nothing.
+ * @param {Object} report - From buildWeeklyReport
+ * @param {Object} options
+ * @param {Function|null} options.generateText - async (prompt) => text or null;
+ *   null when no model is available
+ * @param {string} [options.userName] - Name to address the user by
+ * @param {string} [options.triggerLabel] - Label of the top trigger
+ * @returns {Promise<Object>} Report with its narrative and source (see WEEKLY_REPORT_SOURCES)
+ */
+export const writeWeeklyReportNarrative = async (report, { generateText, ...options }) => {
+  if (generateText && !report.isEmpty) {
+    try {
+      const text = await generateText(buildWeeklyReportPrompt(report, options));
+      if (text && text.trim()) {
+        return { ...report, narrative: text.trim(), source: WEEKLY_REPORT_SOURCES.AI };
+      }
+    } catch (error) {
+      // Fall through to the template
+    }
+  }
+  return {
+    ...report,
+    narrative: renderWeeklyReportTemplate(report, options),
+    source: WEEKLY_REPORT_SOURCES.TEMPLATE,
+  };
+};
+
+/**
+ * Add a report, replacing an earlier one for the same week
+ * @param {Array} reports - Reports, newest week first
+ * @param {Object} report - Report with its narrative
+ * @returns {Array} Reports, newest week first, capped
+ */
+export const saveWeeklyReport = (reports = [], report) =>
+  [report, ...reports.filter((entry) => entry.id !== report.id)]
+    .sort((a, b) => b.weekStart - a.weekStart)
+    .slice(0, WEEKLY_REPORTS_MAX_ENTRIES);
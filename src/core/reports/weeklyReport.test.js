@@ -0,0 +1,152 @@
+import {
+  WEEKLY_REPORTS_MAX_ENTRIES,
+  buildWeeklyReport,
+  buildWeeklyReportPrompt,
+  getLastReportWeek,
+  renderWeeklyReportTemplate,
+  saveWeeklyReport,
+  writeWeeklyReportNarrative,
+} from "./index";
+
+// January 2026: the 5th and 12th are Mondays
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute).getTime();
+const now = at(14, 10);
+const week = getLastReportWeek(now);
+
+const session = (appId, start, minutes) => ({
+  appId,
+  appName: appId === "tiktok" ? "TikTok" : "Instagram",
+  start,
+  end: start + minutes * 60 * 1000,
+});
+const record = (startedAt, outcome, causes = ["boredom"]) => ({
+  id: `i-${startedAt}`,
+  appId: "tiktok",
+  startedAt,
+  causes,
+  outcome,
+});
+
+const usageLog = [
+  session("tiktok", at(13, 20), 30),
+  session("tiktok", at(8, 20), 60),
+  session("instagram", at(6, 9), 30),
+  session("tiktok", at(1, 20), 120),
+];
+const journal = [
+  record(at(8, 20), "completed"),
+  record(at(7, 9), "completed", ["anxiety", "boredom"]),
+  record(at(6, 21), "unlocked", ["anxiety", "boredom"]),
+  record(at(6, 9), "completed", ["fatigue"]),
+  record(at(1, 21), "unlocked"),
+  record(at(1, 20), "unlocked"),
+];
+const quickTaskLog = [{ id: "q1", appId: "tiktok", startedAt: at(9, 12) }];
+
+const build = () => buildWeeklyReport({ usageLog, journal, quickTaskLog, week, now });
+
+describe("weekly report", () => {
+  it("covers the last full week from Monday", () => {
+    expect(week).toEqual({ from: at(5, 0), to: at(12, 0) });
+  });
+
+  it("compares each metric with the week before", () => {
+    const report = build();
+    expect(report).toMatchObject({
+      id: "week-2026-01-05",
+      weekStart: at(5, 0),
+      weekEnd: at(12, 0),
+      generatedAt: now,
+      topTrigger: { causeId: "boredom", count: 3 },
+      topApp: { appId: "tiktok", appName: "TikTok", minutes: 60 },
+      isEmpty: false,
+      narrative: null,
+    });
+    const byId = Object.fromEntries(report.metrics.map((metric) => [metric.id, metric]));
+    expect(byId.screenTimeMinutes).toMatchObject({
+      value: 90,
+      previous: 120,
+      change: -30,
+      trend: "down",
+      improved: true,
+    });
+    expect(byId.interventions).toMatchObject({ value: 4, previous: 2, trend: "up", improved: null });
+    expect(byId.alternatives).toMatchObject({ value: 3, previous: 0, improved: true });
+    expect(byId.unlocks).toMatchObject({ value: 1, previous: 2, change: -1, improved: true });
+    expect(byId.quickTasks).toMatchObject({ value: 1, previous: 0, improved: false });
+    expect(byId.alternativeRate).toMatchObject({ value: 75, previous: 0, change: 75 });
+  });
+
+  it("leaves changes out when the week before has nothing to compare", () => {
+    const report = buildWeeklyReport({ journal: journal.slice(0, 4), week, now });
+    const rate = report.metrics.find((metric) => metric.id === "alternativeRate");
+    expect(rate).toMatchObject({ value: 75, previous: null, change: null, trend: null });
+  });
+
+  it("asks the AI model about the actual numbers and name", () => {
+    const prompt = buildWeeklyReportPrompt(build(), { userName: "Sam", triggerLabel: "Boredom" });
+    expect(prompt).toContain("- Screen time: 1h 30m (down 30m from the week before)");
+    expect(prompt).toContain("- Chose an alternative: 75% (up 75 points from the week before)");
+    expect(prompt).toContain("- Most common trigger: Boredom (3 times)");
+    expect(prompt).toContain("- Most used app: TikTok (1h)");
+    expect(prompt).toContain('Address the user as "Sam".');
+    expect(prompt).not.toContain("Wei");
+  });
+
+  it("falls back to a deterministic template", () => {
+    const text = renderWeeklyReportTemplate(build(), { userName: "Sam", triggerLabel: "Boredom" });
+    expect(text).toBe(
+      "Sam, you spent 1h 30m in your apps, down 30m from the week before. " +
+        "Out of 4 interventions, you chose an alternative 3 times and unlocked 1 time. " +
+        "Boredom came up most often (3×). Nice progress, keep it going."
+    );
+    expect(renderWeeklyReportTemplate(build(), { triggerLabel: "Boredom" })).toMatch(/^You spent/);
+
+    const empty = buildWeeklyReport({ week, now });
+    expect(empty.isEmpty).toBe(true);
+    expect(renderWeeklyReportTemplate(empty, { userName: "Sam" })).toBe(
+      "Sam, nothing was recorded that week. Keep using your apps as usual and the next report will fill in."
+    );
+  });
+
+  it("uses the AI narrative when the model answers, the template otherwise", async () => {
+    const report = build();
+    const prompts = [];
+    const ai = await writeWeeklyReportNarrative(report, {
+      generateText: async (prompt) => {
+        prompts.push(prompt);
+        return "  A calmer week ✨ ";
+      },
+      userName: "Sam",
+    });
+    expect(ai).toMatchObject({ narrative: "A calmer week ✨", source: "ai" });
+    expect(prompts[0]).toContain('"Sam"');
+
+    const offline = await writeWeeklyReportNarrative(report, { generateText: null });
+    expect(offline.source).toBe("template");
+    expect(offline.narrative).toBe(renderWeeklyReportTemplate(report));
+
+    const failing = await writeWeeklyReportNarrative(report, {
+      generateText: async () => {
+        throw new Error("offline");
+      },
+    });
+    expect(failing.source).toBe("template");
+    const silent = await writeWeeklyReportNarrative(report, { generateText: async () => null });
+    expect(silent.source).toBe("template");
+  });
+
+  it("keeps one report per week, newest first", () => {
+    const first = { id: "week-2026-01-05", weekStart: at(5, 0), narrative: "first" };
+    const older = { id: "week-2025-12-29", weekStart: new Date(2025, 11, 29).getTime() };
+    const again = { ...first, narrative: "again" };
+    expect(saveWeeklyReport(saveWeeklyReport([first], older), again)).toEqual([again, older]);
+
+    const many = Array.from({ length: WEEKLY_REPORTS_MAX_ENTRIES + 2 }, (_, i) => ({
+      id: `w${i}`,
+      weekStart: i,
+    })).reduce(saveWeeklyReport, []);
+    expect(many).toHaveLength(WEEKLY_REPORTS_MAX_ENTRIES);
+    expect(many[0].id).toBe(`w${WEEKLY_REPORTS_MAX_ENTRIES + 1}`);
+  });
+});
@@ -0,0 +1,598 @@
+/**
+ * Scenario Runner
+ *
+ * Plays a scripted scenario against the pure intervention core with a fake
+ * clock, without rendering the app. A scenario is plain JSON so anyone can
+ * write one (see INTERVENTION_SCENARIOS.md):
+ *
+ *   {
+ *     "name": "Quick task, then intervention",
+ *     "setup": { "monitoredApps": ["instagram"] },
+ *     "steps": [
+ *       { "at": "0s", "do": "launch", "app": "instagram" },
+ *       { "at": "0s", "do": "chooseQuickTask" },
+ *       { "at": "5m", "do": "checkIn", "done": false, "then": "continue",
+ *         "expect": { "intervention.state": "breathing" } }
+ *     ]
+ *   }
+ *
+ * Steps run in order at their `at` offset from the start. Moving the clock
+ * forward fires whatever runs out on the way (breathing, the action timer,
+ * quick tasks) at its own deadline, the way the app's timers would. Each
+ * step does at most one thing (`do`) and may then check the snapshot
+ * (`expect`, see getScenarioSnapshot).
+ */
+
+import {
+  DEFAULT_MONITORED_APPS,
+  DEFAULT_QUICK_TASK_DAILY_LIMIT,
+  DEFAULT_QUICK_TASK_DURATION,
+  DEFAULT_QUICK_TASK_LIMIT,
+  DEFAULT_SETTINGS,
+} from '../../constants/config';
+import {
+  DEFAULT_QUICK_TASK_QUOTA_STRATEGY,
+  LAUNCH_DECISIONS,
+  appendJournalRecord,
+  QUICK_TASK_OUTCOMES,
+  appendQuickTaskLog,
+  canStartQuickTask,
+  createBeginInterventionAction,
+  createInitialInterventionContext,
+  createQuickTaskState,
+  createUnlockSession,
+  extendQuickTask,
+  getLaunchDecision,
+  getOpenQuickTaskEntry,
+  getQuickTaskQuota,
+  getTransitionRejection,
+  getUnlockBudget,
+  getUnlockGraceSeconds,
+  interventionReducer,
+  isQuickTaskActive,
+  isQuickTaskExpired,
+  isUnlockSessionOpen,
+  leaveUnlockSession,
+  recordQuickTaskOutcome,
+  resolveInterventionProfile,
+  resumeUnlockSession,
+  startQuickTask,
+} from '../intervention';
+
+/**
+ * Default start of the fake clock (a Monday morning, local time)
+ */
+export const DEFAULT_SCENARIO_START = '2026-01-05T09:00:00';
+
+const TIME_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a scenario time offset
+ * @param {number|string} value - Milliseconds, or a string like "90s", "5m", "1h30m"
+ * @returns {number} Milliseconds
+ */
+export const parseScenarioTime = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  const text = String(value ?? '').trim();
+  const parts = text.match(/\d+(?:\.\d+)?(?:ms|s|m|h|d)/g);
+  if (!parts || parts.join('') !== text.replace(/\s+/g, '')) {
+    throw new Error(`Invalid scenario time "${value}"`);
+  }
+  return parts.reduce((total, part) => {
+    const [, amount, unit] = part.match(/([\d.]+)(ms|s|m|h|d)/);
+    return total + Number(amount) * TIME_UNITS[unit];
+  }, 0);
+};
+
+/**
+ * Create the simulated device for a scenario
+ * @param {Object} [setup]
+ * @param {string|number} [setup.start] - Start of the fake clock (date string or timestamp)
+ * @param {Array} [setup.apps] - Apps ({ id, name }); unknown IDs are named after themselves
+ * @param {Array<string>} [setup.monitoredApps] - Monitored app IDs
+ * @param {Object} [setup.settings] - Overrides for DEFAULT_SETTINGS
+ * @param {Object} [setup.quickTask] - { durationMinutes, usesPerWindow, strategy, dailyLimit }
+ * @param {Array} [setup.journal] - Journal records from earlier interventions
+ * @returns {Object} Scenario world
+ */
+export const createScenarioWorld = (setup = {}) => {
+  const start =
+    typeof setup.start === 'number'
+      ? setup.start
+      : new Date(setup.start || DEFAULT_SCENARIO_START).getTime();
+  if (Number.isNaN(start)) throw new Error(`Invalid scenario start "${setup.start}"`);
+  return {
+    start,
+    now: start,
+    apps: setup.apps || [],
+    monitoredApps: setup.monitoredApps || DEFAULT_MONITORED_APPS,
+    settings: { ...DEFAULT_SETTINGS, ...(setup.settings || {}) },
+    quickTaskDurationMinutes: setup.quickTask?.durationMinutes ?? DEFAULT_QUICK_TASK_DURATION,
+    quickTaskUsesPerWindow: setup.quickTask?.usesPerWindow ?? DEFAULT_QUICK_TASK_LIMIT,
+    quickTaskStrategy: setup.quickTask?.strategy ?? DEFAULT_QUICK_TASK_QUOTA_STRATEGY,
+    quickTaskDailyLimit: setup.quickTask?.dailyLimit ?? DEFAULT_QUICK_TASK_DAILY_LIMIT,
+    quickTask: createQuickTaskState(),
+    quickTaskApp: null,
+    quickTaskLog: [],
+    quickTaskCheckIn: null,
+    unlockSessions: {},
+    intervention: createInitialInterventionContext(),
+    journal: setup.journal || [],
+    foregroundApp: null,
+    pendingQuickTaskApp: null,
+    lastDecision: null,
+    lastRejection: null,
+    trail: [],
+  };
+};
+
+const getQuotaSettings = (world) => ({
+  strategy: world.quickTaskStrategy,
+  usesPerWindow: world.quickTaskUsesPerWindow,
+  dailyLimit: world.quickTaskDailyLimit,
+  dayStartHour: world.settings.unlockBudget?.dayStartHour,
+});
+
+const getQuota = (world, appId) =>
+  getQuickTaskQuota({
+    quickTask: world.quickTask,
+    log: world.quickTaskLog,
+    appId,
+    settings: getQuotaSettings(world),
+    now: world.now,
+  });
+
+const getApp = (world, appId) =>
+  world.apps.find((app) => app.id === appId) || { id: appId, name: appId };
+
+const record = (world, event, detail = null) => ({
+  ...world,
+  trail: [...world.trail, { at: world.now - world.start, event, detail }],
+});
+
+const reject = (world, type, reason) => {
+  const lastRejection = { type, reason };
+  return record({ ...world, lastRejection }, 'rejected', lastRejection);
+};
+
+/**
+ * Dispatch an intervention action at the current time
+ * Rejected actions leave the world unchanged apart from `lastRejection`.
+ * Finished interventions are added to the journal, and unlocks open the app
+ * for the chosen minutes, as the app does.
+ * @param {Object} world - Scenario world
+ * @param {Object} action - Intervention action (without `now`)
+ * @returns {Object} New world
+ */
+export const dispatchScenarioAction = (world, action) => {
+  const timed = { ...action, now: world.now };
+  const rejection = getTransitionRejection(world.intervention, timed);
+  if (rejection) return reject(world, action.type, rejection);
+  const prev = world.intervention;
+  const next = interventionReducer(prev, timed);
+  let updated = { ...world, intervention: next, lastRejection: null };
+  if (next.lastRecord && next.lastRecord !== prev.lastRecord) {
+    updated = { ...updated, journal: appendJournalRecord(updated.journal, next.lastRecord) };
+  }
+  if (action.type === 'UNLOCK_APP') {
+    updated = {
+      ...updated,
+      unlockSessions: {
+        ...updated.unlockSessions,
+        [prev.targetApp.id]: createUnlockSession(world.now, action.minutes),
+      },
+      foregroundApp: prev.targetApp.id,
+    };
+  }
+  return next.state === prev.state
+    ? updated
+    : record(updated, 'transition', { type: action.type, from: prev.state, to: next.state });
+};
+
+const beginIntervention = (world, app) =>
+  dispatchScenarioAction(
+    record(world, 'intervention', { app: app.id }),
+    createBeginInterventionAction({
+      app,
+      journal: world.journal,
+      settings: world.settings,
+      now: world.now,
+    })
+  );
+
+/**
+ * Get the next timed event due no later than a time
+ * @param {Object} world - Scenario world
+ * @param {number} until - Timestamp in milliseconds
+ * @returns {Object|null} { at, kind }
+ */
+const getNextDeadline = (world, until) => {
+  const { intervention, quickTask } = world;
+  const deadlines = [];
+  if (intervention.state === 'breathing' && intervention.breathingDeadline != null) {
+    deadlines.push({ at: intervention.breathingDeadline, kind: 'breathing' });
+  }
+  if (
+    intervention.state === 'action_timer' &&
+    intervention.actionTimer > 0 &&
+    intervention.actionTimerPausedAt == null
+  ) {
+    deadlines.push({ at: intervention.actionTimerDeadline, kind: 'action_timer' });
+  }
+  if (quickTask.activeUntil) {
+    deadlines.push({ at: quickTask.activeUntil, kind: 'quick_task' });
+  }
+  return (
+    deadlines
+      .filter((deadline) => deadline.at <= until)
+      .sort((a, b) => a.at - b.at)[0] || null
+  );
+};
+
+/**
+ * Clear a quick task that ran out; its app asks for the check-in
+ * @param {Object} world - Scenario world
+ * @returns {Object} New world
+ */
+const expireQuickTask = (world) => {
+  if (!isQuickTaskExpired(world.quickTask, world.now)) return world;
+  const appId = world.quickTaskApp || world.foregroundApp;
+  const entry = appId ? getOpenQuickTaskEntry(world.quickTaskLog, appId) : null;
+  return record(
+    {
+      ...world,
+      quickTask: { ...world.quickTask, activeUntil: 0 },
+      quickTaskApp: null,
+      quickTaskCheckIn:
+        appId && world.intervention.state === 'idle'
+          ? { appId, entryId: entry?.id ?? null }
+          : null,
+    },
+    'quick-task-expired',
+    { app: appId }
+  );
+};
+
+/**
+ * Refresh the running timers at the current time
+ * @param {Object} world - Scenario world
+ * @returns {Object} New world
+ */
+const tick = (world) => {
+  if (world.intervention.state === 'breathing') {
+    return dispatchScenarioAction(world, { type: 'BREATHING_TICK' });
+  }
+  if (world.intervention.state === 'action_timer') {
+    return dispatchScenarioAction(world, { type: 'ACTION_TIMER_TICK' });
+  }
+  return world;
+};
+
+/**
+ * Move the fake clock forward, firing every deadline on the way
+ * @param {Object} world - Scenario world
+ * @param {number} until - Timestamp in milliseconds
+ * @returns {Object} New world
+ */
+export const advanceScenarioClock = (world, until) => {
+  let current = world;
+  let deadline = getNextDeadline(current, until);
+  while (deadline) {
+    current = { ...current, now: Math.max(current.now, deadline.at) };
+    current = deadline.kind === 'quick_task' ? expireQuickTask(current) : tick(current);
+    deadline = getNextDeadline(current, until);
+  }
+  return tick({ ...current, now: Math.max(current.now, until) });
+};
+
+/**
+ * Launch an app from the launcher
+ * @param {Object} world - Scenario world
+ * @param {string} appId - App ID
+ * @returns {Object} New world
+ */
+const launch = (world, appId) => {
+  const app = getApp(world, appId);
+  const { decision, quickTask } = getLaunchDecision({
+    app,
+    monitoredApps: world.monitoredApps,
+    unlockSession: world.unlockSessions[app.id],
+    profile: resolveInterventionProfile(app.id, world.settings),
+    quickTask: world.quickTask,
+    quickTaskAppId: world.quickTaskApp,
+    quickTaskLog: world.quickTaskLog,
+    quotaSettings: getQuotaSettings(world),
+    now: world.now,
+  });
+  const updated = record({ ...world, quickTask, lastDecision: decision }, 'launch', {
+    app: app.id,
+    decision,
+  });
+  switch (decision) {
+    case LAUNCH_DECISIONS.OFFER_QUICK_TASK:
+      return { ...updated, pendingQuickTaskApp: app.id };
+    case LAUNCH_DECISIONS.INTERVENE:
+      return beginIntervention(updated, app);
+    default: {
+      const session = updated.unlockSessions[app.id];
+      return {
+        ...updated,
+        foregroundApp: app.id,
+        unlockSessions: session
+          ? { ...updated.unlockSessions, [app.id]: resumeUnlockSession(session) }
+          : updated.unlockSessions,
+      };
+    }
+  }
+};
+
+/**
+ * Commands a step can `do`
+ * Each gets the world and the step, and returns the new world.
+ */
+export const SCENARIO_COMMANDS = {
+  // Move the clock only
+  wait: (world) => world,
+  launch: (world, step) => {
+    if (!step.app) throw new Error('launch needs an "app"');
+    return launch(world, step.app);
+  },
+  // Answer the quick task dialog, optionally with an `intention`
+  chooseQuickTask: (world, step) => {
+    if (!world.pendingQuickTaskApp) throw new Error('No quick task was offered');
+    const app = getApp(world, world.pendingQuickTaskApp);
+    const intention = step.intention || '';
+    if (!canStartQuickTask(resolveInterventionProfile(app.id, world.settings), intention)) {
+      return reject(world, 'chooseQuickTask', 'intention-required');
+    }
+    const started = record(
+      {
+        ...world,
+        quickTask: startQuickTask(world.quickTask, {
+          now: world.now,
+          durationMinutes: world.quickTaskDurationMinutes,
+        }),
+        quickTaskApp: app.id,
+        quickTaskLog: appendQuickTaskLog(world.quickTaskLog, app, world.now, { intention }),
+        lastRejection: null,
+        pendingQuickTaskApp: null,
+        foregroundApp: app.id,
+      },
+      'quick-task',
+      { app: app.id }
+    );
+    return dispatchScenarioAction(started, { type: 'RESET_INTERVENTION' });
+  },
+  // Answer the check-in after a quick task ran out: `done` (true / false) and
+  // `then`: "home", "continue" (to the app, through the intervention) or
+  // "extend" (another quick task, if the quota has one left)
+  checkIn: (world, step) => {
+    const checkIn = world.quickTaskCheckIn;
+    if (!checkIn) throw new Error('No quick task check-in is open');
+    const app = getApp(world, checkIn.appId);
+    const entry = world.quickTaskLog.find((item) => item.id === checkIn.entryId);
+    if (step.then === 'extend') {
+      if (getQuota(world, app.id).remaining <= 0) {
+        return reject(world, 'checkIn', 'no-quick-tasks-left');
+      }
+      const extended = extendQuickTask({
+        quickTask: world.quickTask,
+        log: world.quickTaskLog,
+        entry,
+        app,
+        now: world.now,
+        durationMinutes: world.quickTaskDurationMinutes,
+      });
+      return record(
+        {
+          ...world,
+          quickTask: extended.quickTask,
+          quickTaskLog: extended.log,
+          quickTaskApp: app.id,
+          quickTaskCheckIn: null,
+          foregroundApp: app.id,
+          lastRejection: null,
+        },
+        'quick-task-extended',
+        { app: app.id }
+      );
+    }
+    if (!['home', 'continue'].includes(step.then)) {
+      throw new Error('checkIn needs "then": "home", "continue" or "extend"');
+    }
+    if (typeof step.done !== 'boolean') throw new Error('checkIn needs "done": true or false');
+    const answered = record(
+      {
+        ...world,
+        quickTaskLog: entry
+          ? recordQuickTaskOutcome(
+              world.quickTaskLog,
+              entry.id,
+              step.done ? QUICK_TASK_OUTCOMES.DONE : QUICK_TASK_OUTCOMES.NOT_DONE,
+              world.now
+            )
+          : world.quickTaskLog,
+        quickTaskCheckIn: null,
+        lastRejection: null,
+      },
+      'check-in',
+      { app: app.id, done: step.done }
+    );
+    return step.then === 'home'
+      ? SCENARIO_COMMANDS.home(answered)
+      : beginIntervention(answered, app);
+  },
+  chooseIntervention: (world) => {
+    if (!world.pendingQuickTaskApp) throw new Error('No quick task was offered');
+    return beginIntervention(
+      { ...world, pendingQuickTaskApp: null },
+      getApp(world, world.pendingQuickTaskApp)
+    );
+  },
+  // Any intervention action, e.g. { "type": "SELECT_CAUSE", "causeId": "boredom" }
+  dispatch: (world, step) => {
+    if (!step.action?.type) throw new Error('dispatch needs an "action" with a "type"');
+    return dispatchScenarioAction(world, step.action);
+  },
+  // Go back to the launcher; a left monitored app keeps its unlock for the
+  // grace period (settings.gracePeriod)
+  home: (world) => {
+    const { foregroundApp } = world;
+    const unlockSessions = { ...world.unlockSessions };
+    if (foregroundApp && world.monitoredApps.includes(foregroundApp)) {
+      const left = leaveUnlockSession(
+        unlockSessions[foregroundApp],
+        world.now,
+        world.settings.gracePeriod
+      );
+      if (left) unlockSessions[foregroundApp] = left;
+      else delete unlockSessions[foregroundApp];
+    }
+    return dispatchScenarioAction(
+      record(
+        { ...world, unlockSessions, foregroundApp: null, pendingQuickTaskApp: null },
+        'home'
+      ),
+      { type: 'RESET_INTERVENTION' }
+    );
+  },
+};
+
+/**
+ * Get what a scenario can check
+ * @param {Object} world - Scenario world
+ * @returns {Object} { now, elapsed, foregroundApp, pendingQuickTaskApp, lastDecision,
+ *   lastRejection, checkIn, intervention, journal, quickTask: { windowStart, usesInWindow,
+ *   activeUntil, active, remainingUses, nextFreeAt, remainingByApp, log },
+ *   unlocked: [appId], grace: { appId: seconds }, budgets: { appId: budget } }
+ *   where remainingUses and nextFreeAt are the quota of the offered or open app
+ */
+export const getScenarioSnapshot = (world) => {
+  const quota = getQuota(world, world.pendingQuickTaskApp || world.foregroundApp);
+  return {
+    now: world.now,
+    elapsed: world.now - world.start,
+    foregroundApp: world.foregroundApp,
+    pendingQuickTaskApp: world.pendingQuickTaskApp,
+    lastDecision: world.lastDecision,
+    lastRejection: world.lastRejection,
+    checkIn: world.quickTaskCheckIn,
+    intervention: world.intervention,
+    journal: world.journal,
+    quickTask: {
+      ...world.quickTask,
+      active: isQuickTaskActive(world.quickTask, world.now),
+      remainingUses: quota.remaining,
+      nextFreeAt: quota.nextFreeAt,
+      remainingByApp: Object.fromEntries(
+        world.monitoredApps.map((appId) => [appId, getQuota(world, appId).remaining])
+      ),
+      log: world.quickTaskLog,
+    },
+    unlocked: Object.keys(world.unlockSessions).filter((appId) =>
+      isUnlockSessionOpen(world.unlockSessions[appId], world.now)
+    ),
+    grace: Object.fromEntries(
+      Object.keys(world.unlockSessions)
+        .map((appId) => [appId, getUnlockGraceSeconds(world.unlockSessions[appId], world.now)])
+        .filter(([, seconds]) => seconds != null)
+    ),
+    budgets: Object.fromEntries(
+      world.monitoredApps.map((appId) => [
+        appId,
+        getUnlockBudget({
+          journal: world.journal,
+          appId,
+          dailyBudgetMinutes: resolveInterventionProfile(appId, world.settings)
+            .dailyBudgetMinutes,
+          now: world.now,
+          settings: world.settings.unlockBudget,
+        }),
+      ])
+    ),
+  };
+};
+
+/**
+ * Read a dotted path ("journal.0.outcome", "quickTask.log.length")
+ * @param {Object} value - Object to read from
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or undefined when the path does not exist
+ */
+export const readScenarioPath = (value, path) =>
+  path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+
+/**
+ * Check an actual value against an expected one
+ * Objects match when every expected key matches (extra keys are ignored);
+ * arrays must have the same length and match item by item.
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ * @returns {boolean}
+ */
+export const matchesExpectation = (actual, expected) => {
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((item, index) => matchesExpectation(actual[index], item))
+    );
+  }
+  if (expected && typeof expected === 'object') {
+    return (
+      Boolean(actual) &&
+      typeof actual === 'object' &&
+      Object.keys(expected).every((key) => matchesExpectation(actual[key], expected[key]))
+    );
+  }
+  return actual === expected;
+};
+
+/**
+ * Run a scenario
+ * Malformed steps (unknown command, time going backwards, ...) throw.
+ * @param {Object} scenario - { name, setup, steps }
+ * @returns {Object} { name, passed, failures: [{ step, at, path, expected, actual }],
+ *   snapshot, trail }
+ */
+export const runScenario = (scenario) => {
+  let world = createScenarioWorld(scenario.setup);
+  const failures = [];
+
+  (scenario.steps || []).forEach((step, index) => {
+    const describe = (message) => `${scenario.name || 'Scenario'}, step ${index + 1}: ${message}`;
+    const at = world.start + parseScenarioTime(step.at ?? world.now - world.start);
+    if (at < world.now) throw new Error(describe(`"${step.at}" is earlier than the previous step`));
+    world = advanceScenarioClock(world, at);
+
+    if (step.do) {
+      const command = SCENARIO_COMMANDS[step.do];
+      if (!command) throw new Error(describe(`unknown command "${step.do}"`));
+      // The check-in covers the whole screen until it is answered
+      if (world.quickTaskCheckIn && !['checkIn', 'wait'].includes(step.do)) {
+        throw new Error(describe('the quick task check-in has to be answered first'));
+      }
+      try {
+        world = command(world, step);
+      } catch (error) {
+        throw new Error(describe(error.message));
+      }
+    }
+
+    const snapshot = getScenarioSnapshot(world);
+    Object.entries(step.expect || {}).forEach(([path, expected]) => {
+      const actual = readScenarioPath(snapshot, path);
+      if (!matchesExpectation(actual, expected)) {
+        failures.push({ step: index + 1, at: step.at, path, expected, actual });
+      }
+    });
+  });
+
+  return {
+    name: scenario.name,
+    passed: failures.length === 0,
+    failures,
+    snapshot: getScenarioSnapshot(world),
+    trail: world.trail,
+  };
+};
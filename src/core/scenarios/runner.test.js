@@ -0,0 +1,129 @@
+import fs from "fs";
+import path from "path";
+import {
+  parseScenarioTime,
+  matchesExpectation,
+  runScenario,
+} from "./runner";
+
+const SCRIPTS_DIR = path.join(__dirname, "scripts");
+const scripts = fs
+  .readdirSync(SCRIPTS_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .sort();
+
+describe("scenario scripts", () => {
+  it("finds the scripts", () => {
+    expect(scripts.length).toBeGreaterThan(0);
+  });
+
+  it.each(scripts)("%s", (file) => {
+    const scenario = JSON.parse(fs.readFileSync(path.join(SCRIPTS_DIR, file), "utf8"));
+    const { failures } = runScenario(scenario);
+    expect(failures).toEqual([]);
+  });
+});
+
+describe("scenario runner", () => {
+  it("parses time offsets", () => {
+    expect(parseScenarioTime(1500)).toBe(1500);
+    expect(parseScenarioTime("90s")).toBe(90000);
+    expect(parseScenarioTime("1h5m")).toBe(65 * 60 * 1000);
+    expect(parseScenarioTime("250ms")).toBe(250);
+    expect(() => parseScenarioTime("soon")).toThrow("Invalid scenario time");
+  });
+
+  it("matches objects partially and arrays exactly", () => {
+    expect(matchesExpectation({ a: 1, b: 2 }, { a: 1 })).toBe(true);
+    expect(matchesExpectation({ a: 1 }, { a: 2 })).toBe(false);
+    expect(matchesExpectation([{ a: 1, b: 2 }], [{ a: 1 }])).toBe(true);
+    expect(matchesExpectation([1, 2], [1])).toBe(false);
+    expect(matchesExpectation(null, { a: 1 })).toBe(false);
+  });
+
+  it("reports failed expectations with the actual value", () => {
+    const result = runScenario({
+      name: "Wrong guess",
+      setup: { monitoredApps: ["instagram"] },
+      steps: [
+        { at: "0s", do: "launch", app: "instagram", expect: { lastDecision: "intervene" } },
+      ],
+    });
+    expect(result.passed).toBe(false);
+    expect(result.failures).toEqual([
+      {
+        step: 1,
+        at: "0s",
+        path: "lastDecision",
+        expected: "intervene",
+        actual: "offer-quick-task",
+      },
+    ]);
+  });
+
+  it("fires deadlines on the way when the clock jumps", () => {
+    const { snapshot, trail } = runScenario({
+      setup: { monitoredApps: ["instagram"], quickTask: { durationMinutes: 1 } },
+      steps: [
+        { at: "0s", do: "launch", app: "instagram" },
+        { at: "0s", do: "chooseQuickTask" },
+        { at: "1m", do: "checkIn", done: false, then: "continue" },
+        { at: "10m" },
+      ],
+    });
+    // Quick task ran out at 1m, breathing at 1m5s
+    expect(snapshot.intervention.state).toBe("root-cause");
+    expect(snapshot.intervention.startedAt - snapshot.now).toBe(-9 * 60 * 1000);
+    expect(trail.map((entry) => entry.event)).toContain("quick-task-expired");
+  });
+
+  it("rejects malformed steps", () => {
+    expect(() =>
+      runScenario({ name: "Bad", steps: [{ at: "1m" }, { at: "0s" }] })
+    ).toThrow("Bad, step 2");
+    expect(() => runScenario({ steps: [{ do: "fly" }] })).toThrow('unknown command "fly"');
+    expect(() => runScenario({ steps: [{ do: "chooseQuickTask" }] })).toThrow(
+      "No quick task was offered"
+    );
+  });
+
+  it("holds everything else until the quick task check-in is answered", () => {
+    const setup = { monitoredApps: ["instagram"], quickTask: { durationMinutes: 1 } };
+    const started = [
+      { at: "0s", do: "launch", app: "instagram" },
+      { at: "0s", do: "chooseQuickTask", intention: "Check the bus" },
+    ];
+    expect(() =>
+      runScenario({ setup, steps: [...started, { at: "2m", do: "launch", app: "instagram" }] })
+    ).toThrow("check-in has to be answered first");
+    expect(() =>
+      runScenario({ setup, steps: [...started, { at: "2m", do: "checkIn", then: "home" }] })
+    ).toThrow('"done"');
+
+    const { snapshot } = runScenario({
+      setup,
+      steps: [...started, { at: "2m", do: "checkIn", done: true, then: "home" }],
+    });
+    expect(snapshot.checkIn).toBeNull();
+    expect(snapshot.intervention.state).toBe("idle");
+    expect(snapshot.quickTask.log[0]).toMatchObject({ intention: "Check the bus", outcome: "done" });
+  });
+
+  it("only starts a quick task with an intention where the profile asks for one", () => {
+    const { snapshot } = runScenario({
+      setup: {
+        monitoredApps: ["instagram"],
+        settings: { appProfiles: { instagram: { requireQuickTaskIntention: true } } },
+      },
+      steps: [
+        { at: "0s", do: "launch", app: "instagram" },
+        { at: "0s", do: "chooseQuickTask" },
+      ],
+    });
+    expect(snapshot.lastRejection).toEqual({
+      type: "chooseQuickTask",
+      reason: "intention-required",
+    });
+    expect(snapshot.quickTask.active).toBe(false);
+  });
+});
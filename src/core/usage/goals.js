@@ -0,0 +1,252 @@
+/**
+ * Usage Goals
+ *
+ * Framework-agnostic screen time goals, such as "TikTok under 30 minutes a
+ * day" or "all distraction apps under 2 hours a day". A goal targets one app
+ * or every app sharing a `type` or `category`, and caps its minutes per day
+ * or per week (weeks start on Monday, like the screen time charts).
+ *
+ * Progress is measured over the usage log (see tracker.js). A goal warns at
+ * GOAL_WARNING_RATIO of its limit and alerts once it is exceeded; each alert
+ * is raised once per goal and period. Finished days are written to the goal
+ * history, and a day where every goal held counts toward the streak.
+ */
+
+import { endUsageSession, getUsageMinutes, getUsagePeriods } from './tracker';
+
+/**
+ * What a goal targets
+ * - 'app': One app (value is its ID)
+ * - 'type': Apps with this `type`, e.g. 'distraction'
+ * - 'category': Apps with this `category`, e.g. 'web'
+ */
+export const GOAL_KINDS = {
+  APP: 'app',
+  TYPE: 'type',
+  CATEGORY: 'category',
+};
+
+export const GOAL_PERIODS = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+};
+
+export const GOAL_STATUSES = {
+  ON_TRACK: 'on-track',
+  WARNING: 'warning',
+  EXCEEDED: 'exceeded',
+};
+
+/**
+ * Share of the limit (0-1) from which a goal warns
+ */
+export const GOAL_WARNING_RATIO = 0.8;
+
+/**
+ * Maximum number of days kept in the goal history
+ */
+export const GOAL_HISTORY_MAX_ENTRIES = 60;
+
+const ALERT_LEVELS = [GOAL_STATUSES.WARNING, GOAL_STATUSES.EXCEEDED];
+
+const addDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+};
+
+const withOpenSession = (usageLog, openSession, now) =>
+  openSession
+    ? [{ ...openSession, end: Math.max(now, openSession.start) }, ...usageLog]
+    : usageLog;
+
+/**
+ * Create a goal
+ * @param {Object} params
+ * @param {string} params.kind - One of GOAL_KINDS
+ * @param {string} params.value - App ID, type or category
+ * @param {string} params.period - One of GOAL_PERIODS
+ * @param {number} params.limitMinutes - Minutes allowed per period
+ * @param {number} [now] - Current timestamp in milliseconds
+ * @returns {Object|null} Goal, or null when a field is invalid
+ */
+export const createUsageGoal = ({ kind, value, period, limitMinutes }, now = Date.now()) => {
+  if (!Object.values(GOAL_KINDS).includes(kind) || !value) return null;
+  if (!Object.values(GOAL_PERIODS).includes(period)) return null;
+  if (!Number.isFinite(limitMinutes) || limitMinutes <= 0) return null;
+  return { id: `goal-${now}`, kind, value, period, limitMinutes, createdAt: now };
+};
+
+/**
+ * Get the IDs of the apps a goal covers
+ * @param {Object} goal - Goal
+ * @param {Array} apps - Apps ({ id, type, category })
+ * @returns {Array<string>}
+ */
+export const getGoalAppIds = (goal, apps = []) =>
+  goal.kind === GOAL_KINDS.APP
+    ? [goal.value]
+    : apps.filter((app) => app[goal.kind] === goal.value).map((app) => app.id);
+
+/**
+ * Describe a goal, e.g. "TikTok under 30m a day"
+ * @param {Object} goal - Goal
+ * @param {Array} apps - Apps ({ id, name })
+ * @param {Object} [groupLabels] - Map of type or category -> label, e.g.
+ *   { web: 'All websites' } (defaults to "All <value> apps")
+ * @returns {string}
+ */
+export const describeUsageGoal = (goal, apps = [], groupLabels = {}) => {
+  const target =
+    goal.kind === GOAL_KINDS.APP
+      ? apps.find((app) => app.id === goal.value)?.name || goal.value
+      : groupLabels[goal.value] || `All ${goal.value} apps`;
+  const hours = Math.floor(goal.limitMinutes / 60);
+  const mins = goal.limitMinutes % 60;
+  const limit = [hours && `${hours}h`, mins && `${mins}m`].filter(Boolean).join(' ');
+  return `${target} under ${limit} a ${goal.period === GOAL_PERIODS.WEEKLY ? 'week' : 'day'}`;
+};
+
+/**
+ * Get a goal's status for a share of its limit
+ * @param {number} ratio - Minutes used / limit
+ * @returns {string} One of GOAL_STATUSES
+ */
+export const getGoalStatus = (ratio) => {
+  if (ratio > 1) return GOAL_STATUSES.EXCEEDED;
+  return ratio >= GOAL_WARNING_RATIO ? GOAL_STATUSES.WARNING : GOAL_STATUSES.ON_TRACK;
+};
+
+const measureGoal = (goal, { sessions, apps, from, to }) => {
+  const appIds = getGoalAppIds(goal, apps);
+  const usedMinutes = Math.round(
+    getUsageMinutes(
+      sessions.filter((session) => appIds.includes(session.appId)),
+      from,
+      to
+    )
+  );
+  const ratio = usedMinutes / goal.limitMinutes;
+  return {
+    goalId: goal.id,
+    from,
+    to,
+    usedMinutes,
+    limitMinutes: goal.limitMinutes,
+    remainingMinutes: Math.max(0, goal.limitMinutes - usedMinutes),
+    percent: Math.round(ratio * 100),
+    status: getGoalStatus(ratio),
+  };
+};
+
+/**
+ * Get the progress of every goal in its current period
+ * @param {Array} goals - Goals
+ * @param {Object} params
+ * @param {Array} [params.usageLog] - Usage log
+ * @param {Object|null} [params.openSession] - Session still running (counts up to now)
+ * @param {Array} [params.apps] - Apps ({ id, type, category })
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @returns {Array} [{ goalId, from, to, usedMinutes, limitMinutes,
+ *   remainingMinutes, percent, status }] in the order of the goals; percent
+ *   can pass 100
+ */
+export const getGoalsProgress = (goals = [], { usageLog = [], openSession = null, apps = [], now }) => {
+  const sessions = withOpenSession(usageLog, openSession, now);
+  const periods = getUsagePeriods(now);
+  return goals.map((goal) =>
+    measureGoal(goal, {
+      sessions,
+      apps,
+      ...(goal.period === GOAL_PERIODS.WEEKLY ? periods.week : periods.today),
+    })
+  );
+};
+
+/**
+ * Get the alerts to raise for the goals' progress
+ * Each goal raises a warning and an exceeded alert at most once per period;
+ * an exceeded goal does not warn anymore.
+ * @param {Array} progress - From getGoalsProgress
+ * @param {Object} sent - Alerts already raised, see markGoalAlertsSent
+ * @returns {Array} [{ goalId, level, periodStart }] where level is
+ *   GOAL_STATUSES.WARNING or GOAL_STATUSES.EXCEEDED
+ */
+export const getNewGoalAlerts = (progress = [], sent = {}) =>
+  progress
+    .filter((item) => ALERT_LEVELS.includes(item.status))
+    .filter((item) => {
+      const last = sent[item.goalId];
+      if (!last || last.periodStart !== item.from) return true;
+      return ALERT_LEVELS.indexOf(item.status) > ALERT_LEVELS.indexOf(last.level);
+    })
+    .map((item) => ({ goalId: item.goalId, level: item.status, periodStart: item.from }));
+
+/**
+ * Remember raised alerts
+ * @param {Object} sent - Map of goal ID -> { level, periodStart }
+ * @param {Array} alerts - From getNewGoalAlerts
+ * @returns {Object} Updated map
+ */
+export const markGoalAlertsSent = (sent = {}, alerts = []) =>
+  alerts.reduce(
+    (next, { goalId, level, periodStart }) => ({ ...next, [goalId]: { level, periodStart } }),
+    sent
+  );
+
+/**
+ * Write finished days to the goal history
+ * A day is judged by every goal set before it ended: daily goals on
+ * the day itself, weekly goals on their week up to the end of the day. Days
+ * already in the history are skipped, and without a history judging starts
+ * yesterday, so a first run never judges a backlog. A session still open
+ * across midnight counts toward the day it started in, up to now.
+ * @param {Array} history - Goal history, newest day first
+ * @param {Array} goals - Goals
+ * @param {Object} params
+ * @param {Array} [params.usageLog] - Usage log
+ * @param {Object|null} [params.openSession] - Session still running (closed
+ *   as endUsageSession would close it now)
+ * @param {Array} [params.apps] - Apps ({ id, type, category })
+ * @param {number} params.now - Current timestamp in milliseconds
+ * @param {number} [params.maxDays] - How many finished days to judge at most
+ * @returns {Object} { history, newDays } where history entries are
+ *   { day, met, results: [{ goalId, usedMinutes, limitMinutes, met }] } and
+ *   newDays lists the entries just added, oldest first
+ */
+export const recordGoalHistory = (
+  history = [],
+  goals = [],
+  { usageLog = [], openSession = null, apps = [], now, maxDays = 7 }
+) => {
+  const sessions = endUsageSession(usageLog, openSession, now);
+  const today = getUsagePeriods(now).today.from;
+  const lastDay = history[0]?.day;
+  const firstDay = Math.max(
+    lastDay != null ? addDays(lastDay, 1) : addDays(today, -1),
+    addDays(today, -maxDays)
+  );
+
+  const newDays = [];
+  for (let day = firstDay; day < today; day = addDays(day, 1)) {
+    const dayEnd = addDays(day, 1);
+    const active = goals.filter((goal) => (goal.createdAt ?? 0) < dayEnd);
+    if (active.length === 0) continue;
+    const week = getUsagePeriods(day).week.from;
+    const results = active.map((goal) => {
+      const { usedMinutes, limitMinutes } = measureGoal(goal, {
+        sessions,
+        apps,
+        from: goal.period === GOAL_PERIODS.WEEKLY ? week : day,
+        to: dayEnd,
+      });
+      return { goalId: goal.id, usedMinutes, limitMinutes, met: usedMinutes <= limitMinutes };
+    });
+    newDays.push({ day, met: results.every((result) => result.met), results });
+  }
+
+  return {
+    history: [...newDays].reverse().concat(history).slice(0, GOAL_HISTORY_MAX_ENTRIES),
+    newDays,
+  };
+};
@@ -0,0 +1,207 @@
+import {
+  GOAL_HISTORY_MAX_ENTRIES,
+  createUsageGoal,
+  describeUsageGoal,
+  getGoalAppIds,
+  getGoalsProgress,
+  getNewGoalAlerts,
+  markGoalAlertsSent,
+  recordGoalHistory,
+} from "./index";
+
+// January 2026: Monday the 5th
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute).getTime();
+const session = (appId, start, minutes) => ({
+  appId,
+  appName: appId,
+  start,
+  end: start + minutes * 60 * 1000,
+});
+
+const apps = [
+  { id: "tiktok", name: "TikTok", type: "distraction", category: "app" },
+  { id: "instagram", name: "Instagram", type: "distraction", category: "app" },
+  { id: "youtube", name: "YouTube", type: "distraction", category: "web" },
+  { id: "notes", name: "Notes", type: "productive", category: "app" },
+];
+
+const tiktokDaily = createUsageGoal(
+  { kind: "app", value: "tiktok", period: "daily", limitMinutes: 30 },
+  at(1, 8)
+);
+const distractionDaily = createUsageGoal(
+  { kind: "type", value: "distraction", period: "daily", limitMinutes: 120 },
+  at(1, 8, 1)
+);
+const webWeekly = createUsageGoal(
+  { kind: "category", value: "web", period: "weekly", limitMinutes: 60 },
+  at(1, 8, 2)
+);
+
+describe("usage goals", () => {
+  it("creates valid goals only", () => {
+    expect(tiktokDaily).toEqual({
+      id: `goal-${at(1, 8)}`,
+      kind: "app",
+      value: "tiktok",
+      period: "daily",
+      limitMinutes: 30,
+      createdAt: at(1, 8),
+    });
+    expect(createUsageGoal({ kind: "app", value: "tiktok", period: "monthly", limitMinutes: 30 })).toBeNull();
+    expect(createUsageGoal({ kind: "app", value: "tiktok", period: "daily", limitMinutes: 0 })).toBeNull();
+    expect(createUsageGoal({ kind: "tag", value: "x", period: "daily", limitMinutes: 30 })).toBeNull();
+  });
+
+  it("covers one app or every app of a type or category", () => {
+    expect(getGoalAppIds(tiktokDaily, apps)).toEqual(["tiktok"]);
+    expect(getGoalAppIds(distractionDaily, apps)).toEqual(["tiktok", "instagram", "youtube"]);
+    expect(getGoalAppIds(webWeekly, apps)).toEqual(["youtube"]);
+  });
+
+  it("describes goals", () => {
+    expect(describeUsageGoal(tiktokDaily, apps)).toBe("TikTok under 30m a day");
+    expect(describeUsageGoal(distractionDaily, apps)).toBe("All distraction apps under 2h a day");
+    expect(describeUsageGoal({ ...webWeekly, limitMinutes: 90 }, apps, { web: "All websites" })).toBe(
+      "All websites under 1h 30m a week"
+    );
+  });
+
+  it("measures each goal over its current day or week, counting the open session", () => {
+    const usageLog = [
+      session("tiktok", at(7, 9), 20),
+      session("youtube", at(6, 20), 40),
+      session("notes", at(7, 10), 60),
+      session("tiktok", at(6, 9), 60),
+    ];
+    const openSession = { appId: "youtube", start: at(7, 11), lastSeenAt: at(7, 11) };
+    const progress = getGoalsProgress([tiktokDaily, distractionDaily, webWeekly], {
+      usageLog,
+      openSession,
+      apps,
+      now: at(7, 11, 25),
+    });
+    expect(progress).toEqual([
+      {
+        goalId: tiktokDaily.id,
+        from: at(7, 0),
+        to: at(8, 0),
+        usedMinutes: 20,
+        limitMinutes: 30,
+        remainingMinutes: 10,
+        percent: 67,
+        status: "on-track",
+      },
+      expect.objectContaining({ usedMinutes: 45, percent: 38, status: "on-track" }),
+      expect.objectContaining({
+        from: at(5, 0),
+        to: at(12, 0),
+        usedMinutes: 65,
+        remainingMinutes: 0,
+        percent: 108,
+        status: "exceeded",
+      }),
+    ]);
+  });
+
+  it("warns from 80% and raises each alert once per period", () => {
+    const progress = (usedMinutes, from = at(7, 0)) =>
+      getGoalsProgress([tiktokDaily], {
+        usageLog: [session("tiktok", from + 9 * 60 * 60 * 1000, usedMinutes)],
+        apps,
+        now: from + 20 * 60 * 60 * 1000,
+      });
+
+    expect(getNewGoalAlerts(progress(23), {})).toEqual([]);
+    const warning = getNewGoalAlerts(progress(24), {});
+    expect(warning).toEqual([{ goalId: tiktokDaily.id, level: "warning", periodStart: at(7, 0) }]);
+
+    let sent = markGoalAlertsSent({}, warning);
+    expect(getNewGoalAlerts(progress(28), sent)).toEqual([]);
+    const exceeded = getNewGoalAlerts(progress(31), sent);
+    expect(exceeded).toEqual([{ goalId: tiktokDaily.id, level: "exceeded", periodStart: at(7, 0) }]);
+
+    sent = markGoalAlertsSent(sent, exceeded);
+    expect(getNewGoalAlerts(progress(45), sent)).toEqual([]);
+    // A new day starts over
+    expect(getNewGoalAlerts(progress(25, at(8, 0)), sent)).toHaveLength(1);
+  });
+
+  it("judges finished days against every goal", () => {
+    const usageLog = [
+      session("youtube", at(7, 20), 30),
+      session("tiktok", at(6, 9), 40),
+      session("youtube", at(5, 20), 35),
+    ];
+    const goals = [tiktokDaily, webWeekly];
+
+    const first = recordGoalHistory([], goals, { usageLog, apps, now: at(7, 9) });
+    expect(first.newDays).toEqual([
+      {
+        day: at(6, 0),
+        met: false,
+        results: [
+          { goalId: tiktokDaily.id, usedMinutes: 40, limitMinutes: 30, met: false },
+          { goalId: webWeekly.id, usedMinutes: 35, limitMinutes: 60, met: true },
+        ],
+      },
+    ]);
+
+    // Two days later: the 7th breaks the weekly goal, the 8th keeps to both
+    const later = recordGoalHistory(first.history, goals, { usageLog, apps, now: at(9, 9) });
+    expect(later.newDays.map(({ day, met }) => [day, met])).toEqual([
+      [at(7, 0), false],
+      [at(8, 0), false],
+    ]);
+    expect(later.newDays[1].results[1]).toMatchObject({ usedMinutes: 65, met: false });
+    expect(later.history.map((entry) => entry.day)).toEqual([at(8, 0), at(7, 0), at(6, 0)]);
+
+    // A new week resets the weekly goal
+    const nextWeek = recordGoalHistory(later.history, goals, { usageLog, apps, now: at(13, 9) });
+    expect(nextWeek.newDays.map(({ day, met }) => [day, met])).toEqual([
+      [at(9, 0), false],
+      [at(10, 0), false],
+      [at(11, 0), false],
+      [at(12, 0), true],
+    ]);
+    expect(recordGoalHistory(nextWeek.history, goals, { usageLog, apps, now: at(13, 22) }).newDays).toEqual([]);
+  });
+
+  it("counts a session still open across midnight toward the day it started", () => {
+    const openSession = {
+      appId: "tiktok",
+      appName: "TikTok",
+      start: at(6, 23),
+      lastSeenAt: at(7, 0, 30),
+    };
+    const judged = (params) =>
+      recordGoalHistory([], [tiktokDaily], { apps, now: at(7, 0, 30), ...params }).newDays;
+
+    expect(judged({ openSession })).toEqual([
+      {
+        day: at(6, 0),
+        met: false,
+        results: [{ goalId: tiktokDaily.id, usedMinutes: 60, limitMinutes: 30, met: false }],
+      },
+    ]);
+    expect(judged({})[0].met).toBe(true);
+  });
+
+  it("skips days before any goal was set and keeps the history capped", () => {
+    const goal = { ...tiktokDaily, createdAt: at(7, 12) };
+    expect(recordGoalHistory([], [goal], { apps, now: at(7, 13) }).newDays).toEqual([]);
+    expect(recordGoalHistory([], [], { apps, now: at(8, 13) }).newDays).toEqual([]);
+    expect(recordGoalHistory([], [goal], { apps, now: at(8, 13) }).newDays).toEqual([
+      { day: at(7, 0), met: true, results: [expect.objectContaining({ usedMinutes: 0 })] },
+    ]);
+
+    const long = Array.from({ length: GOAL_HISTORY_MAX_ENTRIES }, (_, i) => ({
+      day: new Date(2025, 10, 60 - i).getTime(),
+      met: true,
+      results: [],
+    }));
+    const { history } = recordGoalHistory(long, [tiktokDaily], { apps, now: at(2, 9) });
+    expect(history).toHaveLength(GOAL_HISTORY_MAX_ENTRIES);
+    expect(history[0].day).toBe(at(1, 0));
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Usage Tracking - Public API
+ *
+ * Exports the screen time tracker and goals for easy importing.
+ */
+
+export * from './tracker';
+export * from './goals';
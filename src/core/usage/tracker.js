@@ -0,0 +1,239 @@
+/**
+ * Usage Tracker
+ *
+ * Framework-agnostic screen time tracking. The app in the foreground has an
+ * open session ({ appId, appName, start, lastSeenAt }) that is touched while
+ * it runs; leaving the app closes it into the usage log ({ appId, appName,
+ * start, end }, newest first). A session that was never closed (the page was
+ * closed or reloaded) only counts up to one heartbeat after it was last seen.
+ * The log keeps USAGE_RETENTION worth of sessions and is aggregated into
+ * today by hour, this week by day and this month by week.
+ */
+
+/**
+ * How often the open session is touched
+ */
+export const USAGE_HEARTBEAT_MS = 60 * 1000;
+
+/**
+ * How much of the usage log is kept
+ * - days: Sessions ending longer ago are dropped (covers a whole month)
+ * - maxSessions: Oldest sessions beyond this are dropped
+ */
+export const USAGE_RETENTION = {
+  days: 35,
+  maxSessions: 3000,
+};
+
+const WEEKDAY_LABELS = ['M', 'T', 'W', 'T', 'F', 'S', 'S'];
+
+const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Calendar arithmetic, so days stay days across DST changes
+const addDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+};
+
+const addHours = (dayStart, hours) => {
+  const date = new Date(dayStart);
+  date.setHours(hours);
+  return date.getTime();
+};
+
+const startOfWeek = (timestamp) => {
+  const day = startOfDay(timestamp);
+  return addDays(day, -((new Date(day).getDay() + 6) % 7));
+};
+
+/**
+ * Start a session for the app now in the foreground
+ * @param {Object} app - App ({ id, name })
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Object} Open session
+ */
+export const startUsageSession = (app, now) => ({
+  appId: app.id,
+  appName: app.name || app.id,
+  start: now,
+  lastSeenAt: now,
+});
+
+/**
+ * Note that the open session's app is still in the foreground
+ * @param {Object} session - Open session
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Object} Open session
+ */
+export const touchUsageSession = (session, now) => ({ ...session, lastSeenAt: now });
+
+/**
+ * Drop sessions past the retention limits
+ * @param {Array} log - Usage log
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {Object} [retention] - See USAGE_RETENTION
+ * @returns {Array} Usage log
+ */
+export const pruneUsageLog = (log = [], now, retention = USAGE_RETENTION) => {
+  const cutoff = addDays(now, -retention.days);
+  return log.filter((session) => session.end > cutoff).slice(0, retention.maxSessions);
+};
+
+/**
+ * Close the open session into the log
+ * @param {Array} log - Usage log
+ * @param {Object|null} session - Open session
+ * @param {number} now - Current timestamp in milliseconds
+ * @param {Object} [retention] - See USAGE_RETENTION
+ * @returns {Array} Usage log
+ */
+export const endUsageSession = (log = [], session, now, retention = USAGE_RETENTION) => {
+  if (!session) return log;
+  const end = Math.min(now, session.lastSeenAt + USAGE_HEARTBEAT_MS);
+  if (end <= session.start) return log;
+  return pruneUsageLog(
+    [{ appId: session.appId, appName: session.appName, start: session.start, end }, ...log],
+    now,
+    retention
+  );
+};
+
+/**
+ * Get the minutes of the sessions that fall between two times
+ * @param {Array} sessions - Closed sessions ({ start, end })
+ * @param {number} from - Range start (inclusive)
+ * @param {number} to - Range end (exclusive)
+ * @returns {number} Minutes, not rounded
+ */
+export const getUsageMinutes = (sessions, from, to) =>
+  sessions.reduce(
+    (total, session) =>
+      total + Math.max(0, Math.min(session.end, to) - Math.max(session.start, from)),
+    0
+  ) / 60000;
+
+/**
+ * Get the minutes per app between two times
+ * @param {Array} sessions - Closed sessions ({ appId, appName, start, end })
+ * @param {number} from - Range start (inclusive)
+ * @param {number} to - Range end (exclusive)
+ * @returns {Array} [{ appId, appName, minutes }] most used first, rounded,
+ *   without apps under half a minute
+ */
+export const getAppBreakdown = (sessions, from, to) => {
+  const apps = {};
+  sessions.forEach((session) => {
+    const minutes = getUsageMinutes([session], from, to);
+    if (minutes <= 0) return;
+    const app = apps[session.appId] || {
+      appId: session.appId,
+      appName: session.appName,
+      minutes: 0,
+    };
+    apps[session.appId] = { ...app, minutes: app.minutes + minutes };
+  });
+  return Object.values(apps)
+    .map((app) => ({ ...app, minutes: Math.round(app.minutes) }))
+    .filter((app) => app.minutes > 0)
+    .sort((a, b) => b.minutes - a.minutes);
+};
+
+const toBar = (label, minutes, current) => ({
+  label,
+  val: Math.round((minutes / 60) * 10) / 10,
+  minutes: Math.round(minutes),
+  current,
+});
+
+/**
+ * Get the periods the screen time charts cover
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Object} { today, week, month }, each { from, to } (to exclusive);
+ *   weeks start on Monday and months on the 1st
+ */
+export const getUsagePeriods = (now) => {
+  const today = startOfDay(now);
+  const week = startOfWeek(now);
+  const date = new Date(today);
+  return {
+    today: { from: today, to: addDays(today, 1) },
+    week: { from: week, to: addDays(week, 7) },
+    month: {
+      from: new Date(date.getFullYear(), date.getMonth(), 1).getTime(),
+      to: new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime(),
+    },
+  };
+};
+
+/**
+ * Aggregate the usage log for the screen time charts
+ * @param {Array} log - Usage log
+ * @param {Object} options
+ * @param {number} options.now - Current timestamp in milliseconds
+ * @param {Object|null} [options.openSession] - Session still running (counts up to now)
+ * @returns {Object} { today, week, month }, each with { from, to, totalMinutes, byApp }
+ *   and its bars: today.hourlyBreakdown [{ hour, minutes }], week.dailyBreakdown
+ *   (Monday first) and month.weeklyBreakdown (weeks starting on Monday, W1...)
+ *   as [{ label, val (hours), minutes, current }]
+ */
+export const getUsageSummary = (log = [], { now, openSession = null }) => {
+  const sessions = openSession
+    ? [{ ...openSession, end: Math.max(now, openSession.start) }, ...log]
+    : log;
+  const summarise = (from, to) => ({
+    from,
+    to,
+    totalMinutes: Math.round(getUsageMinutes(sessions, from, to)),
+    byApp: getAppBreakdown(sessions, from, to),
+  });
+
+  const periods = getUsagePeriods(now);
+  const today = periods.today.from;
+  const week = periods.week.from;
+  const month = periods.month.from;
+  const nextMonth = periods.month.to;
+
+  const monthWeeks = [];
+  for (let start = startOfWeek(month); start < nextMonth; start = addDays(start, 7)) {
+    const from = Math.max(start, month);
+    const to = Math.min(addDays(start, 7), nextMonth);
+    monthWeeks.push(
+      toBar(
+        `W${monthWeeks.length + 1}`,
+        getUsageMinutes(sessions, from, to),
+        now >= from && now < to
+      )
+    );
+  }
+
+  return {
+    today: {
+      ...summarise(periods.today.from, periods.today.to),
+      hourlyBreakdown: Array.from({ length: 24 }, (_, hour) => ({
+        hour,
+        minutes: Math.round(
+          getUsageMinutes(sessions, addHours(today, hour), addHours(today, hour + 1))
+        ),
+      })),
+    },
+    week: {
+      ...summarise(periods.week.from, periods.week.to),
+      dailyBreakdown: WEEKDAY_LABELS.map((label, i) =>
+        toBar(
+          label,
+          getUsageMinutes(sessions, addDays(week, i), addDays(week, i + 1)),
+          addDays(week, i) === today
+        )
+      ),
+    },
+    month: {
+      ...summarise(month, nextMonth),
+      weeklyBreakdown: monthWeeks,
+    },
+  };
+};
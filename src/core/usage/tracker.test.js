@@ -0,0 +1,101 @@
+import {
+  USAGE_HEARTBEAT_MS,
+  endUsageSession,
+  getUsageMinutes,
+  getUsagePeriods,
+  getUsageSummary,
+  pruneUsageLog,
+  startUsageSession,
+  touchUsageSession,
+} from "./index";
+
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute).getTime();
+const instagram = { id: "instagram", name: "Instagram" };
+const session = (appId, start, end) => ({ appId, appName: appId, start, end });
+
+describe("usage sessions", () => {
+  it("closes the foreground session into the log, newest first", () => {
+    const open = startUsageSession(instagram, at(7, 9));
+    const earlier = session("tiktok", at(7, 8), at(7, 8, 5));
+    expect(endUsageSession([earlier], open, at(7, 9) + 30 * 1000)).toEqual([
+      { appId: "instagram", appName: "Instagram", start: at(7, 9), end: at(7, 9) + 30 * 1000 },
+      earlier,
+    ]);
+    expect(endUsageSession([earlier], open, at(7, 9))).toEqual([earlier]);
+    expect(endUsageSession([], null, at(7, 9))).toEqual([]);
+  });
+
+  it("only counts a session left open up to a heartbeat after it was last seen", () => {
+    const open = touchUsageSession(startUsageSession(instagram, at(7, 9)), at(7, 9, 10));
+    const [closed] = endUsageSession([], open, at(7, 18));
+    expect(closed.end).toBe(at(7, 9, 10) + USAGE_HEARTBEAT_MS);
+  });
+
+  it("drops sessions past the retention limits", () => {
+    const log = [
+      session("instagram", at(30, 9), at(30, 10)),
+      session("instagram", at(20, 9), at(20, 10)),
+      session("instagram", at(1, 9), at(1, 10)),
+    ];
+    expect(pruneUsageLog(log, at(31, 12), { days: 20, maxSessions: 10 })).toHaveLength(2);
+    expect(pruneUsageLog(log, at(31, 12), { days: 35, maxSessions: 1 })).toEqual([log[0]]);
+  });
+});
+
+describe("usage summary", () => {
+  // Wednesday 7 January 2026, 14:30
+  const now = at(7, 14, 30);
+  const log = [
+    session("instagram", at(7, 9, 50), at(7, 10, 20)),
+    session("tiktok", at(6, 23, 30), at(7, 0, 15)),
+    session("instagram", at(5, 12), at(5, 13)),
+    session("youtube", at(2, 20), at(2, 21, 30)),
+  ];
+
+  it("splits sessions across the ranges they overlap", () => {
+    expect(getUsageMinutes(log, at(7, 10), at(7, 11))).toBe(20);
+    expect(getUsageMinutes(log, at(7, 0), at(8, 0))).toBe(45);
+  });
+
+  it("breaks today down by hour and app, counting the open session", () => {
+    const openSession = startUsageSession({ id: "tiktok", name: "tiktok" }, at(7, 14));
+    const { today } = getUsageSummary(log, { now, openSession });
+    expect(today.totalMinutes).toBe(75);
+    expect(today.hourlyBreakdown).toHaveLength(24);
+    expect(today.hourlyBreakdown[0].minutes).toBe(15);
+    expect(today.hourlyBreakdown[9].minutes).toBe(10);
+    expect(today.hourlyBreakdown[10].minutes).toBe(20);
+    expect(today.hourlyBreakdown[14].minutes).toBe(30);
+    expect(today.byApp).toEqual([
+      { appId: "tiktok", appName: "tiktok", minutes: 45 },
+      { appId: "instagram", appName: "instagram", minutes: 30 },
+    ]);
+  });
+
+  it("breaks the week down by day from Monday", () => {
+    const { week } = getUsageSummary(log, { now });
+    expect(week.from).toBe(at(5, 0));
+    expect(week.totalMinutes).toBe(135);
+    expect(week.dailyBreakdown.map((day) => day.minutes)).toEqual([60, 30, 45, 0, 0, 0, 0]);
+    expect(week.dailyBreakdown[0]).toEqual({ label: "M", val: 1, minutes: 60, current: false });
+    expect(week.dailyBreakdown[2].current).toBe(true);
+  });
+
+  it("breaks the month down by week", () => {
+    const { month } = getUsageSummary(log, { now });
+    expect(month.totalMinutes).toBe(225);
+    // January 2026 starts on a Thursday: W1 is 1-4 January
+    expect(month.weeklyBreakdown.map((week) => week.minutes)).toEqual([90, 135, 0, 0, 0]);
+    expect(month.weeklyBreakdown[1]).toMatchObject({ label: "W2", val: 2.3, current: true });
+    expect(month.byApp[0]).toEqual({ appId: "instagram", appName: "instagram", minutes: 90 });
+  });
+});
+
+describe("usage periods", () => {
+  it("covers today, the week from Monday and the calendar month", () => {
+    const periods = getUsagePeriods(at(7, 15, 30));
+    expect(periods.today).toEqual({ from: at(7, 0), to: at(8, 0) });
+    expect(periods.week).toEqual({ from: at(5, 0), to: at(12, 0) });
+    expect(periods.month).toEqual({ from: at(1, 0), to: new Date(2026, 1, 1).getTime() });
+  });
+});